@@ -0,0 +1,165 @@
+import { createHash } from 'crypto'
+
+/**
+ * Dorar.net response parser
+ *
+ * dorar_api.json answers with JSON (sometimes wrapped as JSONP) whose `ahadith.result`
+ * field is an HTML fragment. Each hadith is a `<div class="hadith">` followed by a
+ * `<div class="hadith-info">` holding labelled fields:
+ *
+ *   <div class="hadith">1 - إنما الأعمال بالنيات ...</div>
+ *   <div class="hadith-info">
+ *     <span class="info-subtitle">الراوي:</span> عمر بن الخطاب
+ *     <span class="info-subtitle">المحدث:</span> البخاري
+ *     <span class="info-subtitle">المصدر:</span> صحيح البخاري
+ *     <span class="info-subtitle">الصفحة أو الرقم:</span> 1
+ *     <span class="info-subtitle">الباب:</span> بدء الوحي
+ *     <span class="info-subtitle">خلاصة حكم المحدث:</span> <span>[صحيح]</span>
+ *   </div>
+ *
+ * The chapter (الباب) is only present on some results. The parser returns plain objects
+ * in the raw shape HadithAPI.normalizeHadithData reads.
+ */
+
+const HADITH_BLOCK = /<div class="hadith"[^>]*>([\s\S]*?)<\/div>\s*<div class="hadith-info"[^>]*>([\s\S]*?)<\/div>/g
+const INFO_LABEL = /<span class="info-subtitle"[^>]*>([\s\S]*?)<\/span>/g
+
+// Info labels as they appear on Dorar, mapped to raw field names
+const INFO_FIELDS = {
+  'الراوي': 'rawi',
+  'المحدث': 'muhaddith',
+  'المصدر': 'book',
+  'الصفحة أو الرقم': 'number',
+  'الباب': 'chapter',
+  'خلاصة حكم المحدث': 'grade'
+}
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+}
+
+/**
+ * Extract hadiths from a Dorar response
+ * @param {Object|string|Array} payload - Parsed JSON, raw JSON/JSONP text, or an already parsed array
+ * @returns {Array|null} Raw hadith objects, or null when the payload is not a Dorar response
+ */
+export function parseDorarResponse(payload) {
+  if (Array.isArray(payload)) return payload
+
+  const data = typeof payload === 'string' ? parseJsonText(payload) : payload
+  const html = data?.ahadith?.result
+
+  if (typeof html !== 'string') return null
+
+  return parseResultHtml(html)
+}
+
+/**
+ * Extract hadiths from the `ahadith.result` HTML fragment
+ * @returns {Array} Raw hadith objects
+ */
+export function parseResultHtml(html) {
+  const hadiths = []
+
+  for (const [, textHtml, infoHtml] of html.matchAll(HADITH_BLOCK)) {
+    const text = htmlToText(textHtml).replace(/^\d+\s*-\s*/, '')
+    if (!text) continue
+
+    const info = parseInfo(infoHtml)
+    hadiths.push({
+      id: buildId(text, info),
+      hadith: text,
+      ...info
+    })
+  }
+
+  return hadiths
+}
+
+/**
+ * Read the labelled fields of a hadith-info block
+ */
+export function parseInfo(infoHtml) {
+  const info = {}
+  const labels = Array.from(infoHtml.matchAll(INFO_LABEL))
+
+  labels.forEach((label, index) => {
+    const name = htmlToText(label[1]).replace(/[:：]\s*$/, '').trim()
+    const field = INFO_FIELDS[name]
+    if (!field) return
+
+    const start = label.index + label[0].length
+    const end = index + 1 < labels.length ? labels[index + 1].index : infoHtml.length
+    // Links (شرح الحديث, ...) follow the last field after a '|'
+    const value = htmlToText(infoHtml.slice(start, end).replace(/<a\b[\s\S]*?<\/a>/gi, ''))
+      .split('|')[0]
+      .trim()
+      .replace(/^\[|\]$/g, '')
+      .trim()
+
+    if (value) info[field] = value
+  })
+
+  return info
+}
+
+/**
+ * Strip tags and decode entities
+ */
+export function htmlToText(html) {
+  return decodeEntities((html || '').replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+/**
+ * Dorar results carry no ID; derive a stable one so repeated searches update
+ * the same row instead of creating duplicates
+ */
+function buildId(text, info) {
+  return createHash('sha1')
+    .update([text, info.muhaddith || '', info.book || '', info.number || ''].join('|'))
+    .digest('hex')
+    .substring(0, 20)
+}
+
+/**
+ * Parse JSON text, unwrapping a JSONP callback if present
+ */
+function parseJsonText(text) {
+  const trimmed = text.trim()
+  const start = trimmed.indexOf('{')
+  const end = trimmed.lastIndexOf('}')
+  if (start === -1 || end <= start) return null
+
+  try {
+    return JSON.parse(trimmed.slice(start, end + 1))
+  } catch (error) {
+    return null
+  }
+}
+
+export default {
+  parseDorarResponse,
+  parseResultHtml,
+  parseInfo,
+  htmlToText,
+  decodeEntities
+}
@@ -1,57 +1,39 @@
-import axios from 'axios'
 import config from '../config/index.js'
 import logger from '../utils/logger.js'
 import db from '../database/index.js'
+import searchIndex from '../services/searchIndex.js'
+import dedupService from '../services/dedupService.js'
+import { createProviders } from './providers/index.js'
+import { cleanArabic, normalizeArabic, extractKeywords, textHash } from '../utils/arabic.js'
+import { parseReference, getHadithReference } from '../utils/references.js'
 import { v4 as uuidv4 } from 'uuid'
 
+// Relations returned with a hadith by ID
+const HADITH_INCLUDE = {
+  favorites: {
+    select: { userId: true }
+  },
+  _count: {
+    select: { favorites: true }
+  }
+}
+
+/**
+ * Hadith API
+ * Front for the configured hadith providers (see providers/). Searches fan out to
+ * every provider; results from non-local providers are stored in the `hadiths`
+ * table tagged with their provider, and duplicates across providers are merged
+ * by text hash.
+ */
 class HadithAPI {
-  constructor() {
-    this.baseURL = config.api.dorarUrl
-    this.timeout = config.api.timeout
+  constructor(options = {}) {
     this.cacheTTL = config.api.cacheTtl
-    
-    // Create axios instance with default config
-    this.client = axios.create({
-      timeout: this.timeout,
-      headers: {
-        'User-Agent': 'Smart-Hadith-Bot/1.0.0',
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    })
-
-    // Add response interceptor for logging
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.apiCall(
-          response.config.method.toUpperCase(),
-          response.config.url,
-          response.config.metadata?.startTime ? Date.now() - response.config.metadata.startTime : 0,
-          response.status
-        )
-        return response
-      },
-      (error) => {
-        logger.apiCall(
-          error.config?.method?.toUpperCase() || 'UNKNOWN',
-          error.config?.url || 'UNKNOWN',
-          error.config?.metadata?.startTime ? Date.now() - error.config.metadata.startTime : 0,
-          error.response?.status || 0,
-          error
-        )
-        return Promise.reject(error)
-      }
-    )
-
-    // Add request interceptor for timing
-    this.client.interceptors.request.use((config) => {
-      config.metadata = { startTime: Date.now() }
-      return config
-    })
+    this.providers = options.providers || createProviders(config.api.providers)
   }
 
   /**
-   * Search for hadiths using the Dorar.net API
+   * Search every provider and merge the results in provider order.
+   * A failing provider is logged and skipped, so the others still answer.
    * @param {string} query - Search term
    * @param {Object} options - Search options
    * @returns {Promise<Array>} Array of hadith objects
@@ -64,7 +46,44 @@ class HadithAPI {
       }
 
       const trimmedQuery = query.trim()
-      const cacheKey = this.generateCacheKey('search', trimmedQuery, options)
+      const lists = await Promise.all(
+        this.providers.map(provider => this.searchProvider(provider, trimmedQuery, options))
+      )
+
+      const results = this.mergeResults(...lists)
+
+      logger.info('Hadith search completed', {
+        query: trimmedQuery,
+        providerCounts: Object.fromEntries(this.providers.map((provider, i) => [provider.name, lists[i].length])),
+        resultCount: results.length,
+        type: 'api_search'
+      })
+
+      return results
+    } catch (error) {
+      logger.logError(error, { 
+        operation: 'hadith_search', 
+        query,
+        options 
+      })
+      
+      // Return empty array on error to prevent bot crashes
+      return []
+    }
+  }
+
+  /**
+   * Search one provider. Local results are returned as stored; results from other
+   * providers are saved and cached per provider.
+   * @returns {Promise<Array>} Hadiths, empty on failure
+   */
+  async searchProvider(provider, query, options = {}) {
+    try {
+      if (provider.isLocal) {
+        return await provider.search(query, options)
+      }
+
+      const cacheKey = this.generateCacheKey('search', provider.name, query, JSON.stringify(options))
       
       // Try to get from cache first
       const cached = await this.getFromCache(cacheKey)
@@ -73,65 +92,61 @@ class HadithAPI {
         return cached
       }
 
-      // Make API request
-      const response = await this.client.get(this.baseURL, {
-        params: {
-          skey: trimmedQuery,
-          ...options
-        }
-      })
-
-      // Process and validate response
-      const hadiths = await this.processSearchResponse(response.data)
+      const rawHadiths = await provider.search(query, options)
+      const hadiths = await this.processSearchResponse(rawHadiths, provider.name)
       
       // Cache the results
       await this.setCache(cacheKey, hadiths)
-      
-      logger.info('Hadith search completed', {
-        query: trimmedQuery,
-        resultCount: hadiths.length,
-        type: 'api_search'
-      })
 
       return hadiths
     } catch (error) {
       logger.logError(error, { 
-        operation: 'hadith_search', 
+        operation: 'hadith_search_provider', 
+        provider: provider.name,
         query,
         options 
       })
-      
-      // Return empty array on error to prevent bot crashes
       return []
     }
   }
 
   /**
-   * Get a random hadith from the database or API
+   * Concatenate result lists, dropping hadiths already listed by ID or by text hash
+   */
+  mergeResults(...lists) {
+    const seen = new Set()
+    const merged = []
+
+    for (const hadith of lists.flat()) {
+      const hash = hadith.textHash || textHash(hadith.arabicText || hadith.text)
+      const keys = [hadith.id, hash && `hash:${hash}`].filter(Boolean)
+      if (keys.some(key => seen.has(key))) continue
+
+      keys.forEach(key => seen.add(key))
+      merged.push(hadith)
+    }
+
+    return merged
+  }
+
+  /**
+   * Get a random hadith from the first provider that has one
    * @param {Object} filters - Optional filters (topic, narrator, etc.)
    * @returns {Promise<Object|null>} Random hadith object
    */
   async getRandom(filters = {}) {
     try {
-      const cacheKey = this.generateCacheKey('random', JSON.stringify(filters))
-      
-      // Try to get a random hadith from our database first
-      let hadith = await this.getRandomFromDatabase(filters)
-      
-      if (!hadith) {
-        // If no hadith in database, get from API with a general search
-        const searchTerms = ['الصلاة', 'الزكاة', 'الصيام', 'الحج', 'البر', 'الإيمان']
-        const randomTerm = searchTerms[Math.floor(Math.random() * searchTerms.length)]
-        
-        const results = await this.search(randomTerm)
-        if (results.length > 0) {
-          hadith = results[Math.floor(Math.random() * results.length)]
-        }
+      let hadith = null
+
+      for (const provider of this.providers) {
+        hadith = await this.randomFromProvider(provider, filters)
+        if (hadith) break
       }
 
       if (hadith) {
         logger.info('Random hadith retrieved', {
           hadithId: hadith.id,
+          provider: hadith.provider,
           source: hadith.source,
           type: 'random_hadith'
         })
@@ -147,8 +162,45 @@ class HadithAPI {
     }
   }
 
+  async randomFromProvider(provider, filters = {}) {
+    try {
+      const hadith = await provider.random(filters)
+      if (!hadith || provider.isLocal) return hadith
+
+      return await this.normalizeHadithData(hadith, provider.name)
+    } catch (error) {
+      logger.logError(error, { 
+        operation: 'get_random_from_provider',
+        provider: provider.name,
+        filters 
+      })
+      return null
+    }
+  }
+
+  /**
+   * Stored hadiths matching the filters, e.g. every hadith of a narrator. Only the
+   * local provider can list; the others are only searched by text.
+   * @param {Object} filters - { topic, narrator, source, grade }
+   * @returns {Promise<Array>} Hadiths, empty on failure
+   */
+  async browse(filters = {}, options = {}) {
+    const provider = this.providers.find(provider => provider.isLocal)
+    if (!provider) return []
+
+    try {
+      return await provider.list(filters, options)
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'hadith_browse',
+        filters
+      })
+      return []
+    }
+  }
+
   /**
-   * Get hadith by ID from database
+   * Get hadith by ID from database, or from the providers by their own IDs
    * @param {string} hadithId - Hadith ID
    * @returns {Promise<Object|null>} Hadith object
    */
@@ -156,24 +208,19 @@ class HadithAPI {
     try {
       const hadith = await db.prisma.hadith.findUnique({
         where: { id: hadithId },
-        include: {
-          favorites: {
-            select: { userId: true }
-          },
-          _count: {
-            select: { favorites: true }
-          }
-        }
+        include: HADITH_INCLUDE
       })
 
-      if (hadith) {
-        // Increment search count
-        await db.prisma.hadith.update({
-          where: { id: hadithId },
-          data: { searchCount: { increment: 1 } }
-        })
+      if (!hadith) {
+        return await this.getFromProviders(hadithId)
       }
 
+      // Increment search count
+      await db.prisma.hadith.update({
+        where: { id: hadithId },
+        data: { searchCount: { increment: 1 } }
+      })
+
       return hadith
     } catch (error) {
       logger.logError(error, { 
@@ -185,15 +232,88 @@ class HadithAPI {
   }
 
   /**
-   * Process and normalize API response data
-   * @param {Object} responseData - Raw API response
+   * Ask the non-local providers, in order, for a hadith the database does not have.
+   * The first one found is stored like a search result, under an ID of its own.
+   * @returns {Promise<Object|null>} Hadith object, as from getById
+   */
+  async getFromProviders(hadithId) {
+    for (const provider of this.providers) {
+      if (provider.isLocal) continue
+
+      try {
+        const rawHadith = await provider.getById(hadithId)
+        if (!rawHadith) continue
+
+        const hadith = await this.normalizeHadithData(rawHadith, provider.name)
+        if (!hadith) continue
+
+        // Reload the stored row with the favorites getById returns; a hadith that
+        // could not be saved is returned as normalized
+        const stored = await db.prisma.hadith.findUnique({
+          where: { id: hadith.id },
+          include: HADITH_INCLUDE
+        })
+
+        logger.info('Hadith retrieved from provider', {
+          hadithId,
+          provider: provider.name,
+          storedId: stored?.id || null,
+          type: 'hadith_by_id'
+        })
+
+        return stored || hadith
+      } catch (error) {
+        logger.logError(error, {
+          operation: 'get_hadith_from_provider',
+          provider: provider.name,
+          hadithId
+        })
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get a stored hadith by canonical reference
+   * @param {Object|string} reference - { book, number } or text such as 'bukhari:1' / 'مسلم 2564'
+   * @returns {Promise<Object|null>} Hadith object, as from getById
+   */
+  async getByReference(reference) {
+    const parsed = typeof reference === 'string' ? parseReference(reference) : reference
+    if (!parsed) return null
+
+    try {
+      // Numbers are stored as text in several collections; match the book by slug
+      const candidates = await db.prisma.hadith.findMany({
+        where: { hadithNumber: parsed.number },
+        select: { id: true, source: true, book: true, hadithNumber: true },
+        orderBy: { createdAt: 'asc' }
+      })
+
+      const match = candidates.find(hadith => getHadithReference(hadith)?.book === parsed.book)
+      return match ? await this.getById(match.id) : null
+    } catch (error) {
+      logger.logError(error, { 
+        operation: 'get_hadith_by_reference',
+        reference: parsed 
+      })
+      return null
+    }
+  }
+
+  /**
+   * Normalize and store raw hadiths returned by a provider
+   * @param {Array} rawHadiths - Raw hadith objects
+   * @param {string} provider - Provider name recorded on each row
    * @returns {Promise<Array>} Processed hadith array
    */
-  async processSearchResponse(responseData) {
+  async processSearchResponse(rawHadiths, provider) {
     try {
-      if (!responseData || !Array.isArray(responseData)) {
-        logger.warn('Invalid API response format', { 
-          responseData: typeof responseData,
+      if (!Array.isArray(rawHadiths)) {
+        logger.warn('Invalid provider response format', { 
+          provider,
+          responseData: typeof rawHadiths,
           type: 'api_response_validation' 
         })
         return []
@@ -201,14 +321,15 @@ class HadithAPI {
 
       const processedHadiths = []
 
-      for (const rawHadith of responseData) {
+      for (const rawHadith of rawHadiths) {
         try {
-          const processedHadith = await this.normalizeHadithData(rawHadith)
+          const processedHadith = await this.normalizeHadithData(rawHadith, provider)
           if (processedHadith) {
             processedHadiths.push(processedHadith)
           }
         } catch (error) {
           logger.warn('Failed to process individual hadith', {
+            provider,
             error: error.message,
             rawHadith: JSON.stringify(rawHadith).substring(0, 200)
           })
@@ -218,40 +339,24 @@ class HadithAPI {
 
       return processedHadiths
     } catch (error) {
-      logger.logError(error, { operation: 'process_search_response' })
+      logger.logError(error, { operation: 'process_search_response', provider })
       return []
     }
   }
 
   /**
    * Normalize and save hadith data
-   * @param {Object} rawHadith - Raw hadith data from API
+   * @param {Object} rawHadith - Raw hadith data from a provider
+   * @param {string} provider - Provider name
    * @returns {Promise<Object>} Normalized hadith object
    */
-  async normalizeHadithData(rawHadith) {
+  async normalizeHadithData(rawHadith, provider = 'dorar') {
     try {
-      // Extract and clean hadith data
-      const hadithData = {
-        id: uuidv4(),
-        dorarId: rawHadith.id?.toString() || null,
-        text: this.cleanText(rawHadith.hadith || rawHadith.text || ''),
-        arabicText: this.cleanArabicText(rawHadith.hadith_ar || rawHadith.arabic || rawHadith.hadith || ''),
-        narrator: this.cleanText(rawHadith.rawi || rawHadith.narrator || ''),
-        source: this.cleanText(rawHadith.book || rawHadith.source || ''),
-        book: this.cleanText(rawHadith.book_name || rawHadith.book || ''),
-        chapter: this.cleanText(rawHadith.chapter || rawHadith.bab || ''),
-        hadithNumber: rawHadith.hadith_number?.toString() || rawHadith.number?.toString() || null,
-        grade: this.normalizeGrade(rawHadith.grade || rawHadith.hukm || ''),
-        topic: this.extractTopic(rawHadith),
-        keywords: this.extractKeywords(rawHadith),
-        translation: this.cleanText(rawHadith.translation || ''),
-        explanation: this.cleanText(rawHadith.explanation || rawHadith.sharh || ''),
-        isVerified: this.isVerifiedSource(rawHadith.book || rawHadith.source || '')
-      }
+      const hadithData = this.buildHadithData(rawHadith, provider)
 
       // Only save if we have essential data
       if (hadithData.text || hadithData.arabicText) {
-        // Try to save to database (upsert by dorarId if available)
+        // Try to save to database (matched by dorarId or text hash)
         const savedHadith = await this.saveHadithToDatabase(hadithData)
         return savedHadith || hadithData
       }
@@ -260,6 +365,7 @@ class HadithAPI {
     } catch (error) {
       logger.logError(error, { 
         operation: 'normalize_hadith_data',
+        provider,
         rawHadith: JSON.stringify(rawHadith).substring(0, 200)
       })
       return null
@@ -267,42 +373,92 @@ class HadithAPI {
   }
 
   /**
-   * Save hadith to database with conflict resolution
+   * Extract and clean the fields of a raw hadith into `hadiths` row data, without saving
+   * @param {Object} rawHadith - Raw hadith data
+   * @param {string} provider - Provider name recorded on the row
+   * @returns {Object} Hadith row data
+   */
+  buildHadithData(rawHadith, provider = 'dorar') {
+    const hadithData = {
+      id: uuidv4(),
+      dorarId: provider === 'dorar' ? rawHadith.id?.toString() || null : null,
+      text: this.cleanText(rawHadith.hadith || rawHadith.text || ''),
+      arabicText: this.cleanArabicText(rawHadith.hadith_ar || rawHadith.arabic || rawHadith.hadith || ''),
+      narrator: this.cleanText(rawHadith.rawi || rawHadith.narrator || ''),
+      muhaddith: this.cleanText(rawHadith.muhaddith || '') || null,
+      source: this.cleanText(rawHadith.book || rawHadith.source || ''),
+      book: this.cleanText(rawHadith.book_name || rawHadith.book || ''),
+      chapter: this.cleanText(rawHadith.chapter || rawHadith.bab || ''),
+      hadithNumber: rawHadith.hadith_number?.toString() || rawHadith.number?.toString() || null,
+      grade: this.normalizeGrade(rawHadith.grade || rawHadith.hukm || ''),
+      topic: this.extractTopic(rawHadith),
+      keywords: this.extractKeywords(rawHadith),
+      translation: this.cleanText(rawHadith.translation || ''),
+      explanation: this.cleanText(rawHadith.explanation || rawHadith.sharh || ''),
+      isVerified: this.isVerifiedSource(rawHadith.book || rawHadith.source || ''),
+      provider
+    }
+    hadithData.textHash = textHash(hadithData.arabicText || hadithData.text)
+
+    return hadithData
+  }
+
+  /**
+   * Save hadith to database with conflict resolution.
+   * An existing row is found by dorarId, then by text hash within the same
+   * collection. Data from the row's own provider refreshes it; data from another
+   * provider only fills empty fields, so the row keeps its provider tag and the
+   * first source's wording. Near-duplicates are then merged by dedupService.
    * @param {Object} hadithData - Normalized hadith data
    * @returns {Promise<Object>} Saved hadith object
    */
   async saveHadithToDatabase(hadithData) {
     try {
-      let savedHadith
+      let existing = null
 
       if (hadithData.dorarId) {
-        // Try to find existing hadith by dorarId
-        const existing = await db.prisma.hadith.findUnique({
+        existing = await db.prisma.hadith.findUnique({
           where: { dorarId: hadithData.dorarId }
         })
+      }
+      if (!existing && hadithData.textHash) {
+        // The same text in another collection is a parallel narration, not this hadith
+        const sameText = await db.prisma.hadith.findMany({
+          where: { textHash: hadithData.textHash },
+          orderBy: { createdAt: 'asc' }
+        })
+        existing = sameText.find(row => dedupService.isSameHadith(hadithData, row)) || null
+      }
 
-        if (existing) {
-          // Update existing hadith
-          savedHadith = await db.prisma.hadith.update({
-            where: { dorarId: hadithData.dorarId },
-            data: {
-              ...hadithData,
-              updatedAt: new Date()
-            }
-          })
-        } else {
-          // Create new hadith
-          savedHadith = await db.prisma.hadith.create({
-            data: hadithData
-          })
-        }
+      let savedHadith
+
+      if (existing) {
+        // Update existing hadith, keeping its ID so favorites and search results stay valid
+        const { id, provider, ...fields } = hadithData
+        const updates = provider === existing.provider
+          ? fields
+          : Object.fromEntries(Object.entries(fields).filter(([key, value]) =>
+            value !== null && value !== '' && (existing[key] === null || existing[key] === '')
+          ))
+
+        savedHadith = await db.prisma.hadith.update({
+          where: { id: existing.id },
+          data: {
+            ...updates,
+            updatedAt: new Date()
+          }
+        })
       } else {
-        // Create new hadith without dorarId
+        // Create new hadith
         savedHadith = await db.prisma.hadith.create({
           data: hadithData
         })
       }
 
+      // Merge near-duplicates and link parallel narrations
+      savedHadith = await dedupService.register(savedHadith)
+      await searchIndex.indexHadith(savedHadith)
+
       return savedHadith
     } catch (error) {
       logger.logError(error, { 
@@ -313,55 +469,6 @@ class HadithAPI {
     }
   }
 
-  /**
-   * Get random hadith from database
-   * @param {Object} filters - Optional filters
-   * @returns {Promise<Object|null>} Random hadith
-   */
-  async getRandomFromDatabase(filters = {}) {
-    try {
-      const whereClause = { isVerified: true }
-      
-      if (filters.topic) {
-        whereClause.topic = { contains: filters.topic }
-      }
-      if (filters.narrator) {
-        whereClause.narrator = { contains: filters.narrator }
-      }
-      if (filters.source) {
-        whereClause.source = { contains: filters.source }
-      }
-      if (filters.grade) {
-        whereClause.grade = filters.grade
-      }
-
-      // Get total count
-      const count = await db.prisma.hadith.count({ where: whereClause })
-      
-      if (count === 0) return null
-
-      // Get random hadith
-      const skip = Math.floor(Math.random() * count)
-      const hadith = await db.prisma.hadith.findFirst({
-        where: whereClause,
-        skip,
-        include: {
-          _count: {
-            select: { favorites: true }
-          }
-        }
-      })
-
-      return hadith
-    } catch (error) {
-      logger.logError(error, { 
-        operation: 'get_random_from_database',
-        filters 
-      })
-      return null
-    }
-  }
-
   /**
    * Utility methods for data processing
    */
@@ -375,12 +482,7 @@ class HadithAPI {
   }
 
   cleanArabicText(text) {
-    if (!text || typeof text !== 'string') return ''
-    return text
-      .trim()
-      .replace(/\s+/g, ' ')
-      .normalize('NFKC') // Normalize Arabic text
-      .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width characters
+    return cleanArabic(text)
   }
 
   normalizeGrade(grade) {
@@ -421,32 +523,29 @@ class HadithAPI {
   }
 
   extractKeywords(rawHadith) {
-    // Extract keywords from text and metadata
-    const keywords = new Set()
-    
-    // Add explicit keywords if available
+    // Explicit keywords, topic and narrator first, then frequent words of the text.
+    // Keywords are compared in normalized form so spelling variants are not repeated.
+    const keywords = new Map()
+    const add = (keyword) => {
+      const cleaned = this.cleanText(keyword)
+      const key = normalizeArabic(cleaned)
+      if (cleaned && !keywords.has(key)) keywords.set(key, cleaned)
+    }
+
     if (rawHadith.keywords) {
       const keywordArray = Array.isArray(rawHadith.keywords) 
         ? rawHadith.keywords 
         : rawHadith.keywords.split(/[,،]/)
       
-      keywordArray.forEach(keyword => {
-        const cleaned = this.cleanText(keyword)
-        if (cleaned) keywords.add(cleaned)
-      })
+      keywordArray.forEach(add)
     }
 
-    // Add topic as keyword
-    if (rawHadith.topic) {
-      keywords.add(this.cleanText(rawHadith.topic))
-    }
+    if (rawHadith.topic) add(rawHadith.topic)
+    if (rawHadith.rawi || rawHadith.narrator) add(rawHadith.rawi || rawHadith.narrator)
 
-    // Add narrator as keyword
-    if (rawHadith.rawi || rawHadith.narrator) {
-      keywords.add(this.cleanText(rawHadith.rawi || rawHadith.narrator))
-    }
+    extractKeywords(rawHadith.hadith || rawHadith.text || '').forEach(add)
 
-    return Array.from(keywords).join(', ')
+    return Array.from(keywords.values()).join(', ')
   }
 
   isVerifiedSource(source) {
@@ -500,14 +599,13 @@ class HadithAPI {
    */
   async getSearchSuggestions(partialQuery, limit = 5) {
     try {
-      const suggestions = await db.prisma.searchHistory.groupBy({
+      // Stored queries keep their original spelling, so match them in normalized
+      // form in memory among the most frequent ones
+      const needle = normalizeArabic(partialQuery)
+      if (!needle) return []
+
+      const candidates = await db.prisma.searchHistory.groupBy({
         by: ['query'],
-        where: {
-          query: {
-            contains: partialQuery,
-            mode: 'insensitive'
-          }
-        },
         _count: {
           query: true
         },
@@ -516,10 +614,19 @@ class HadithAPI {
             query: 'desc'
           }
         },
-        take: limit
+        take: 500
       })
 
-      return suggestions.map(s => s.query)
+      const seen = new Set()
+      return candidates
+        .map(s => s.query)
+        .filter(query => {
+          const normalized = normalizeArabic(query)
+          if (!normalized.includes(needle) || seen.has(normalized)) return false
+          seen.add(normalized)
+          return true
+        })
+        .slice(0, limit)
     } catch (error) {
       logger.logError(error, { 
         operation: 'get_search_suggestions',
@@ -561,4 +668,6 @@ class HadithAPI {
 // Create singleton instance
 const hadithAPI = new HadithAPI()
 
-export default hadithAPI
\ No newline at end of file
+export default hadithAPI
+
+export { HadithAPI }
@@ -0,0 +1,37 @@
+/**
+ * Hadith Provider
+ * Base class for the hadith sources HadithAPI fans out to.
+ *
+ * A provider answers three calls:
+ *   search(query, options) → Array of hadiths
+ *   getById(id)            → hadith or null
+ *   random(filters)        → hadith or null
+ *
+ * Providers with `isLocal` set read the `hadiths` table and return stored rows;
+ * they also answer list(filters, options) for HadithAPI.browse.
+ * All others return raw hadith objects in the shape HadithAPI.normalizeHadithData
+ * reads (hadith, rawi, book, number, grade, ...); HadithAPI stores them and tags
+ * each row with the provider's `name`.
+ */
+class HadithProvider {
+  constructor(name, options = {}) {
+    this.name = name
+    this.isLocal = Boolean(options.isLocal)
+  }
+
+  async search(query, options = {}) {
+    return []
+  }
+
+  async getById(id) {
+    return null
+  }
+
+  async random(filters = {}) {
+    return null
+  }
+}
+
+export default HadithProvider
+
+export { HadithProvider }
@@ -0,0 +1,87 @@
+import { readFile } from 'fs/promises'
+import HadithProvider from './baseProvider.js'
+import { tokenize } from '../../utils/arabic.js'
+
+/**
+ * Corpus Provider
+ * A hadith collection held in memory, loaded from a JSON file: either an array of
+ * raw hadiths or `{ "hadiths": [...] }`. Entries use the raw field names
+ * (hadith, rawi, book, number, grade, ...) and may carry their own `id`.
+ *
+ * Search requires every query word to appear in the hadith text, narrator or
+ * book, compared in normalized form.
+ */
+class CorpusProvider extends HadithProvider {
+  constructor(options = {}) {
+    super(options.name || 'corpus')
+    this.path = options.path || null
+    this.hadiths = options.hadiths || null
+    this.words = new Map()
+  }
+
+  async load() {
+    if (this.hadiths) return this.hadiths
+
+    if (!this.path) {
+      this.hadiths = []
+      return this.hadiths
+    }
+
+    const data = JSON.parse(await readFile(this.path, 'utf8'))
+    this.hadiths = Array.isArray(data) ? data : (data.hadiths || [])
+    return this.hadiths
+  }
+
+  async search(query, options = {}) {
+    const { limit = 50 } = options
+    const terms = tokenize(query)
+    if (terms.length === 0) return []
+
+    const hadiths = await this.load()
+    const results = []
+
+    for (const hadith of hadiths) {
+      const words = this.getWords(hadith)
+      if (terms.every(term => words.some(word => word.startsWith(term)))) {
+        results.push(hadith)
+        if (results.length >= limit) break
+      }
+    }
+
+    return results
+  }
+
+  async getById(id) {
+    const hadiths = await this.load()
+    return hadiths.find(hadith => hadith.id?.toString() === id?.toString()) || null
+  }
+
+  async random(filters = {}) {
+    let hadiths = await this.load()
+
+    if (filters.topic) {
+      hadiths = await this.search(filters.topic, { limit: hadiths.length })
+    }
+
+    return hadiths.length > 0 ? hadiths[Math.floor(Math.random() * hadiths.length)] : null
+  }
+
+  /**
+   * Normalized words of a hadith, computed once per entry
+   */
+  getWords(hadith) {
+    if (!this.words.has(hadith)) {
+      this.words.set(hadith, tokenize([
+        hadith.hadith || hadith.text,
+        hadith.rawi || hadith.narrator,
+        hadith.book || hadith.source,
+        hadith.topic
+      ].filter(Boolean).join(' ')))
+    }
+    return this.words.get(hadith)
+  }
+}
+
+export default CorpusProvider
+
+export { CorpusProvider }
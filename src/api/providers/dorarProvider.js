@@ -0,0 +1,93 @@
+import axios from 'axios'
+import config from '../../config/index.js'
+import logger from '../../utils/logger.js'
+import HadithProvider from './baseProvider.js'
+import { parseDorarResponse } from '../dorarParser.js'
+
+// Common topics searched when Dorar is asked for a random hadith
+const RANDOM_TERMS = ['الصلاة', 'الزكاة', 'الصيام', 'الحج', 'البر', 'الإيمان']
+
+/**
+ * Dorar.net Provider
+ * Searches the Dorar.net hadith encyclopedia. Dorar has no lookup by ID or random
+ * endpoint, so random() searches a common topic and picks one result.
+ */
+class DorarProvider extends HadithProvider {
+  constructor(options = {}) {
+    super('dorar')
+    this.baseURL = options.baseURL || config.api.dorarUrl
+
+    // Create axios instance with default config
+    this.client = axios.create({
+      timeout: options.timeout || config.api.timeout,
+      headers: {
+        'User-Agent': 'Smart-Hadith-Bot/1.0.0',
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    })
+
+    // Add response interceptor for logging
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.apiCall(
+          response.config.method.toUpperCase(),
+          response.config.url,
+          response.config.metadata?.startTime ? Date.now() - response.config.metadata.startTime : 0,
+          response.status
+        )
+        return response
+      },
+      (error) => {
+        logger.apiCall(
+          error.config?.method?.toUpperCase() || 'UNKNOWN',
+          error.config?.url || 'UNKNOWN',
+          error.config?.metadata?.startTime ? Date.now() - error.config.metadata.startTime : 0,
+          error.response?.status || 0,
+          error
+        )
+        return Promise.reject(error)
+      }
+    )
+
+    // Add request interceptor for timing
+    this.client.interceptors.request.use((config) => {
+      config.metadata = { startTime: Date.now() }
+      return config
+    })
+  }
+
+  /**
+   * Query the Dorar API
+   * @returns {Promise<Array>} Raw hadiths (see dorarParser.js)
+   */
+  async search(query, options = {}) {
+    const response = await this.client.get(this.baseURL, {
+      params: {
+        skey: query,
+        ...options
+      }
+    })
+
+    const hadiths = parseDorarResponse(response.data)
+    if (!hadiths) {
+      logger.warn('Invalid API response format', {
+        responseData: typeof response.data,
+        type: 'api_response_validation'
+      })
+      return []
+    }
+
+    return hadiths
+  }
+
+  async random(filters = {}) {
+    const term = filters.topic || RANDOM_TERMS[Math.floor(Math.random() * RANDOM_TERMS.length)]
+    const results = await this.search(term)
+    return results.length > 0 ? results[Math.floor(Math.random() * results.length)] : null
+  }
+}
+
+export default DorarProvider
+
+export { DorarProvider }
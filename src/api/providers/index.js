@@ -0,0 +1,43 @@
+import config from '../../config/index.js'
+import logger from '../../utils/logger.js'
+import HadithProvider from './baseProvider.js'
+import LocalProvider from './localProvider.js'
+import DorarProvider from './dorarProvider.js'
+import CorpusProvider from './corpusProvider.js'
+import MockProvider from './mockProvider.js'
+
+const FACTORIES = {
+  local: () => new LocalProvider(),
+  dorar: () => new DorarProvider(),
+  corpus: () => new CorpusProvider({ path: config.api.corpusPath }),
+  mock: () => new MockProvider()
+}
+
+/**
+ * Build providers from a list of names, in order (HADITH_PROVIDERS)
+ * Unknown names are skipped with a warning.
+ * @param {Array<string>} names - e.g. ['local', 'dorar']
+ * @returns {Array<HadithProvider>}
+ */
+export function createProviders(names = config.api.providers) {
+  const providers = []
+
+  for (const name of names) {
+    const factory = FACTORIES[name]
+    if (!factory) {
+      logger.warn('Unknown hadith provider', { provider: name })
+      continue
+    }
+    providers.push(factory())
+  }
+
+  return providers
+}
+
+export {
+  HadithProvider,
+  LocalProvider,
+  DorarProvider,
+  CorpusProvider,
+  MockProvider
+}
@@ -0,0 +1,82 @@
+import db from '../../database/index.js'
+import searchIndex from '../../services/searchIndex.js'
+import HadithProvider from './baseProvider.js'
+
+/**
+ * Local Provider
+ * Hadiths already stored in the `hadiths` table, searched through the FTS5 index.
+ */
+class LocalProvider extends HadithProvider {
+  constructor(options = {}) {
+    super('local', { isLocal: true })
+    this.prisma = options.prisma || db.prisma
+    this.index = options.index || searchIndex
+  }
+
+  async search(query, options = {}) {
+    return await this.index.search(query, options)
+  }
+
+  async getById(id) {
+    return await this.prisma.hadith.findUnique({ where: { id } })
+  }
+
+  /**
+   * Random verified hadith matching the filters
+   * @param {Object} filters - { topic, narrator, source, grade }
+   */
+  async random(filters = {}) {
+    const whereClause = this.buildWhere(filters)
+
+    const count = await this.prisma.hadith.count({ where: whereClause })
+    if (count === 0) return null
+
+    const skip = Math.floor(Math.random() * count)
+    return await this.prisma.hadith.findFirst({
+      where: whereClause,
+      skip,
+      include: {
+        _count: {
+          select: { favorites: true }
+        }
+      }
+    })
+  }
+
+  /**
+   * Verified hadiths matching the filters, most favorited first
+   * @param {Object} filters - { topic, narrator, source, grade }
+   */
+  async list(filters = {}, options = {}) {
+    const { limit = 50 } = options
+
+    return await this.prisma.hadith.findMany({
+      where: this.buildWhere(filters),
+      orderBy: [{ favoriteCount: 'desc' }, { createdAt: 'asc' }],
+      take: limit
+    })
+  }
+
+  buildWhere(filters) {
+    const whereClause = { isVerified: true }
+
+    if (filters.topic) {
+      whereClause.topic = { contains: filters.topic }
+    }
+    if (filters.narrator) {
+      whereClause.narrator = { contains: filters.narrator }
+    }
+    if (filters.source) {
+      whereClause.source = { contains: filters.source }
+    }
+    if (filters.grade) {
+      whereClause.grade = filters.grade
+    }
+
+    return whereClause
+  }
+}
+
+export default LocalProvider
+
+export { LocalProvider }
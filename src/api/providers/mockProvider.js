@@ -0,0 +1,56 @@
+import CorpusProvider from './corpusProvider.js'
+
+// Small fixed set of well-known hadiths
+const SAMPLE_HADITHS = [
+  {
+    id: 'mock-1',
+    hadith: 'إنما الأعمال بالنيات، وإنما لكل امرئ ما نوى',
+    rawi: 'عمر بن الخطاب',
+    muhaddith: 'البخاري',
+    book: 'صحيح البخاري',
+    number: '1',
+    grade: 'صحيح'
+  },
+  {
+    id: 'mock-2',
+    hadith: 'من حسن إسلام المرء تركه ما لا يعنيه',
+    rawi: 'أبو هريرة',
+    muhaddith: 'الترمذي',
+    book: 'جامع الترمذي',
+    number: '2317',
+    grade: 'حسن'
+  },
+  {
+    id: 'mock-3',
+    hadith: 'لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه',
+    rawi: 'أنس بن مالك',
+    muhaddith: 'البخاري',
+    book: 'صحيح البخاري',
+    number: '13',
+    grade: 'صحيح'
+  },
+  {
+    id: 'mock-4',
+    hadith: 'الطهور شطر الإيمان، والحمد لله تملأ الميزان',
+    rawi: 'أبو مالك الأشعري',
+    muhaddith: 'مسلم',
+    book: 'صحيح مسلم',
+    number: '223',
+    grade: 'صحيح'
+  }
+]
+
+/**
+ * Mock Provider
+ * Serves a fixed in-memory list so the bot can run without network access
+ * or a corpus file, e.g. in development and tests.
+ */
+class MockProvider extends CorpusProvider {
+  constructor(options = {}) {
+    super({ name: 'mock', hadiths: options.hadiths || SAMPLE_HADITHS })
+  }
+}
+
+export default MockProvider
+
+export { MockProvider, SAMPLE_HADITHS }
@@ -15,6 +15,8 @@ const envSchema = joi.object({
   DORAR_API_URL: joi.string().uri().default('https://dorar.net/dorar_api.json'),
   API_TIMEOUT: joi.number().integer().positive().default(10000),
   CACHE_TTL: joi.number().integer().positive().default(3600),
+  HADITH_PROVIDERS: joi.string().default('local,dorar').description('Comma-separated hadith sources, in priority order: local, dorar, corpus, mock'),
+  HADITH_CORPUS_PATH: joi.string().optional().description('JSON file served by the corpus provider'),
 
   // Database Configuration
   DATABASE_URL: joi.string().default('file:./data/hadith_bot.db'),
@@ -43,6 +45,7 @@ const envSchema = joi.object({
   // Localization
   DEFAULT_TIMEZONE: joi.string().default('UTC'),
   SUPPORTED_LANGUAGES: joi.string().default('en,ar'),
+  DEFAULT_LANGUAGE: joi.string().default('ar'),
 
   // Performance & Caching
   MEMORY_CACHE_TTL: joi.number().integer().positive().default(300),
@@ -79,7 +82,9 @@ const config = {
   api: {
     dorarUrl: envVars.DORAR_API_URL,
     timeout: envVars.API_TIMEOUT,
-    cacheTtl: envVars.CACHE_TTL
+    cacheTtl: envVars.CACHE_TTL,
+    providers: envVars.HADITH_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean),
+    corpusPath: envVars.HADITH_CORPUS_PATH
   },
 
   // Database Configuration
@@ -112,7 +117,8 @@ const config = {
   // Localization
   localization: {
     defaultTimezone: envVars.DEFAULT_TIMEZONE,
-    supportedLanguages: envVars.SUPPORTED_LANGUAGES.split(',').map(lang => lang.trim())
+    supportedLanguages: envVars.SUPPORTED_LANGUAGES.split(',').map(lang => lang.trim()),
+    defaultLanguage: envVars.DEFAULT_LANGUAGE
   },
 
   // Performance & Caching
@@ -139,6 +145,7 @@ const config = {
   rateLimits: {
     search: { requests: 30, window: 60000 }, // 30 searches per minute
     random: { requests: 10, window: 60000 }, // 10 random hadiths per minute
+    tasbih: { requests: 300, window: 60000 }, // 300 counter taps per minute
     favorite: { requests: 50, window: 60000 }, // 50 favorites operations per minute
     reminder: { requests: 20, window: 300000 }, // 20 reminder operations per 5 minutes
     admin: { requests: 100, window: 60000 } // 100 admin operations per minute
@@ -158,6 +165,7 @@ const config = {
     prayer: '🤲',
     star: '⭐',
     crescent: '🌙',
+    adhkar: '📿',
     
     // Actions
     search: '🔍',
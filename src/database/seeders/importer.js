@@ -0,0 +1,311 @@
+import { readFile, stat } from 'fs/promises'
+import path from 'path'
+import logger from '../../utils/logger.js'
+import db from '../index.js'
+import hadithAPI from '../../api/hadith.js'
+import searchIndex from '../../services/searchIndex.js'
+import dedupService from '../../services/dedupService.js'
+import { BOOK_FILTERS } from '../../services/searchService.js'
+
+const PROVIDER = 'import'
+const PROGRESS_KEY = 'seed_progress'
+const BATCH_SIZE = 100
+
+// Books the importer knows, keyed like the search filters. Hadiths of the two
+// Sahihs are graded sahih when the dump carries no grade.
+const BOOKS = Object.fromEntries(Object.entries(BOOK_FILTERS).map(([key, { name }]) => [key, {
+  name,
+  defaultGrade: key === 'bukhari' || key === 'muslim' ? 'صحيح' : null
+}]))
+
+// Column names found in common dumps, mapped to the raw field names read by
+// HadithAPI.buildHadithData
+const FIELD_ALIASES = {
+  hadith: ['hadith', 'text', 'arabic', 'hadith_ar', 'hadith_text', 'text_ar', 'arabic_text', 'matn'],
+  number: ['number', 'hadith_number', 'hadithnumber', 'hadith_no', 'num', 'id_in_book'],
+  chapter: ['chapter', 'bab', 'chapter_ar', 'chapter_title', 'chapter_name', 'chaptername'],
+  rawi: ['rawi', 'narrator', 'narrator_ar'],
+  grade: ['grade', 'hukm', 'grade_ar', 'status'],
+  translation: ['translation', 'english', 'text_en', 'hadith_en'],
+  explanation: ['explanation', 'sharh']
+}
+
+/**
+ * Hadith Importer
+ * Loads complete collections from local JSON or CSV dumps into `hadiths`.
+ *
+ * Rows are built with HadithAPI.buildHadithData, so imported hadiths are normalized,
+ * hashed and keyworded exactly like provider results, and are tagged with the
+ * `import` provider. A row is identified by its book and hadith number, which makes
+ * re-running an import update rows in place. Progress is saved in AppSettings every
+ * batch, so an interrupted import continues where it stopped as long as the file
+ * is unchanged.
+ */
+class HadithImporter {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.onProgress = options.onProgress || (() => {})
+  }
+
+  /**
+   * Find `<book>.json` or `<book>.csv` for every known book in a directory
+   * @returns {Promise<Array>} [{ book, file }]
+   */
+  async findFiles(dir, books = Object.keys(BOOKS)) {
+    const found = []
+
+    for (const book of books) {
+      for (const extension of ['.json', '.csv']) {
+        const file = path.join(dir, `${book}${extension}`)
+        if (await this.exists(file)) {
+          found.push({ book, file })
+          break
+        }
+      }
+    }
+
+    return found
+  }
+
+  /**
+   * Import one dump file
+   * @param {string} book - Book key (see BOOKS)
+   * @param {string} file - Path to a JSON or CSV file
+   * @param {Object} options - { restart } to ignore saved progress
+   * @returns {Promise<Object>} { book, total, imported, skipped, unnumbered, resumedFrom, completed }
+   *   where unnumbered counts the skipped records that carry no hadith number
+   */
+  async importFile(book, file, options = {}) {
+    const info = BOOKS[book]
+    if (!info) throw new Error(`Unknown book: ${book}`)
+
+    const fileStat = await stat(file)
+    const fingerprint = `${path.resolve(file)}:${fileStat.size}:${Math.floor(fileStat.mtimeMs)}`
+    const records = await this.readRecords(file)
+
+    const progress = options.restart ? null : await this.getProgress(book)
+    const resumedFrom = progress?.fingerprint === fingerprint ? progress.done : 0
+
+    const result = { book, total: records.length, imported: 0, skipped: 0, unnumbered: 0, resumedFrom, completed: false }
+    const unnumbered = []
+
+    if (resumedFrom >= records.length) {
+      result.completed = true
+      return result
+    }
+
+    logger.info('Hadith import started', { book, file, total: records.length, resumedFrom })
+
+    for (let start = resumedFrom; start < records.length; start += BATCH_SIZE) {
+      const batch = records.slice(start, start + BATCH_SIZE)
+
+      for (const [offset, record] of batch.entries()) {
+        const raw = this.mapFields(record)
+
+        // References (bukhari:1) resolve by number, so a number guessed from the
+        // record's position could point them at the wrong hadith
+        if (!raw.number) {
+          unnumbered.push(start + offset + 1)
+          result.skipped++
+          continue
+        }
+
+        const saved = await this.importRecord(info, raw)
+        if (saved) {
+          result.imported++
+        } else {
+          result.skipped++
+        }
+      }
+
+      const done = start + batch.length
+      await this.saveProgress(book, { fingerprint, done, total: records.length })
+      this.onProgress({ book, done, total: records.length })
+    }
+
+    if (unnumbered.length > 0) {
+      result.unnumbered = unnumbered.length
+      logger.warn('Hadith import skipped records without a number', {
+        book,
+        file,
+        count: unnumbered.length,
+        records: unnumbered.slice(0, 20)
+      })
+    }
+
+    result.completed = true
+    logger.info('Hadith import finished', result)
+
+    return result
+  }
+
+  /**
+   * Store one record, updating the row already imported for the same book and number
+   * @param {Object} raw - Record fields, see mapFields(); `number` is required
+   * @returns {Promise<Object|null>} Saved hadith, or null when the record has no text or number
+   */
+  async importRecord(info, raw) {
+    if (!raw.number) return null
+
+    const hadithData = hadithAPI.buildHadithData({
+      ...raw,
+      book: info.name,
+      book_name: info.name,
+      grade: raw.grade || info.defaultGrade
+    }, PROVIDER)
+
+    if (!hadithData.text && !hadithData.arabicText) return null
+
+    try {
+      const existing = await this.prisma.hadith.findFirst({
+        where: { source: hadithData.source, hadithNumber: hadithData.hadithNumber },
+        orderBy: { createdAt: 'asc' }
+      })
+
+      let saved
+
+      if (existing) {
+        // Keep the ID, provider and Dorar link of rows that came from elsewhere first
+        const { id, provider, dorarId, ...updates } = hadithData
+        saved = await this.prisma.hadith.update({
+          where: { id: existing.id },
+          data: updates
+        })
+      } else {
+        saved = await this.prisma.hadith.create({ data: hadithData })
+      }
+
+      saved = await dedupService.register(saved)
+      await searchIndex.indexHadith(saved)
+      return saved
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'seed_import_record',
+        book: info.name,
+        hadithNumber: hadithData.hadithNumber
+      })
+      return null
+    }
+  }
+
+  /**
+   * Records of a dump: a JSON array, `{ "hadiths": [...] }`, or CSV with a header row
+   */
+  async readRecords(file) {
+    const content = (await readFile(file, 'utf8')).replace(/^\uFEFF/, '')
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+      return this.parseCsv(content)
+    }
+
+    const data = JSON.parse(content)
+    const records = Array.isArray(data) ? data : (data.hadiths || data.data || [])
+    if (!Array.isArray(records)) throw new Error(`No hadith list found in ${file}`)
+
+    return records
+  }
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+   * @returns {Array<Object>} One object per row, keyed by the header
+   */
+  parseCsv(content) {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i]
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          field += char
+        }
+      } else if (char === '"') {
+        quoted = true
+      } else if (char === ',') {
+        row.push(field)
+        field = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++
+        row.push(field)
+        rows.push(row)
+        row = []
+        field = ''
+      } else {
+        field += char
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field)
+      rows.push(row)
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim()))
+    if (!header) return []
+
+    const columns = header.map(name => name.trim())
+    return body.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? ''])))
+  }
+
+  /**
+   * Map a record's columns to raw field names, case-insensitively
+   * @param {Object} fieldAliases - { field: [column names] }, FIELD_ALIASES by default
+   */
+  mapFields(record, fieldAliases = FIELD_ALIASES) {
+    const lower = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.toLowerCase(), value]))
+    const raw = {}
+
+    for (const [field, aliases] of Object.entries(fieldAliases)) {
+      const alias = aliases.find(name => lower[name] !== undefined && lower[name] !== null && lower[name] !== '')
+      if (alias) raw[field] = String(lower[alias]).trim()
+    }
+
+    return raw
+  }
+
+  /**
+   * Saved progress
+   */
+
+  async getProgress(book) {
+    const setting = await this.prisma.appSettings.findUnique({ where: { key: `${PROGRESS_KEY}:${book}` } })
+    if (!setting) return null
+
+    try {
+      return JSON.parse(setting.value)
+    } catch (error) {
+      return null
+    }
+  }
+
+  async saveProgress(book, progress) {
+    const key = `${PROGRESS_KEY}:${book}`
+    const value = JSON.stringify(progress)
+
+    await this.prisma.appSettings.upsert({
+      where: { key },
+      update: { value },
+      create: { key, value, description: `Import progress of ${BOOKS[book].name}` }
+    })
+  }
+
+  async exists(file) {
+    try {
+      return (await stat(file)).isFile()
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+export default HadithImporter
+
+export { HadithImporter, BOOKS }
@@ -0,0 +1,89 @@
+import path from 'path'
+import db from '../index.js'
+import logger from '../../utils/logger.js'
+import searchIndex from '../../services/searchIndex.js'
+import { HadithImporter, BOOKS } from './importer.js'
+
+/**
+ * Hadith seeder
+ * Imports the Six Books from local dumps (see importer.js for the accepted formats).
+ *
+ *   npm run db:seed                                   # every <book>.json|csv in data/seed
+ *   npm run db:seed -- --dir ./dumps --book bukhari,muslim
+ *   npm run db:seed -- --book tirmidhi --file ./tirmidhi-full.csv
+ *   npm run db:seed -- --restart                      # ignore saved progress
+ *
+ * Book keys: bukhari, muslim, abu_dawud, tirmidhi, nasai, ibn_majah
+ */
+
+const DEFAULT_DIR = path.join(process.cwd(), 'data', 'seed')
+
+function parseArgs(argv) {
+  const args = { dir: DEFAULT_DIR, books: null, file: null, restart: false }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--dir') args.dir = argv[++i]
+    else if (arg === '--book') args.books = argv[++i].split(',').map(book => book.trim()).filter(Boolean)
+    else if (arg === '--file') args.file = argv[++i]
+    else if (arg === '--restart') args.restart = true
+    else throw new Error(`Unknown argument: ${arg}`)
+  }
+
+  const unknown = (args.books || []).filter(book => !BOOKS[book])
+  if (unknown.length > 0) {
+    throw new Error(`Unknown book: ${unknown.join(', ')} (expected ${Object.keys(BOOKS).join(', ')})`)
+  }
+  if (args.file && args.books?.length !== 1) {
+    throw new Error('--file needs exactly one --book')
+  }
+
+  return args
+}
+
+function logProgress({ book, done, total }) {
+  const percent = total > 0 ? Math.round(done / total * 100) : 100
+  logger.info(`${BOOKS[book].name}: ${done}/${total} (${percent}%)`)
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const importer = new HadithImporter({ onProgress: logProgress })
+
+  const files = args.file
+    ? [{ book: args.books[0], file: args.file }]
+    : await importer.findFiles(args.dir, args.books || undefined)
+
+  if (files.length === 0) {
+    logger.warn(`No dumps found in ${args.dir} (expected files like bukhari.json or muslim.csv)`)
+    return
+  }
+
+  await db.connect()
+  await searchIndex.initialize()
+
+  for (const { book, file } of files) {
+    logger.info(`Importing ${BOOKS[book].name} from ${file}`)
+    const result = await importer.importFile(book, file, { restart: args.restart })
+
+    if (result.imported === 0 && result.skipped === 0) {
+      logger.info(`${BOOKS[book].name} is already imported (${result.total} hadiths)`)
+      continue
+    }
+
+    const resumed = result.resumedFrom > 0 ? `, resumed at ${result.resumedFrom}` : ''
+    const unnumbered = result.unnumbered > 0 ? ` (${result.unnumbered} without a hadith number)` : ''
+    logger.info(`${BOOKS[book].name}: ${result.imported} imported, ${result.skipped} skipped${unnumbered}${resumed}`)
+  }
+}
+
+main()
+  .then(async () => {
+    await db.disconnect()
+    process.exit(0)
+  })
+  .catch(async (error) => {
+    logger.logError(error, { operation: 'db_seed' })
+    await db.disconnect()
+    process.exit(1)
+  })
@@ -0,0 +1,113 @@
+import logger from '../../utils/logger.js'
+import db from '../index.js'
+import { HadithImporter } from './importer.js'
+import { BOOKS, parseReference, formatReference } from '../../utils/references.js'
+
+const BATCH_SIZE = 100
+
+// Column names found in common translation dumps
+const FIELD_ALIASES = {
+  reference: ['reference', 'ref'],
+  number: ['number', 'hadith_number', 'hadithnumber', 'hadith_no', 'num', 'id_in_book'],
+  text: ['translation', 'english', 'text_en', 'hadith_en', 'text', 'body'],
+  source: ['translator', 'source']
+}
+
+/**
+ * Translation Importer
+ * Loads hadith translations from local JSON or CSV dumps into `hadith_translations`.
+ *
+ * Dumps are read like hadith dumps (see importer.js). A record names its hadith
+ * either with a `reference` column in any form utils/references.js parses
+ * (`bukhari:1`, `Sahih Muslim 2564`), or with a hadith number and the book of the
+ * file it is in. Translations are stored by canonical reference and replace the
+ * previous translation of the same hadith and language, so imports can be re-run.
+ */
+class TranslationImporter {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.reader = new HadithImporter({ prisma: this.prisma })
+    this.onProgress = options.onProgress || (() => {})
+  }
+
+  /**
+   * Find `<book>.json` or `<book>.csv` for every collection in a directory
+   * @returns {Promise<Array>} [{ book, file }]
+   */
+  async findFiles(dir, books = Object.keys(BOOKS)) {
+    return await this.reader.findFiles(dir, books)
+  }
+
+  /**
+   * Import one dump file
+   * @param {string} language - Language of the translations, e.g. 'en'
+   * @param {string} file - Path to a JSON or CSV file
+   * @param {Object} options - { book } for records without a reference, { source } for records without a translator
+   * @returns {Promise<Object>} { file, language, total, imported, skipped }
+   */
+  async importFile(language, file, options = {}) {
+    if (options.book && !BOOKS[options.book]) throw new Error(`Unknown book: ${options.book}`)
+
+    const records = await this.reader.readRecords(file)
+    const result = { file, language, total: records.length, imported: 0, skipped: 0 }
+
+    logger.info('Translation import started', { language, file, total: records.length })
+
+    for (let start = 0; start < records.length; start += BATCH_SIZE) {
+      const rows = []
+
+      for (const record of records.slice(start, start + BATCH_SIZE)) {
+        const row = this.buildRow(record, language, options)
+        if (row) {
+          rows.push(row)
+        } else {
+          result.skipped++
+        }
+      }
+
+      try {
+        await this.prisma.$transaction(rows.map(row => this.prisma.hadithTranslation.upsert({
+          where: { reference_language: { reference: row.reference, language } },
+          update: { text: row.text, source: row.source },
+          create: row
+        })))
+        result.imported += rows.length
+      } catch (error) {
+        logger.logError(error, { operation: 'translation_import_batch', file, start })
+        result.skipped += rows.length
+      }
+
+      this.onProgress({ file, done: Math.min(start + BATCH_SIZE, records.length), total: records.length })
+    }
+
+    logger.info('Translation import finished', result)
+    return result
+  }
+
+  /**
+   * Translation row of a record
+   * @returns {Object|null} { reference, language, text, source }, or null without a reference or text
+   */
+  buildRow(record, language, options = {}) {
+    const fields = this.reader.mapFields(record, FIELD_ALIASES)
+    if (!fields.text) return null
+
+    const reference = fields.reference
+      ? parseReference(fields.reference)
+      : options.book && /^\d+$/.test(fields.number || '')
+        ? { book: options.book, number: String(Number(fields.number)) }
+        : null
+    if (!reference) return null
+
+    return {
+      reference: formatReference(reference),
+      language,
+      text: fields.text,
+      source: fields.source || options.source || null
+    }
+  }
+}
+
+export default TranslationImporter
+
+export { TranslationImporter }
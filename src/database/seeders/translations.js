@@ -0,0 +1,88 @@
+import path from 'path'
+import db from '../index.js'
+import logger from '../../utils/logger.js'
+import { TranslationImporter } from './translationImporter.js'
+import { BOOKS } from '../../utils/references.js'
+
+/**
+ * Translation seeder
+ * Imports hadith translations from local dumps (see translationImporter.js for the
+ * accepted formats), one directory per language.
+ *
+ *   npm run db:translations -- --lang en              # every <book>.json|csv in data/translations/en
+ *   npm run db:translations -- --lang en --dir ./dumps/english --book bukhari,muslim
+ *   npm run db:translations -- --lang en --file ./riyad.csv          # rows carry a `reference` column
+ *   npm run db:translations -- --lang en --source "Muhsin Khan"      # translator of rows that name none
+ *
+ * Book keys: bukhari, muslim, abu_dawud, tirmidhi, nasai, ibn_majah, ahmad, malik
+ */
+
+const DEFAULT_DIR = path.join(process.cwd(), 'data', 'translations')
+
+function parseArgs(argv) {
+  const args = { language: null, dir: null, books: null, file: null, source: null }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--lang') args.language = argv[++i]
+    else if (arg === '--dir') args.dir = argv[++i]
+    else if (arg === '--book') args.books = argv[++i].split(',').map(book => book.trim()).filter(Boolean)
+    else if (arg === '--file') args.file = argv[++i]
+    else if (arg === '--source') args.source = argv[++i]
+    else throw new Error(`Unknown argument: ${arg}`)
+  }
+
+  if (!args.language || !/^[a-z]{2,3}$/.test(args.language)) {
+    throw new Error('--lang needs a language code such as en')
+  }
+
+  const unknown = (args.books || []).filter(book => !BOOKS[book])
+  if (unknown.length > 0) {
+    throw new Error(`Unknown book: ${unknown.join(', ')} (expected ${Object.keys(BOOKS).join(', ')})`)
+  }
+  if (args.file && args.books?.length > 1) {
+    throw new Error('--file takes at most one --book')
+  }
+
+  args.dir = args.dir || path.join(DEFAULT_DIR, args.language)
+  return args
+}
+
+function logProgress({ file, done, total }) {
+  const percent = total > 0 ? Math.round(done / total * 100) : 100
+  logger.info(`${path.basename(file)}: ${done}/${total} (${percent}%)`)
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const importer = new TranslationImporter({ onProgress: logProgress })
+
+  const files = args.file
+    ? [{ book: args.books?.[0] || null, file: args.file }]
+    : await importer.findFiles(args.dir, args.books || undefined)
+
+  if (files.length === 0) {
+    logger.warn(`No dumps found in ${args.dir} (expected files like bukhari.json or muslim.csv)`)
+    return
+  }
+
+  await db.connect()
+
+  for (const { book, file } of files) {
+    const name = book ? BOOKS[book].name : path.basename(file)
+    logger.info(`Importing ${args.language} translations of ${name} from ${file}`)
+    const result = await importer.importFile(args.language, file, { book, source: args.source })
+    logger.info(`${name} (${args.language}): ${result.imported} imported, ${result.skipped} skipped`)
+  }
+}
+
+main()
+  .then(async () => {
+    await db.disconnect()
+    process.exit(0)
+  })
+  .catch(async (error) => {
+    logger.logError(error, { operation: 'db_translations' })
+    await db.disconnect()
+    process.exit(1)
+  })
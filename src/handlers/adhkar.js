@@ -0,0 +1,123 @@
+import adhkarService from '../services/adhkarService.js'
+import messages from '../ui/messages.js'
+import keyboards from '../ui/keyboards.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Adhkar Handler - Browse the bundled adhkar corpus
+ */
+
+/**
+ * Handle /adhkar command, optionally with a category ID (e.g. /adhkar morning)
+ */
+async function adhkarCommand(ctx) {
+  try {
+    const categoryId = ctx.message?.text?.split(/\s+/)[1]
+    if (categoryId && adhkarService.getCategory(categoryId)) {
+      const { text, keyboard } = buildDhikrView(categoryId, 0)
+      await ctx.safeReply(text, {
+        reply_markup: keyboard.reply_markup,
+        parse_mode: 'Markdown'
+      })
+    } else {
+      const { text, keyboard } = buildMenuView(ctx)
+      await ctx.safeReply(text, {
+        reply_markup: keyboard.reply_markup,
+        parse_mode: 'Markdown'
+      })
+    }
+
+    logger.userActivity(ctx.user?.id, 'adhkar_command', { categoryId })
+  } catch (error) {
+    logger.logError(error, { operation: 'adhkar_command', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('adhkar.showError')}`)
+  }
+}
+
+/**
+ * Show adhkar categories from the main menu
+ */
+async function showAdhkarMenu(ctx) {
+  try {
+    const { text, keyboard } = buildMenuView(ctx)
+
+    await ctx.safeAnswerCbQuery(ctx.t('adhkar.title'))
+    await ctx.safeEditText(text, {
+      reply_markup: keyboard.reply_markup,
+      parse_mode: 'Markdown'
+    })
+
+    logger.userActivity(ctx.user?.id, 'adhkar_menu_opened')
+  } catch (error) {
+    logger.logError(error, { operation: 'show_adhkar_menu', userId: ctx.user?.id })
+  }
+}
+
+/**
+ * Handle adhkar_* callbacks
+ */
+async function handleAdhkarAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'adhkar_menu') {
+      return await showAdhkarMenu(ctx)
+    }
+
+    if (data === 'adhkar_noop') {
+      return await ctx.safeAnswerCbQuery()
+    }
+
+    const categoryMatch = data.match(/^adhkar_cat_(.+)$/)
+    const itemMatch = data.match(/^adhkar_item_(.+)_(\d+)$/)
+
+    const categoryId = categoryMatch?.[1] || itemMatch?.[1]
+    const index = itemMatch ? parseInt(itemMatch[2], 10) : 0
+
+    if (!categoryId || !adhkarService.getCategory(categoryId)) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('adhkar.notFound')}`)
+    }
+
+    const { text, keyboard } = buildDhikrView(categoryId, index)
+
+    await ctx.safeAnswerCbQuery()
+    await ctx.safeEditText(text, {
+      reply_markup: keyboard.reply_markup,
+      parse_mode: 'Markdown'
+    })
+
+    logger.userActivity(ctx.user?.id, 'view_dhikr', { categoryId, index })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_adhkar_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Helpers
+ */
+
+function buildMenuView(ctx) {
+  const categories = adhkarService.getCategories()
+  const suggestedId = adhkarService.getSuggestedCategory(new Date(), ctx.user?.timezone)
+
+  return {
+    text: messages.formatAdhkarMenu(categories, suggestedId, adhkarService.getVersion()),
+    keyboard: keyboards.createAdhkarMenu(categories, suggestedId)
+  }
+}
+
+function buildDhikrView(categoryId, index) {
+  const { category, item, index: safeIndex, total } = adhkarService.getItem(categoryId, index)
+
+  return {
+    text: messages.formatDhikr(item, category, safeIndex, total),
+    keyboard: keyboards.createDhikrNavigation(category.id, safeIndex, total)
+  }
+}
+
+export default {
+  adhkarCommand,
+  showAdhkarMenu,
+  handleAdhkarAction
+}
@@ -4,27 +4,27 @@ import keyboards from '../ui/keyboards.js'
 
 async function adminCommand(ctx) {
   if (!ctx.isAdmin()) {
-    return await ctx.safeReply('🔒 هذا الأمر متاح للمدير فقط')
+    return await ctx.safeReply(`🔒 ${ctx.t('auth.adminOnly')}`)
   }
-  await ctx.safeReply('👑 قريباً... لوحة التحكم قيد التطوير')
+  await ctx.safeReply(`👑 ${ctx.t('admin.comingSoon')}`)
   logger.userActivity(ctx.user?.id, 'admin_command')
 }
 
 async function showAdminPanel(ctx) {
   if (!ctx.isAdmin()) {
-    return await ctx.safeAnswerCbQuery('🔒 غير مصرح لك')
+    return await ctx.safeAnswerCbQuery(`🔒 ${ctx.t('auth.unauthorized')}`)
   }
-  await ctx.safeAnswerCbQuery('قريباً... لوحة التحكم قيد التطوير')
-  await ctx.safeEditText('👑 قريباً... لوحة التحكم قيد التطوير', {
+  await ctx.safeAnswerCbQuery(ctx.t('admin.comingSoon'))
+  await ctx.safeEditText(`👑 ${ctx.t('admin.comingSoon')}`, {
     reply_markup: keyboards.get('main').reply_markup
   })
 }
 
 async function handleAdminAction(ctx) {
   if (!ctx.isAdmin()) {
-    return await ctx.safeAnswerCbQuery('🔒 غير مصرح لك')
+    return await ctx.safeAnswerCbQuery(`🔒 ${ctx.t('auth.unauthorized')}`)
   }
-  await ctx.safeAnswerCbQuery('قريباً... عمليات الإدارة قيد التطوير')
+  await ctx.safeAnswerCbQuery(ctx.t('admin.actionsComingSoon'))
 }
 
 export default { adminCommand, showAdminPanel, handleAdminAction }
\ No newline at end of file
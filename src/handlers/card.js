@@ -0,0 +1,80 @@
+import hadithAPI from '../api/hadith.js'
+import cardService, { DEFAULT_THEME } from '../services/cardService.js'
+import config from '../config/index.js'
+import db from '../database/index.js'
+import keyboards from '../ui/keyboards.js'
+import logger from '../utils/logger.js'
+import i18n from '../i18n/index.js'
+
+/**
+ * Card Handler - Hadith as an image for posting elsewhere
+ *
+ * Callbacks: card_<hadithId> sends the card, card_<theme>_<hadithId> redraws it in
+ * another theme. Telegram file IDs of sent cards are cached so each theme of a
+ * hadith is rendered once per locale.
+ */
+
+/**
+ * Handle card_ callbacks
+ */
+async function handleCardAction(ctx) {
+  try {
+    const [, theme, hadithId] = ctx.match
+    if (theme && !cardService.isTheme(theme)) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('card.unknownTheme')}`)
+    }
+
+    const hadith = await hadithAPI.getById(hadithId)
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    await ctx.safeAnswerCbQuery(theme ? undefined : `🖼️ ${ctx.t('card.preparing')}`)
+
+    const selected = theme || DEFAULT_THEME
+    const photo = await getPhoto(hadith, selected)
+    const extra = {
+      caption: [hadith.source, hadith.hadithNumber].filter(Boolean).join(' - ') || undefined,
+      reply_markup: keyboards.createCardThemes(hadith.id, cardService.getThemes(), selected).reply_markup
+    }
+
+    const message = theme
+      ? await ctx.editMessageMedia({ type: 'photo', media: photo, caption: extra.caption }, { reply_markup: extra.reply_markup })
+      : await ctx.replyWithPhoto(photo, extra)
+
+    await rememberPhoto(hadith.id, selected, message)
+    logger.userActivity(ctx.user?.id, 'hadith_card', { hadithId: hadith.id, theme: selected })
+  } catch (error) {
+    logger.logError(error, { operation: 'hadith_card', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('card.error')}`)
+  }
+}
+
+/**
+ * Cached Telegram file ID, or a freshly rendered PNG
+ */
+async function getPhoto(hadith, theme) {
+  const fileId = await db.cache.get(cacheKey(hadith.id, theme))
+  if (fileId) return fileId
+
+  return { source: cardService.render(hadith, theme), filename: `hadith-${hadith.id}.png` }
+}
+
+async function rememberPhoto(hadithId, theme, message) {
+  const sizes = message?.photo
+  if (!sizes?.length) return
+
+  await db.cache.set(
+    cacheKey(hadithId, theme),
+    sizes[sizes.length - 1].file_id,
+    new Date(Date.now() + config.cache.database.ttl * 1000)
+  )
+}
+
+function cacheKey(hadithId, theme) {
+  return `card:${hadithId}:${theme}:${i18n.getLocale()}`
+}
+
+export default {
+  handleCardAction
+}
@@ -1,36 +1,473 @@
-import logger from '../utils/logger.js'
+import favoritesService from '../services/favoritesService.js'
+import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Favorites Handler - Saved hadiths, tags, notes and collections
+ *
+ * Session state lives in ctx.session.favorites:
+ * - view: the list being paged ({ type, tag, collectionId })
+ * - tagList: tag names in the order their buttons were shown
+ * - awaiting: typed input we are waiting for ({ type: 'tags' | 'note' | 'collection', hadithId })
+ */
 
+const RECENT_DAYS = 30
+
+// Any button outside the tag, note and collection flow, or a command, drops `awaiting`
+const pendingInputs = [{
+  name: 'favorites',
+  actions: /^(?:tag_|note_|collection_|favorites_cancel_input$)/,
+  clear: (ctx) => {
+    if (ctx.session?.favorites?.awaiting) ctx.session.favorites.awaiting = null
+  }
+}]
+
+/**
+ * Handle /favorites command
+ */
 async function favoritesCommand(ctx) {
-  await ctx.safeReply('⭐ قريباً... المفضلات قيد التطوير')
-  logger.userActivity(ctx.user?.id, 'favorites_command')
+  try {
+    await ctx.safeReply(await formatMenuText(ctx), {
+      reply_markup: keyboards.get('favorites_menu').reply_markup,
+      parse_mode: 'Markdown'
+    })
+    logger.userActivity(ctx.user?.id, 'favorites_command')
+  } catch (error) {
+    logger.logError(error, { operation: 'favorites_command', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('favorites.showError')}`)
+  }
 }
 
+/**
+ * Show favorites menu from inline buttons
+ */
 async function showFavorites(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... المفضلات قيد التطوير')
-  await ctx.safeEditText('⭐ قريباً... المفضلات قيد التطوير', {
-    reply_markup: keyboards.get('main').reply_markup
-  })
+  try {
+    await ctx.safeAnswerCbQuery(ctx.t('favorites.answer'))
+    await ctx.safeEditText(await formatMenuText(ctx), {
+      reply_markup: keyboards.get('favorites_menu').reply_markup,
+      parse_mode: 'Markdown'
+    })
+  } catch (error) {
+    logger.logError(error, { operation: 'show_favorites', userId: ctx.user?.id })
+  }
 }
 
+/**
+ * Save a hadith (favorite_add_<hadithId>)
+ */
 async function addToFavorites(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إضافة للمفضلات قيد التطوير')
+  try {
+    const hadithId = ctx.match[1]
+    const { favorite, created } = await favoritesService.add(ctx.user.id, hadithId)
+
+    if (!favorite) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    await ctx.safeAnswerCbQuery(created ? `${config.emojis.heartFilled} ${ctx.t('favorites.added')}` : ctx.t('favorites.alreadySaved'))
+    await updateHadithActions(ctx, hadithId, true)
+
+    if (created) {
+      logger.userActivity(ctx.user.id, 'favorite_added', { hadithId })
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'add_to_favorites', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('favorites.saveError')}`)
+  }
 }
 
+/**
+ * Remove a saved hadith (favorite_remove_<hadithId>)
+ */
 async function removeFromFavorites(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... حذف من المفضلات قيد التطوير')
+  try {
+    const hadithId = ctx.match[1]
+    const removed = await favoritesService.remove(ctx.user.id, hadithId)
+
+    await ctx.safeAnswerCbQuery(removed ? ctx.t('favorites.removed') : ctx.t('favorites.notSaved'))
+    await updateHadithActions(ctx, hadithId, false)
+
+    if (removed) {
+      logger.userActivity(ctx.user.id, 'favorite_removed', { hadithId })
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'remove_from_favorites', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('favorites.removeError')}`)
+  }
 }
 
+/**
+ * Handle favorites_* callbacks
+ */
 async function handleFavoritesAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إدارة المفضلات قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+    const state = getState(ctx)
+
+    const pageMatch = data.match(/^favorites_page_(\d+)$/)
+    if (pageMatch) {
+      await ctx.safeAnswerCbQuery()
+      return await renderList(ctx, state.view || { type: 'all' }, parseInt(pageMatch[1], 10))
+    }
+
+    const tagMatch = data.match(/^favorites_tag_(\d+)$/)
+    if (tagMatch) {
+      const tag = state.tagList?.[parseInt(tagMatch[1], 10)]
+      if (!tag) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('tags.notFound')}`)
+
+      await ctx.safeAnswerCbQuery(tag)
+      return await renderList(ctx, { type: 'tag', tag }, 1)
+    }
+
+    switch (data) {
+      case 'favorites_all':
+      case 'favorites_recent':
+      case 'favorites_with_notes': {
+        const type = { favorites_all: 'all', favorites_recent: 'recent', favorites_with_notes: 'notes' }[data]
+        await ctx.safeAnswerCbQuery()
+        return await renderList(ctx, { type }, 1)
+      }
+
+      case 'favorites_by_tag':
+        return await showTags(ctx, 'favorites_tag')
+
+      case 'favorites_stats': {
+        const stats = await favoritesService.getStats(ctx.user.id)
+        await ctx.safeAnswerCbQuery()
+        return await ctx.safeEditText(messages.formatFavoritesStats(stats), {
+          reply_markup: keyboards.createFavoritesList(1, 1).reply_markup,
+          parse_mode: 'Markdown'
+        })
+      }
+
+      case 'favorites_organize':
+        await ctx.safeAnswerCbQuery()
+        return await ctx.safeEditText(`🗂️ **${ctx.t('favorites.organize.title')}**\n\n${ctx.t('favorites.organize.text')}`, {
+          reply_markup: keyboards.get('favorites_organize').reply_markup,
+          parse_mode: 'Markdown'
+        })
+
+      case 'favorites_cancel_input':
+        state.awaiting = null
+        await ctx.safeAnswerCbQuery(ctx.t('common.cancelled'))
+        return await ctx.safeEditText(ctx.t('common.cancelled'))
+
+      default:
+        return await ctx.safeAnswerCbQuery(ctx.t('errors.comingSoon'))
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_favorites_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
+/**
+ * Handle tag_* callbacks
+ */
 async function handleTagAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إدارة العلامات قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+
+    const addMatch = data.match(/^tag_add_(.+)$/)
+    if (addMatch) {
+      return await askForInput(ctx, { type: 'tags', hadithId: addMatch[1] },
+        `🏷️ ${ctx.t('tags.prompt')}`)
+    }
+
+    const deleteMatch = data.match(/^tag_delete_(\d+)$/)
+    if (deleteMatch) {
+      const tag = getState(ctx).tagList?.[parseInt(deleteMatch[1], 10)]
+      if (!tag) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('tags.notFound')}`)
+
+      const count = await favoritesService.deleteTag(ctx.user.id, tag)
+      logger.userActivity(ctx.user.id, 'tag_deleted', { count })
+
+      return await showTags(ctx, 'tag_delete', ctx.t('tags.deleted', { tag }))
+    }
+
+    switch (data) {
+      case 'tag_edit':
+        return await showTags(ctx, 'tag_delete')
+      case 'tag_create':
+        return await ctx.safeAnswerCbQuery(ctx.t('tags.howToAdd'), { show_alert: true })
+      default:
+        return await ctx.safeAnswerCbQuery()
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_tag_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Handle note_* callbacks
+ */
+async function handleNoteAction(ctx) {
+  try {
+    const addMatch = ctx.callbackQuery.data.match(/^note_add_(.+)$/)
+    if (!addMatch) return await ctx.safeAnswerCbQuery()
+
+    await askForInput(ctx, { type: 'note', hadithId: addMatch[1] },
+      `📝 ${ctx.t('notes.prompt')}`)
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_note_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
+/**
+ * Handle collection_* callbacks
+ */
 async function handleCollectionAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إدارة المجموعات قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+    const userId = ctx.user.id
+    let match
+
+    if (data === 'collection_create') {
+      return await askForInput(ctx, { type: 'collection', hadithId: null }, `📁 ${ctx.t('collections.namePrompt')}`)
+    }
+
+    if (data === 'collection_manage') {
+      await ctx.safeAnswerCbQuery()
+      return await showCollections(ctx)
+    }
+
+    if ((match = data.match(/^collection_view_(\d+)$/))) {
+      const collection = await favoritesService.getCollection(userId, parseInt(match[1], 10))
+      if (!collection) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('collections.notFound')}`)
+
+      await ctx.safeAnswerCbQuery()
+      return await renderList(ctx, { type: 'collection', collectionId: collection.id, title: collection.name }, 1)
+    }
+
+    if ((match = data.match(/^collection_delete_(\d+)$/))) {
+      await ctx.safeAnswerCbQuery()
+      return await ctx.safeEditText(`🗑️ ${ctx.t('collections.confirmDelete')}`, {
+        reply_markup: keyboards.createConfirmation(`collection_confirm_${match[1]}`, 'collection_manage', ctx.t('buttons.delete')).reply_markup
+      })
+    }
+
+    if ((match = data.match(/^collection_confirm_(\d+)$/))) {
+      const deleted = await favoritesService.deleteCollection(userId, parseInt(match[1], 10))
+      await ctx.safeAnswerCbQuery(deleted ? ctx.t('collections.deleted') : `❌ ${ctx.t('collections.notFound')}`)
+      logger.userActivity(userId, 'collection_deleted', { collectionId: match[1] })
+      return await showCollections(ctx)
+    }
+
+    if ((match = data.match(/^collection_pick_(.+)$/))) {
+      return await showCollectionPicker(ctx, match[1])
+    }
+
+    if ((match = data.match(/^collection_new_(.+)$/))) {
+      return await askForInput(ctx, { type: 'collection', hadithId: match[1] }, `📁 ${ctx.t('collections.namePrompt')}`)
+    }
+
+    if ((match = data.match(/^collection_toggle_(\d+)_(.+)$/))) {
+      const added = await favoritesService.toggleCollectionItem(userId, parseInt(match[1], 10), match[2])
+      if (added === null) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('collections.itemNotFound')}`)
+
+      await ctx.safeAnswerCbQuery(added ? ctx.t('collections.itemAdded') : ctx.t('collections.itemRemoved'))
+      return await showCollectionPicker(ctx, match[2], false)
+    }
+
+    if ((match = data.match(/^collection_done_(.+)$/))) {
+      await ctx.safeAnswerCbQuery()
+      return await updateHadithActions(ctx, match[1], await favoritesService.isFavorite(userId, match[1]))
+    }
+
+    await ctx.safeAnswerCbQuery()
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_collection_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Consume typed tags, notes and collection names, otherwise pass the message on
+ */
+async function handleTextInput(ctx, next) {
+  const state = ctx.session?.favorites
+  const text = ctx.message?.text?.trim()
+
+  if (!state?.awaiting || !text) return next()
+
+  // A command cancels the pending input
+  if (text.startsWith('/')) {
+    state.awaiting = null
+    return next()
+  }
+
+  const { type, hadithId } = state.awaiting
+  state.awaiting = null
+
+  try {
+    const userId = ctx.user.id
+
+    if (type === 'tags') {
+      const favorite = await favoritesService.addTags(userId, hadithId, text)
+      if (!favorite) return await ctx.safeReply(`❌ ${ctx.t('errors.hadithNotFound')}`)
+
+      const tags = favoritesService.parseTags(favorite.tags)
+      logger.userActivity(userId, 'favorite_tagged', { hadithId, tagCount: tags.length })
+      return await replyWithHadithActions(ctx, hadithId, `${config.emojis.success} ${ctx.t('tags.saved', { tags: tags.join(ctx.t('common.listSeparator')) })}`)
+    }
+
+    if (type === 'note') {
+      const favorite = await favoritesService.setNote(userId, hadithId, text)
+      if (!favorite) return await ctx.safeReply(`❌ ${ctx.t('errors.hadithNotFound')}`)
+
+      logger.userActivity(userId, 'favorite_noted', { hadithId })
+      return await replyWithHadithActions(ctx, hadithId, `${config.emojis.success} ${ctx.t('notes.saved')}`)
+    }
+
+    if (type === 'collection') {
+      const { collection, error } = await favoritesService.createCollection(userId, text)
+
+      if (error === 'invalid_name') return await ctx.safeReply(`❌ ${ctx.t('collections.nameTooShort')}`)
+      if (error === 'limit') return await ctx.safeReply(`❌ ${ctx.t('collections.limit')}`)
+
+      if (hadithId) {
+        if (error !== 'exists' || !(await favoritesService.getCollectionIdsFor(userId, hadithId)).includes(collection.id)) {
+          await favoritesService.toggleCollectionItem(userId, collection.id, hadithId)
+        }
+        return await replyWithHadithActions(ctx, hadithId, `${config.emojis.success} ${ctx.t('collections.addedTo', { name: collection.name })}`)
+      }
+
+      logger.userActivity(userId, 'collection_created', { collectionId: collection.id })
+      const collections = await favoritesService.getCollections(userId)
+      return await ctx.safeReply(
+        (error === 'exists' ? `ℹ️ ${ctx.t('collections.exists')}\n\n` : `${config.emojis.success} ${ctx.t('collections.created')}\n\n`) +
+          messages.formatCollectionsList(collections),
+        {
+          reply_markup: keyboards.createCollectionList(collections).reply_markup,
+          parse_mode: 'Markdown'
+        }
+      )
+    }
+
+    return next()
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_favorites_text', userId: ctx.user?.id, type })
+    await ctx.safeReply(`❌ ${ctx.t('favorites.saveError')}`)
+  }
+}
+
+/**
+ * Helpers
+ */
+
+function getState(ctx) {
+  if (!ctx.session.favorites) ctx.session.favorites = {}
+  return ctx.session.favorites
+}
+
+async function formatMenuText(ctx) {
+  const { total, collections } = await favoritesService.getStats(ctx.user.id)
+  return `${config.emojis.favorites} **${ctx.t('favorites.title')}**\n\n` +
+    `📚 ${ctx.t('favorites.stats.total', { count: total })}\n` +
+    `📁 ${ctx.t('favorites.stats.collections', { count: collections })}\n\n` +
+    ctx.t('favorites.chooseView')
+}
+
+async function renderList(ctx, view, page) {
+  const state = getState(ctx)
+  state.view = view
+
+  const filter = {}
+  if (view.type === 'recent') filter.since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000)
+  if (view.type === 'notes') filter.withNotes = true
+  if (view.type === 'tag') filter.tag = view.tag
+  if (view.type === 'collection') filter.collectionId = view.collectionId
+
+  const result = await favoritesService.list(ctx.user.id, filter, page)
+
+  const title = view.type === 'tag'
+    ? `🏷️ ${view.tag}`
+    : view.type === 'collection' ? `📁 ${view.title}` : ctx.t(`favorites.views.${view.type}`)
+
+  await ctx.safeEditText(
+    messages.formatFavoritesList(result.favorites, result.page, result.totalPages, {
+      totalCount: result.totalCount,
+      title: view.type === 'all' ? null : title,
+      timezone: ctx.user?.timezone
+    }),
+    {
+      reply_markup: keyboards.createFavoritesList(result.page, result.totalPages, view.collectionId).reply_markup,
+      parse_mode: 'Markdown'
+    }
+  )
+}
+
+async function showTags(ctx, action, notice = '') {
+  const tags = await favoritesService.getTags(ctx.user.id)
+  getState(ctx).tagList = tags.map(tag => tag.name)
+
+  await ctx.safeAnswerCbQuery(notice)
+
+  const text = tags.length === 0
+    ? `🏷️ ${ctx.t('tags.empty')}\n\n💡 ${ctx.t('tags.howToAdd')}`
+    : action === 'tag_delete'
+      ? `✏️ **${ctx.t('buttons.editTags')}**\n\n${ctx.t('tags.deleteHint')}`
+      : `🏷️ **${ctx.t('tags.byTagTitle')}**\n\n${ctx.t('tags.choose')}`
+
+  await ctx.safeEditText(text, {
+    reply_markup: keyboards.createTagList(tags, action).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function showCollections(ctx) {
+  const collections = await favoritesService.getCollections(ctx.user.id)
+  await ctx.safeEditText(messages.formatCollectionsList(collections), {
+    reply_markup: keyboards.createCollectionList(collections).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function showCollectionPicker(ctx, hadithId, answer = true) {
+  const userId = ctx.user.id
+  const collections = await favoritesService.getCollections(userId)
+
+  if (collections.length === 0) {
+    return await askForInput(ctx, { type: 'collection', hadithId },
+      `📁 ${ctx.t('collections.firstPrompt')}`)
+  }
+
+  const selectedIds = await favoritesService.getCollectionIdsFor(userId, hadithId)
+  if (answer) await ctx.safeAnswerCbQuery(ctx.t('collections.choose'))
+
+  await ctx.editMessageReplyMarkup(
+    keyboards.createCollectionPicker(collections, selectedIds, hadithId).reply_markup
+  ).catch(() => {})
+}
+
+async function askForInput(ctx, awaiting, prompt) {
+  getState(ctx).awaiting = awaiting
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeReply(prompt, {
+    reply_markup: keyboards.createInputCancel().reply_markup
+  })
+}
+
+/**
+ * Swap the hadith message's buttons to reflect its saved state
+ */
+async function updateHadithActions(ctx, hadithId, isFavorited) {
+  const markup = ctx.callbackQuery?.message?.reply_markup
+  await ctx.editMessageReplyMarkup(
+    keyboards.refreshHadithActions(markup, hadithId, ctx.user?.id, isFavorited).reply_markup
+  ).catch(() => {})
+}
+
+async function replyWithHadithActions(ctx, hadithId, text) {
+  await ctx.safeReply(text, {
+    reply_markup: keyboards.createHadithActions(hadithId, ctx.user?.id, true).reply_markup
+  })
 }
 
 export default {
@@ -40,5 +477,8 @@ export default {
   removeFromFavorites,
   handleFavoritesAction,
   handleTagAction,
-  handleCollectionAction
-}
\ No newline at end of file
+  handleNoteAction,
+  handleCollectionAction,
+  handleTextInput,
+  pendingInputs
+}
@@ -17,11 +17,11 @@ async function handleSupergroupCreated(ctx) {
 }
 
 async function showGroupSettings(ctx) {
-  await ctx.safeReply('👥 قريباً... إعدادات المجموعة قيد التطوير')
+  await ctx.safeReply(`👥 ${ctx.t('group.settingsComingSoon')}`)
 }
 
 async function showGroupStats(ctx) {
-  await ctx.safeReply('📊 قريباً... إحصائيات المجموعة قيد التطوير')
+  await ctx.safeReply(`📊 ${ctx.t('group.statsComingSoon')}`)
 }
 
 export default {
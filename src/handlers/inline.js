@@ -0,0 +1,103 @@
+import hadithAPI from '../api/hadith.js'
+import searchIndex from '../services/searchIndex.js'
+import searchService from '../services/searchService.js'
+import messages from '../ui/messages.js'
+import logger from '../utils/logger.js'
+import { parseReference } from '../utils/references.js'
+
+const PAGE_SIZE = 20
+const MAX_RESULTS = 50
+const CACHE_TIME = 300
+
+/**
+ * Inline Handler - @bot <query> in any chat
+ * Results come from the local index; the configured providers (Dorar) are asked
+ * only when the local index cannot fill a page.
+ */
+
+/**
+ * Handle inline queries
+ */
+async function handleInlineQuery(ctx) {
+  const query = ctx.inlineQuery.query.trim()
+  const offset = parseInt(ctx.inlineQuery.offset) || 0
+
+  try {
+    if (query.length < 2) {
+      return await ctx.answerInlineQuery([], {
+        cache_time: CACHE_TIME,
+        button: { text: `🔍 ${ctx.t('inline.prompt')}`, start_parameter: 'inline' }
+      })
+    }
+
+    const hadiths = await findHadiths(query)
+    const page = hadiths.slice(offset, offset + PAGE_SIZE)
+    const nextOffset = offset + PAGE_SIZE < hadiths.length ? String(offset + PAGE_SIZE) : ''
+
+    await ctx.answerInlineQuery(page.map(buildResult), {
+      cache_time: CACHE_TIME,
+      // Results are formatted in the user's language, so Telegram must not share them
+      is_personal: true,
+      next_offset: nextOffset
+    })
+
+    if (offset === 0) {
+      logger.userActivity(ctx.user?.id, 'inline_search', { query, resultCount: hadiths.length })
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'inline_query', userId: ctx.user?.id, query })
+    await ctx.answerInlineQuery([], { cache_time: 5 }).catch(() => {})
+  }
+}
+
+/**
+ * Record the hadith a user sent from inline results
+ */
+async function handleChosenResult(ctx) {
+  try {
+    const { result_id: hadithId, query } = ctx.chosenInlineResult
+
+    // One history row per shared hadith; resultCount is the chosen result
+    await searchService.recordHistory(ctx.user?.id, query || hadithId, 1, null, hadithId)
+    logger.userActivity(ctx.user?.id, 'inline_hadith_sent', { hadithId, query })
+  } catch (error) {
+    logger.logError(error, { operation: 'inline_chosen_result', userId: ctx.user?.id })
+  }
+}
+
+/**
+ * A reference opens that hadith; other text is searched locally first
+ */
+async function findHadiths(query) {
+  const reference = parseReference(query)
+  if (reference) {
+    const hadith = await hadithAPI.getByReference(reference)
+    if (hadith) return [hadith]
+  }
+
+  const local = await searchIndex.search(query, { limit: MAX_RESULTS })
+  if (local.length >= PAGE_SIZE) return local
+
+  return (await hadithAPI.search(query)).slice(0, MAX_RESULTS)
+}
+
+function buildResult(hadith) {
+  const text = hadith.arabicText || hadith.text || ''
+  const title = [hadith.source, hadith.hadithNumber].filter(Boolean).join(' - ') || text.substring(0, 60)
+
+  return {
+    type: 'article',
+    id: hadith.id,
+    title,
+    description: text.length > 120 ? text.substring(0, 120) + '...' : text,
+    input_message_content: {
+      message_text: messages.formatInlineHadith(hadith),
+      parse_mode: 'Markdown'
+    }
+  }
+}
+
+export default {
+  handleInlineQuery,
+  handleChosenResult
+}
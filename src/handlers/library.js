@@ -0,0 +1,157 @@
+import hadithAPI from '../api/hadith.js'
+import libraryService from '../services/libraryService.js'
+import config from '../config/index.js'
+import messages from '../ui/messages.js'
+import keyboards from '../ui/keyboards.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Library Handler - Browse stored hadiths by book and chapter
+ *
+ * Callbacks: lib_books, lib_book_<slug>_<page>, lib_ch_<slug>_<chapter>_<page>
+ * Deep links: t.me/<bot>?start=lib_<slug>[_<chapter>]
+ */
+
+/**
+ * Handle /library command
+ */
+async function libraryCommand(ctx) {
+  try {
+    await showBooks(ctx, false)
+    logger.userActivity(ctx.user?.id, 'library_opened')
+  } catch (error) {
+    logger.logError(error, { operation: 'library_command', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('library.openError')}`)
+  }
+}
+
+/**
+ * Handle lib_ callbacks
+ */
+async function handleLibraryAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+    await ctx.safeAnswerCbQuery()
+
+    if (data === 'lib_books') {
+      return await showBooks(ctx, true)
+    }
+
+    const chapterMatch = data.match(/^lib_ch_(.+)_([0-9a-f]{8}|none)_(\d+)$/)
+    if (chapterMatch) {
+      return await showChapter(ctx, chapterMatch[1], chapterMatch[2], parseInt(chapterMatch[3]), true)
+    }
+
+    const bookMatch = data.match(/^lib_book_(.+)_(\d+)$/)
+    if (bookMatch) {
+      return await showBook(ctx, bookMatch[1], parseInt(bookMatch[2]), true)
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'library_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Open a lib_ start payload
+ * @returns {Promise<boolean>} Whether the payload was a library link
+ */
+async function openLink(ctx, payload) {
+  const link = libraryService.parseLink(payload)
+  if (!link) return false
+
+  if (link.chapterKey) {
+    await showChapter(ctx, link.slug, link.chapterKey, 1, false)
+  } else {
+    await showBook(ctx, link.slug, 1, false)
+  }
+
+  logger.userActivity(ctx.user?.id, 'library_link_opened', link)
+  return true
+}
+
+/**
+ * Open the chapter of a hadith at the page that contains it
+ */
+async function moreFromBook(ctx) {
+  try {
+    const hadith = await hadithAPI.getById(ctx.match[1])
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    const location = await libraryService.locate(hadith)
+    if (!location) {
+      return await ctx.safeAnswerCbQuery(`📚 ${ctx.t('library.bookUnavailable')}`)
+    }
+
+    await ctx.safeAnswerCbQuery()
+    await showChapter(ctx, location.slug, location.chapterKey, location.page, false)
+
+    logger.userActivity(ctx.user?.id, 'more_from_book', { hadithId: hadith.id, book: location.slug })
+  } catch (error) {
+    logger.logError(error, { operation: 'more_from_book', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Views
+ */
+
+async function showBooks(ctx, edit) {
+  const books = await libraryService.getBooks()
+  await render(ctx, messages.formatLibraryBooks(books), keyboards.createLibraryBooks(books), edit)
+}
+
+async function showBook(ctx, slug, page, edit) {
+  const result = await libraryService.getChapters(slug, page)
+  if (!result) return await notFound(ctx, edit)
+
+  const { book, chapters, totalPages, totalCount } = result
+  await render(
+    ctx,
+    messages.formatBookChapters(book, result.page, totalPages, totalCount, libraryService.getLink(slug)),
+    keyboards.createBookChapters(slug, chapters, result.page, totalPages),
+    edit
+  )
+}
+
+async function showChapter(ctx, slug, chapterKey, page, edit) {
+  const result = await libraryService.getChapter(slug, chapterKey, page)
+  if (!result) return await notFound(ctx, edit)
+
+  const { book, chapter, hadiths, totalPages, totalCount } = result
+  await render(
+    ctx,
+    messages.formatChapterHadiths(book, chapter, hadiths, result.page, totalPages, totalCount, libraryService.getLink(slug, chapterKey)),
+    keyboards.createChapterHadiths(slug, chapterKey, result.page, totalPages),
+    edit
+  )
+}
+
+async function notFound(ctx, edit) {
+  const books = await libraryService.getBooks()
+  await render(
+    ctx,
+    `${config.emojis.warning} ${ctx.t('library.notFound')}\n\n${messages.formatLibraryBooks(books)}`,
+    keyboards.createLibraryBooks(books),
+    edit
+  )
+}
+
+async function render(ctx, text, keyboard, edit) {
+  const extra = { reply_markup: keyboard.reply_markup, parse_mode: 'Markdown' }
+  if (edit) {
+    await ctx.safeEditText(text, extra)
+  } else {
+    await ctx.safeReply(text, extra)
+  }
+}
+
+export default {
+  libraryCommand,
+  handleLibraryAction,
+  openLink,
+  moreFromBook
+}
@@ -1,22 +1,186 @@
-import hadithAPI from '../api/hadith.js'
+import rotationService from '../services/rotationService.js'
+import favoritesService from '../services/favoritesService.js'
+import translationService from '../services/translationService.js'
+import { BOOK_FILTERS, NARRATORS, SAHIH_GRADE } from '../services/searchService.js'
+import config from '../config/index.js'
 import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
 import logger from '../utils/logger.js'
 
+/**
+ * Random Handler - Random hadiths from the user's rotation (see rotationService.js),
+ * refined by topic, book, narrator and grade. The filters are kept in the session.
+ */
+
+const MAX_TOPIC_LENGTH = 50
+
+/**
+ * Handle /random [topic]
+ */
 async function randomCommand(ctx) {
-  await ctx.safeReply('🎲 جاري البحث عن حديث عشوائي...')
-  logger.userActivity(ctx.user?.id, 'random_command')
+  try {
+    const topic = ctx.message.text
+      .replace(/^\/random(@\w+)?/i, '')
+      .replace(/[*_`[\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, MAX_TOPIC_LENGTH)
+
+    ctx.session.randomFilters = { topic: topic || null }
+    await sendRandom(ctx)
+
+    logger.userActivity(ctx.user?.id, 'random_command', { topic: topic || null })
+  } catch (error) {
+    logger.logError(error, { operation: 'random_command', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('random.error')}`)
+  }
 }
 
+/**
+ * Random hadith from the main menu, with the filters last used
+ */
 async function getRandomHadith(ctx) {
   try {
-    await ctx.safeAnswerCbQuery('جاري البحث عن حديث عشوائي...')
-    await ctx.safeEditText('🎲 قريباً... الحديث العشوائي قيد التطوير', {
-      reply_markup: keyboards.get('main').reply_markup
-    })
+    await ctx.safeAnswerCbQuery(ctx.t('random.loading'))
+    await sendRandom(ctx)
   } catch (error) {
     logger.logError(error, { operation: 'get_random_hadith', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('random.error')}`)
+  }
+}
+
+/**
+ * Handle random_next, random_filters, random_book_<key>, random_narrator_<index>,
+ * random_sahih and random_clear callbacks
+ */
+async function handleRandomAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+    const filters = getFilters(ctx)
+
+    if (data === 'random_next') {
+      await ctx.safeAnswerCbQuery(ctx.t('random.loading'))
+      return await sendRandom(ctx)
+    }
+
+    if (data === 'random_filters') {
+      await ctx.safeAnswerCbQuery()
+      return await showFilters(ctx)
+    }
+
+    if (data === 'random_clear') {
+      ctx.session.randomFilters = {}
+      await ctx.safeAnswerCbQuery(ctx.t('search.filtersCleared'))
+      return await showFilters(ctx)
+    }
+
+    if (data === 'random_sahih') {
+      filters.sahihOnly = !filters.sahihOnly
+    } else if (data.startsWith('random_book_')) {
+      const book = data.replace(/^random_book_/, '')
+      if (!BOOK_FILTERS[book]) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+      filters.book = filters.book === book ? null : book
+    } else if (data.startsWith('random_narrator_')) {
+      const narrator = NARRATORS[parseInt(data.replace(/^random_narrator_/, ''), 10)]
+      if (!narrator) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+      filters.narrator = filters.narrator === narrator ? null : narrator
+    } else {
+      return await ctx.safeAnswerCbQuery()
+    }
+
+    await ctx.safeAnswerCbQuery()
+    await showFilters(ctx)
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_random_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
   }
 }
 
-export default { randomCommand, getRandomHadith }
\ No newline at end of file
+/**
+ * Show the next hadith of the rotation: edit the message whose button was pressed,
+ * otherwise reply
+ */
+async function sendRandom(ctx) {
+  const filters = getFilters(ctx)
+  const hadith = await rotationService.next(ctx.user?.id, toRotationFilters(filters))
+
+  if (!hadith) {
+    const text = `${config.emojis.random} ${ctx.t('random.notFound')}\n\n${formatFilters(ctx, filters)}`
+    const extra = { reply_markup: createFiltersKeyboard(filters).reply_markup, parse_mode: 'Markdown' }
+    return ctx.callbackQuery ? await ctx.safeEditText(text, extra) : await ctx.safeReply(text, extra)
+  }
+
+  await rotationService.recordView(ctx.user?.id, hadith.id, 'random')
+
+  const summary = formatFilters(ctx, filters)
+  const text = messages.formatHadith(await translationService.localize(hadith)) +
+    (hasFilters(filters) ? `\n\n${summary}` : '')
+  const isFavorited = await favoritesService.isFavorite(ctx.user?.id, hadith.id)
+  const extra = {
+    reply_markup: keyboards.createRandomActions(hadith.id, ctx.user?.id, isFavorited).reply_markup,
+    parse_mode: 'Markdown'
+  }
+
+  if (ctx.callbackQuery) {
+    await ctx.safeEditText(text, extra)
+  } else {
+    await ctx.safeReply(text, extra)
+  }
+
+  logger.userActivity(ctx.user?.id, 'view_random_hadith', { hadithId: hadith.id, filters })
+}
+
+async function showFilters(ctx) {
+  const filters = getFilters(ctx)
+  await ctx.safeEditText(
+    `🎯 **${ctx.t('random.filtersTitle')}**\n\n${formatFilters(ctx, filters)}\n\n${ctx.t('random.filtersHint')}`,
+    {
+      reply_markup: createFiltersKeyboard(filters).reply_markup,
+      parse_mode: 'Markdown'
+    }
+  )
+}
+
+/**
+ * Helpers
+ */
+
+function getFilters(ctx) {
+  if (!ctx.session.randomFilters) ctx.session.randomFilters = {}
+  return ctx.session.randomFilters
+}
+
+function hasFilters(filters) {
+  return Boolean(filters.topic || filters.book || filters.narrator || filters.sahihOnly)
+}
+
+/**
+ * Session filters as rotation pool filters: books match the hadith's source
+ */
+function toRotationFilters(filters) {
+  return {
+    topic: filters.topic || undefined,
+    narrator: filters.narrator || undefined,
+    source: filters.book ? BOOK_FILTERS[filters.book].match[0] : undefined,
+    grade: filters.sahihOnly ? SAHIH_GRADE : undefined
+  }
+}
+
+function createFiltersKeyboard(filters) {
+  return keyboards.createRandomFilters(filters, Object.keys(BOOK_FILTERS), NARRATORS)
+}
+
+function formatFilters(ctx, filters) {
+  if (!hasFilters(filters)) return `🎯 ${ctx.t('random.noFilters')}`
+
+  const parts = [
+    filters.topic && `${ctx.t('random.topic')}: ${filters.topic}`,
+    filters.book && `${ctx.t('random.book')}: ${ctx.t(`books.${filters.book}`)}`,
+    filters.narrator && `${ctx.t('random.narrator')}: ${filters.narrator}`,
+    filters.sahihOnly && ctx.t('buttons.sahihOnly')
+  ].filter(Boolean)
+
+  return `🎯 ${parts.join(' • ')}`
+}
+
+export default { randomCommand, getRandomHadith, handleRandomAction }
@@ -0,0 +1,387 @@
+import moment from 'moment-timezone'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import messages from '../ui/messages.js'
+import keyboards from '../ui/keyboards.js'
+import conversationService from '../services/conversationService.js'
+import reminderService, { MAX_TOPICS } from '../services/reminderService.js'
+import schedulerService from '../services/schedulerService.js'
+import prayerTimeService from '../services/prayerTimeService.js'
+import timezoneService from '../services/timezoneService.js'
+import i18n from '../i18n/index.js'
+
+/**
+ * Reminders Handler - Wizard that creates fixed-time reminders and edits them
+ *
+ * The wizard is the `reminder` conversation (see conversationService.js):
+ * name, frequency, days, time, then topics. Editing the times, days or topics of
+ * an existing reminder runs the same conversation for that single step, with
+ * state.data.reminderId and state.data.only set.
+ */
+
+const CONVERSATION = 'reminder'
+const STEPS = ['name', 'frequency', 'days', 'time', 'topics']
+const PRESET_TIMES = ['05:00', '06:00', '07:00', '08:00', '12:00', '15:00', '18:00', '20:00', '21:00', '22:00']
+
+// reminder_<action> callbacks that edit one step of an existing reminder
+const EDIT_STEPS = { times: 'time', days: 'days', topics: 'topics' }
+
+// ReminderService errors and the messages they are reported with
+const SAVE_ERRORS = {
+  limit: 'reminders.wizard.limit',
+  not_found: 'reminders.wizard.notFound'
+}
+
+/**
+ * Handle reminder_add, reminder_times, reminder_days, reminder_topics,
+ * reminder_pause and reminder_edit_<step>_<id> callbacks, and the read receipts
+ * and time suggestions of delivered reminders (reminder_read_<deliveryId>,
+ * reminder_shift_<id>_<HHMM>, reminder_keep_<id>)
+ */
+async function handleReminderAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+    if (!ctx.user) return await ctx.safeAnswerCbQuery()
+
+    if (data === 'reminder_add') {
+      return await startWizard(ctx)
+    }
+
+    if (data === 'reminder_pause') {
+      return await togglePause(ctx)
+    }
+
+    const readMatch = data.match(/^reminder_read_(\d+)$/)
+    if (readMatch) {
+      return await markRead(ctx, parseInt(readMatch[1], 10))
+    }
+
+    const shiftMatch = data.match(/^reminder_shift_(\d+)_(\d{2})(\d{2})$/)
+    if (shiftMatch) {
+      return await acceptTime(ctx, parseInt(shiftMatch[1], 10), `${shiftMatch[2]}:${shiftMatch[3]}`)
+    }
+
+    if (/^reminder_keep_\d+$/.test(data)) {
+      await ctx.safeAnswerCbQuery()
+      return await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+    }
+
+    const editMatch = data.match(/^reminder_edit_([a-z]+)_(\d+)$/)
+    if (editMatch) {
+      const reminder = await reminderService.get(ctx.user.id, parseInt(editMatch[2], 10))
+      if (!reminder || !STEPS.includes(editMatch[1])) {
+        return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.wizard.notFound')}`)
+      }
+      await ctx.safeAnswerCbQuery()
+      return await startEdit(ctx, reminder, editMatch[1])
+    }
+
+    const step = EDIT_STEPS[data.replace(/^reminder_/, '')]
+    if (step) {
+      return await chooseReminder(ctx, step)
+    }
+
+    await ctx.safeAnswerCbQuery(ctx.t('reminders.comingSoon'))
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_reminder_wizard_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+/**
+ * Start the wizard, or continue the one left unfinished
+ */
+async function startWizard(ctx) {
+  const unfinished = await conversationService.get(ctx)
+  if (unfinished?.name === CONVERSATION && !unfinished.data.reminderId) {
+    await ctx.safeAnswerCbQuery(ctx.t('reminders.wizard.resumed'))
+    return await conversationService.resume(ctx, unfinished)
+  }
+
+  await ctx.safeAnswerCbQuery()
+  await conversationService.start(ctx, CONVERSATION, { days: [], topics: [] })
+}
+
+async function startEdit(ctx, reminder, step) {
+  const known = reminderService.getTopics()
+
+  await conversationService.start(ctx, CONVERSATION, {
+    reminderId: reminder.id,
+    only: step,
+    name: reminder.name,
+    frequency: reminder.frequency,
+    days: reminderService.parseDays(reminder.days),
+    time: reminder.time,
+    topics: reminderService.parseTopics(reminder.topics).filter(topic => known.includes(topic))
+  }, step)
+}
+
+/**
+ * Pick the reminder to edit; prayer-anchored reminders have no time of their own
+ */
+async function chooseReminder(ctx, step) {
+  const reminders = (await reminderService.list(ctx.user.id))
+    .filter(reminder => step !== 'time' || !reminder.anchorPrayer)
+
+  if (reminders.length === 0) {
+    return await ctx.safeAnswerCbQuery(ctx.t('reminders.wizard.noneToEdit'))
+  }
+
+  await ctx.safeAnswerCbQuery()
+
+  if (reminders.length === 1) {
+    return await startEdit(ctx, reminders[0], step)
+  }
+
+  await ctx.safeEditText(`${config.emojis.reminder} **${ctx.t('reminders.title')}**\n\n${ctx.t('reminders.wizard.chooseReminder')}`, {
+    reply_markup: keyboards.createReminderChoice(reminders, step).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function togglePause(ctx) {
+  const { paused, count } = await reminderService.togglePause(ctx.user.id)
+  if (count === 0) {
+    return await ctx.safeAnswerCbQuery(ctx.t('reminders.wizard.noneToEdit'))
+  }
+
+  if (!paused) await schedulerService.rescheduleUserReminders(ctx.user.id)
+
+  await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t(paused ? 'reminders.paused' : 'reminders.resumed', { count })}`)
+  await showList(ctx)
+}
+
+/**
+ * Read receipt: record it and drop the button from the reminder
+ */
+async function markRead(ctx, deliveryId) {
+  const delivery = await reminderService.markRead(ctx.user.id, deliveryId)
+  if (!delivery) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.wizard.notFound')}`)
+  }
+
+  await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t('reminders.readMarked')}`)
+  await ctx.editMessageReplyMarkup(
+    keyboards.createHadithActions(delivery.hadithId, ctx.user.id).reply_markup
+  ).catch(() => {})
+}
+
+/**
+ * Move a reminder to the time the scheduler suggested
+ */
+async function acceptTime(ctx, reminderId, time) {
+  if (!await reminderService.setTime(ctx.user.id, reminderId, time)) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.wizard.notFound')}`)
+  }
+
+  await schedulerService.rescheduleUserReminders(ctx.user.id)
+  await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t('reminders.engagement.timeChanged', { time })}`)
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+}
+
+/**
+ * The reminder conversation
+ */
+
+conversationService.register(CONVERSATION, {
+  first: 'name',
+
+  steps: {
+    name: {
+      enter: (ctx, state, error) => render(ctx, state, ctx.t('reminders.wizard.name'), keyboards.createReminderNameStep(), error),
+
+      text: (ctx, text, state) => {
+        const name = reminderService.cleanName(text)
+        if (!name) return { error: 'reminders.wizard.invalidName' }
+        return { ...nextStep(state, 'name'), data: { name } }
+      },
+
+      action: (ctx, value, state) => {
+        if (value !== 'name_default') return
+        return { ...nextStep(state, 'name'), data: { name: ctx.t('reminders.defaultName') } }
+      }
+    },
+
+    frequency: {
+      enter: (ctx, state, error) => render(ctx, state, ctx.t('reminders.wizard.frequency'), keyboards.createReminderFrequencyStep(state.data.frequency), error),
+
+      action: (ctx, value, state) => {
+        const frequency = value.match(/^freq_(daily|weekly|monthly)$/)?.[1]
+        if (!frequency) return
+
+        // Changing the frequency starts the days over from today
+        const days = frequency === state.data.frequency ? state.data.days : defaultDays(ctx, frequency)
+        return { ...nextStep(state, 'frequency'), data: { frequency, days } }
+      }
+    },
+
+    days: {
+      enter: (ctx, state, error) => {
+        const { frequency } = state.data
+        const prompt = ctx.t(`reminders.wizard.days.${frequency}`)
+        return render(ctx, state, prompt, keyboards.createReminderDaysStep(dayButtons(state.data), frequency === 'daily'), error)
+      },
+
+      action: (ctx, value, state) => {
+        if (value === 'days_all') return { step: 'days', data: { days: [] } }
+
+        if (value === 'days_done') {
+          const days = reminderService.normalizeDays(state.data.frequency, state.data.days)
+          if (!days) return { error: 'reminders.wizard.noDays' }
+          return { ...nextStep(state, 'days'), data: { days } }
+        }
+
+        const day = value.match(/^day_(\d{1,2})$/)?.[1]
+        if (day === undefined) return
+
+        // A daily reminder without chosen days runs every day
+        const selected = state.data.frequency === 'daily' && state.data.days.length === 0
+          ? [0, 1, 2, 3, 4, 5, 6]
+          : state.data.days
+        const number = parseInt(day, 10)
+        const days = selected.includes(number)
+          ? selected.filter(item => item !== number)
+          : [...selected, number]
+        if (days.length === 0) return { error: 'reminders.wizard.noDays' }
+
+        return { step: 'days', data: { days } }
+      }
+    },
+
+    time: {
+      enter: (ctx, state, error) => {
+        const timezone = timezoneService.getLabel(timezoneService.resolve(ctx.user?.timezone))
+        const prompt = ctx.t('reminders.wizard.time', { timezone })
+        return render(ctx, state, prompt, keyboards.createReminderTimeStep(PRESET_TIMES, state.data.time), error)
+      },
+
+      text: (ctx, text, state) => {
+        const time = reminderService.parseTime(text)
+        if (!time) return { error: 'reminders.wizard.invalidTime' }
+        return { ...nextStep(state, 'time'), data: { time } }
+      },
+
+      action: (ctx, value, state) => {
+        const time = reminderService.parseTime(value.replace(/^time_/, ''))
+        if (!value.startsWith('time_') || !time) return
+        return { ...nextStep(state, 'time'), data: { time } }
+      }
+    },
+
+    topics: {
+      enter: (ctx, state, error) => {
+        const prompt = ctx.t('reminders.wizard.topics', { max: MAX_TOPICS })
+        const topics = reminderService.getTopics().map(key => ({
+          key,
+          name: ctx.t(`reminders.topics.${key}`),
+          selected: state.data.topics.includes(key)
+        }))
+        return render(ctx, state, prompt, keyboards.createReminderTopicsStep(topics), error)
+      },
+
+      action: (ctx, value, state) => {
+        if (value === 'save') return { done: true }
+
+        const topic = value.match(/^topic_([a-z_]+)$/)?.[1]
+        if (!topic || !reminderService.getTopics().includes(topic)) return
+
+        const { topics } = state.data
+        if (topics.includes(topic)) {
+          return { step: 'topics', data: { topics: topics.filter(item => item !== topic) } }
+        }
+        if (topics.length >= MAX_TOPICS) return { error: 'reminders.wizard.tooManyTopics' }
+
+        return { step: 'topics', data: { topics: [...topics, topic] } }
+      }
+    }
+  },
+
+  complete: async (ctx, state) => {
+    const { reminderId, ...draft } = state.data
+    const { reminder, error } = reminderId
+      ? await reminderService.update(ctx.user.id, reminderId, draft)
+      : await reminderService.create(ctx.user, draft)
+
+    if (error) {
+      logger.warn('Reminder wizard could not save', { userId: ctx.user.id, reminderId, error })
+      return await showList(ctx, `❌ ${ctx.t(SAVE_ERRORS[error] || 'reminders.wizard.invalid')}`)
+    }
+
+    await schedulerService.rescheduleUserReminders(ctx.user.id)
+    await showList(ctx, `${config.emojis.success} ${ctx.t(reminderId ? 'reminders.wizard.updated' : 'reminders.created')}: *${reminder.name}*`)
+  },
+
+  cancel: (ctx) => showList(ctx),
+
+  // The reminder menus keep the wizard; other buttons suspend it
+  actions: /^reminder_/
+})
+
+/**
+ * Next step of the wizard, or the end when editing a single step
+ */
+function nextStep(state, step) {
+  const index = STEPS.indexOf(step)
+  if (state.data.only || index === STEPS.length - 1) return { done: true }
+  return { step: STEPS[index + 1] }
+}
+
+/**
+ * Show a step: edit the message whose button was pressed, otherwise reply
+ */
+async function render(ctx, state, prompt, keyboard, error = null) {
+  const progress = state.data.only ? '' : ` (${STEPS.indexOf(state.step) + 1}/${STEPS.length})`
+  const title = state.data.reminderId ? state.data.name : ctx.t('reminders.wizard.title')
+
+  let text = `${config.emojis.reminder} **${title}**${progress}\n\n`
+  if (error) text += `⚠️ ${ctx.t(error, { max: MAX_TOPICS })}\n\n`
+  text += prompt
+
+  const extra = { reply_markup: keyboard.reply_markup, parse_mode: 'Markdown' }
+  return ctx.callbackQuery ? await ctx.safeEditText(text, extra) : await ctx.safeReply(text, extra)
+}
+
+/**
+ * Reminders list with the reminder settings keyboard, after the wizard ends
+ */
+async function showList(ctx, notice = null) {
+  const reminders = await reminderService.list(ctx.user.id)
+  let text = messages.formatRemindersList(reminders, {
+    timezone: ctx.user.timezone,
+    prayerNames: prayerTimeService.getPrayerNames()
+  })
+  if (notice) text = `${notice}\n\n${text}`
+
+  const extra = { reply_markup: keyboards.get('settings_reminders').reply_markup, parse_mode: 'Markdown' }
+  return ctx.callbackQuery ? await ctx.safeEditText(text, extra) : await ctx.safeReply(text, extra)
+}
+
+/**
+ * Buttons of the days step: weekdays, or the days of the month
+ */
+function dayButtons({ frequency, days }) {
+  if (frequency === 'monthly') {
+    return Array.from({ length: 31 }, (_, i) => ({ value: i + 1, label: String(i + 1), selected: days.includes(i + 1) }))
+  }
+
+  const weekdays = moment.localeData(i18n.getLocale()).weekdaysShort()
+  return weekdays.map((label, day) => ({
+    value: day,
+    label,
+    selected: (frequency === 'daily' && days.length === 0) || days.includes(day)
+  }))
+}
+
+/**
+ * Today's weekday or date in the user's timezone; every day for daily reminders
+ */
+function defaultDays(ctx, frequency) {
+  if (frequency === 'daily') return []
+
+  const today = moment().tz(timezoneService.resolve(ctx.user?.timezone))
+  return [frequency === 'monthly' ? today.date() : today.day()]
+}
+
+export default {
+  handleReminderAction
+}
@@ -1,22 +1,36 @@
 import hadithAPI from '../api/hadith.js'
+import searchService, { BOOK_FILTERS, NARRATORS } from '../services/searchService.js'
+import reminderService from '../services/reminderService.js'
+import relatedService from '../services/relatedService.js'
+import shareService from '../services/shareService.js'
+import translationService from '../services/translationService.js'
+import config from '../config/index.js'
 import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
 import logger from '../utils/logger.js'
+import { parseReference, formatReference } from '../utils/references.js'
+import { t } from '../i18n/index.js'
 
 /**
  * Search Handler - Hadith search functionality
+ *
+ * The advanced search choices ({ book, narrator, sahihOnly }) are kept in
+ * ctx.session.searchScope and scope every search the user makes after choosing them.
  */
 
+const BROWSE_LIMIT = 50 // Hadiths listed for a narrator or a topic
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
 /**
  * Handle /search command
  */
 async function searchCommand(ctx) {
   try {
-    await ctx.safeAnswerCbQuery('البحث في الأحاديث')
+    await ctx.safeAnswerCbQuery(ctx.t('search.menu.answer'))
     await ctx.safeEditText(
-      `${require('../config/index.js').default.emojis.search} **البحث في الأحاديث النبوية**\n\nاختر نوع البحث المطلوب:`,
+      `${config.emojis.search} **${ctx.t('search.menu.title')}**\n\n${ctx.t('search.menu.choose')}`,
       {
-        reply_markup: keyboards.get('search_options').reply_markup,
+        reply_markup: keyboards.createSearchOptions(getScope(ctx)).reply_markup,
         parse_mode: 'Markdown'
       }
     )
@@ -24,7 +38,7 @@ async function searchCommand(ctx) {
     logger.userActivity(ctx.user?.id, 'search_menu_opened')
   } catch (error) {
     logger.logError(error, { operation: 'search_command', userId: ctx.user?.id })
-    await ctx.safeReply('❌ حدث خطأ أثناء فتح قائمة البحث')
+    await ctx.safeReply(`❌ ${ctx.t('search.menu.error')}`)
   }
 }
 
@@ -35,15 +49,24 @@ async function handleTextSearch(ctx) {
   try {
     const query = ctx.message.text.trim()
     if (!query || query.length < 2) {
-      return await ctx.safeReply('🔍 يرجى كتابة كلمة بحث تحتوي على حرفين على الأقل')
+      return await ctx.safeReply(`🔍 ${ctx.t('search.tooShort')}`)
+    }
+
+    // A reference such as "مسلم 2564" opens that hadith when it is stored locally
+    const reference = parseReference(query)
+    if (reference) {
+      const hadith = await hadithAPI.getByReference(reference)
+      if (hadith) return await sendHadith(ctx, hadith)
     }
 
     // Send loading message
-    const loadingMsg = await ctx.safeReply(messages.formatLoading('البحث في الأحاديث'))
+    const loadingMsg = await ctx.safeReply(messages.formatLoading(ctx.t('search.menu.answer')))
     
     // Search for hadiths
     const results = await hadithAPI.search(query)
-    
+    const search = await searchService.createSearch(ctx.user?.id, query, results, getScope(ctx))
+    ctx.session.searchState = { searchId: search.id, pendingFilters: [...search.filters] }
+
     if (results.length === 0) {
       const noResultsMsg = messages.formatNoResults(query)
       return await ctx.telegram.editMessageText(
@@ -53,21 +76,21 @@ async function handleTextSearch(ctx) {
         noResultsMsg,
         { 
           parse_mode: 'Markdown',
-          reply_markup: keyboards.get('search_options').reply_markup
+          reply_markup: keyboards.createSearchOptions(getScope(ctx)).reply_markup
         }
       )
     }
 
-    // Format and send results
-    const resultsMsg = messages.formatSearchResults(results.slice(0, 10), query, 1, Math.ceil(results.length / 10))
+    // Format and send the first page
+    const { text, keyboard } = buildResultsView(search, 1)
     await ctx.telegram.editMessageText(
       ctx.chat.id,
       loadingMsg.message_id,
       null,
-      resultsMsg,
+      text,
       { 
         parse_mode: 'Markdown',
-        reply_markup: keyboards.createHadithNavigation(1, Math.ceil(results.length / 10), 'search').reply_markup
+        reply_markup: keyboard.reply_markup
       }
     )
 
@@ -75,37 +98,66 @@ async function handleTextSearch(ctx) {
 
   } catch (error) {
     logger.logError(error, { operation: 'handle_text_search', userId: ctx.user?.id })
-    await ctx.safeReply('❌ حدث خطأ أثناء البحث. يرجى المحاولة مرة أخرى.')
+    await ctx.safeReply(`❌ ${ctx.t('search.error')}`)
+  }
+}
+
+/**
+ * Handle /hadith <reference>, e.g. /hadith bukhari:1 or /hadith مسلم 2564
+ */
+async function hadithCommand(ctx) {
+  const argument = ctx.message.text.replace(/^\/hadith(@\w+)?/i, '').trim()
+
+  if (!argument) {
+    return await ctx.safeReply(
+      `${config.emojis.book} *${ctx.t('hadith.byReference.title')}*\n\n` +
+      `${ctx.t('hadith.byReference.usage')}\n` +
+      '`/hadith bukhari:1`\n' +
+      '`/hadith مسلم 2564`',
+      { parse_mode: 'Markdown' }
+    )
   }
+
+  await showHadith(ctx, argument)
 }
 
 /**
- * Show specific hadith
+ * Show specific hadith by internal ID or canonical reference (bukhari:1, bukhari_1, مسلم 2564)
  */
 async function showHadith(ctx, hadithId) {
   try {
-    const hadith = await hadithAPI.getById(hadithId)
+    const reference = UUID_PATTERN.test(hadithId) ? null : parseReference(hadithId)
+    const hadith = reference
+      ? await hadithAPI.getByReference(reference)
+      : await hadithAPI.getById(hadithId)
     
     if (!hadith) {
-      return await ctx.safeReply('❌ لم يتم العثور على الحديث المطلوب')
+      const notFound = reference
+        ? `❌ ${ctx.t('hadith.byReference.notFound', { reference: formatReference(reference) })}`
+        : `❌ ${ctx.t('errors.hadithNotFound')}`
+      return await ctx.safeReply(notFound, { parse_mode: 'Markdown' })
     }
 
-    const hadithMsg = messages.formatHadith(hadith)
-    const hadithKeyboard = keyboards.createHadithActions(hadithId, ctx.user?.id)
-
-    await ctx.safeReply(hadithMsg, {
-      reply_markup: hadithKeyboard.reply_markup,
-      parse_mode: 'Markdown'
-    })
-
-    logger.userActivity(ctx.user?.id, 'view_hadith', { hadithId })
-
+    await sendHadith(ctx, hadith)
   } catch (error) {
     logger.logError(error, { operation: 'show_hadith', userId: ctx.user?.id, hadithId })
-    await ctx.safeReply('❌ حدث خطأ أثناء عرض الحديث')
+    await ctx.safeReply(`❌ ${ctx.t('hadith.showError')}`)
   }
 }
 
+async function sendHadith(ctx, hadith) {
+  const hadithMsg = messages.formatHadith(await translationService.localize(hadith))
+  const isFavorited = hadith.favorites?.some(favorite => favorite.userId === ctx.user?.id)
+  const hadithKeyboard = keyboards.createHadithActions(hadith.id, ctx.user?.id, isFavorited)
+
+  await ctx.safeReply(hadithMsg, {
+    reply_markup: hadithKeyboard.reply_markup,
+    parse_mode: 'Markdown'
+  })
+
+  logger.userActivity(ctx.user?.id, 'view_hadith', { hadithId: hadith.id })
+}
+
 /**
  * Show search options
  */
@@ -114,64 +166,440 @@ async function showSearchOptions(ctx) {
 }
 
 /**
- * Handle search action callbacks
+ * Handle search action callbacks: the search menu, advanced search (search_scope_*),
+ * and the narrator and topic lists (search_narrator_<index>, search_topic_<key>)
  */
 async function handleSearchAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... هذه الميزة قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+    const scope = getScope(ctx)
+
+    if (data.startsWith('search_scope_')) {
+      return await handleScopeAction(ctx, data.replace(/^search_scope_/, ''))
+    }
+
+    const narratorMatch = data.match(/^search_narrator_(\d+)$/)
+    if (narratorMatch) {
+      const narrator = NARRATORS[parseInt(narratorMatch[1], 10)]
+      if (!narrator) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+      return await browse(ctx, narrator, { narrator })
+    }
+
+    const topicMatch = data.match(/^search_topic_(.+)$/)
+    if (topicMatch) {
+      if (!reminderService.getTopics().includes(topicMatch[1])) {
+        return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+      }
+      // Hadiths stored under the topic, then those that mention it
+      const term = reminderService.getTopicQuery(topicMatch[1])
+      return await browse(ctx, term, { topic: term }, await hadithAPI.search(term))
+    }
+
+    switch (data) {
+      case 'search_filters':
+        return await showFilters(ctx)
+      case 'search_general':
+        // A general search is not limited to the book or narrator chosen before
+        scope.book = null
+        scope.narrator = null
+        await ctx.safeAnswerCbQuery()
+        return await ctx.safeEditText(
+          `${config.emojis.search} **${ctx.t('buttons.searchGeneral')}**\n\n${ctx.t('search.generalHint')}`,
+          {
+            reply_markup: keyboards.createSearchOptions(scope).reply_markup,
+            parse_mode: 'Markdown'
+          }
+        )
+      case 'search_advanced':
+      case 'search_by_book':
+        await ctx.safeAnswerCbQuery()
+        return await showScope(ctx)
+      case 'search_by_narrator':
+        await ctx.safeAnswerCbQuery()
+        return await showPicker(ctx, `👤 **${ctx.t('buttons.searchByNarrator')}**\n\n${ctx.t('search.chooseNarrator')}`,
+          NARRATORS.map((narrator, index) => ({ label: narrator, data: `search_narrator_${index}` })))
+      case 'search_by_topic':
+        await ctx.safeAnswerCbQuery()
+        return await showPicker(ctx, `🏷️ **${ctx.t('buttons.searchByTopic')}**\n\n${ctx.t('search.chooseTopic')}`,
+          reminderService.getTopics().map(key => ({ label: ctx.t(`reminders.topics.${key}`), data: `search_topic_${key}` })))
+      case 'search_sahih_only':
+        scope.sahihOnly = !scope.sahihOnly
+        await ctx.safeAnswerCbQuery(ctx.t(scope.sahihOnly ? 'search.sahihOn' : 'search.sahihOff'))
+        return await ctx.safeEditText(
+          `${config.emojis.search} **${ctx.t('search.menu.title')}**\n\n${ctx.t('search.menu.choose')}`,
+          {
+            reply_markup: keyboards.createSearchOptions(scope).reply_markup,
+            parse_mode: 'Markdown'
+          }
+        )
+      default:
+        return await ctx.safeAnswerCbQuery()
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_search_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 /**
- * Handle filter actions
+ * Advanced search: search_scope_book_<key>, search_scope_narrator_<index>,
+ * search_scope_sahih and search_scope_clear change the scope of the next searches
+ */
+async function handleScopeAction(ctx, action) {
+  const scope = getScope(ctx)
+
+  if (action === 'clear') {
+    ctx.session.searchScope = {}
+  } else if (action === 'sahih') {
+    scope.sahihOnly = !scope.sahihOnly
+  } else if (action.startsWith('book_')) {
+    const book = action.replace(/^book_/, '')
+    if (!BOOK_FILTERS[book]) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+    scope.book = scope.book === book ? null : book
+  } else if (action.startsWith('narrator_')) {
+    const narrator = NARRATORS[parseInt(action.replace(/^narrator_/, ''), 10)]
+    if (!narrator) return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+    scope.narrator = scope.narrator === narrator ? null : narrator
+  } else {
+    return await ctx.safeAnswerCbQuery()
+  }
+
+  await ctx.safeAnswerCbQuery(action === 'clear' ? ctx.t('search.filtersCleared') : undefined)
+  await showScope(ctx)
+
+  logger.userActivity(ctx.user?.id, 'search_scope_changed', { scope: getScope(ctx) })
+}
+
+/**
+ * List the stored hadiths of a narrator or a topic as a pageable result set, within
+ * the book and grade chosen in advanced search
+ * @param {string} query - What the list is shown and recorded as
+ * @param {Array} extra - Further hadiths to list after the stored ones
+ */
+async function browse(ctx, query, filters, extra = []) {
+  await ctx.safeAnswerCbQuery(ctx.t('search.menu.answer'))
+
+  const scope = getScope(ctx)
+  const results = hadithAPI.mergeResults(await hadithAPI.browse(filters, { limit: BROWSE_LIMIT }), extra)
+  const search = await searchService.createSearch(ctx.user?.id, query, results, {
+    book: scope.book,
+    sahihOnly: scope.sahihOnly
+  })
+  ctx.session.searchState = { searchId: search.id, pendingFilters: [...search.filters] }
+
+  if (results.length === 0) {
+    await ctx.safeEditText(messages.formatNoResults(query), {
+      reply_markup: keyboards.createSearchOptions(scope).reply_markup,
+      parse_mode: 'Markdown'
+    })
+  } else {
+    await renderResults(ctx, search, 1)
+  }
+
+  logger.userActivity(ctx.user?.id, 'search_browse', { filters, resultCount: results.length })
+}
+
+async function showScope(ctx) {
+  const scope = getScope(ctx)
+  const parts = [
+    scope.book && `${ctx.t('random.book')}: ${ctx.t(`books.${scope.book}`)}`,
+    scope.narrator && `${ctx.t('random.narrator')}: ${scope.narrator}`,
+    scope.sahihOnly && ctx.t('buttons.sahihOnly')
+  ].filter(Boolean)
+  const summary = parts.length > 0 ? parts.join(' • ') : ctx.t('search.scopeNone')
+
+  await ctx.safeEditText(
+    `🎯 **${ctx.t('buttons.searchAdvanced')}**\n\n🎯 ${summary}\n\n${ctx.t('search.scopeHint')}`,
+    {
+      reply_markup: keyboards.createSearchScope(scope, Object.keys(BOOK_FILTERS), NARRATORS).reply_markup,
+      parse_mode: 'Markdown'
+    }
+  )
+}
+
+async function showPicker(ctx, text, items) {
+  await ctx.safeEditText(text, {
+    reply_markup: keyboards.createSearchPicker(items).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+/**
+ * Handle filter actions: filter_<book> toggles a book, apply_filters and
+ * clear_filters update the active search, back_to_search returns to its results
  */
 async function handleFilterAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... الفلاتر قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+    const search = await getActiveSearch(ctx)
+    if (!search) return await searchExpired(ctx)
+
+    const state = ctx.session.searchState
+
+    if (data === 'back_to_search') {
+      state.pendingFilters = [...search.filters]
+      await ctx.safeAnswerCbQuery()
+      return await renderResults(ctx, search, 1)
+    }
+
+    if (data === 'apply_filters' || data === 'clear_filters') {
+      const filters = data === 'clear_filters' ? [] : state.pendingFilters || []
+      await searchService.setFilters(search, filters)
+      state.pendingFilters = [...search.filters]
+
+      const { totalCount } = searchService.getPage(search, 1)
+      await ctx.safeAnswerCbQuery(data === 'clear_filters' ? ctx.t('search.filtersCleared') : ctx.t('search.resultCount', { count: totalCount }))
+
+      logger.userActivity(ctx.user?.id, 'search_filtered', {
+        searchId: search.id,
+        filters: search.filters,
+        resultCount: totalCount
+      })
+
+      return await renderResults(ctx, search, 1)
+    }
+
+    const key = data.replace(/^filter_/, '')
+    if (!searchService.isValidFilter(key)) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('search.unknownFilter')}`)
+    }
+
+    const pending = new Set(state.pendingFilters || [])
+    if (pending.has(key)) {
+      pending.delete(key)
+    } else {
+      pending.add(key)
+    }
+    state.pendingFilters = [...pending]
+
+    await ctx.safeAnswerCbQuery(ctx.t(`books.${key}`))
+    await ctx.safeEditText(formatFiltersText(search), {
+      reply_markup: keyboards.createSearchFilters(state.pendingFilters).reply_markup,
+      parse_mode: 'Markdown'
+    })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_filter_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 /**
- * Handle navigation actions
+ * Handle navigation actions: nav_prev|next_<searchId>_<page>, nav_first|last_<searchId>
  */
 async function handleNavigationAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... التنقل قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'nav_page_info') {
+      return await ctx.safeAnswerCbQuery()
+    }
+
+    const pageMatch = data.match(/^nav_(?:prev|next)_([a-z0-9]+)_(\d+)$/)
+    const jumpMatch = data.match(/^nav_(first|last)_([a-z0-9]+)$/)
+
+    const searchId = pageMatch?.[1] || jumpMatch?.[2]
+    const search = await searchService.getSearch(searchId)
+    if (!search) return await searchExpired(ctx)
+
+    let page = 1
+    if (pageMatch) {
+      page = parseInt(pageMatch[2], 10)
+    } else if (jumpMatch?.[1] === 'last') {
+      page = searchService.getPage(search, 1).totalPages
+    }
+
+    ctx.session.searchState = { searchId: search.id, pendingFilters: [...search.filters] }
+
+    await ctx.safeAnswerCbQuery()
+    await renderResults(ctx, search, page)
+
+    logger.userActivity(ctx.user?.id, 'search_page', { searchId: search.id, page })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_navigation_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+async function showFilters(ctx) {
+  const search = await getActiveSearch(ctx)
+  if (!search) return await searchExpired(ctx)
+
+  ctx.session.searchState.pendingFilters = [...search.filters]
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(formatFiltersText(search), {
+    reply_markup: keyboards.createSearchFilters(search.filters).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function renderResults(ctx, search, page) {
+  const { text, keyboard } = buildResultsView(search, page)
+  await ctx.safeEditText(text, {
+    reply_markup: keyboard.reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+function getScope(ctx) {
+  if (!ctx.session.searchScope) ctx.session.searchScope = {}
+  return ctx.session.searchScope
+}
+
+function buildResultsView(search, page) {
+  const { results, page: safePage, totalPages, totalCount } = searchService.getPage(search, page)
+  const filterNames = search.filters.map(key => t(`books.${key}`))
+
+  if (totalCount === 0 && filterNames.length > 0) {
+    return {
+      text: `${config.emojis.search} ${t('search.searchFor', { query: search.query })}\n\n` +
+        `${config.emojis.warning} ${t('search.noResultsIn', { books: filterNames.join(t('common.listSeparator')) })}\n\n` +
+        `💡 ${t('search.noResultsInHint')}`,
+      keyboard: keyboards.createSearchFilters(search.filters)
+    }
+  }
+
+  return {
+    text: messages.formatSearchResults(results, search.query, safePage, totalPages, {
+      totalCount,
+      filters: filterNames,
+      narrator: search.narrator,
+      sahihOnly: search.sahihOnly
+    }),
+    keyboard: keyboards.createHadithNavigation(safePage, totalPages, search.id, search.filters.length)
+  }
+}
+
+function formatFiltersText(search) {
+  return `🎯 **${t('search.filtersTitle')}**\n\n` +
+    `${config.emojis.search} *"${search.query}"* - ${t('search.resultCount', { count: search.results.length })}\n\n` +
+    t('search.filtersHint')
+}
+
+async function getActiveSearch(ctx) {
+  const state = ctx.session?.searchState
+  if (!state?.searchId) return null
+
+  return await searchService.getSearch(state.searchId)
+}
+
+async function searchExpired(ctx) {
+  await ctx.safeAnswerCbQuery(ctx.t('search.expired'))
+  await searchCommand(ctx)
 }
 
 /**
- * Share hadith
+ * Share hadith: a deep link that opens it in the bot and credits the sharing user
  */
 async function shareHadith(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... المشاركة قيد التطوير')
+  try {
+    const hadith = await hadithAPI.getById(ctx.match[1])
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    const link = shareService.getLink(hadith, ctx.user?.id)
+    const preview = hadith.arabicText || hadith.text || ''
+
+    await ctx.safeAnswerCbQuery()
+    await ctx.safeReply(messages.formatShareHadith(hadith, link), {
+      reply_markup: keyboards.createShareActions(hadith.id, link, preview.length > 200 ? preview.substring(0, 200) + '...' : preview).reply_markup,
+      parse_mode: 'Markdown'
+    })
+
+    logger.userActivity(ctx.user?.id, 'share_hadith', { hadithId: hadith.id })
+  } catch (error) {
+    logger.logError(error, { operation: 'share_hadith', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 /**
- * Copy hadith text
+ * Permanent link to a hadith, without referral attribution
  */
-async function copyHadith(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... النسخ قيد التطوير')
+async function permalinkHadith(ctx) {
+  try {
+    const hadith = await hadithAPI.getById(ctx.match[1])
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    await ctx.safeAnswerCbQuery()
+    await ctx.safeReply(`🔗 *${ctx.t('share.permalink')}*\n\`${shareService.getLink(hadith)}\``, { parse_mode: 'Markdown' })
+
+    logger.userActivity(ctx.user?.id, 'permalink_hadith', { hadithId: hadith.id })
+  } catch (error) {
+    logger.logError(error, { operation: 'permalink_hadith', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 /**
- * Find related hadiths
+ * Copy hadith text: sent without parse_mode so it copies cleanly
  */
-async function findRelated(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... الأحاديث المشابهة قيد التطوير')
+async function copyHadith(ctx) {
+  try {
+    const hadith = await hadithAPI.getById(ctx.match[1])
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    await ctx.safeAnswerCbQuery(`📋 ${ctx.t('share.copyHint')}`)
+    await ctx.safeReply(messages.formatPlainHadith(hadith))
+
+    logger.userActivity(ctx.user?.id, 'copy_hadith', { hadithId: hadith.id })
+  } catch (error) {
+    logger.logError(error, { operation: 'copy_hadith', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 /**
- * Find more hadiths from same book
+ * Find related hadiths: parallel narrations, then similar hadiths from the local library.
+ * related_<id> opens the list in a new message, related_page_<id>_<page> pages it.
  */
-async function moreFromBook(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... البحث في نفس الكتاب قيد التطوير')
+async function findRelated(ctx) {
+  try {
+    const paging = ctx.match[1].match(/^page_(.+)_(\d+)$/)
+    const hadithId = paging ? paging[1] : ctx.match[1]
+    const hadith = await hadithAPI.getById(hadithId)
+    if (!hadith) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.hadithNotFound')}`)
+    }
+
+    const { hadiths, page, totalPages, totalCount } = await relatedService.getPage(hadith, paging ? parseInt(paging[2]) : 1)
+    const text = messages.formatRelated(hadith, hadiths, page, totalPages, totalCount)
+    const extra = {
+      reply_markup: keyboards.createRelatedNavigation(hadith.id, page, totalPages).reply_markup,
+      parse_mode: 'Markdown'
+    }
+
+    await ctx.safeAnswerCbQuery()
+    if (paging) {
+      await ctx.safeEditText(text, extra)
+    } else {
+      await ctx.safeReply(text, extra)
+    }
+
+    logger.userActivity(ctx.user?.id, 'view_related', { hadithId, page, totalCount })
+  } catch (error) {
+    logger.logError(error, { operation: 'find_related', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 export default {
   searchCommand,
   handleTextSearch,
+  hadithCommand,
   showHadith,
+  sendHadith,
   showSearchOptions,
   handleSearchAction,
   handleFilterAction,
   handleNavigationAction,
   shareHadith,
+  permalinkHadith,
   copyHadith,
-  findRelated,
-  moreFromBook
+  findRelated
 }
\ No newline at end of file
@@ -1,35 +1,584 @@
+import { Markup } from 'telegraf'
+import moment from 'moment-timezone'
+import db from '../database/index.js'
 import logger from '../utils/logger.js'
+import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
+import config from '../config/index.js'
+import prayerTimeService, { PRAYERS } from '../services/prayerTimeService.js'
+import schedulerService from '../services/schedulerService.js'
+import timezoneService from '../services/timezoneService.js'
+import i18n from '../i18n/index.js'
+
+// Typed-input flows and their buttons; any other button, or a command, ends them
+const pendingInputs = [
+  { name: 'awaitingLocation', actions: /^settings_(?:location|city_)/ },
+  { name: 'awaitingTimezone', actions: /^(?:timezone_select|tz_)/ }
+].map(({ name, actions }) => ({
+  name,
+  actions,
+  clear: (ctx) => {
+    if (ctx.session?.settings?.[name]) ctx.session.settings[name] = false
+  }
+}))
+
+function settingsText(ctx) {
+  return `${config.emojis.settings} **${ctx.t('settings.title')}**\n\n${ctx.t('settings.choose')}`
+}
 
 async function settingsCommand(ctx) {
-  await ctx.safeReply('⚙️ قريباً... الإعدادات قيد التطوير')
+  await ctx.safeReply(settingsText(ctx), {
+    reply_markup: keyboards.get('settings_main').reply_markup,
+    parse_mode: 'Markdown'
+  })
   logger.userActivity(ctx.user?.id, 'settings_command')
 }
 
 async function showSettings(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... الإعدادات قيد التطوير')
-  await ctx.safeEditText('⚙️ قريباً... الإعدادات قيد التطوير', {
-    reply_markup: keyboards.get('main').reply_markup
+  await ctx.safeAnswerCbQuery(ctx.t('settings.title'))
+  await ctx.safeEditText(settingsText(ctx), {
+    reply_markup: keyboards.get('settings_main').reply_markup,
+    parse_mode: 'Markdown'
   })
 }
 
 async function showReminders(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... التذكيرات قيد التطوير')
-  await ctx.safeEditText('⏰ قريباً... التذكيرات قيد التطوير', {
-    reply_markup: keyboards.get('main').reply_markup
-  })
+  try {
+    const user = ctx.user
+    if (!user) return
+
+    const reminders = await db.prisma.reminder.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'asc' }
+    })
+
+    let text = messages.formatRemindersList(reminders, {
+      timezone: user.timezone,
+      prayerNames: prayerTimeService.getPrayerNames()
+    })
+
+    if (prayerTimeService.hasLocation(user)) {
+      text += '\n\n' + formatTodayPrayerTimes(user)
+    }
+
+    await ctx.safeAnswerCbQuery()
+    await ctx.safeEditText(text, {
+      reply_markup: keyboards.get('settings_reminders').reply_markup,
+      parse_mode: 'Markdown'
+    })
+  } catch (error) {
+    logger.logError(error, { operation: 'show_reminders', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.showError')}`)
+  }
 }
 
 async function handleSettingsAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إعدادات متقدمة قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'settings_reminders') {
+      return await showReminders(ctx)
+    }
+
+    if (data === 'settings_location') {
+      return await requestLocation(ctx)
+    }
+
+    if (data === 'settings_language') {
+      return await handleLanguageAction(ctx)
+    }
+
+    if (data === 'settings_method') {
+      return await showMethods(ctx)
+    }
+
+    const methodMatch = data.match(/^settings_method_(.+)$/)
+    if (methodMatch) {
+      return await setMethod(ctx, methodMatch[1])
+    }
+
+    const cityMatch = data.match(/^settings_city_(.+)$/)
+    if (cityMatch) {
+      return await setCity(ctx, cityMatch[1])
+    }
+
+    await ctx.safeAnswerCbQuery(ctx.t('settings.comingSoon'))
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_settings_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
 async function handleReminderAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... إدارة التذكيرات قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'reminder_prayer') {
+      return await showPrayerChoice(ctx)
+    }
+
+    const createMatch = data.match(/^reminder_prayer_([a-z]+)_(-?\d+)$/)
+    if (createMatch) {
+      return await createPrayerReminder(ctx, createMatch[1], parseInt(createMatch[2], 10))
+    }
+
+    const prayerMatch = data.match(/^reminder_prayer_([a-z]+)$/)
+    if (prayerMatch) {
+      return await showPrayerOffsets(ctx, prayerMatch[1])
+    }
+
+    await ctx.safeAnswerCbQuery(ctx.t('reminders.comingSoon'))
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_reminder_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
 }
 
+/**
+ * Show the language settings, or save the language picked with lang_<code>
+ */
 async function handleLanguageAction(ctx) {
-  await ctx.safeAnswerCbQuery('قريباً... تغيير اللغة قيد التطوير')
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'settings_language') {
+      await ctx.safeAnswerCbQuery()
+      return await showLanguages(ctx)
+    }
+
+    const locale = data.replace(/^lang_/, '')
+    if (!i18n.isSupported(locale)) {
+      return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('settings.language.unsupported')}`)
+    }
+
+    await ctx.setUserPreference('language', locale)
+    ctx.setLocale(locale)
+
+    await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t('settings.language.saved')}`)
+    await showLanguages(ctx)
+
+    logger.userActivity(ctx.user?.id, 'language_updated', { locale })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_language_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+async function showLanguages(ctx) {
+  const language = ctx.t(`languages.${ctx.locale}`)
+  await ctx.safeEditText(`🌐 **${ctx.t('buttons.languageRegion')}**\n\n${ctx.t('settings.language.current', { language })}`, {
+    reply_markup: keyboards.get('settings_language').reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+/**
+ * Location and calculation method
+ */
+
+async function requestLocation(ctx) {
+  ctx.session.settings.awaitingLocation = true
+  ctx.session.settings.awaitingTimezone = false
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeReply(
+    `📍 **${ctx.t('settings.location.title')}**\n\n${ctx.t('settings.location.request')}`,
+    {
+      reply_markup: keyboards.createLocationRequest().reply_markup,
+      parse_mode: 'Markdown'
+    }
+  )
+}
+
+/**
+ * Handle a shared location message: the user's timezone during the timezone flow,
+ * otherwise their prayer times location
+ */
+async function handleLocation(ctx) {
+  try {
+    if (!ctx.user || !ctx.isPrivate()) return
+
+    const { latitude, longitude } = ctx.message.location
+
+    if (ctx.session.settings.awaitingTimezone) {
+      const { timezone } = timezoneService.detect(latitude, longitude)
+      await saveTimezone(ctx, timezone, 'location')
+      await ctx.safeReply(`${config.emojis.success} ${ctx.t('settings.timezone.detected')}`, {
+        reply_markup: Markup.removeKeyboard().reply_markup
+      })
+      return await ctx.safeReply(messages.formatTimezone(timezone), {
+        reply_markup: keyboards.createTimezoneMenu().reply_markup,
+        parse_mode: 'Markdown'
+      })
+    }
+
+    await saveLocation(ctx, { latitude, longitude, city: null })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_location', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('settings.location.saveError')}`)
+  }
+}
+
+/**
+ * Consume free text while waiting for a city name, otherwise pass it on. Only the
+ * first message is taken; to type another name the user opens the flow again.
+ */
+async function handleTextInput(ctx, next) {
+  const text = ctx.message?.text?.trim()
+  if (!text || text.startsWith('/')) {
+    return next()
+  }
+
+  if (ctx.session?.settings?.awaitingTimezone) {
+    ctx.session.settings.awaitingTimezone = false
+    return await searchTimezone(ctx, text)
+  }
+
+  if (!ctx.session?.settings?.awaitingLocation) {
+    return next()
+  }
+  ctx.session.settings.awaitingLocation = false
+
+  try {
+    const cities = prayerTimeService.findCities(text)
+
+    if (cities.length === 0) {
+      return await ctx.safeReply(`❌ ${ctx.t('settings.location.cityNotFound')}`)
+    }
+
+    if (cities.length === 1) {
+      return await applyCity(ctx, cities[0])
+    }
+
+    await ctx.safeReply(`📍 ${ctx.t('settings.location.chooseCity')}`, {
+      reply_markup: keyboards.createCityChoice(cities).reply_markup
+    })
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_settings_text', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('settings.location.searchError')}`)
+  }
+}
+
+async function setCity(ctx, cityId) {
+  const city = prayerTimeService.getCity(cityId)
+  if (!city) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('settings.location.unknownCity')}`)
+  }
+
+  await ctx.safeAnswerCbQuery(city.name[ctx.locale] || city.name.ar)
+  await applyCity(ctx, city)
+}
+
+async function applyCity(ctx, city) {
+  await saveLocation(ctx, {
+    latitude: city.latitude,
+    longitude: city.longitude,
+    city: city.name.ar,
+    timezone: city.timezone,
+    method: city.method
+  })
+}
+
+async function saveLocation(ctx, { latitude, longitude, city, timezone = null, method = null }) {
+  const data = {
+    latitude,
+    longitude,
+    city,
+    timezone: timezone || timezoneService.detect(latitude, longitude).timezone
+  }
+  if (method && prayerTimeService.isValidMethod(method)) data.prayerMethod = method
+
+  ctx.user = await db.prisma.user.update({
+    where: { id: ctx.user.id },
+    data
+  })
+  ctx.session.settings.awaitingLocation = false
+
+  await moveReminders(ctx.user.id, data.timezone)
+
+  const saved = city ? ctx.t('settings.location.savedCity', { city }) : ctx.t('settings.location.saved')
+  await ctx.safeReply(`${config.emojis.success} ${saved}`, {
+    reply_markup: Markup.removeKeyboard().reply_markup
+  })
+  await ctx.safeReply(formatTodayPrayerTimes(ctx.user), {
+    reply_markup: keyboards.createMethodChoice(prayerTimeService.getMethods(), ctx.user.prayerMethod).reply_markup,
+    parse_mode: 'Markdown'
+  })
+
+  logger.userActivity(ctx.user.id, 'location_updated', { city, hasCoordinates: true })
+}
+
+async function showMethods(ctx) {
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(`📐 **${ctx.t('settings.method.title')}**\n\n${ctx.t('settings.method.choose')}`, {
+    reply_markup: keyboards.createMethodChoice(prayerTimeService.getMethods(), ctx.user?.prayerMethod).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function setMethod(ctx, method) {
+  if (!prayerTimeService.isValidMethod(method)) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('settings.method.unknown')}`)
+  }
+
+  ctx.user = await db.prisma.user.update({
+    where: { id: ctx.user.id },
+    data: { prayerMethod: method }
+  })
+  await schedulerService.rescheduleUserReminders(ctx.user.id)
+
+  await ctx.safeAnswerCbQuery(`${config.emojis.success} ${prayerTimeService.getMethods()[method].name}`)
+
+  const text = prayerTimeService.hasLocation(ctx.user)
+    ? formatTodayPrayerTimes(ctx.user)
+    : `📐 ${ctx.t('settings.method.savedWithoutLocation')}`
+
+  await ctx.safeEditText(text, {
+    reply_markup: keyboards.createMethodChoice(prayerTimeService.getMethods(), method).reply_markup,
+    parse_mode: 'Markdown'
+  })
+
+  logger.userActivity(ctx.user.id, 'prayer_method_updated', { method })
+}
+
+/**
+ * Timezone: detected from a shared location or a city name, or picked from a list
+ */
+
+async function handleTimezoneAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+
+    if (data === 'timezone_select') {
+      return await showTimezone(ctx)
+    }
+
+    if (data === 'tz_location') {
+      ctx.session.settings.awaitingTimezone = true
+      ctx.session.settings.awaitingLocation = false
+      await ctx.safeAnswerCbQuery()
+      return await ctx.safeReply(`📍 ${ctx.t('settings.timezone.request')}`, {
+        reply_markup: keyboards.createLocationRequest().reply_markup
+      })
+    }
+
+    if (data === 'tz_regions') {
+      await ctx.safeAnswerCbQuery()
+      return await ctx.safeEditText(`🗺️ **${ctx.t('settings.timezone.title')}**\n\n${ctx.t('settings.timezone.chooseRegion')}`, {
+        reply_markup: keyboards.createTimezoneRegions(timezoneService.getRegions()).reply_markup,
+        parse_mode: 'Markdown'
+      })
+    }
+
+    const regionMatch = data.match(/^tz_region_([A-Za-z]+)_(\d+)$/)
+    if (regionMatch) {
+      return await showTimezoneRegion(ctx, regionMatch[1], parseInt(regionMatch[2], 10))
+    }
+
+    const setMatch = data.match(/^tz_set_(.+)$/)
+    if (setMatch) {
+      if (!timezoneService.isValid(setMatch[1])) {
+        return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('settings.timezone.unknown')}`)
+      }
+
+      await saveTimezone(ctx, setMatch[1], 'picker')
+      await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t('settings.timezone.saved')}`)
+      return await ctx.safeEditText(messages.formatTimezone(setMatch[1], true), {
+        reply_markup: keyboards.createTimezoneMenu().reply_markup,
+        parse_mode: 'Markdown'
+      })
+    }
+
+    await ctx.safeAnswerCbQuery()
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_timezone_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+async function showTimezone(ctx) {
+  // The next typed city name or shared location sets the timezone
+  ctx.session.settings.awaitingTimezone = true
+  ctx.session.settings.awaitingLocation = false
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(messages.formatTimezone(timezoneService.resolve(ctx.user?.timezone)), {
+    reply_markup: keyboards.createTimezoneMenu().reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function showTimezoneRegion(ctx, region, page) {
+  if (!timezoneService.getRegions().includes(region)) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('settings.timezone.unknown')}`)
+  }
+
+  const result = timezoneService.getRegionPage(region, page)
+  const zones = result.zones.map(zone => ({ zone, label: timezoneService.getLabel(zone) }))
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(`🗺️ **${ctx.t(`timezone.regions.${region}`)}**\n\n${ctx.t('settings.timezone.chooseZone')}`, {
+    reply_markup: keyboards.createTimezoneChoice(zones, ctx.user?.timezone, {
+      region,
+      page: result.page,
+      totalPages: result.totalPages
+    }).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function searchTimezone(ctx, text) {
+  try {
+    const zones = timezoneService.search(text)
+
+    if (zones.length === 0) {
+      return await ctx.safeReply(`❌ ${ctx.t('settings.timezone.notFound')}`, {
+        reply_markup: keyboards.createTimezoneChoice([]).reply_markup
+      })
+    }
+
+    if (zones.length === 1) {
+      await saveTimezone(ctx, zones[0], 'search')
+      return await ctx.safeReply(messages.formatTimezone(zones[0], true), {
+        reply_markup: keyboards.createTimezoneMenu().reply_markup,
+        parse_mode: 'Markdown'
+      })
+    }
+
+    await ctx.safeReply(`🕐 ${ctx.t('settings.timezone.chooseZone')}`, {
+      reply_markup: keyboards.createTimezoneChoice(
+        zones.map(zone => ({ zone, label: timezoneService.getLabel(zone) })),
+        ctx.user?.timezone
+      ).reply_markup
+    })
+  } catch (error) {
+    logger.logError(error, { operation: 'search_timezone', userId: ctx.user?.id })
+    await ctx.safeReply(`❌ ${ctx.t('settings.timezone.searchError')}`)
+  }
+}
+
+async function saveTimezone(ctx, timezone, source) {
+  ctx.user = await db.prisma.user.update({
+    where: { id: ctx.user.id },
+    data: { timezone }
+  })
+  ctx.session.settings.awaitingTimezone = false
+
+  await moveReminders(ctx.user.id, timezone)
+
+  logger.userActivity(ctx.user.id, 'timezone_updated', { timezone, source })
+}
+
+/**
+ * Prayer-anchored reminders
+ */
+
+async function showPrayerChoice(ctx) {
+  if (!prayerTimeService.hasLocation(ctx.user)) {
+    await ctx.safeAnswerCbQuery(ctx.t('settings.location.required'))
+    return await requestLocation(ctx)
+  }
+
+  const prayers = PRAYERS.map(id => ({ id, name: prayerTimeService.getPrayerName(id) }))
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(`🕌 **${ctx.t('buttons.prayerReminder')}**\n\n${ctx.t('reminders.choosePrayer')}`, {
+    reply_markup: keyboards.createPrayerChoice(prayers).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function showPrayerOffsets(ctx, prayer) {
+  if (!prayerTimeService.isValidPrayer(prayer)) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.unknownPrayer')}`)
+  }
+
+  const prayerName = prayerTimeService.getPrayerName(prayer)
+
+  await ctx.safeAnswerCbQuery()
+  await ctx.safeEditText(`🕌 **${prayerName}**\n\n${ctx.t('reminders.chooseOffset')}`, {
+    reply_markup: keyboards.createPrayerOffsets(prayer, prayerName).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+async function createPrayerReminder(ctx, prayer, offset) {
+  const user = ctx.user
+  if (!prayerTimeService.isValidPrayer(prayer) || Math.abs(offset) > 180) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.invalidChoice')}`)
+  }
+
+  if (!prayerTimeService.hasLocation(user)) {
+    return await requestLocation(ctx)
+  }
+
+  const now = new Date()
+  const timezone = prayerTimeService.resolveTimezone(user.timezone)
+  const location = {
+    latitude: user.latitude,
+    longitude: user.longitude,
+    method: user.prayerMethod,
+    timezone
+  }
+
+  const todayTime = prayerTimeService.getAnchoredTime(now, location, prayer, offset)
+  if (!todayTime) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('reminders.cannotCompute')}`)
+  }
+
+  const prayerName = prayerTimeService.getPrayerName(prayer)
+  const reminderData = {
+    userId: user.id,
+    name: messages.formatPrayerAnchor(prayerName, offset),
+    frequency: 'daily',
+    time: moment(todayTime).tz(timezone).format('HH:mm'),
+    timezone,
+    anchorPrayer: prayer,
+    anchorOffset: offset
+  }
+  reminderData.nextDue = schedulerService.computeNextDue({ ...reminderData, user }, now)
+
+  const reminder = await db.prisma.reminder.create({ data: reminderData })
+
+  await ctx.safeAnswerCbQuery(`${config.emojis.success} ${ctx.t('reminders.created')}`)
+  await showReminders(ctx)
+
+  logger.userActivity(user.id, 'prayer_reminder_created', {
+    reminderId: reminder.id,
+    prayer,
+    offset
+  })
+}
+
+/**
+ * Helpers
+ */
+
+/**
+ * Keep reminders at the same local time after the user's timezone changes
+ */
+async function moveReminders(userId, timezone) {
+  await db.prisma.reminder.updateMany({
+    where: { userId, timezone: { not: timezone } },
+    data: { timezone }
+  })
+  await schedulerService.rescheduleUserReminders(userId)
+}
+
+function formatTodayPrayerTimes(user) {
+  const timezone = prayerTimeService.resolveTimezone(user.timezone)
+  const times = prayerTimeService.getPrayerTimes(new Date(), {
+    latitude: user.latitude,
+    longitude: user.longitude,
+    method: user.prayerMethod,
+    timezone
+  })
+
+  return messages.formatPrayerTimes(times, prayerTimeService.getPrayerNames(), {
+    city: user.city,
+    methodName: prayerTimeService.getMethods()[user.prayerMethod]?.name,
+    timezone
+  })
 }
 
 export default {
@@ -38,5 +587,9 @@ export default {
   showReminders,
   handleSettingsAction,
   handleReminderAction,
-  handleLanguageAction
-}
\ No newline at end of file
+  handleLanguageAction,
+  handleTimezoneAction,
+  handleLocation,
+  handleTextInput,
+  pendingInputs
+}
@@ -1,5 +1,11 @@
 import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
+import tasbihHandler from './tasbih.js'
+import libraryHandler from './library.js'
+import searchHandler from './search.js'
+import hadithAPI from '../api/hadith.js'
+import shareService from '../services/shareService.js'
+import { parseReference } from '../utils/references.js'
 import logger from '../utils/logger.js'
 import config from '../config/index.js'
 
@@ -18,8 +24,12 @@ async function start(ctx) {
       return
     }
 
-    // Check if this is a new user
-    const isNewUser = Date.now() - new Date(user.createdAt).getTime() < 60000 // Within last minute
+    // Deep links (t.me/<bot>?start=<payload>) open their target directly
+    if (ctx.startPayload && await openStartPayload(ctx, ctx.startPayload)) {
+      return
+    }
+
+    const isNewUser = isNew(user)
 
     // Format welcome message
     const welcomeMessage = messages.formatWelcome(user, isNewUser)
@@ -29,7 +39,7 @@ async function start(ctx) {
 
     // Send welcome message with main keyboard
     await ctx.safeReply(welcomeMessage, {
-      reply_markup: keyboards.get('main').reply_markup,
+      reply_markup: mainMenuKeyboard(ctx).reply_markup,
       parse_mode: 'Markdown'
     })
 
@@ -38,8 +48,52 @@ async function start(ctx) {
       operation: 'start_handler',
       userId: ctx.user?.id 
     })
-    await ctx.safeReply('❌ حدث خطأ أثناء بدء التشغيل. يرجى المحاولة مرة أخرى.')
+    await ctx.safeReply(`❌ ${ctx.t('start.error')}`)
+  }
+}
+
+/**
+ * Open the target of a start payload
+ * @returns {Promise<boolean>} Whether the payload was recognized
+ */
+async function openStartPayload(ctx, payload) {
+  if (payload.startsWith('lib_')) {
+    return await libraryHandler.openLink(ctx, payload)
   }
+
+  if (payload.startsWith('h_')) {
+    return await openSharedHadith(ctx, payload)
+  }
+
+  return false
+}
+
+/**
+ * Open a hadith from a share link (h_<ref>[_r<userId>]) and credit the user who shared it
+ * @returns {Promise<boolean>} Whether the hadith was found
+ */
+async function openSharedHadith(ctx, payload) {
+  const link = shareService.parseLink(payload)
+  if (!link) return false
+
+  const reference = parseReference(link.target)
+  const hadith = reference
+    ? await hadithAPI.getByReference(reference)
+    : await hadithAPI.getById(link.target)
+  if (!hadith) return false
+
+  await searchHandler.sendHadith(ctx, hadith)
+  await shareService.recordReferral(link.referrerId, ctx.user, hadith.id, isNew(ctx.user))
+
+  logger.userActivity(ctx.user.id, 'shared_hadith_opened', { hadithId: hadith.id, referrerId: link.referrerId })
+  return true
+}
+
+/**
+ * Whether the user was created within the last minute
+ */
+function isNew(user) {
+  return Date.now() - new Date(user.createdAt).getTime() < 60000
 }
 
 /**
@@ -48,33 +102,11 @@ async function start(ctx) {
 async function help(ctx) {
   try {
     const helpMessage = `
-${config.emojis.book} **دليل استخدام بوت الأحاديث الذكي**
-
-🚀 **الأوامر الأساسية:**
-• \`/start\` - بدء المحادثة وعرض القائمة الرئيسية
-• \`/search [نص]\` - البحث في الأحاديث النبوية
-• \`/random\` - عرض حديث عشوائي
-• \`/favorites\` - عرض الأحاديث المحفوظة
-• \`/settings\` - إعدادات البوت الشخصية
-• \`/stats\` - إحصائياتك الشخصية
-
-🔍 **كيفية البحث:**
-• ابحث بكلمة مفتاحية: "الصلاة"
-• ابحث بالراوي: "أبو هريرة"
-• ابحث بالكتاب: "صحيح البخاري"
-
-⭐ **الميزات الخاصة:**
-• احفظ الأحاديث المفضلة مع علامات مخصصة
-• احصل على تذكيرات يومية للأحاديث
-• تتبع تقدمك في القراءة والتعلم
-• مشاركة الأحاديث مع الأصدقاء
-
-💡 **نصائح:**
-• استخدم الأزرار التفاعلية للتنقل السهل
-• اكتب أي كلمة للبحث المباشر
-• استخدم القائمة الرئيسية للوصول السريع
-
-${config.emojis.prayer} *نسأل الله أن ينفعنا وإياكم بما تعلمنا*
+${config.emojis.book} **${ctx.t('help.title')}**
+
+${ctx.t('help.body')}
+
+${config.emojis.prayer} *${ctx.t('help.closing')}*
     `
 
     await ctx.safeReply(helpMessage, {
@@ -89,7 +121,7 @@ ${config.emojis.prayer} *نسأل الله أن ينفعنا وإياكم بما
       operation: 'help_handler',
       userId: ctx.user?.id 
     })
-    await ctx.safeReply('❌ حدث خطأ أثناء عرض المساعدة.')
+    await ctx.safeReply(`❌ ${ctx.t('help.error')}`)
   }
 }
 
@@ -102,16 +134,17 @@ async function backToMain(ctx) {
     if (!user) return
 
     const welcomeMessage = messages.formatWelcome(user, false)
+    const keyboard = mainMenuKeyboard(ctx)
     
     if (ctx.callbackQuery) {
-      await ctx.safeAnswerCbQuery('العودة للقائمة الرئيسية')
+      await ctx.safeAnswerCbQuery(ctx.t('start.backToMain'))
       await ctx.safeEditText(welcomeMessage, {
-        reply_markup: keyboards.get('main').reply_markup,
+        reply_markup: keyboard.reply_markup,
         parse_mode: 'Markdown'
       })
     } else {
       await ctx.safeReply(welcomeMessage, {
-        reply_markup: keyboards.get('main').reply_markup,
+        reply_markup: keyboard.reply_markup,
         parse_mode: 'Markdown'
       })
     }
@@ -132,42 +165,16 @@ async function backToMain(ctx) {
 async function showAbout(ctx) {
   try {
     const aboutMessage = `
-${config.emojis.mosque} **بوت الأحاديث النبوية الذكي**
-
-🌟 **نبذة عن البوت:**
-بوت ذكي ومتطور لتصفح وإدارة الأحاديث النبوية الشريفة، مصمم لجعل تعلم السنة النبوية أسهل وأكثر تنظيماً.
+${config.emojis.mosque} **${ctx.t('about.title')}**
 
-📚 **المصادر:**
-• صحيح البخاري
-• صحيح مسلم  
-• سنن أبي داود
-• جامع الترمذي
-• سنن النسائي
-• سنن ابن ماجه
-• مسند أحمد
-• موطأ مالك
+${ctx.t('about.body')}
 
-🔧 **التقنيات المستخدمة:**
-• Node.js + Telegraf
-• قاعدة بيانات SQLite
-• API موسوعة الحديث - Dorar.net
+${config.emojis.prayer} *"${ctx.t('about.quote')}"*
 
-👨‍💻 **المطور:**
-فريق بوت الأحاديث الذكي
-
-📧 **التواصل:**
-للاستفسارات والاقتراحات: @SmartHadithBotSupport
-
-🎯 **الهدف:**
-نشر علم السنة النبوية وتسهيل الوصول إليها بطريقة عصرية ومنظمة
-
-${config.emojis.prayer} *"من دعا إلى هدى كان له من الأجر مثل أجور من تبعه"*
-
-📅 **الإصدار:** 1.0.0
-🏷️ **آخر تحديث:** ${new Date().toLocaleDateString('ar-SA')}
+${ctx.t('about.version', { version: '1.0.0', date: new Date().toLocaleDateString(ctx.locale === 'ar' ? 'ar-SA' : ctx.locale) })}
     `
 
-    await ctx.safeAnswerCbQuery('معلومات عن البوت')
+    await ctx.safeAnswerCbQuery(ctx.t('about.answer'))
     await ctx.safeEditText(aboutMessage, {
       reply_markup: keyboards.get('main').reply_markup,
       parse_mode: 'Markdown'
@@ -189,25 +196,25 @@ ${config.emojis.prayer} *"من دعا إلى هدى كان له من الأجر
 async function showDua(ctx) {
   try {
     const duaMessage = `
-${config.emojis.prayer} **دعاء طلب العلم**
+${config.emojis.prayer} **${ctx.t('dua.title')}**
 
-${config.emojis.crescent} *اللهم انفعني بما علمتني، وعلمني ما ينفعني، وزدني علماً*
+${config.emojis.crescent} *${ctx.t('dua.benefit')}*
 
-${config.emojis.crescent} *اللهم إني أسألك من فضلك ورحمتك، فإنه لا يملكها إلا أنت*
+${config.emojis.crescent} *${ctx.t('dua.bounty')}*
 
-${config.emojis.crescent} *رب اشرح لي صدري ويسر لي أمري واحلل عقدة من لساني يفقهوا قولي*
+${config.emojis.crescent} *${ctx.t('dua.chest')}*
 
-${config.emojis.crescent} *اللهم بارك لنا فيما علمتنا وعلمنا ما ينفعنا وانفعنا بما علمتنا*
+${config.emojis.crescent} *${ctx.t('dua.blessing')}*
 
-💫 **دعاء عند قراءة الحديث:**
-${config.emojis.crescent} *اللهم اجعلنا من المتبعين لسنة نبيك محمد صلى الله عليه وسلم*
+💫 **${ctx.t('dua.readingTitle')}**
+${config.emojis.crescent} *${ctx.t('dua.reading')}*
 
-${config.emojis.star} *آمين يا رب العالمين*
+${config.emojis.star} *${ctx.t('dua.amen')}*
 
-🤲 *ادع بما شئت، فالدعاء عبادة*
+🤲 *${ctx.t('dua.closing')}*
     `
 
-    await ctx.safeAnswerCbQuery('بارك الله فيك')
+    await ctx.safeAnswerCbQuery(ctx.t('dua.answer'))
     await ctx.safeEditText(duaMessage, {
       reply_markup: keyboards.get('main').reply_markup,
       parse_mode: 'Markdown'
@@ -223,6 +230,13 @@ ${config.emojis.star} *آمين يا رب العالمين*
   }
 }
 
+/**
+ * Main menu keyboard, with a resume button when a tasbih session is unfinished
+ */
+function mainMenuKeyboard(ctx) {
+  return keyboards.createMainMenu({ hasTasbihProgress: tasbihHandler.hasProgress(ctx) })
+}
+
 export default {
   start,
   help,
@@ -0,0 +1,212 @@
+import adhkarService from '../services/adhkarService.js'
+import messages from '../ui/messages.js'
+import keyboards from '../ui/keyboards.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Tasbih Handler - Interactive repetition counter for adhkar
+ *
+ * Progress is kept in the user's preferences under `tasbih` as
+ * { categoryId, index, count, updatedAt } so a session can be resumed
+ * from the main menu, even after the bot restarts.
+ */
+
+const PROGRESS_KEY = 'tasbih'
+
+/**
+ * Handle tasbih_* callbacks
+ */
+async function handleTasbihAction(ctx) {
+  try {
+    const data = ctx.callbackQuery.data
+
+    const startMatch = data.match(/^tasbih_start_(.+)_(\d+)$/)
+    if (startMatch) {
+      return await startTasbih(ctx, startMatch[1], parseInt(startMatch[2], 10))
+    }
+
+    switch (data) {
+      case 'tasbih_tap':
+        return await tap(ctx)
+      case 'tasbih_reset':
+        return await resetCount(ctx)
+      case 'tasbih_skip':
+        return await skip(ctx)
+      case 'tasbih_pause':
+        return await pause(ctx)
+      case 'tasbih_stop':
+        return await stop(ctx)
+      case 'tasbih_resume':
+        return await resume(ctx)
+      default:
+        return await ctx.safeAnswerCbQuery()
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'handle_tasbih_action', userId: ctx.user?.id })
+    await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+  }
+}
+
+async function startTasbih(ctx, categoryId, index) {
+  const view = adhkarService.getItem(categoryId, index)
+  if (!view) {
+    return await ctx.safeAnswerCbQuery(`❌ ${ctx.t('adhkar.notFound')}`)
+  }
+
+  const progress = await saveProgress(ctx, { categoryId, index: view.index, count: 0 })
+
+  await ctx.safeAnswerCbQuery(`${view.category.title}`)
+  await render(ctx, progress)
+
+  logger.userActivity(ctx.user?.id, 'tasbih_started', { categoryId, index: view.index })
+}
+
+async function tap(ctx) {
+  const progress = getProgress(ctx)
+  const view = progress && adhkarService.getItem(progress.categoryId, progress.index)
+  if (!view) return await noSession(ctx)
+
+  const count = progress.count + 1
+
+  if (count < view.item.count) {
+    await ctx.safeAnswerCbQuery()
+    return await render(ctx, await saveProgress(ctx, { ...progress, count }))
+  }
+
+  // Target reached: move to the next dhikr or finish the category
+  if (view.index + 1 < view.total) {
+    const next = await saveProgress(ctx, { ...progress, index: view.index + 1, count: 0 })
+    await ctx.safeAnswerCbQuery(`✅ ${ctx.t('tasbih.next')}`)
+    return await render(ctx, next, view.item.text)
+  }
+
+  await finish(ctx, view.category)
+}
+
+async function resetCount(ctx) {
+  const progress = getProgress(ctx)
+  if (!progress) return await noSession(ctx)
+
+  await ctx.safeAnswerCbQuery(ctx.t('tasbih.reset'))
+  await render(ctx, await saveProgress(ctx, { ...progress, count: 0 }))
+}
+
+async function skip(ctx) {
+  const progress = getProgress(ctx)
+  const view = progress && adhkarService.getItem(progress.categoryId, progress.index)
+  if (!view) return await noSession(ctx)
+
+  if (view.index + 1 >= view.total) {
+    return await finish(ctx, view.category)
+  }
+
+  await ctx.safeAnswerCbQuery()
+  await render(ctx, await saveProgress(ctx, { ...progress, index: view.index + 1, count: 0 }))
+}
+
+async function pause(ctx) {
+  const user = ctx.user
+  if (!user) return
+
+  await ctx.safeAnswerCbQuery(ctx.t('tasbih.paused'))
+  await ctx.safeEditText(messages.formatWelcome(user, false), {
+    reply_markup: keyboards.createMainMenu({ hasTasbihProgress: hasProgress(ctx) }).reply_markup,
+    parse_mode: 'Markdown'
+  })
+
+  logger.userActivity(user.id, 'tasbih_paused')
+}
+
+async function stop(ctx) {
+  await clearProgress(ctx)
+  await ctx.safeAnswerCbQuery(ctx.t('tasbih.stopped'))
+  await showAdhkarCategories(ctx)
+}
+
+async function resume(ctx) {
+  const progress = getProgress(ctx)
+  if (!progress || !adhkarService.getItem(progress.categoryId, progress.index)) {
+    return await noSession(ctx)
+  }
+
+  await ctx.safeAnswerCbQuery(ctx.t('buttons.tasbihResume'))
+  await render(ctx, progress)
+
+  logger.userActivity(ctx.user?.id, 'tasbih_resumed', { categoryId: progress.categoryId })
+}
+
+async function finish(ctx, category) {
+  await clearProgress(ctx)
+  await ctx.safeAnswerCbQuery(`🎉 ${ctx.t('tasbih.acceptance')}`)
+  await ctx.safeEditText(messages.formatTasbihComplete(category), {
+    reply_markup: keyboards.createAdhkarMenu(adhkarService.getCategories()).reply_markup,
+    parse_mode: 'Markdown'
+  })
+
+  logger.userActivity(ctx.user?.id, 'tasbih_completed', { categoryId: category.id })
+}
+
+async function noSession(ctx) {
+  await clearProgress(ctx)
+  await ctx.safeAnswerCbQuery(ctx.t('tasbih.noSession'))
+  await showAdhkarCategories(ctx)
+}
+
+/**
+ * Helpers
+ */
+
+async function render(ctx, progress, completedText = null) {
+  const { category, item, index, total } = adhkarService.getItem(progress.categoryId, progress.index)
+
+  await ctx.safeEditText(
+    messages.formatTasbih(item, category, index, total, progress.count, completedText),
+    {
+      reply_markup: keyboards.createTasbihCounter(progress.count, item.count).reply_markup,
+      parse_mode: 'Markdown'
+    }
+  )
+}
+
+async function showAdhkarCategories(ctx) {
+  const categories = adhkarService.getCategories()
+  await ctx.safeEditText(messages.formatAdhkarMenu(categories), {
+    reply_markup: keyboards.createAdhkarMenu(categories).reply_markup,
+    parse_mode: 'Markdown'
+  })
+}
+
+function getProgress(ctx) {
+  const progress = ctx.getUserPreference?.(PROGRESS_KEY, null)
+  return progress && progress.categoryId ? progress : null
+}
+
+async function saveProgress(ctx, progress) {
+  const value = {
+    categoryId: progress.categoryId,
+    index: progress.index,
+    count: progress.count,
+    updatedAt: new Date().toISOString()
+  }
+
+  await ctx.setUserPreference(PROGRESS_KEY, value)
+  return value
+}
+
+async function clearProgress(ctx) {
+  if (getProgress(ctx)) {
+    await ctx.setUserPreference(PROGRESS_KEY, null)
+  }
+}
+
+/**
+ * Whether the user has an unfinished tasbih session
+ */
+function hasProgress(ctx) {
+  return Boolean(getProgress(ctx))
+}
+
+export default {
+  handleTasbihAction,
+  hasProgress
+}
@@ -0,0 +1,264 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const LOCALES_DIR = join(__dirname, 'locales')
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+const PLACEHOLDER = /\{(\w+)\}/g
+
+/**
+ * I18n - Locale catalogs for every user-facing string
+ *
+ * Catalogs live in src/i18n/locales/<locale>.json as nested objects addressed by
+ * dotted keys (`search.noResults`). Values interpolate `{name}` placeholders, and
+ * an object of CLDR plural categories ({ one, two, few, many, other, zero })
+ * is picked with Intl.PluralRules from the `count` parameter.
+ *
+ * The locale of the update being handled is kept in AsyncLocalStorage, so message
+ * and keyboard builders translate without a locale argument. The middleware in
+ * middlewares/i18n.js sets it from the user's `language` preference, then
+ * User.languageCode, then the default locale.
+ *
+ * A key missing from a locale falls back to the default locale and then to the key
+ * itself. In strict mode (NODE_ENV=test) a missing key throws instead, so tests
+ * fail on it.
+ */
+class I18n {
+  constructor(options = {}) {
+    this.locales = options.locales || config.localization.supportedLanguages
+    this.defaultLocale = options.defaultLocale || config.localization.defaultLanguage
+    this.strict = options.strict ?? config.isTest
+    this.catalogs = options.catalogs || this.loadCatalogs()
+    this.storage = new AsyncLocalStorage()
+    this.pluralRules = new Map()
+    this.reported = new Set()
+  }
+
+  loadCatalogs() {
+    const catalogs = {}
+    for (const locale of this.locales) {
+      catalogs[locale] = JSON.parse(readFileSync(join(LOCALES_DIR, `${locale}.json`), 'utf8'))
+    }
+    return catalogs
+  }
+
+  /**
+   * Translate a key in the current (or given) locale
+   * @param {string} key - Dotted catalog key
+   * @param {Object} params - Placeholder values; `count` also selects the plural form
+   * @param {string} locale - Overrides the locale of the current update
+   */
+  t(key, params = {}, locale = this.getLocale()) {
+    let value = this.lookup(locale, key)
+
+    if (value === undefined && this.strict) {
+      throw new Error(`Missing translation key "${key}" for locale "${locale}"`)
+    }
+
+    if (value === undefined && locale !== this.defaultLocale) {
+      this.report('missing_translation', key, locale)
+      value = this.lookup(this.defaultLocale, key)
+    }
+
+    if (value === undefined) {
+      this.report('missing_key', key, locale)
+      return key
+    }
+
+    if (typeof value === 'object') {
+      value = this.selectPlural(value, params.count, locale)
+    }
+
+    return this.interpolate(value, params)
+  }
+
+  /**
+   * Whether a key exists in the default catalog
+   */
+  has(key) {
+    return this.lookup(this.defaultLocale, key) !== undefined
+  }
+
+  /**
+   * Locale of the update being handled
+   */
+  getLocale() {
+    return this.storage.getStore()?.locale || this.defaultLocale
+  }
+
+  /**
+   * Run a function with a locale, e.g. a reminder sent outside any update
+   */
+  run(locale, fn) {
+    return this.storage.run({ locale: this.normalize(locale) || this.defaultLocale }, fn)
+  }
+
+  /**
+   * Switch the locale for the rest of the current update
+   */
+  setLocale(locale) {
+    const store = this.storage.getStore()
+    if (store) store.locale = this.normalize(locale) || this.defaultLocale
+  }
+
+  /**
+   * Locale of a user: saved preference, then Telegram's language code, then the default
+   * @param {Object} user - User row; preferences may be a JSON string or an object
+   */
+  resolveLocale(user) {
+    if (!user) return this.defaultLocale
+
+    const preferences = this.parsePreferences(user.preferences)
+    return this.normalize(preferences.language) ||
+      this.normalize(user.languageCode) ||
+      this.defaultLocale
+  }
+
+  /**
+   * Supported locale for a language tag (en-US -> en), or null
+   */
+  normalize(tag) {
+    if (!tag || typeof tag !== 'string') return null
+    const language = tag.toLowerCase().split(/[-_]/)[0]
+    return this.locales.includes(language) ? language : null
+  }
+
+  isSupported(locale) {
+    return this.locales.includes(locale)
+  }
+
+  /**
+   * Compare every catalog with the default one
+   * @returns {Array} [{ locale, key, problem }] for missing keys and placeholder mismatches
+   */
+  validate() {
+    const problems = []
+    const reference = this.flatten(this.catalogs[this.defaultLocale] || {})
+
+    for (const locale of this.locales) {
+      if (locale === this.defaultLocale) continue
+      const entries = this.flatten(this.catalogs[locale] || {})
+
+      for (const [key, value] of reference) {
+        if (!entries.has(key)) {
+          problems.push({ locale, key, problem: 'missing' })
+        } else if (!sameSet(this.placeholders(value), this.placeholders(entries.get(key)))) {
+          problems.push({ locale, key, problem: 'placeholders' })
+        }
+      }
+
+      for (const key of entries.keys()) {
+        if (!reference.has(key)) problems.push({ locale, key, problem: 'unknown' })
+      }
+    }
+
+    return problems
+  }
+
+  /**
+   * Log catalog problems at startup; strict mode refuses to start with any
+   */
+  initialize() {
+    const problems = this.validate()
+    if (problems.length === 0) return
+
+    if (this.strict) {
+      throw new Error(`Locale catalogs are incomplete: ${problems.map(p => `${p.locale}:${p.key} (${p.problem})`).join(', ')}`)
+    }
+    logger.warn('Locale catalogs are incomplete', { problems })
+  }
+
+  /**
+   * Helpers
+   */
+
+  lookup(locale, key) {
+    let node = this.catalogs[locale]
+    for (const part of key.split('.')) {
+      if (node === undefined || node === null || typeof node !== 'object' || this.isPlural(node)) return undefined
+      node = node[part]
+    }
+    return typeof node === 'string' || this.isPlural(node) ? node : undefined
+  }
+
+  selectPlural(forms, count, locale) {
+    if (!this.pluralRules.has(locale)) {
+      this.pluralRules.set(locale, new Intl.PluralRules(locale))
+    }
+
+    const number = Number(count) || 0
+    // Languages without a `zero` category still use it when the catalog offers one
+    if (number === 0 && forms.zero !== undefined) return forms.zero
+
+    return forms[this.pluralRules.get(locale).select(number)] ?? forms.other
+  }
+
+  interpolate(text, params) {
+    return text.replace(PLACEHOLDER, (match, name) =>
+      params[name] === undefined || params[name] === null ? match : String(params[name])
+    )
+  }
+
+  isPlural(node) {
+    return Boolean(node) && typeof node === 'object' && typeof node.other === 'string' &&
+      Object.keys(node).every(key => PLURAL_CATEGORIES.includes(key))
+  }
+
+  flatten(node, prefix = '', entries = new Map()) {
+    for (const [key, value] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key
+      if (typeof value === 'string' || this.isPlural(value)) {
+        entries.set(path, value)
+      } else if (value && typeof value === 'object') {
+        this.flatten(value, path, entries)
+      }
+    }
+    return entries
+  }
+
+  placeholders(value) {
+    const texts = typeof value === 'string' ? [value] : Object.values(value)
+    const names = new Set()
+    for (const text of texts) {
+      for (const match of text.matchAll(PLACEHOLDER)) names.add(match[1])
+    }
+    // Plural forms may spell out the number instead of using {count}
+    names.delete('count')
+    return names
+  }
+
+  parsePreferences(preferences) {
+    if (!preferences) return {}
+    if (typeof preferences === 'object') return preferences
+    try {
+      return JSON.parse(preferences)
+    } catch (error) {
+      return {}
+    }
+  }
+
+  report(type, key, locale) {
+    const id = `${type}:${locale}:${key}`
+    if (this.reported.has(id)) return
+    this.reported.add(id)
+    logger.warn('Translation missing', { type, key, locale })
+  }
+}
+
+function sameSet(a, b) {
+  return a.size === b.size && [...a].every(item => b.has(item))
+}
+
+const i18n = new I18n()
+export default i18n
+
+/**
+ * Translate in the locale of the current update
+ */
+export const t = (key, params) => i18n.t(key, params)
+
+export { I18n }
@@ -7,25 +7,37 @@ import cors from 'cors'
 import config from './config/index.js'
 import logger from './utils/logger.js'
 import db from './database/index.js'
+import i18n from './i18n/index.js'
 
 // Import middleware
 import authMiddleware from './middlewares/auth.js'
 import rateLimitMiddleware from './middlewares/rateLimit.js'
+import i18nMiddleware from './middlewares/i18n.js'
 import loggingMiddleware from './middlewares/logging.js'
 import errorMiddleware from './middlewares/error.js'
+import pendingInputMiddleware from './middlewares/pendingInput.js'
 
 // Import handlers
 import startHandler from './handlers/start.js'
 import searchHandler from './handlers/search.js'
+import adhkarHandler from './handlers/adhkar.js'
+import tasbihHandler from './handlers/tasbih.js'
 import randomHandler from './handlers/random.js'
 import favoritesHandler from './handlers/favorites.js'
 import settingsHandler from './handlers/settings.js'
+import remindersHandler from './handlers/reminders.js'
 import statsHandler from './handlers/stats.js'
 import adminHandler from './handlers/admin.js'
 import groupHandler from './handlers/group.js'
+import libraryHandler from './handlers/library.js'
+import inlineHandler from './handlers/inline.js'
+import cardHandler from './handlers/card.js'
 
 // Import services
 import schedulerService from './services/schedulerService.js'
+import conversationService from './services/conversationService.js'
+import searchIndex from './services/searchIndex.js'
+import dedupService from './services/dedupService.js'
 
 /**
  * Smart Hadith Bot - Main Application
@@ -60,6 +72,9 @@ class SmartHadithBot {
         throw new Error('BOT_TOKEN is required but not provided')
       }
 
+      // Locale catalogs must agree on their keys (strict mode refuses to start otherwise)
+      i18n.initialize()
+
       // Create bot instance
       this.bot = new Telegraf(config.bot.token, {
         handlerTimeout: 30000, // 30 seconds timeout
@@ -68,6 +83,8 @@ class SmartHadithBot {
 
       // Session configuration
       this.bot.use(session({
+        // Inline queries carry no chat; they share the user's private-chat session
+        getSessionKey: (ctx) => ctx.from ? `${ctx.from.id}:${ctx.chat?.id ?? ctx.from.id}` : undefined,
         defaultSession: () => ({
           user: null,
           searchState: {},
@@ -99,6 +116,9 @@ class SmartHadithBot {
       // Authentication middleware
       this.bot.use(authMiddleware)
 
+      // Locale of the user (needs ctx.user from auth)
+      this.bot.use(i18nMiddleware)
+
       // Rate limiting middleware
       this.bot.use(rateLimitMiddleware)
 
@@ -117,17 +137,27 @@ class SmartHadithBot {
    */
   setupHandlers() {
     try {
+      // Commands and buttons outside a typed-input flow end its pending input
+      this.bot.use(pendingInputMiddleware([
+        ...settingsHandler.pendingInputs,
+        ...favoritesHandler.pendingInputs,
+        conversationService.pendingInput
+      ]))
+
       // Command handlers
       this.bot.start(startHandler.start)
       this.bot.help(startHandler.help)
       this.bot.command('search', searchHandler.searchCommand)
       this.bot.command('random', randomHandler.randomCommand)
+      this.bot.command('adhkar', adhkarHandler.adhkarCommand)
       this.bot.command('favorites', favoritesHandler.favoritesCommand)
       this.bot.command('settings', settingsHandler.settingsCommand)
       this.bot.command('stats', statsHandler.statsCommand)
       this.bot.command('admin', adminHandler.adminCommand)
+      this.bot.command('hadith', searchHandler.hadithCommand)
+      this.bot.command('library', libraryHandler.libraryCommand)
 
-      // Dynamic hadith command handler
+      // Dynamic hadith command handler: /hadith_<id> or /hadith_<book>_<number>
       this.bot.command(/hadith_(.+)/, (ctx) => {
         const hadithId = ctx.match[1]
         return searchHandler.showHadith(ctx, hadithId)
@@ -139,6 +169,10 @@ class SmartHadithBot {
       // Text message handlers
       this.setupTextHandlers()
 
+      // Inline mode: @bot <query> in any chat
+      this.bot.on('inline_query', inlineHandler.handleInlineQuery)
+      this.bot.on('chosen_inline_result', inlineHandler.handleChosenResult)
+
       // Group-specific handlers
       this.setupGroupHandlers()
 
@@ -157,9 +191,12 @@ class SmartHadithBot {
     this.bot.action('back_to_main', startHandler.backToMain)
     this.bot.action('action_search', searchHandler.showSearchOptions)
     this.bot.action('action_random', randomHandler.getRandomHadith)
+    this.bot.action(/^random_/, randomHandler.handleRandomAction)
+    this.bot.action('action_adhkar', adhkarHandler.showAdhkarMenu)
     this.bot.action('action_favorites', favoritesHandler.showFavorites)
     this.bot.action('action_reminders', settingsHandler.showReminders)
     this.bot.action('action_settings', settingsHandler.showSettings)
+    this.bot.action('back_to_settings', settingsHandler.showSettings)
     this.bot.action('action_stats', statsHandler.showStats)
     this.bot.action('action_about', startHandler.showAbout)
     this.bot.action('action_dua', startHandler.showDua)
@@ -168,36 +205,53 @@ class SmartHadithBot {
     // Search callbacks
     this.bot.action(/^search_/, searchHandler.handleSearchAction)
     this.bot.action(/^filter_/, searchHandler.handleFilterAction)
+    this.bot.action(['apply_filters', 'clear_filters', 'back_to_search'], searchHandler.handleFilterAction)
     this.bot.action(/^nav_/, searchHandler.handleNavigationAction)
 
+    // Adhkar callbacks
+    this.bot.action(/^adhkar_/, adhkarHandler.handleAdhkarAction)
+    this.bot.action(/^tasbih_/, tasbihHandler.handleTasbihAction)
+
     // Hadith action callbacks
     this.bot.action(/^favorite_add_(.+)/, favoritesHandler.addToFavorites)
     this.bot.action(/^favorite_remove_(.+)/, favoritesHandler.removeFromFavorites)
     this.bot.action(/^share_(.+)/, searchHandler.shareHadith)
     this.bot.action(/^copy_(.+)/, searchHandler.copyHadith)
+    this.bot.action(/^permalink_(.+)/, searchHandler.permalinkHadith)
+    this.bot.action(/^card_(?:([a-z]+)_)?(.+)/, cardHandler.handleCardAction)
     this.bot.action(/^related_(.+)/, searchHandler.findRelated)
-    this.bot.action(/^more_from_book_(.+)/, searchHandler.moreFromBook)
+    this.bot.action(/^more_from_book_(.+)/, libraryHandler.moreFromBook)
+
+    // Library browsing callbacks
+    this.bot.action(/^lib_/, libraryHandler.handleLibraryAction)
 
     // Favorites callbacks
     this.bot.action(/^favorites_/, favoritesHandler.handleFavoritesAction)
     this.bot.action(/^tag_/, favoritesHandler.handleTagAction)
     this.bot.action(/^collection_/, favoritesHandler.handleCollectionAction)
+    this.bot.action(/^note_/, favoritesHandler.handleNoteAction)
+    this.bot.action('back_to_favorites', favoritesHandler.showFavorites)
 
     // Settings callbacks
     this.bot.action(/^settings_/, settingsHandler.handleSettingsAction)
+    this.bot.action(/^reminder_(?:add|times|days|topics|pause|edit_.+|read_\d+|shift_.+|keep_\d+)$/, remindersHandler.handleReminderAction)
     this.bot.action(/^reminder_/, settingsHandler.handleReminderAction)
+    this.bot.action(/^conv_/, (ctx) => conversationService.handleAction(ctx))
     this.bot.action(/^lang_/, settingsHandler.handleLanguageAction)
+    this.bot.action(['timezone_select', /^tz_/], settingsHandler.handleTimezoneAction)
 
     // Admin callbacks (protected)
     this.bot.action(/^admin_/, adminHandler.handleAdminAction)
 
     // Generic callbacks
     this.bot.action('loading', (ctx) => {
-      ctx.answerCbQuery('⏳ جاري التحميل...', { show_alert: false })
+      ctx.answerCbQuery(`⏳ ${ctx.t('loading.loading')}`, { show_alert: false })
     })
+
+    this.bot.action('page_info', (ctx) => ctx.safeAnswerCbQuery())
     
     this.bot.action('cancel', (ctx) => {
-      ctx.answerCbQuery('تم الإلغاء', { show_alert: false })
+      ctx.answerCbQuery(ctx.t('common.cancelled'), { show_alert: false })
       return startHandler.backToMain(ctx)
     })
   }
@@ -206,6 +260,16 @@ class SmartHadithBot {
    * Setup text message handlers
    */
   setupTextHandlers() {
+    // Answers to the step of an unfinished conversation, such as the reminder wizard
+    this.bot.on('text', (ctx, next) => conversationService.handleText(ctx, next))
+
+    // Location sharing and city names typed during the settings flow
+    this.bot.on('location', settingsHandler.handleLocation)
+    this.bot.on('text', settingsHandler.handleTextInput)
+
+    // Tags, notes and collection names typed during the favorites flow
+    this.bot.on('text', favoritesHandler.handleTextInput)
+
     // Handle search queries
     this.bot.hears(/^[^\s\/].+/, searchHandler.handleTextSearch)
 
@@ -324,9 +388,15 @@ class SmartHadithBot {
    */
   async initializeServices() {
     try {
+      // Local full-text index used by search, also when Dorar is unreachable
+      await searchIndex.initialize()
+
+      // Fingerprint hadiths saved before near-duplicate detection, merging repeats
+      await dedupService.initialize()
+
       // Initialize scheduler service for reminders
       if (config.features.reminders) {
-        await schedulerService.initialize()
+        await schedulerService.initialize(this.bot.telegram)
         logger.info('Scheduler service initialized')
       }
 
@@ -1,6 +1,7 @@
 import config from '../config/index.js'
 import logger from '../utils/logger.js'
 import db from '../database/index.js'
+import i18n, { t } from '../i18n/index.js'
 
 /**
  * Authentication Middleware
@@ -43,7 +44,8 @@ async function authMiddleware(ctx, next) {
         telegramId: user.telegramId,
         username: user.username
       })
-      await ctx.reply('⛔ تم حظر حسابك من استخدام البوت')
+      // Runs before the i18n middleware, so the locale is resolved here
+      await ctx.reply(`⛔ ${i18n.t('auth.blocked', {}, i18n.resolveLocale(user))}`)
       return
     }
 
@@ -116,7 +118,7 @@ function requireAdmin(ctx, next) {
     logger.security('Admin access without authenticated user', null, {
       telegramId: ctx.from?.id
     })
-    return ctx.reply('🔒 غير مصرح لك بالوصول')
+    return ctx.reply(`🔒 ${t('auth.unauthorized')}`)
   }
 
   if (ctx.user.telegramId !== config.bot.adminId) {
@@ -124,7 +126,7 @@ function requireAdmin(ctx, next) {
       telegramId: ctx.user.telegramId,
       username: ctx.user.username
     })
-    return ctx.reply('🔒 هذا الأمر متاح للمدير فقط')
+    return ctx.reply(`🔒 ${t('auth.adminOnly')}`)
   }
 
   logger.userActivity(ctx.user.id, 'admin_access')
@@ -139,7 +141,7 @@ async function requireGroupAdmin(ctx, next) {
   const userId = ctx.from?.id
   
   if (!chatId || !userId) {
-    return ctx.reply('❌ خطأ في معلومات المجموعة')
+    return ctx.reply(`❌ ${t('auth.groupInfoError')}`)
   }
 
   try {
@@ -152,7 +154,7 @@ async function requireGroupAdmin(ctx, next) {
         userId,
         status: chatMember.status
       })
-      return ctx.reply('🔒 هذا الأمر متاح لمديري المجموعة فقط')
+      return ctx.reply(`🔒 ${t('auth.groupAdminOnly')}`)
     }
 
     return next()
@@ -162,7 +164,7 @@ async function requireGroupAdmin(ctx, next) {
       chatId,
       userId 
     })
-    return ctx.reply('❌ لا يمكن التحقق من صلاحياتك في المجموعة')
+    return ctx.reply(`❌ ${t('auth.groupCheckError')}`)
   }
 }
 
@@ -171,7 +173,7 @@ async function requireGroupAdmin(ctx, next) {
  */
 function requirePremium(ctx, next) {
   if (!ctx.user || !ctx.user.isPremium) {
-    return ctx.reply('⭐ هذه الميزة متاحة للمستخدمين المميزين فقط')
+    return ctx.reply(`⭐ ${t('auth.premiumOnly')}`)
   }
   
   return next()
@@ -183,7 +185,7 @@ function requirePremium(ctx, next) {
 function requireFeature(featureName) {
   return (ctx, next) => {
     if (!config.features[featureName]) {
-      return ctx.reply('🚫 هذه الميزة غير متاحة حالياً')
+      return ctx.reply(`🚫 ${t('auth.featureDisabled')}`)
     }
     return next()
   }
@@ -217,7 +219,7 @@ function rateLimitOperation(operation, limit = 10, window = 60000) {
         count: validOperations.length,
         limit
       })
-      return ctx.reply(`⚠️ تم تجاوز الحد المسموح لعملية ${operation}. حاول مرة أخرى بعد قليل.`)
+      return ctx.reply(`⚠️ ${t('auth.operationLimit', { operation })}`)
     }
     
     validOperations.push(now)
@@ -295,7 +297,7 @@ function addContextHelpers(ctx) {
       
       // Try with simpler message
       try {
-        return await ctx.reply('❌ حدث خطأ أثناء إرسال الرسالة')
+        return await ctx.reply(`❌ ${t('auth.sendError')}`)
       } catch (retryError) {
         logger.logError(retryError, { 
           operation: 'safe_reply_retry',
@@ -1,6 +1,7 @@
 import logger from '../utils/logger.js'
 import messages from '../ui/messages.js'
 import keyboards from '../ui/keyboards.js'
+import i18n, { t } from '../i18n/index.js'
 
 /**
  * Error Handling Middleware
@@ -100,100 +101,35 @@ async function sendErrorResponse(ctx, errorType, errorId) {
 
   switch (errorType) {
     case 'bad_request':
-      responseMessage = `
-❌ **طلب غير صحيح**
-
-عذراً، هناك خطأ في الطلب المرسل.
-
-💡 **يرجى التأكد من:**
-• صحة الأمر المستخدم
-• صحة المعلومات المدخلة
-• أن الأمر متاح في هذا السياق
-
-🔄 حاول مرة أخرى أو استخدم القائمة الرئيسية
-      `
+      responseMessage = formatErrorType('❌', 'badRequest')
       keyboard = keyboards.get('main')
       break
 
     case 'forbidden':
-      responseMessage = `
-🚫 **غير مسموح**
-
-عذراً، لا يمكن تنفيذ هذا الطلب.
-
-💡 **الأسباب المحتملة:**
-• البوت محظور في هذه المجموعة
-• لا توجد صلاحيات كافية
-• الميزة غير متاحة في هذا السياق
-
-👥 تواصل مع مدير المجموعة إذا كنت في مجموعة
-      `
+      responseMessage = formatErrorType('🚫', 'forbidden')
       break
 
     case 'rate_limited':
-      responseMessage = `
-⏱️ **تم تجاوز الحد المسموح**
-
-عذراً، تم إرسال طلبات كثيرة في وقت قصير.
-
-💡 **يرجى الانتظار قليلاً ثم المحاولة مرة أخرى**
-
-⏰ عادة ما يكون الانتظار بضع دقائق كافياً
-      `
+      responseMessage = formatErrorType('⏱️', 'rateLimited')
       break
 
     case 'server_error':
-      responseMessage = `
-🔧 **مشكلة في الخادم**
-
-عذراً، يواجه تليجرام مشاكل مؤقتة.
-
-💡 **يرجى المحاولة بعد قليل**
-
-🔄 هذه المشاكل عادة ما تُحل تلقائياً
-      `
+      responseMessage = formatErrorType('🔧', 'server')
       keyboard = keyboards.createError('retry_last_action')
       break
 
     case 'database':
-      responseMessage = `
-💾 **مشكلة في قاعدة البيانات**
-
-عذراً، حدث خطأ أثناء الوصول للبيانات.
-
-🔄 يتم العمل على حل المشكلة
-
-💡 حاول مرة أخرى بعد قليل
-      `
+      responseMessage = formatErrorType('💾', 'database')
       keyboard = keyboards.createError('retry_last_action')
       break
 
     case 'network':
-      responseMessage = `
-🌐 **مشكلة في الاتصال**
-
-عذراً، هناك مشكلة في الاتصال بالخدمات الخارجية.
-
-💡 **يرجى المحاولة بعد قليل**
-
-🔄 عادة ما تُحل هذه المشاكل بسرعة
-      `
+      responseMessage = formatErrorType('🌐', 'network')
       keyboard = keyboards.createError('retry_last_action')
       break
 
     case 'validation':
-      responseMessage = `
-⚠️ **بيانات غير صحيحة**
-
-عذراً، البيانات المدخلة غير صحيحة.
-
-💡 **يرجى التأكد من:**
-• صحة النص المدخل
-• استخدام الأحرف المناسبة
-• الالتزام بالحد المسموح للنص
-
-🔄 حاول مرة أخرى بطريقة صحيحة
-      `
+      responseMessage = formatErrorType('⚠️', 'validation')
       keyboard = keyboards.get('main')
       break
 
@@ -205,7 +141,7 @@ async function sendErrorResponse(ctx, errorType, errorId) {
   try {
     if (ctx.callbackQuery) {
       // For callback queries, answer the query and edit the message
-      await ctx.safeAnswerCbQuery('حدث خطأ، يرجى المحاولة مرة أخرى')
+      await ctx.safeAnswerCbQuery(t('errors.tryAgain'))
       
       if (keyboard) {
         await ctx.safeEditText(responseMessage, { 
@@ -235,7 +171,7 @@ async function sendErrorResponse(ctx, errorType, errorId) {
     })
 
     try {
-      await ctx.reply('❌ حدث خطأ غير متوقع')
+      await ctx.reply(`❌ ${t('errors.unexpected.title')}`)
     } catch (finalError) {
       logger.logError(finalError, {
         operation: 'send_final_error_response',
@@ -246,6 +182,17 @@ async function sendErrorResponse(ctx, errorType, errorId) {
   }
 }
 
+/**
+ * Format a categorized error: title line and the body from errors.<type>
+ */
+function formatErrorType(icon, type) {
+  return `
+${icon} **${t(`errors.${type}.title`)}**
+
+${t(`errors.${type}.body`)}
+      `
+}
+
 /**
  * Handle bot-level errors (not caught by middleware)
  */
@@ -255,14 +202,17 @@ async function handleBotError(error, ctx) {
   logger.telegramError(error, ctx.update)
   
   try {
-    if (ctx.callbackQuery) {
-      await ctx.answerCbQuery('حدث خطأ، يرجى المحاولة مرة أخرى', { show_alert: true })
-    } else {
-      await ctx.reply(`❌ حدث خطأ غير متوقع\n\n🆔 رقم الخطأ: \`${errorId}\``, { 
-        parse_mode: 'Markdown',
-        reply_markup: keyboards.get('main').reply_markup
-      })
-    }
+    // The update's locale context has ended by the time errors reach bot.catch
+    await i18n.run(ctx.locale || i18n.resolveLocale(ctx.user), async () => {
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery(t('errors.tryAgain'), { show_alert: true })
+      } else {
+        await ctx.reply(`❌ ${t('errors.unexpected.title')}\n\n🆔 ${t('errors.errorId', { errorId })}`, { 
+          parse_mode: 'Markdown',
+          reply_markup: keyboards.get('main').reply_markup
+        })
+      }
+    })
   } catch (responseError) {
     logger.logError(responseError, {
       operation: 'handle_bot_error_response',
@@ -0,0 +1,25 @@
+import i18n from '../i18n/index.js'
+
+/**
+ * I18n Middleware
+ * Resolves the user's locale and runs the rest of the update in it, so messages
+ * and keyboards built while handling it are translated.
+ *
+ * Adds to the context:
+ * - ctx.locale: the resolved locale
+ * - ctx.t(key, params): translate in that locale
+ * - ctx.setLocale(locale): switch the locale for the rest of the update
+ */
+
+function i18nMiddleware(ctx, next) {
+  ctx.locale = i18n.resolveLocale(ctx.user)
+  ctx.t = (key, params) => i18n.t(key, params, ctx.locale)
+  ctx.setLocale = (locale) => {
+    ctx.locale = i18n.normalize(locale) || ctx.locale
+    i18n.setLocale(ctx.locale)
+  }
+
+  return i18n.run(ctx.locale, next)
+}
+
+export default i18nMiddleware
@@ -0,0 +1,36 @@
+import logger from '../utils/logger.js'
+
+/**
+ * Pending Input Middleware
+ * Flows that wait for the user's next typed message (a city name, a tag, a step of
+ * the reminder wizard) would otherwise take whatever the user types next, even after
+ * they moved on to search or settings. Each flow names the buttons that belong to it;
+ * a command or any other button clears its pending input.
+ *
+ * A flow is { name, actions, clear }:
+ * - actions: RegExp matched against callback data of the flow's own buttons
+ * - clear(ctx, { isCommand }): drop the pending input (may be async)
+ */
+
+function pendingInputMiddleware(flows) {
+  return async function clearPendingInput(ctx, next) {
+    const data = ctx.callbackQuery?.data
+    const isCommand = ctx.message?.text?.startsWith('/') || false
+
+    if (ctx.from && (isCommand || data)) {
+      for (const flow of flows) {
+        if (!isCommand && flow.actions.test(data)) continue
+
+        try {
+          await flow.clear(ctx, { isCommand })
+        } catch (error) {
+          logger.logError(error, { operation: 'clear_pending_input', flow: flow.name, userId: ctx.user?.id })
+        }
+      }
+    }
+
+    return next()
+  }
+}
+
+export default pendingInputMiddleware
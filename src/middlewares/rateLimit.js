@@ -1,5 +1,6 @@
 import config from '../config/index.js'
 import logger from '../utils/logger.js'
+import i18n, { t } from '../i18n/index.js'
 
 /**
  * Rate Limiting Middleware
@@ -51,10 +52,10 @@ function rateLimitMiddleware(ctx, next) {
       })
       
       return ctx.safeReply(
-        `⚠️ **تم تجاوز الحد المسموح**\n\n` +
-        `عذراً، لقد تجاوزت الحد المسموح لعملية **${getOperationName(operation)}**\n\n` +
-        `⏱️ **الوقت المتبقي:** ${remainingTime} ثانية\n\n` +
-        `💡 **نصيحة:** استخدم البوت بشكل معتدل لتجنب هذا التحديد`
+        `⚠️ **${t('rateLimit.title')}**\n\n` +
+        `${t('rateLimit.exceeded', { operation: getOperationName(operation) })}\n\n` +
+        `⏱️ ${t('rateLimit.remaining', { count: remainingTime })}\n\n` +
+        `💡 ${t('rateLimit.tip')}`
       )
     }
     
@@ -78,11 +79,11 @@ function rateLimitMiddleware(ctx, next) {
       
       // Send warning message
       return ctx.safeReply(
-        `🚫 **تم تجاوز الحد المسموح!**\n\n` +
-        `لقد تجاوزت الحد المسموح لعملية **${getOperationName(operation)}**\n\n` +
-        `📊 **الحد المسموح:** ${limit} طلب كل ${Math.round(window / 1000)} ثانية\n` +
-        `⏱️ **مدة الحظر:** ${Math.round(window / 1000)} ثانية\n\n` +
-        `💡 **يرجى الانتظار قبل المحاولة مرة أخرى**`
+        `🚫 **${t('rateLimit.title')}!**\n\n` +
+        `${t('rateLimit.exceeded', { operation: getOperationName(operation) })}\n\n` +
+        `📊 ${t('rateLimit.limit', { limit, seconds: Math.round(window / 1000) })}\n` +
+        `⏱️ ${t('rateLimit.blockedFor', { count: Math.round(window / 1000) })}\n\n` +
+        `💡 **${t('rateLimit.wait')}**`
       )
     }
     
@@ -183,6 +184,14 @@ function determineRateLimit(ctx) {
       }
     }
     
+    if (data.startsWith('tasbih_')) {
+      return {
+        operation: 'tasbih',
+        limit: config.rateLimits.tasbih.requests * multiplier,
+        window: config.rateLimits.tasbih.window
+      }
+    }
+    
     if (data.startsWith('admin_')) {
       if (isAdmin) {
         return {
@@ -218,16 +227,8 @@ function determineRateLimit(ctx) {
  * Get human-readable operation name
  */
 function getOperationName(operation) {
-  const names = {
-    search: 'البحث',
-    random: 'الحديث العشوائي',
-    favorite: 'إدارة المفضلات',
-    admin: 'عمليات الإدارة',
-    command: 'الأوامر',
-    callback: 'التفاعل مع الأزرار'
-  }
-  
-  return names[operation] || operation
+  const key = `rateLimit.operations.${operation}`
+  return i18n.has(key) ? t(key) : operation
 }
 
 /**
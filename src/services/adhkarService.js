@@ -0,0 +1,117 @@
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import moment from 'moment-timezone'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const CORPUS_PATH = join(__dirname, '../../data/adhkar.json')
+
+/**
+ * Adhkar Service
+ * Serves the bundled adhkar corpus (data/adhkar.json) so it works without any network access
+ */
+class AdhkarService {
+  constructor(corpusPath = CORPUS_PATH) {
+    this.corpusPath = corpusPath
+    this.corpus = null
+  }
+
+  /**
+   * Load and validate the corpus once
+   * @returns {Object} Corpus with version and categories
+   */
+  load() {
+    if (this.corpus) return this.corpus
+
+    try {
+      const raw = JSON.parse(readFileSync(this.corpusPath, 'utf8'))
+      const categories = (raw.categories || [])
+        .map(category => ({
+          ...category,
+          items: (category.items || []).filter(item => this.isValidItem(item, category.id))
+        }))
+        .filter(category => category.id && category.items.length > 0)
+
+      this.corpus = {
+        version: raw.version || '0.0.0',
+        updatedAt: raw.updatedAt || null,
+        categories
+      }
+
+      logger.info('Adhkar corpus loaded', {
+        version: this.corpus.version,
+        categories: categories.length,
+        items: categories.reduce((sum, category) => sum + category.items.length, 0)
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'adhkar_load', path: this.corpusPath })
+      this.corpus = { version: '0.0.0', updatedAt: null, categories: [] }
+    }
+
+    return this.corpus
+  }
+
+  isValidItem(item, categoryId) {
+    const valid = item &&
+      typeof item.text === 'string' && item.text.trim().length > 0 &&
+      Number.isInteger(item.count) && item.count > 0
+
+    if (!valid) {
+      logger.warn('Skipping invalid dhikr', { categoryId, itemId: item?.id })
+    }
+
+    return valid
+  }
+
+  getVersion() {
+    return this.load().version
+  }
+
+  getCategories() {
+    return this.load().categories
+  }
+
+  getCategory(categoryId) {
+    return this.getCategories().find(category => category.id === categoryId) || null
+  }
+
+  /**
+   * Get one dhikr by category and position
+   * @returns {Object|null} { category, item, index, total }
+   */
+  getItem(categoryId, index = 0) {
+    const category = this.getCategory(categoryId)
+    if (!category) return null
+
+    const total = category.items.length
+    const safeIndex = Math.min(Math.max(0, index), total - 1)
+
+    return {
+      category,
+      item: category.items[safeIndex],
+      index: safeIndex,
+      total
+    }
+  }
+
+  /**
+   * Suggest the category that fits the time of day in the user's timezone
+   * @returns {string|null} Category ID
+   */
+  getSuggestedCategory(date = new Date(), timezone = config.localization.defaultTimezone) {
+    const zone = moment.tz.zone(timezone || '') ? timezone : config.localization.defaultTimezone
+    const hour = moment.tz(date, zone).hour()
+
+    if (hour >= 4 && hour < 12) return 'morning'
+    if (hour >= 15 && hour < 21) return 'evening'
+    if (hour >= 21 || hour < 2) return 'sleep'
+    return null
+  }
+}
+
+const adhkarService = new AdhkarService()
+export default adhkarService
+
+export { AdhkarService }
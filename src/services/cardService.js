@@ -0,0 +1,210 @@
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { createCanvas, GlobalFonts } from '@napi-rs/canvas'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import { getHadithReference, formatReference } from '../utils/references.js'
+import { t } from '../i18n/index.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const FONTS_DIR = join(__dirname, '../../data/fonts')
+const FONT_FAMILY = 'HadithCard'
+
+const WIDTH = 1080
+const PADDING = 90
+const MAX_HEIGHT = 1920
+// Body sizes tried largest first until the text fits within MAX_HEIGHT
+const FONT_SIZES = [46, 40, 34, 30, 26]
+const LINE_HEIGHT = 1.7
+
+// Theme names are in the locale catalogs (card.themes.<id>)
+const THEMES = {
+  classic: { background: '#FBF6EC', text: '#3B2F2F', accent: '#8B5E34', muted: '#8C7B6B' },
+  night: { background: '#0F1A24', text: '#F1F1EC', accent: '#D4AF37', muted: '#9AA5B1' },
+  emerald: { background: '#0B3D2E', text: '#FDFBF5', accent: '#E6C36A', muted: '#A8C8B8' },
+  minimal: { background: '#FFFFFF', text: '#111111', accent: '#2E7D32', muted: '#6B6B6B' }
+}
+const DEFAULT_THEME = 'classic'
+
+/**
+ * Card Service
+ * Renders a hadith as a PNG card, offline, with the bundled DejaVu Sans font
+ * (data/fonts). Skia shapes the Arabic text and lays it out right to left; this
+ * service only wraps lines, picks a font size that fits and draws the footer.
+ */
+class CardService {
+  constructor(options = {}) {
+    this.botUsername = options.botUsername || config.bot.username
+    this.fontsLoaded = false
+  }
+
+  getThemes() {
+    return Object.keys(THEMES).map(id => ({ id, name: t(`card.themes.${id}`) }))
+  }
+
+  isTheme(id) {
+    return Boolean(THEMES[id])
+  }
+
+  /**
+   * Render a hadith card
+   * @param {Object} hadith - Hadith row
+   * @param {string} themeId - Key of THEMES
+   * @returns {Buffer} PNG image
+   */
+  render(hadith, themeId = DEFAULT_THEME) {
+    this.loadFonts()
+    const theme = THEMES[themeId] || THEMES[DEFAULT_THEME]
+    const text = `«${(hadith.arabicText || hadith.text || '').trim()}»`
+    const footer = this.getFooter(hadith)
+
+    // Measure on a scratch canvas, then draw on one of the final height
+    const measure = createCanvas(WIDTH, 100).getContext('2d')
+    const body = this.fitText(measure, text, MAX_HEIGHT - this.footerHeight(footer) - PADDING * 2 - 80)
+    const height = Math.min(
+      MAX_HEIGHT,
+      PADDING * 2 + 80 + body.lines.length * body.lineHeight + this.footerHeight(footer)
+    )
+
+    const canvas = createCanvas(WIDTH, Math.ceil(height))
+    const ctx = canvas.getContext('2d')
+    ctx.direction = 'rtl'
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'alphabetic'
+
+    // Background and frame
+    ctx.fillStyle = theme.background
+    ctx.fillRect(0, 0, WIDTH, height)
+    ctx.strokeStyle = theme.accent
+    ctx.lineWidth = 3
+    ctx.strokeRect(30, 30, WIDTH - 60, height - 60)
+
+    // Header
+    let y = PADDING + 20
+    ctx.fillStyle = theme.accent
+    ctx.font = `bold 30px ${FONT_FAMILY}`
+    ctx.textAlign = 'center'
+    ctx.fillText(t('card.header'), WIDTH / 2, y)
+    ctx.textAlign = 'right'
+    y += 60
+
+    // Body
+    ctx.fillStyle = theme.text
+    ctx.font = `${body.fontSize}px ${FONT_FAMILY}`
+    for (const line of body.lines) {
+      ctx.fillText(line, WIDTH - PADDING, y + body.fontSize)
+      y += body.lineHeight
+    }
+
+    // Footer: divider, source and number, grade and narrator, reference
+    y += 30
+    ctx.strokeStyle = theme.accent
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.moveTo(PADDING, y)
+    ctx.lineTo(WIDTH - PADDING, y)
+    ctx.stroke()
+    y += 20
+
+    for (const line of footer) {
+      y += line.size * LINE_HEIGHT
+      ctx.fillStyle = theme[line.color]
+      ctx.font = `${line.bold ? 'bold ' : ''}${line.size}px ${FONT_FAMILY}`
+      ctx.fillText(line.text, WIDTH - PADDING, y)
+    }
+
+    if (this.botUsername) {
+      ctx.fillStyle = theme.muted
+      ctx.font = `22px ${FONT_FAMILY}`
+      ctx.textAlign = 'left'
+      ctx.direction = 'ltr'
+      ctx.fillText(`@${this.botUsername}`, PADDING, y)
+    }
+
+    return canvas.toBuffer('image/png')
+  }
+
+  /**
+   * Largest font size whose wrapped lines fit the height; the smallest size is
+   * cut off with an ellipsis when even that overflows
+   * @returns {Object} { lines, fontSize, lineHeight }
+   */
+  fitText(ctx, text, maxHeight) {
+    for (const fontSize of FONT_SIZES) {
+      ctx.font = `${fontSize}px ${FONT_FAMILY}`
+      const lineHeight = fontSize * LINE_HEIGHT
+      const lines = this.wrapText(ctx, text, WIDTH - PADDING * 2)
+      const maxLines = Math.floor(maxHeight / lineHeight)
+
+      if (lines.length <= maxLines) {
+        return { lines, fontSize, lineHeight }
+      }
+
+      if (fontSize === FONT_SIZES[FONT_SIZES.length - 1]) {
+        const kept = lines.slice(0, maxLines)
+        kept[kept.length - 1] = kept[kept.length - 1].replace(/\s*\S+$/, '') + ' …»'
+        return { lines: kept, fontSize, lineHeight }
+      }
+    }
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth, on word boundaries
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = []
+    for (const paragraph of text.split(/\n+/)) {
+      let line = ''
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line)
+          line = word
+        } else {
+          line = candidate
+        }
+      }
+      if (line) lines.push(line)
+    }
+    return lines
+  }
+
+  getFooter(hadith) {
+    const footer = []
+
+    const source = [hadith.source || hadith.book, hadith.hadithNumber && t('hadith.numberShort', { number: hadith.hadithNumber })]
+      .filter(Boolean)
+      .join(' - ')
+    if (source) footer.push({ text: source, size: 30, bold: true, color: 'accent' })
+
+    const details = [hadith.grade && `${t('hadith.grade')} ${hadith.grade}`, hadith.narrator && `${t('hadith.narrator')} ${hadith.narrator}`]
+      .filter(Boolean)
+      .join('  •  ')
+    if (details) footer.push({ text: details, size: 24, color: 'muted' })
+
+    const reference = getHadithReference(hadith)
+    if (reference) footer.push({ text: formatReference(reference), size: 22, color: 'muted' })
+
+    return footer
+  }
+
+  footerHeight(footer) {
+    return 50 + footer.reduce((sum, line) => sum + line.size * LINE_HEIGHT, 0)
+  }
+
+  loadFonts() {
+    if (this.fontsLoaded) return
+
+    for (const file of ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf']) {
+      if (!GlobalFonts.registerFromPath(join(FONTS_DIR, file), FONT_FAMILY)) {
+        logger.warn('Card font could not be loaded', { file })
+      }
+    }
+    this.fontsLoaded = true
+  }
+}
+
+const cardService = new CardService()
+export default cardService
+
+export { CardService, THEMES, DEFAULT_THEME }
@@ -0,0 +1,247 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+
+const CONVERSATION_TTL = 24 * 60 * 60 // An unfinished conversation is kept for a day
+const ACTION_PREFIX = 'conv_'
+
+/**
+ * Conversation Service
+ * Multi-step conversations (wizards) as small state machines. The state of a user's
+ * conversation is kept in the Cache table rather than the in-memory session, so a
+ * conversation interrupted by a restart continues with the user's next message or
+ * button press.
+ *
+ * A conversation is registered once under a name:
+ *
+ *   conversationService.register('reminder', {
+ *     first: 'name',
+ *     steps: {
+ *       name: {
+ *         enter: (ctx, state, error) => ...,   // show the step's prompt, with an error to report
+ *         text: (ctx, text, state) => ...,     // typed answer (optional)
+ *         action: (ctx, value, state) => ...   // button with callback `conv_<value>` (optional)
+ *       },
+ *       ...
+ *     },
+ *     complete: (ctx, state) => ...,           // after the last step
+ *     cancel: (ctx, state) => ...,             // after conv_cancel (optional)
+ *     actions: /^reminder_/                    // other buttons that belong to it (optional)
+ *   })
+ *
+ * `text` and `action` return the transition to take:
+ * - { step, data }: go to a step (or redraw the current one), merging data into state.data
+ * - { error }: show the current step again with an error, e.g. a catalog key
+ * - { done: true, data }: finish the conversation and run `complete`
+ * - { data } or nothing: stay on the step (state.data may also be changed in place)
+ *
+ * conv_back returns to the previous step and conv_cancel ends the conversation.
+ * Callback queries are answered before the step runs, so steps only edit or send messages.
+ *
+ * A command ends the conversation. Any other button suspends it: the state is kept,
+ * but typed text is no longer taken for the step until the conversation is resumed
+ * or one of its conv_ buttons is pressed.
+ */
+class ConversationService {
+  constructor(options = {}) {
+    this.cache = options.cache || db.cache
+    this.ttl = options.ttl || CONVERSATION_TTL
+    this.definitions = new Map()
+
+    // Flow for the pending input middleware
+    this.pendingInput = {
+      name: 'conversation',
+      actions: new RegExp(`^${ACTION_PREFIX}`),
+      clear: (ctx, { isCommand }) => isCommand ? this.end(ctx) : this.suspend(ctx)
+    }
+  }
+
+  register(name, definition) {
+    if (!definition.steps?.[definition.first]) {
+      throw new Error(`Conversation '${name}' has no first step`)
+    }
+    this.definitions.set(name, definition)
+  }
+
+  /**
+   * Start a conversation, replacing any unfinished one, and show its first step
+   * @param {Object} data - Initial state.data
+   * @param {string} step - Step to start at instead of the definition's first
+   */
+  async start(ctx, name, data = {}, step = null) {
+    const definition = this.definitions.get(name)
+    if (!definition) throw new Error(`Unknown conversation '${name}'`)
+
+    const state = { name, step: step || definition.first, data, history: [] }
+    await this.save(ctx, state)
+    await definition.steps[state.step].enter(ctx, state)
+
+    logger.userActivity(ctx.user?.id, 'conversation_started', { name, step: state.step })
+    return state
+  }
+
+  /**
+   * The user's unfinished conversation in this chat
+   * @returns {Promise<Object|null>} { name, step, data, history }
+   */
+  async get(ctx) {
+    const key = this.getKey(ctx)
+    if (!key) return null
+
+    const state = await this.cache.get(key)
+    if (!state || !this.definitions.get(state.name)?.steps[state.step]) return null
+
+    return state
+  }
+
+  /**
+   * Show the current step again, e.g. when the user reopens an unfinished wizard
+   */
+  async resume(ctx, state) {
+    await this.unsuspend(ctx, state)
+    await this.definitions.get(state.name).steps[state.step].enter(ctx, state)
+  }
+
+  async end(ctx) {
+    const key = this.getKey(ctx)
+    if (key) await this.cache.delete(key)
+  }
+
+  /**
+   * Stop taking typed text for the conversation when the user leaves it through a
+   * button, keeping its state so it can be resumed
+   */
+  async suspend(ctx) {
+    const state = await this.get(ctx)
+    if (!state || state.suspended) return
+
+    const { actions } = this.definitions.get(state.name)
+    if (actions?.test(ctx.callbackQuery?.data)) return
+
+    state.suspended = true
+    await this.save(ctx, state)
+    logger.userActivity(ctx.user?.id, 'conversation_suspended', { name: state.name, step: state.step })
+  }
+
+  async unsuspend(ctx, state) {
+    if (!state.suspended) return
+
+    delete state.suspended
+    await this.save(ctx, state)
+  }
+
+  /**
+   * Middleware for text messages: answers the current step, or passes the update on.
+   * Commands are never answers; the pending input middleware ends the conversation.
+   */
+  async handleText(ctx, next) {
+    const text = ctx.message?.text?.trim()
+    if (!text || text.startsWith('/') || !ctx.user) return next()
+
+    const state = await this.get(ctx)
+    if (!state || state.suspended) return next()
+
+    const step = this.definitions.get(state.name).steps[state.step]
+    if (!step.text) return next()
+
+    try {
+      await this.transition(ctx, state, await step.text(ctx, text, state))
+    } catch (error) {
+      logger.logError(error, { operation: 'conversation_text', userId: ctx.user?.id, name: state.name, step: state.step })
+      await ctx.safeReply(`❌ ${ctx.t('errors.generic')}`)
+    }
+  }
+
+  /**
+   * Handler for conv_ callbacks
+   */
+  async handleAction(ctx) {
+    const value = ctx.callbackQuery.data.slice(ACTION_PREFIX.length)
+    const state = await this.get(ctx)
+
+    if (!state) {
+      return await ctx.safeAnswerCbQuery(ctx.t('conversation.expired'))
+    }
+
+    const definition = this.definitions.get(state.name)
+
+    try {
+      if (value === 'cancel') {
+        await this.end(ctx)
+        await ctx.safeAnswerCbQuery(ctx.t('common.cancelled'))
+        if (definition.cancel) await definition.cancel(ctx, state)
+        return
+      }
+
+      // Pressing one of the conversation's buttons picks it up again
+      await this.unsuspend(ctx, state)
+
+      const step = definition.steps[state.step]
+      if (value !== 'back' && !step.action) {
+        return await ctx.safeAnswerCbQuery(ctx.t('conversation.expired'))
+      }
+
+      await ctx.safeAnswerCbQuery()
+
+      if (value === 'back') {
+        const previous = state.history.pop()
+        if (!previous) return
+
+        state.step = previous
+        await this.save(ctx, state)
+        return await definition.steps[state.step].enter(ctx, state)
+      }
+
+      await this.transition(ctx, state, await step.action(ctx, value, state))
+    } catch (error) {
+      logger.logError(error, { operation: 'conversation_action', userId: ctx.user?.id, name: state.name, step: state.step })
+      await ctx.safeAnswerCbQuery(`❌ ${ctx.t('errors.generic')}`)
+    }
+  }
+
+  /**
+   * Apply a step's result and show the step it leads to
+   */
+  async transition(ctx, state, result = {}) {
+    const definition = this.definitions.get(state.name)
+    Object.assign(state.data, result?.data || {})
+
+    if (result?.done) {
+      await this.end(ctx)
+      await definition.complete(ctx, state)
+      logger.userActivity(ctx.user?.id, 'conversation_completed', { name: state.name })
+      return
+    }
+
+    const next = result?.step || state.step
+    if (!definition.steps[next]) throw new Error(`Unknown step '${next}' in '${state.name}'`)
+
+    if (next !== state.step) {
+      state.history.push(state.step)
+      state.step = next
+    }
+    await this.save(ctx, state)
+
+    if (result?.step || result?.error) {
+      await definition.steps[state.step].enter(ctx, state, result.error)
+    }
+  }
+
+  /**
+   * Helpers
+   */
+
+  async save(ctx, state) {
+    await this.cache.set(this.getKey(ctx), state, new Date(Date.now() + this.ttl * 1000))
+  }
+
+  getKey(ctx) {
+    const userId = ctx.from?.id
+    if (!userId) return null
+    return `conversation:${userId}:${ctx.chat?.id ?? userId}`
+  }
+}
+
+const conversationService = new ConversationService()
+export default conversationService
+
+export { ConversationService }
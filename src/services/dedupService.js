@@ -0,0 +1,317 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import searchIndex from './searchIndex.js'
+import favoritesService from './favoritesService.js'
+import searchService from './searchService.js'
+import { normalizeArabic } from '../utils/arabic.js'
+import { parseBookName } from '../utils/references.js'
+import { signature, similarity, bands, encode, decode } from '../utils/minhash.js'
+
+// Estimated similarity above which two hadiths of the same collection are one hadith
+const DUPLICATE_SIMILARITY = 0.85
+// Estimated similarity above which hadiths of different collections are parallel narrations
+const PARALLEL_SIMILARITY = 0.4
+const MAX_CANDIDATES = 50
+const BACKFILL_BATCH = 200
+
+// Provider result lists cached by HadithAPI.searchProvider
+const PROVIDER_CACHE_PREFIX = 'hadith_api:search:'
+
+// Fields copied from a merged duplicate when the kept row lacks them
+const FILL_FIELDS = [
+  'dorarId', 'arabicText', 'narrator', 'muhaddith', 'source', 'book', 'chapter',
+  'hadithNumber', 'grade', 'topic', 'keywords', 'translation', 'explanation', 'textHash'
+]
+
+/**
+ * Dedup Service
+ * Finds near-duplicate hadiths with MinHash signatures (utils/minhash.js) and LSH
+ * buckets stored in `hadith_buckets`.
+ *
+ * A near-duplicate in the same collection is merged into the older row: favorites,
+ * reminders, search history, views, referrals and parallels move over, empty fields are
+ * filled, cached result lists are pointed at the older row and the newer row is deleted. A similar text in a different collection is linked
+ * as a parallel narration instead.
+ */
+class DedupService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+  }
+
+  /**
+   * Fingerprint hadiths stored before signatures existed, merging repeats on the way.
+   * Oldest rows go first so they are the ones kept.
+   */
+  async initialize() {
+    try {
+      const processed = new Set()
+      let fingerprinted = 0
+
+      while (true) {
+        const batch = (await this.prisma.hadith.findMany({
+          where: { minhash: null },
+          orderBy: { createdAt: 'asc' },
+          take: BACKFILL_BATCH
+        })).filter(hadith => !processed.has(hadith.id))
+        if (batch.length === 0) break
+
+        for (const hadith of batch) {
+          processed.add(hadith.id)
+          await this.register(hadith)
+          fingerprinted++
+        }
+      }
+
+      if (fingerprinted > 0) {
+        logger.info('Hadith fingerprints backfilled', { fingerprinted })
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'dedup_initialize' })
+    }
+  }
+
+  /**
+   * Fingerprint a saved hadith, then merge it into an existing duplicate or link
+   * it to its parallels
+   * @param {Object} hadith - Hadith row
+   * @returns {Promise<Object>} The row that represents the hadith afterwards
+   */
+  async register(hadith) {
+    try {
+      const sig = signature(hadith.arabicText || hadith.text)
+      if (!sig) {
+        await this.prisma.hadith.update({ where: { id: hadith.id }, data: { minhash: '' } })
+        return hadith
+      }
+
+      const candidates = await this.findCandidates(sig, hadith.id)
+      const parallels = []
+
+      for (const candidate of candidates) {
+        if (candidate.similarity >= DUPLICATE_SIMILARITY && this.isSameHadith(hadith, candidate.hadith)) {
+          const [keep, drop] = candidate.hadith.createdAt <= hadith.createdAt
+            ? [candidate.hadith, hadith]
+            : [hadith, candidate.hadith]
+          const merged = await this.merge(keep, drop)
+          return drop.id === hadith.id ? merged : await this.register(merged)
+        }
+
+        if (candidate.similarity >= PARALLEL_SIMILARITY && !this.isSameCollection(hadith, candidate.hadith)) {
+          parallels.push(candidate)
+        }
+      }
+
+      const keys = bands(sig)
+      await this.prisma.$transaction([
+        this.prisma.hadith.update({ where: { id: hadith.id }, data: { minhash: encode(sig) } }),
+        this.prisma.hadithBucket.deleteMany({ where: { hadithId: hadith.id } }),
+        this.prisma.hadithBucket.createMany({
+          data: keys.map((hash, band) => ({ hadithId: hadith.id, band, hash }))
+        })
+      ])
+
+      for (const parallel of parallels) {
+        await this.link(hadith.id, parallel.hadith.id, parallel.similarity)
+      }
+
+      return hadith
+    } catch (error) {
+      logger.logError(error, { operation: 'dedup_register', hadithId: hadith.id })
+      return hadith
+    }
+  }
+
+  /**
+   * Hadiths sharing at least one LSH band with a signature, most similar first
+   * @returns {Promise<Array>} [{ hadith, similarity }]
+   */
+  async findCandidates(sig, excludeId = null) {
+    const keys = bands(sig)
+
+    const matches = await this.prisma.hadithBucket.groupBy({
+      by: ['hadithId'],
+      where: {
+        OR: keys.map((hash, band) => ({ band, hash })),
+        ...(excludeId ? { hadithId: { not: excludeId } } : {})
+      },
+      _count: { hadithId: true },
+      orderBy: { _count: { hadithId: 'desc' } },
+      take: MAX_CANDIDATES
+    })
+    if (matches.length === 0) return []
+
+    const hadiths = await this.prisma.hadith.findMany({
+      where: { id: { in: matches.map(match => match.hadithId) } }
+    })
+
+    return hadiths
+      .map(hadith => ({ hadith, similarity: similarity(sig, decode(hadith.minhash)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+  }
+
+  /**
+   * Parallel narrations of a hadith, most similar first
+   * @returns {Promise<Array>} Hadith rows with a `similarity` field
+   */
+  async getParallels(hadithId, limit = 10) {
+    const links = await this.prisma.parallelNarration.findMany({
+      where: { hadithId },
+      include: { parallel: true },
+      orderBy: { similarity: 'desc' },
+      take: limit
+    })
+
+    return links.map(link => ({ ...link.parallel, similarity: link.similarity }))
+  }
+
+  /**
+   * Record a parallel narration in both directions
+   */
+  async link(hadithId, parallelId, score) {
+    if (hadithId === parallelId) return
+
+    await this.prisma.$transaction([hadithId, parallelId].map((from, i) => {
+      const to = i === 0 ? parallelId : hadithId
+      return this.prisma.parallelNarration.upsert({
+        where: { hadithId_parallelId: { hadithId: from, parallelId: to } },
+        update: { similarity: score },
+        create: { hadithId: from, parallelId: to, similarity: score }
+      })
+    }))
+  }
+
+  /**
+   * Merge `drop` into `keep` and delete it
+   * @returns {Promise<Object>} The updated kept row
+   */
+  async merge(keep, drop) {
+    const merged = await this.prisma.$transaction(async (tx) => {
+      // Favorites move over unless the user already saved the kept hadith
+      const favorites = await tx.favorite.findMany({ where: { hadithId: drop.id } })
+      for (const favorite of favorites) {
+        const existing = await tx.favorite.findUnique({
+          where: { userId_hadithId: { userId: favorite.userId, hadithId: keep.id } }
+        })
+        if (existing) {
+          // Keep the dropped favorite's collections, tags and note on the kept one
+          const items = await tx.collectionItem.findMany({ where: { favoriteId: favorite.id } })
+          for (const item of items) {
+            await tx.collectionItem.upsert({
+              where: { collectionId_favoriteId: { collectionId: item.collectionId, favoriteId: existing.id } },
+              update: {},
+              create: { collectionId: item.collectionId, favoriteId: existing.id }
+            })
+          }
+          await tx.favorite.update({
+            where: { id: existing.id },
+            data: {
+              tags: mergeTags(existing.tags, favorite.tags),
+              notes: existing.notes || favorite.notes
+            }
+          })
+          await tx.favorite.delete({ where: { id: favorite.id } })
+        } else {
+          await tx.favorite.update({ where: { id: favorite.id }, data: { hadithId: keep.id } })
+        }
+      }
+
+      await tx.reminderHadith.updateMany({ where: { hadithId: drop.id }, data: { hadithId: keep.id } })
+      await tx.searchHistory.updateMany({ where: { hadithId: drop.id }, data: { hadithId: keep.id } })
+      await tx.hadithView.updateMany({ where: { hadithId: drop.id }, data: { hadithId: keep.id } })
+      await tx.referral.updateMany({ where: { hadithId: drop.id }, data: { hadithId: keep.id } })
+
+      const links = await tx.parallelNarration.findMany({ where: { hadithId: drop.id } })
+
+      const fill = {}
+      for (const field of FILL_FIELDS) {
+        if (!keep[field] && drop[field]) fill[field] = drop[field]
+      }
+
+      // Free unique values before handing them to the kept row
+      await tx.hadith.delete({ where: { id: drop.id } })
+
+      for (const link of links.filter(link => link.parallelId !== keep.id)) {
+        for (const [from, to] of [[keep.id, link.parallelId], [link.parallelId, keep.id]]) {
+          await tx.parallelNarration.upsert({
+            where: { hadithId_parallelId: { hadithId: from, parallelId: to } },
+            update: {},
+            create: { hadithId: from, parallelId: to, similarity: link.similarity }
+          })
+        }
+      }
+
+      const kept = await tx.hadith.update({
+        where: { id: keep.id },
+        data: {
+          ...fill,
+          searchCount: { increment: drop.searchCount || 0 },
+          favoriteCount: await tx.favorite.count({ where: { hadithId: keep.id } })
+        }
+      })
+
+      await this.updateCachedResults(tx, drop.id, kept)
+      return kept
+    })
+
+    await searchIndex.indexHadith(merged)
+
+    logger.info('Duplicate hadith merged', { keptId: keep.id, droppedId: drop.id, type: 'hadith_dedup' })
+    return merged
+  }
+
+  /**
+   * Cached result lists that still list a merged duplicate: stored searches
+   * (search:<id>) are rewritten to the kept row so their pages keep opening, and
+   * provider result lists are dropped to be fetched again
+   */
+  async updateCachedResults(tx, dropId, keep) {
+    const entries = await tx.cache.findMany({
+      where: { data: { contains: `"${dropId}"` } },
+      select: { id: true, data: true }
+    })
+
+    for (const entry of entries) {
+      if (entry.id.startsWith(searchService.cacheKey(''))) {
+        const search = JSON.parse(entry.data)
+        if (searchService.replaceResult(search, dropId, keep)) {
+          await tx.cache.update({ where: { id: entry.id }, data: { data: JSON.stringify(search) } })
+        }
+      } else if (entry.id.startsWith(PROVIDER_CACHE_PREFIX)) {
+        await tx.cache.delete({ where: { id: entry.id } })
+      }
+    }
+  }
+
+  /**
+   * Collection of a hadith as a slug, falling back to its normalized source
+   */
+  getCollection(hadith) {
+    return parseBookName(hadith.source) || parseBookName(hadith.book) || normalizeArabic(hadith.source || hadith.book || '')
+  }
+
+  isSameCollection(a, b) {
+    return this.getCollection(a) === this.getCollection(b)
+  }
+
+  /**
+   * Same collection and no conflicting hadith numbers: collections repeat a
+   * narration under different numbers, and those stay separate
+   */
+  isSameHadith(a, b) {
+    if (!this.isSameCollection(a, b)) return false
+    return !a.hadithNumber || !b.hadithNumber || a.hadithNumber.trim() === b.hadithNumber.trim()
+  }
+}
+
+/**
+ * Union of two JSON tag arrays as stored on Favorite
+ */
+function mergeTags(a, b) {
+  const tags = [...new Set([...favoritesService.parseTags(a), ...favoritesService.parseTags(b)])]
+  return tags.length > 0 ? JSON.stringify(tags) : null
+}
+
+const dedupService = new DedupService()
+export default dedupService
+
+export { DedupService }
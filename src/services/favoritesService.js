@@ -0,0 +1,342 @@
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+
+const MAX_TAGS = 10
+const MAX_TAG_LENGTH = 30
+const MAX_NOTE_LENGTH = 1000
+const MAX_COLLECTIONS = 20
+
+/**
+ * Favorites Service
+ * A user's favorites library: saved hadiths with tags and notes, grouped into named collections.
+ * Tags are stored on each Favorite as a JSON array; Hadith.favoriteCount is kept in sync
+ * with the number of Favorite rows.
+ */
+class FavoritesService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.pageSize = options.pageSize || config.pagination.defaultLimit
+  }
+
+  /**
+   * Save a hadith for a user
+   * @returns {Promise<Object>} { favorite, created }
+   */
+  async add(userId, hadithId) {
+    const existing = await this.get(userId, hadithId)
+    if (existing) return { favorite: existing, created: false }
+
+    const hadith = await this.prisma.hadith.findUnique({ where: { id: hadithId } })
+    if (!hadith) return { favorite: null, created: false }
+
+    const [favorite] = await this.prisma.$transaction([
+      this.prisma.favorite.create({ data: { userId, hadithId } }),
+      this.prisma.hadith.update({
+        where: { id: hadithId },
+        data: { favoriteCount: { increment: 1 } }
+      })
+    ])
+
+    return { favorite, created: true }
+  }
+
+  /**
+   * Remove a saved hadith
+   * @returns {Promise<boolean>} Whether a favorite was removed
+   */
+  async remove(userId, hadithId) {
+    const existing = await this.get(userId, hadithId)
+    if (!existing) return false
+
+    await this.prisma.$transaction([
+      this.prisma.favorite.delete({ where: { id: existing.id } }),
+      this.prisma.hadith.updateMany({
+        where: { id: hadithId, favoriteCount: { gt: 0 } },
+        data: { favoriteCount: { decrement: 1 } }
+      })
+    ])
+
+    return true
+  }
+
+  async get(userId, hadithId) {
+    return await this.prisma.favorite.findUnique({
+      where: { userId_hadithId: { userId, hadithId } }
+    })
+  }
+
+  async isFavorite(userId, hadithId) {
+    if (!userId) return false
+    return Boolean(await this.get(userId, hadithId))
+  }
+
+  /**
+   * One page of a user's favorites, newest first
+   * @param {Object} filter - { tag, collectionId, withNotes, since }
+   * @returns {Promise<Object>} { favorites, page, totalPages, totalCount }
+   */
+  async list(userId, filter = {}, page = 1) {
+    const where = { userId }
+
+    if (filter.since) {
+      where.createdAt = { gte: filter.since }
+    }
+    if (filter.withNotes) {
+      where.notes = { not: null }
+    }
+    if (filter.collectionId) {
+      where.collections = { some: { collectionId: filter.collectionId } }
+    }
+    if (filter.tag) {
+      // Narrow in SQL by substring, then check the parsed tags exactly
+      where.tags = { contains: JSON.stringify(filter.tag).slice(1, -1) }
+    }
+
+    let favorites = await this.prisma.favorite.findMany({
+      where,
+      include: { hadith: true },
+      orderBy: { createdAt: 'desc' }
+    })
+
+    if (filter.tag) {
+      favorites = favorites.filter(favorite => this.parseTags(favorite.tags).includes(filter.tag))
+    }
+
+    const totalCount = favorites.length
+    const totalPages = Math.max(1, Math.ceil(totalCount / this.pageSize))
+    const safePage = Math.min(Math.max(1, page), totalPages)
+    const start = (safePage - 1) * this.pageSize
+
+    return {
+      favorites: favorites.slice(start, start + this.pageSize),
+      page: safePage,
+      totalPages,
+      totalCount
+    }
+  }
+
+  /**
+   * Tags
+   */
+
+  async addTags(userId, hadithId, input) {
+    const favorite = await this.ensureFavorite(userId, hadithId)
+    if (!favorite) return null
+
+    const tags = [...new Set([...this.parseTags(favorite.tags), ...this.parseTagInput(input)])]
+      .slice(0, MAX_TAGS)
+
+    return await this.prisma.favorite.update({
+      where: { id: favorite.id },
+      data: { tags: JSON.stringify(tags) }
+    })
+  }
+
+  /**
+   * All distinct tags of a user with usage counts, most used first
+   */
+  async getTags(userId) {
+    const favorites = await this.prisma.favorite.findMany({
+      where: { userId, tags: { not: null } },
+      select: { tags: true }
+    })
+
+    const counts = new Map()
+    for (const favorite of favorites) {
+      for (const tag of this.parseTags(favorite.tags)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1)
+      }
+    }
+
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'ar'))
+  }
+
+  /**
+   * Remove a tag from every favorite of a user
+   * @returns {Promise<number>} Number of favorites updated
+   */
+  async deleteTag(userId, tag) {
+    const favorites = (await this.prisma.favorite.findMany({ where: { userId, tags: { not: null } } }))
+      .filter(favorite => this.parseTags(favorite.tags).includes(tag))
+
+    for (const favorite of favorites) {
+      const tags = this.parseTags(favorite.tags).filter(name => name !== tag)
+      await this.prisma.favorite.update({
+        where: { id: favorite.id },
+        data: { tags: tags.length > 0 ? JSON.stringify(tags) : null }
+      })
+    }
+
+    return favorites.length
+  }
+
+  /**
+   * Notes
+   */
+
+  async setNote(userId, hadithId, note) {
+    const favorite = await this.ensureFavorite(userId, hadithId)
+    if (!favorite) return null
+
+    const cleaned = this.cleanUserText(note).substring(0, MAX_NOTE_LENGTH)
+
+    return await this.prisma.favorite.update({
+      where: { id: favorite.id },
+      data: { notes: cleaned || null }
+    })
+  }
+
+  /**
+   * Collections
+   */
+
+  async getCollections(userId) {
+    return await this.prisma.collection.findMany({
+      where: { userId },
+      include: { _count: { select: { items: true } } },
+      orderBy: { createdAt: 'asc' }
+    })
+  }
+
+  async getCollection(userId, collectionId) {
+    return await this.prisma.collection.findFirst({
+      where: { id: collectionId, userId }
+    })
+  }
+
+  /**
+   * Create a named collection
+   * @returns {Promise<Object>} { collection, error } where error is 'invalid_name', 'exists' or 'limit'
+   */
+  async createCollection(userId, name) {
+    const cleaned = this.cleanUserText(name).substring(0, 100)
+    if (cleaned.length < 2) return { collection: null, error: 'invalid_name' }
+
+    const count = await this.prisma.collection.count({ where: { userId } })
+    if (count >= MAX_COLLECTIONS) return { collection: null, error: 'limit' }
+
+    const existing = await this.prisma.collection.findUnique({
+      where: { userId_name: { userId, name: cleaned } }
+    })
+    if (existing) return { collection: existing, error: 'exists' }
+
+    const collection = await this.prisma.collection.create({
+      data: { userId, name: cleaned }
+    })
+
+    return { collection, error: null }
+  }
+
+  async deleteCollection(userId, collectionId) {
+    const result = await this.prisma.collection.deleteMany({
+      where: { id: collectionId, userId }
+    })
+    return result.count > 0
+  }
+
+  /**
+   * Add a hadith to a collection or take it out again
+   * @returns {Promise<boolean|null>} true if now in the collection, false if removed, null if not found
+   */
+  async toggleCollectionItem(userId, collectionId, hadithId) {
+    const collection = await this.getCollection(userId, collectionId)
+    if (!collection) return null
+
+    const favorite = await this.ensureFavorite(userId, hadithId)
+    if (!favorite) return null
+
+    const where = { collectionId_favoriteId: { collectionId, favoriteId: favorite.id } }
+    const existing = await this.prisma.collectionItem.findUnique({ where })
+
+    if (existing) {
+      await this.prisma.collectionItem.delete({ where })
+      return false
+    }
+
+    await this.prisma.collectionItem.create({
+      data: { collectionId, favoriteId: favorite.id }
+    })
+    return true
+  }
+
+  /**
+   * IDs of the collections that contain a user's favorite
+   */
+  async getCollectionIdsFor(userId, hadithId) {
+    const favorite = await this.get(userId, hadithId)
+    if (!favorite) return []
+
+    const items = await this.prisma.collectionItem.findMany({
+      where: { favoriteId: favorite.id },
+      select: { collectionId: true }
+    })
+    return items.map(item => item.collectionId)
+  }
+
+  /**
+   * Summary numbers for the favorites stats view
+   */
+  async getStats(userId) {
+    const [total, withNotes, collections, tags] = await Promise.all([
+      this.prisma.favorite.count({ where: { userId } }),
+      this.prisma.favorite.count({ where: { userId, notes: { not: null } } }),
+      this.prisma.collection.count({ where: { userId } }),
+      this.getTags(userId)
+    ])
+
+    return { total, withNotes, collections, tags }
+  }
+
+  /**
+   * Helpers
+   */
+
+  async ensureFavorite(userId, hadithId) {
+    try {
+      const { favorite } = await this.add(userId, hadithId)
+      return favorite
+    } catch (error) {
+      logger.logError(error, { operation: 'favorites_ensure', userId, hadithId })
+      return null
+    }
+  }
+
+  parseTags(tags) {
+    if (!tags) return []
+
+    try {
+      const parsed = JSON.parse(tags)
+      return Array.isArray(parsed) ? parsed.filter(tag => typeof tag === 'string' && tag) : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  /**
+   * Split "tag1, tag2 #tag3" style input into clean tag names
+   */
+  parseTagInput(input) {
+    return (input || '')
+      .split(/[,،\n#]+/)
+      .map(tag => this.cleanUserText(tag).substring(0, MAX_TAG_LENGTH).trim())
+      .filter(tag => tag.length > 0)
+  }
+
+  /**
+   * Strip Markdown control characters so user text can be shown in Markdown messages
+   */
+  cleanUserText(text) {
+    return (text || '')
+      .toString()
+      .replace(/[*_`[\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+  }
+}
+
+const favoritesService = new FavoritesService()
+export default favoritesService
+
+export { FavoritesService }
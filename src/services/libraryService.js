@@ -0,0 +1,179 @@
+import { createHash } from 'crypto'
+import config from '../config/index.js'
+import db from '../database/index.js'
+import { BOOKS, parseBookName } from '../utils/references.js'
+
+const NO_CHAPTER = 'none'
+
+/**
+ * Library Service
+ * Browsable index of the stored hadiths: collections (by slug, see utils/references.js),
+ * their chapters (distinct Hadith.chapter) and the hadiths of a chapter in number order.
+ *
+ * Chapters are addressed by a short hash of their name, so callback data and deep
+ * links stay valid when chapters are added to a collection.
+ */
+class LibraryService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.pageSize = options.pageSize || config.pagination.defaultLimit
+  }
+
+  /**
+   * Collections with stored hadiths, in the usual order of the Six Books
+   * @returns {Promise<Array>} [{ slug, name, count, sources }]
+   */
+  async getBooks() {
+    const groups = await this.prisma.hadith.groupBy({
+      by: ['source'],
+      _count: { _all: true }
+    })
+
+    const books = new Map()
+    for (const group of groups) {
+      const slug = parseBookName(group.source)
+      if (!slug) continue
+
+      const book = books.get(slug) || { slug, name: BOOKS[slug].name, count: 0, sources: [] }
+      book.count += group._count._all
+      book.sources.push(group.source)
+      books.set(slug, book)
+    }
+
+    return Object.keys(BOOKS).filter(slug => books.has(slug)).map(slug => books.get(slug))
+  }
+
+  async getBook(slug) {
+    if (!BOOKS[slug]) return null
+    return (await this.getBooks()).find(book => book.slug === slug) || null
+  }
+
+  /**
+   * One page of a collection's chapters, ordered by their first hadith number
+   * @returns {Promise<Object|null>} { book, chapters, page, totalPages, totalCount }
+   */
+  async getChapters(slug, page = 1) {
+    const book = await this.getBook(slug)
+    if (!book) return null
+
+    const chapters = await this.listChapters(book)
+    return { book, ...this.paginate(chapters, page, 'chapters') }
+  }
+
+  /**
+   * One page of a chapter's hadiths in number order
+   * @returns {Promise<Object|null>} { book, chapter, hadiths, page, totalPages, totalCount }
+   */
+  async getChapter(slug, chapterKey, page = 1) {
+    const book = await this.getBook(slug)
+    if (!book) return null
+
+    const chapter = (await this.listChapters(book)).find(item => item.key === chapterKey)
+    if (!chapter) return null
+
+    const hadiths = await this.listChapterHadiths(book, chapter)
+    return { book, chapter, ...this.paginate(hadiths, page, 'hadiths') }
+  }
+
+  /**
+   * Where a hadith sits in the library
+   * @returns {Promise<Object|null>} { slug, chapterKey, page }
+   */
+  async locate(hadith) {
+    const slug = parseBookName(hadith.source) || parseBookName(hadith.book)
+    const book = slug ? await this.getBook(slug) : null
+    if (!book) return null
+
+    const chapter = { key: this.chapterKey(hadith.chapter), name: hadith.chapter || null }
+    const hadiths = await this.listChapterHadiths(book, chapter)
+    const index = hadiths.findIndex(item => item.id === hadith.id)
+
+    return {
+      slug,
+      chapterKey: chapter.key,
+      page: index >= 0 ? Math.floor(index / this.pageSize) + 1 : 1
+    }
+  }
+
+  /**
+   * Deep link that reopens a book or chapter: t.me/<bot>?start=lib_<slug>[_<chapter>]
+   */
+  getLink(slug, chapterKey = null) {
+    return `https://t.me/${config.bot.username}?start=lib_${slug}${chapterKey ? `_${chapterKey}` : ''}`
+  }
+
+  /**
+   * Parse a lib_ start payload
+   * @returns {Object|null} { slug, chapterKey }
+   */
+  parseLink(payload) {
+    const match = (payload || '').match(/^lib_(.+?)(?:_([0-9a-f]{8}|none))?$/)
+    if (!match || !BOOKS[match[1]]) return null
+    return { slug: match[1], chapterKey: match[2] || null }
+  }
+
+  /**
+   * Helpers
+   */
+
+  async listChapters(book) {
+    const rows = await this.prisma.hadith.findMany({
+      where: { source: { in: book.sources } },
+      select: { chapter: true, hadithNumber: true }
+    })
+
+    const chapters = new Map()
+    for (const row of rows) {
+      const key = this.chapterKey(row.chapter)
+      const chapter = chapters.get(key) || { key, name: row.chapter || null, count: 0, firstNumber: Infinity }
+      chapter.count++
+      chapter.firstNumber = Math.min(chapter.firstNumber, this.numberValue(row.hadithNumber))
+      chapters.set(key, chapter)
+    }
+
+    return Array.from(chapters.values()).sort((a, b) => a.firstNumber - b.firstNumber)
+  }
+
+  async listChapterHadiths(book, chapter) {
+    // Hadiths without a chapter store either null or ''
+    const hadiths = await this.prisma.hadith.findMany({
+      where: chapter.name
+        ? { source: { in: book.sources }, chapter: chapter.name }
+        : { source: { in: book.sources }, OR: [{ chapter: null }, { chapter: '' }] }
+    })
+
+    return hadiths.sort((a, b) =>
+      this.numberValue(a.hadithNumber) - this.numberValue(b.hadithNumber) ||
+      (a.hadithNumber || '').localeCompare(b.hadithNumber || '')
+    )
+  }
+
+  chapterKey(name) {
+    if (!name) return NO_CHAPTER
+    return createHash('sha1').update(name).digest('hex').substring(0, 8)
+  }
+
+  numberValue(hadithNumber) {
+    const value = parseInt(hadithNumber, 10)
+    return Number.isFinite(value) ? value : Infinity
+  }
+
+  paginate(items, page, field) {
+    const totalCount = items.length
+    const totalPages = Math.max(1, Math.ceil(totalCount / this.pageSize))
+    const safePage = Math.min(Math.max(1, page), totalPages)
+    const start = (safePage - 1) * this.pageSize
+
+    return {
+      [field]: items.slice(start, start + this.pageSize),
+      page: safePage,
+      totalPages,
+      totalCount
+    }
+  }
+}
+
+const libraryService = new LibraryService()
+export default libraryService
+
+export { LibraryService }
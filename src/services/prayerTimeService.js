@@ -0,0 +1,260 @@
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import moment from 'moment-timezone'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import { normalizeArabic } from '../utils/arabic.js'
+import { t } from '../i18n/index.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const CITIES_PATH = join(__dirname, '../../data/cities.json')
+
+/**
+ * Calculation methods: sun depression angles for Fajr and Isha.
+ * Umm al-Qura uses a fixed interval after Maghrib for Isha instead of an angle.
+ * Display names are in the locale catalogs (prayers.methods.<key>).
+ */
+const CALCULATION_METHODS = {
+  MWL: { fajr: 18, isha: 17 },
+  UmmAlQura: { fajr: 18.5, ishaMinutes: 90 },
+  ISNA: { fajr: 15, isha: 15 },
+  Egyptian: { fajr: 19.5, isha: 17.5 },
+  Karachi: { fajr: 18, isha: 18 }
+}
+
+const DEFAULT_METHOD = 'MWL'
+
+const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha']
+
+// Apparent sun altitude at sunrise/sunset (refraction + solar radius)
+const SUNRISE_ANGLE = 0.833
+
+/**
+ * Degree-based trigonometry helpers
+ */
+const dtr = (d) => (d * Math.PI) / 180
+const rtd = (r) => (r * 180) / Math.PI
+const sin = (d) => Math.sin(dtr(d))
+const cos = (d) => Math.cos(dtr(d))
+const tan = (d) => Math.tan(dtr(d))
+const arcsin = (x) => rtd(Math.asin(x))
+const arccos = (x) => rtd(Math.acos(x))
+const arctan2 = (y, x) => rtd(Math.atan2(y, x))
+const arccot = (x) => rtd(Math.atan(1 / x))
+const fix = (a, b) => a - b * Math.floor(a / b)
+const fixAngle = (a) => fix(a, 360)
+const fixHour = (a) => fix(a, 24)
+
+/**
+ * Prayer Time Service
+ * Computes prayer times locally from coordinates using standard astronomical formulas,
+ * and resolves city names from the bundled data/cities.json list. No external API is used.
+ */
+class PrayerTimeService {
+  constructor(citiesPath = CITIES_PATH) {
+    this.citiesPath = citiesPath
+    this.cities = null
+  }
+
+  /**
+   * Compute prayer times for a calendar day
+   * @param {Date|moment} date - Any moment within the wanted day (interpreted in `timezone`)
+   * @param {Object} location - { latitude, longitude, timezone, method, asrFactor }
+   * @returns {Object} Map of prayer name to Date (null when the sun never reaches the angle)
+   */
+  getPrayerTimes(date, location) {
+    const { latitude, longitude } = location
+    const timezone = this.resolveTimezone(location.timezone)
+    const method = CALCULATION_METHODS[location.method] || CALCULATION_METHODS[DEFAULT_METHOD]
+    const asrFactor = location.asrFactor === 2 ? 2 : 1 // 1 = Shafi'i/Maliki/Hanbali, 2 = Hanafi
+
+    const day = moment.tz(date, timezone)
+    const utcMidnight = Date.UTC(day.year(), day.month(), day.date())
+    const jDate = utcMidnight / 86400000 + 2440587.5 - longitude / (15 * 24)
+
+    const sunPosition = (dayPortion) => {
+      const d = jDate - 2451545.0 + dayPortion
+      const g = fixAngle(357.529 + 0.98560028 * d)
+      const q = fixAngle(280.459 + 0.98564736 * d)
+      const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g))
+      const e = 23.439 - 0.00000036 * d
+      const ra = arctan2(cos(e) * sin(l), cos(l)) / 15
+
+      return {
+        declination: arcsin(sin(e) * sin(l)),
+        equation: q / 15 - fixHour(ra)
+      }
+    }
+
+    const midDay = (hours) => fixHour(12 - sunPosition(hours / 24).equation)
+
+    const sunAngleTime = (angle, hours, beforeNoon = false) => {
+      const { declination } = sunPosition(hours / 24)
+      const noon = midDay(hours)
+      const t = arccos((-sin(angle) - sin(declination) * sin(latitude)) /
+        (cos(declination) * cos(latitude))) / 15
+      return noon + (beforeNoon ? -t : t)
+    }
+
+    const asrTime = (hours) => {
+      const { declination } = sunPosition(hours / 24)
+      const angle = -arccot(asrFactor + tan(Math.abs(latitude - declination)))
+      return sunAngleTime(angle, hours)
+    }
+
+    // Times are in hours of local solar time, seeded with rough initial guesses
+    const times = {
+      fajr: sunAngleTime(method.fajr, 5, true),
+      sunrise: sunAngleTime(SUNRISE_ANGLE, 6, true),
+      dhuhr: midDay(12),
+      asr: asrTime(13),
+      maghrib: sunAngleTime(SUNRISE_ANGLE, 18),
+      isha: method.ishaMinutes ? NaN : sunAngleTime(method.isha, 18)
+    }
+
+    if (method.ishaMinutes) {
+      times.isha = times.maghrib + method.ishaMinutes / 60
+    }
+
+    this.adjustHighLatitudes(times, method)
+
+    const result = {}
+    for (const prayer of PRAYERS) {
+      const hours = times[prayer]
+      result[prayer] = Number.isFinite(hours)
+        ? new Date(utcMidnight + Math.round((hours - longitude / 15) * 3600) * 1000)
+        : null
+    }
+
+    return result
+  }
+
+  /**
+   * Near the poles the sun may never reach the Fajr/Isha angle; fall back to
+   * the angle-based night portion so those prayers still get a time
+   */
+  adjustHighLatitudes(times, method) {
+    if (!Number.isFinite(times.sunrise) || !Number.isFinite(times.maghrib)) return
+
+    const night = fixHour(times.sunrise - times.maghrib)
+
+    const fajrLimit = times.sunrise - (method.fajr / 60) * night
+    if (!Number.isFinite(times.fajr) || fixHour(times.sunrise - times.fajr) > (method.fajr / 60) * night) {
+      times.fajr = fajrLimit
+    }
+
+    if (!method.ishaMinutes) {
+      const ishaLimit = times.maghrib + (method.isha / 60) * night
+      if (!Number.isFinite(times.isha) || fixHour(times.isha - times.maghrib) > (method.isha / 60) * night) {
+        times.isha = ishaLimit
+      }
+    }
+  }
+
+  /**
+   * Time of a prayer plus an offset in minutes
+   * @returns {Date|null}
+   */
+  getAnchoredTime(date, location, prayer, offsetMinutes = 0) {
+    const times = this.getPrayerTimes(date, location)
+    const time = times[prayer]
+    if (!time) return null
+
+    return new Date(time.getTime() + offsetMinutes * 60000)
+  }
+
+  /**
+   * Cities
+   */
+
+  loadCities() {
+    if (this.cities) return this.cities
+
+    try {
+      const raw = JSON.parse(readFileSync(this.citiesPath, 'utf8'))
+      this.cities = raw.cities || []
+    } catch (error) {
+      logger.logError(error, { operation: 'prayer_cities_load', path: this.citiesPath })
+      this.cities = []
+    }
+
+    return this.cities
+  }
+
+  getCity(cityId) {
+    return this.loadCities().find(city => city.id === cityId) || null
+  }
+
+  /**
+   * Find cities whose Arabic/English name or aliases match the query
+   * @returns {Array} Matching cities, exact matches first
+   */
+  findCities(query, limit = 6) {
+    const needle = this.normalizeName(query)
+    if (!needle) return []
+
+    const scored = []
+    for (const city of this.loadCities()) {
+      const names = [city.name.ar, city.name.en, city.id, ...(city.aliases || [])]
+        .map(name => this.normalizeName(name))
+
+      if (names.includes(needle)) {
+        scored.push({ city, score: 2 })
+      } else if (needle.length >= 2 && names.some(name => name.startsWith(needle))) {
+        scored.push({ city, score: 1 })
+      }
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.city)
+  }
+
+  normalizeName(name) {
+    return normalizeArabic((name || '').toString().replace(/[_\-'’]/g, ' '))
+  }
+
+  /**
+   * Helpers
+   */
+
+  /**
+   * Calculation methods with their names in the current locale
+   */
+  getMethods() {
+    return Object.fromEntries(Object.entries(CALCULATION_METHODS).map(([key, method]) =>
+      [key, { ...method, name: t(`prayers.methods.${key}`) }]
+    ))
+  }
+
+  isValidMethod(method) {
+    return Object.prototype.hasOwnProperty.call(CALCULATION_METHODS, method)
+  }
+
+  getPrayerNames() {
+    return Object.fromEntries(PRAYERS.map(prayer => [prayer, this.getPrayerName(prayer)]))
+  }
+
+  getPrayerName(prayer) {
+    return this.isValidPrayer(prayer) ? t(`prayers.names.${prayer}`) : prayer
+  }
+
+  isValidPrayer(prayer) {
+    return PRAYERS.includes(prayer)
+  }
+
+  hasLocation(user) {
+    return Boolean(user) && Number.isFinite(user.latitude) && Number.isFinite(user.longitude)
+  }
+
+  resolveTimezone(timezone) {
+    return moment.tz.zone(timezone || '') ? timezone : config.localization.defaultTimezone
+  }
+}
+
+const prayerTimeService = new PrayerTimeService()
+export default prayerTimeService
+
+export { PrayerTimeService, CALCULATION_METHODS, PRAYERS }
@@ -0,0 +1,150 @@
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import searchIndex from './searchIndex.js'
+import dedupService from './dedupService.js'
+import { normalizeArabic, extractKeywords } from '../utils/arabic.js'
+import { parseBookName } from '../utils/references.js'
+
+const MAX_RELATED = 30
+const CANDIDATES = 60
+const KEYWORDS = 12
+// Score of the best text match; shared fields add to a candidate's text score
+const TEXT_WEIGHT = 1
+const TOPIC_WEIGHT = 0.3
+const CHAPTER_WEIGHT = 0.3
+const NARRATOR_WEIGHT = 0.2
+const MIN_SCORE = 0.25
+
+/**
+ * Related Service
+ * Related hadiths for a stored hadith: its parallel narrations first, then hadiths
+ * ranked by bm25 over the hadith's keywords in the local FTS index plus bonuses for
+ * a shared topic, chapter (within the same collection) and narrator.
+ * Ranked lists are kept in the Cache table and paged from there.
+ */
+class RelatedService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.pageSize = options.pageSize || config.pagination.defaultLimit
+    this.ttl = options.ttl || config.cache.database.ttl
+  }
+
+  /**
+   * One page of related hadiths
+   * @returns {Promise<Object>} { hadiths, page, totalPages, totalCount }
+   */
+  async getPage(hadith, page = 1) {
+    const ranked = await this.getRelated(hadith)
+
+    const totalCount = ranked.length
+    const totalPages = Math.max(1, Math.ceil(totalCount / this.pageSize))
+    const safePage = Math.min(Math.max(1, page), totalPages)
+    const slice = ranked.slice((safePage - 1) * this.pageSize, safePage * this.pageSize)
+
+    const rows = await this.prisma.hadith.findMany({
+      where: { id: { in: slice.map(item => item.id) } }
+    })
+    const byId = new Map(rows.map(row => [row.id, row]))
+
+    return {
+      hadiths: slice
+        .filter(item => byId.has(item.id))
+        .map(item => ({ ...byId.get(item.id), isParallel: item.parallel })),
+      page: safePage,
+      totalPages,
+      totalCount
+    }
+  }
+
+  /**
+   * Ranked related hadith IDs, from the cache when possible
+   * @returns {Promise<Array>} [{ id, score, parallel }]
+   */
+  async getRelated(hadith) {
+    const key = `related:${hadith.id}`
+
+    const cached = await db.cache.get(key)
+    if (cached) return cached
+
+    try {
+      const ranked = await this.compute(hadith)
+      await db.cache.set(key, ranked, new Date(Date.now() + this.ttl * 1000))
+      return ranked
+    } catch (error) {
+      logger.logError(error, { operation: 'related_compute', hadithId: hadith.id })
+      return []
+    }
+  }
+
+  async compute(hadith) {
+    const words = extractKeywords([hadith.arabicText || hadith.text, hadith.topic, hadith.chapter].filter(Boolean).join(' '), KEYWORDS)
+
+    const [parallels, textMatches, fieldMatches] = await Promise.all([
+      dedupService.getParallels(hadith.id, MAX_RELATED),
+      searchIndex.rank(words, { limit: CANDIDATES, excludeId: hadith.id }),
+      this.findByFields(hadith)
+    ])
+
+    const parallelIds = new Set(parallels.map(parallel => parallel.id))
+    const textScores = new Map(textMatches.map(match => [match.id, match.score]))
+    const maxText = Math.max(0, ...textMatches.map(match => match.score))
+
+    const candidateIds = [...new Set([...textScores.keys(), ...fieldMatches.map(row => row.id)])]
+      .filter(id => !parallelIds.has(id))
+    const candidates = await this.prisma.hadith.findMany({
+      where: { id: { in: candidateIds } },
+      select: { id: true, topic: true, chapter: true, narrator: true, source: true, book: true }
+    })
+
+    const scored = candidates
+      .map(candidate => ({
+        id: candidate.id,
+        score: (maxText > 0 ? (textScores.get(candidate.id) || 0) / maxText * TEXT_WEIGHT : 0) +
+          this.fieldScore(hadith, candidate),
+        parallel: false
+      }))
+      .filter(item => item.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+
+    return [
+      ...parallels.map(parallel => ({ id: parallel.id, score: parallel.similarity, parallel: true })),
+      ...scored
+    ].slice(0, MAX_RELATED)
+  }
+
+  /**
+   * Hadiths sharing the topic, chapter or narrator
+   */
+  async findByFields(hadith) {
+    const conditions = [
+      hadith.topic && { topic: hadith.topic },
+      hadith.chapter && { chapter: hadith.chapter },
+      hadith.narrator && { narrator: hadith.narrator }
+    ].filter(Boolean)
+    if (conditions.length === 0) return []
+
+    return await this.prisma.hadith.findMany({
+      where: { OR: conditions, id: { not: hadith.id } },
+      select: { id: true },
+      orderBy: { favoriteCount: 'desc' },
+      take: CANDIDATES
+    })
+  }
+
+  fieldScore(hadith, candidate) {
+    const same = (a, b) => Boolean(a && b) && normalizeArabic(a) === normalizeArabic(b)
+    const sameCollection = (parseBookName(hadith.source) || hadith.source) === (parseBookName(candidate.source) || candidate.source)
+
+    let score = 0
+    if (same(hadith.topic, candidate.topic)) score += TOPIC_WEIGHT
+    if (sameCollection && same(hadith.chapter, candidate.chapter)) score += CHAPTER_WEIGHT
+    if (same(hadith.narrator, candidate.narrator)) score += NARRATOR_WEIGHT
+    return score
+  }
+}
+
+const relatedService = new RelatedService()
+export default relatedService
+
+export { RelatedService }
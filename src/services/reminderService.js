@@ -0,0 +1,273 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly']
+const MAX_REMINDERS = 10
+const MAX_NAME_LENGTH = 100
+const MAX_TOPICS = 5
+
+// Topics a reminder can draw its hadiths from, with the Arabic term the hadith
+// providers are searched for. Display names are in the locale catalogs
+// (reminders.topics.<key>).
+const REMINDER_TOPICS = {
+  faith: 'الإيمان',
+  prayer: 'الصلاة',
+  fasting: 'الصيام',
+  charity: 'الصدقة',
+  manners: 'الأخلاق',
+  parents: 'بر الوالدين',
+  knowledge: 'العلم',
+  dhikr: 'الذكر',
+  patience: 'الصبر',
+  repentance: 'التوبة'
+}
+
+const ARABIC_DIGITS = /[٠-٩]/g
+
+/**
+ * Reminder Service
+ * Validates and stores fixed-time reminders, and records read receipts of the
+ * delivered hadiths. Days and topics are stored on the Reminder as JSON arrays;
+ * nextDue is left to SchedulerService.rescheduleUserReminders, which callers run
+ * after every change.
+ */
+class ReminderService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+  }
+
+  /**
+   * Reminder name typed by the user
+   * @returns {string|null} Cleaned name, or null when too short
+   */
+  cleanName(text) {
+    const name = (text || '')
+      .replace(/[*_`[\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, MAX_NAME_LENGTH)
+
+    return name.length >= 2 ? name : null
+  }
+
+  /**
+   * Time typed by the user: 7, 07:30, 7.30, ١٩:٠٠
+   * @returns {string|null} HH:MM, or null when not a time of day
+   */
+  parseTime(text) {
+    const cleaned = (text || '')
+      .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+      .trim()
+
+    const match = /^(\d{1,2})(?:[:.٫](\d{2}))?$/.exec(cleaned)
+    if (!match) return null
+
+    const hour = parseInt(match[1], 10)
+    const minute = parseInt(match[2] || '0', 10)
+    if (hour > 23 || minute > 59) return null
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  }
+
+  /**
+   * Days a reminder runs on: weekdays (0-6, 0 = Sunday) for daily and weekly
+   * reminders, days of the month (1-31) for monthly ones
+   * @returns {Array<number>|null} Sorted days, [] for every day of a daily reminder,
+   *   or null when a weekly or monthly reminder has none
+   */
+  normalizeDays(frequency, days) {
+    const [min, max] = frequency === 'monthly' ? [1, 31] : [0, 6]
+    const normalized = [...new Set((days || []).map(Number))]
+      .filter(day => Number.isInteger(day) && day >= min && day <= max)
+      .sort((a, b) => a - b)
+
+    if (frequency === 'daily') return normalized.length === 7 ? [] : normalized
+    return normalized.length > 0 ? normalized : null
+  }
+
+  /**
+   * Known, distinct topic keys, at most MAX_TOPICS
+   * @returns {Array<string>|null} Topics ([] for any topic), or null when one is unknown or there are too many
+   */
+  normalizeTopics(topics) {
+    const normalized = [...new Set(topics || [])]
+    if (normalized.length > MAX_TOPICS) return null
+    if (normalized.some(topic => !Object.prototype.hasOwnProperty.call(REMINDER_TOPICS, topic))) return null
+    return normalized
+  }
+
+  /**
+   * Validate a reminder built by the wizard
+   * @param {Object} draft - { name, frequency, days, time, topics }
+   * @returns {Object} { data, error } where data holds the Reminder columns and error is
+   *   'invalid_name', 'invalid_frequency', 'invalid_days', 'invalid_time' or 'invalid_topics'
+   */
+  validate(draft) {
+    const name = this.cleanName(draft.name)
+    if (!name) return { data: null, error: 'invalid_name' }
+
+    if (!FREQUENCIES.includes(draft.frequency)) return { data: null, error: 'invalid_frequency' }
+
+    const days = this.normalizeDays(draft.frequency, draft.days)
+    if (!days) return { data: null, error: 'invalid_days' }
+
+    const time = this.parseTime(draft.time)
+    if (!time) return { data: null, error: 'invalid_time' }
+
+    const topics = this.normalizeTopics(draft.topics)
+    if (!topics) return { data: null, error: 'invalid_topics' }
+
+    return {
+      data: {
+        name,
+        frequency: draft.frequency,
+        days: days.length > 0 ? JSON.stringify(days) : null,
+        time,
+        topics: topics.length > 0 ? JSON.stringify(topics) : null
+      },
+      error: null
+    }
+  }
+
+  /**
+   * Create a reminder in the user's timezone
+   * @returns {Promise<Object>} { reminder, error } where error is a validate() error or 'limit'
+   */
+  async create(user, draft) {
+    const { data, error } = this.validate(draft)
+    if (error) return { reminder: null, error }
+
+    const count = await this.prisma.reminder.count({ where: { userId: user.id } })
+    if (count >= MAX_REMINDERS) return { reminder: null, error: 'limit' }
+
+    const reminder = await this.prisma.reminder.create({
+      data: { ...data, userId: user.id, timezone: user.timezone }
+    })
+
+    logger.userActivity(user.id, 'reminder_created', { reminderId: reminder.id, frequency: data.frequency })
+    return { reminder, error: null }
+  }
+
+  /**
+   * Replace the schedule and topics of one of the user's reminders
+   * @returns {Promise<Object>} { reminder, error } where error is a validate() error or 'not_found'
+   */
+  async update(userId, reminderId, draft) {
+    const { data, error } = this.validate(draft)
+    if (error) return { reminder: null, error }
+
+    const result = await this.prisma.reminder.updateMany({
+      where: { id: reminderId, userId },
+      data
+    })
+    if (result.count === 0) return { reminder: null, error: 'not_found' }
+
+    logger.userActivity(userId, 'reminder_updated', { reminderId })
+    return { reminder: await this.prisma.reminder.findUnique({ where: { id: reminderId } }), error: null }
+  }
+
+  async get(userId, reminderId) {
+    return await this.prisma.reminder.findFirst({ where: { id: reminderId, userId } })
+  }
+
+  async list(userId) {
+    return await this.prisma.reminder.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    })
+  }
+
+  /**
+   * Pause every reminder of a user, or resume them all when none is active
+   * @returns {Promise<Object>} { paused, count }
+   */
+  async togglePause(userId) {
+    const active = await this.prisma.reminder.count({ where: { userId, isActive: true } })
+    const paused = active > 0
+
+    const result = await this.prisma.reminder.updateMany({
+      where: { userId },
+      data: { isActive: !paused }
+    })
+
+    logger.userActivity(userId, paused ? 'reminders_paused' : 'reminders_resumed', { count: result.count })
+    return { paused, count: result.count }
+  }
+
+  /**
+   * Move a fixed-time reminder to another time of day
+   * @returns {Promise<boolean>} Whether the reminder was found
+   */
+  async setTime(userId, reminderId, time) {
+    const parsed = this.parseTime(time)
+    if (!parsed) return false
+
+    const result = await this.prisma.reminder.updateMany({
+      where: { id: reminderId, userId, anchorPrayer: null },
+      data: { time: parsed }
+    })
+
+    if (result.count > 0) logger.userActivity(userId, 'reminder_time_changed', { reminderId, time: parsed })
+    return result.count > 0
+  }
+
+  /**
+   * Read receipt of a delivered reminder (a ReminderHadith row)
+   * @returns {Promise<Object|null>} The delivery, or null when it is not the user's
+   */
+  async markRead(userId, deliveryId) {
+    const delivery = await this.prisma.reminderHadith.findFirst({
+      where: { id: deliveryId, reminder: { userId } }
+    })
+    if (!delivery) return null
+
+    if (!delivery.wasRead) {
+      await this.prisma.reminderHadith.update({
+        where: { id: deliveryId },
+        data: { wasRead: true, readAt: new Date() }
+      })
+      logger.userActivity(userId, 'reminder_read', { reminderId: delivery.reminderId, hadithId: delivery.hadithId })
+    }
+
+    return delivery
+  }
+
+  /**
+   * Stored JSON arrays
+   */
+
+  parseDays(days) {
+    return this.parseList(days).map(Number).filter(Number.isInteger)
+  }
+
+  parseTopics(topics) {
+    return this.parseList(topics).filter(topic => typeof topic === 'string' && topic)
+  }
+
+  /**
+   * Search term of a stored topic; reminders created before topic keys store the term itself
+   */
+  getTopicQuery(topic) {
+    return REMINDER_TOPICS[topic] || topic
+  }
+
+  getTopics() {
+    return Object.keys(REMINDER_TOPICS)
+  }
+
+  parseList(value) {
+    if (!value) return []
+
+    try {
+      const parsed = JSON.parse(value)
+      return Array.isArray(parsed) ? parsed : []
+    } catch (error) {
+      return []
+    }
+  }
+}
+
+const reminderService = new ReminderService()
+export default reminderService
+
+export { ReminderService, REMINDER_TOPICS, FREQUENCIES, MAX_TOPICS }
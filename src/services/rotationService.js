@@ -0,0 +1,331 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import hadithAPI from '../api/hadith.js'
+
+const SAMPLE_SIZE = 200 // Unseen hadiths weighed per pick
+const FAVORITES_CONSIDERED = 200
+const TOPIC_WEIGHT = 3
+const GRADE_WEIGHT = 2
+const FALLBACK_ATTEMPTS = 3
+
+/**
+ * Rotation Service
+ * Picks hadiths for a user without repeats: a hadith the user was already sent
+ * (ReminderHadith), opened from search (SearchHistory) or shown by /random
+ * (HadithView) is skipped until every hadith of the pool has been seen. The pool is
+ * the verified stored hadiths matching the filters, as for the local provider; each
+ * user's pass through a pool starts at HadithRotation.cycleStart and a new pass
+ * begins once the pool is exhausted.
+ *
+ * Among unseen hadiths, those sharing a topic or grade with the user's favorites
+ * are more likely to be picked.
+ */
+class RotationService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.hadithAPI = options.hadithAPI || hadithAPI
+    this.random = options.random || Math.random
+  }
+
+  /**
+   * Next hadith of a user's rotation
+   * @param {number} userId - User ID
+   * @param {Object} filters - { topic, narrator, source, grade }
+   * @returns {Promise<Object|null>} Hadith, from the providers when no stored hadith matches
+   */
+  async next(userId, filters = {}) {
+    try {
+      const pool = this.getPoolKey(filters)
+
+      const total = await this.countPool(userId, filters)
+      if (total === 0) return await this.fromProviders(userId, filters)
+
+      let rotation = await this.getRotation(userId, pool)
+      let unseen = { since: rotation.cycleStart }
+      let count = await this.countPool(userId, filters, unseen)
+
+      if (count === 0) {
+        // Pool exhausted: start over, only avoiding the hadith seen last
+        rotation = await this.startCycle(userId, pool, rotation)
+        unseen = { since: rotation.cycleStart, exclude: await this.getSeenIds(userId, null, 1) }
+        count = await this.countPool(userId, filters, unseen)
+        if (count === 0) {
+          unseen = null
+          count = total
+        }
+
+        logger.userActivity(userId, 'rotation_restarted', { pool, cycle: rotation.cycle, total })
+      }
+
+      const candidates = await this.findPool(userId, filters, unseen, {
+        skip: Math.floor(this.random() * Math.max(0, count - SAMPLE_SIZE + 1)),
+        take: SAMPLE_SIZE
+      })
+      if (candidates.length === 0) return null
+
+      const preferences = await this.getPreferences(userId)
+      const picked = this.pickWeighted(candidates, preferences)
+
+      return await this.prisma.hadith.findUnique({
+        where: { id: picked.id },
+        include: {
+          _count: {
+            select: { favorites: true }
+          }
+        }
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'rotation_next', userId, filters })
+      return await this.hadithAPI.getRandom(filters)
+    }
+  }
+
+  /**
+   * Record a hadith shown outside search and reminders, so the rotation skips it
+   */
+  async recordView(userId, hadithId, source = 'random') {
+    if (!userId || !hadithId) return
+
+    try {
+      await this.prisma.hadithView.create({
+        data: { userId, hadithId, source }
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'rotation_record_view', userId, hadithId })
+    }
+  }
+
+  /**
+   * IDs of the hadiths a user has seen, newest first
+   * @param {Date|null} since - Only those seen since then
+   * @param {number} limit - At most this many per history
+   */
+  async getSeenIds(userId, since = null, limit = undefined) {
+    const after = since ? { gte: since } : undefined
+
+    const [sent, searched, viewed] = await Promise.all([
+      this.prisma.reminderHadith.findMany({
+        where: { reminder: { userId }, sentAt: after },
+        select: { hadithId: true, sentAt: true },
+        orderBy: { sentAt: 'desc' },
+        take: limit
+      }),
+      this.prisma.searchHistory.findMany({
+        where: { userId, hadithId: { not: null }, timestamp: after },
+        select: { hadithId: true, timestamp: true },
+        orderBy: { timestamp: 'desc' },
+        take: limit
+      }),
+      this.prisma.hadithView.findMany({
+        where: { userId, viewedAt: after },
+        select: { hadithId: true, viewedAt: true },
+        orderBy: { viewedAt: 'desc' },
+        take: limit
+      })
+    ])
+
+    const entries = [
+      ...sent.map(entry => ({ id: entry.hadithId, at: entry.sentAt })),
+      ...searched.map(entry => ({ id: entry.hadithId, at: entry.timestamp })),
+      ...viewed.map(entry => ({ id: entry.hadithId, at: entry.viewedAt }))
+    ].sort((a, b) => new Date(b.at) - new Date(a.at))
+
+    const ids = [...new Set(entries.map(entry => entry.id))]
+    return limit ? ids.slice(0, limit) : ids
+  }
+
+  /**
+   * How often each topic and grade appears among the user's recent favorites
+   * @returns {Promise<Object>} { topics, grades } as Maps of value → share (0-1)
+   */
+  async getPreferences(userId) {
+    const favorites = await this.prisma.favorite.findMany({
+      where: { userId },
+      select: { hadith: { select: { topic: true, grade: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: FAVORITES_CONSIDERED
+    })
+
+    const shares = (values) => {
+      const counts = new Map()
+      for (const value of values.filter(Boolean)) {
+        counts.set(value, (counts.get(value) || 0) + 1)
+      }
+      for (const [value, count] of counts) {
+        counts.set(value, count / favorites.length)
+      }
+      return counts
+    }
+
+    return {
+      topics: shares(favorites.map(favorite => favorite.hadith?.topic?.trim())),
+      grades: shares(favorites.map(favorite => favorite.hadith?.grade?.trim()))
+    }
+  }
+
+  /**
+   * Weighted random pick: every candidate has weight 1, plus more for the topics
+   * and grades the user favors
+   */
+  pickWeighted(candidates, preferences) {
+    const weights = candidates.map(hadith => 1 +
+      TOPIC_WEIGHT * (preferences.topics.get(hadith.topic?.trim()) || 0) +
+      GRADE_WEIGHT * (preferences.grades.get(hadith.grade?.trim()) || 0))
+
+    let target = this.random() * weights.reduce((sum, weight) => sum + weight, 0)
+    for (let i = 0; i < candidates.length; i++) {
+      target -= weights[i]
+      if (target < 0) return candidates[i]
+    }
+
+    return candidates[candidates.length - 1]
+  }
+
+  /**
+   * Nothing stored matches: ask the providers, retrying a few times for a hadith
+   * the user has not seen. Providers only search by topic, so hadiths missing the
+   * other filters are dropped.
+   */
+  async fromProviders(userId, filters) {
+    let fallback = null
+    for (let attempt = 0; attempt < FALLBACK_ATTEMPTS; attempt++) {
+      const hadith = await this.hadithAPI.getRandom(filters)
+      if (!hadith) break
+      if (!this.matchesFilters(hadith, filters)) continue
+      if (!(await this.hasSeen(userId, hadith.id))) return hadith
+      fallback = hadith
+    }
+
+    return fallback
+  }
+
+  matchesFilters(hadith, filters) {
+    const contains = (value, part) => !part || (value || '').includes(part)
+
+    return contains(hadith.narrator, filters.narrator) &&
+      contains(hadith.source, filters.source) &&
+      (!filters.grade || hadith.grade === filters.grade)
+  }
+
+  /**
+   * Helpers
+   */
+
+  async getRotation(userId, pool) {
+    const rotation = await this.prisma.hadithRotation.findUnique({
+      where: { userId_pool: { userId, pool } }
+    })
+
+    return rotation || { cycle: 0, cycleStart: null }
+  }
+
+  async startCycle(userId, pool, rotation) {
+    const cycleStart = new Date()
+    return await this.prisma.hadithRotation.upsert({
+      where: { userId_pool: { userId, pool } },
+      create: { userId, pool, cycle: rotation.cycle + 1, cycleStart },
+      update: { cycle: rotation.cycle + 1, cycleStart }
+    })
+  }
+
+  /**
+   * Pool hadiths in SQL. The pool is the same as the local provider's random():
+   * verified hadiths matching the filters. What the user has seen is excluded with
+   * NOT EXISTS against the histories, so their size does not matter.
+   * @param {Object|null} unseen - { since, exclude }: skip hadiths seen since `since`
+   *   (ever, when null) and the `exclude` IDs; null for the whole pool
+   */
+  async countPool(userId, filters, unseen = null) {
+    const { sql, params } = this.buildPoolWhere(userId, filters, unseen)
+    const [{ count }] = await this.prisma.$queryRawUnsafe(`SELECT COUNT(*) AS count FROM hadiths h WHERE ${sql}`, ...params)
+    return Number(count)
+  }
+
+  async findPool(userId, filters, unseen, { skip, take }) {
+    const { sql, params } = this.buildPoolWhere(userId, filters, unseen)
+    return await this.prisma.$queryRawUnsafe(
+      `SELECT h.id, h.topic, h.grade FROM hadiths h WHERE ${sql} ORDER BY h.id LIMIT ? OFFSET ?`,
+      ...params, take, skip
+    )
+  }
+
+  /**
+   * Whether the user has ever seen a hadith
+   */
+  async hasSeen(userId, hadithId) {
+    const seen = this.buildSeenConditions(userId, '?', null)
+    const [{ found }] = await this.prisma.$queryRawUnsafe(
+      `SELECT (${seen.sql.join(' OR ')}) AS found`,
+      ...seen.params.flatMap(params => [hadithId, ...params])
+    )
+    return Boolean(Number(found))
+  }
+
+  /**
+   * WHERE clause over `hadiths h`
+   * @returns {Object} { sql, params }
+   */
+  buildPoolWhere(userId, filters, unseen = null) {
+    const conditions = ['h.is_verified = 1']
+    const params = []
+
+    for (const field of ['topic', 'narrator', 'source']) {
+      if (!filters[field]) continue
+      // Like Prisma's `contains`
+      conditions.push(`h.${field} LIKE ? ESCAPE '\\'`)
+      params.push(`%${filters[field].replace(/[\\%_]/g, char => `\\${char}`)}%`)
+    }
+    if (filters.grade) {
+      conditions.push('h.grade = ?')
+      params.push(filters.grade)
+    }
+
+    if (unseen) {
+      const seen = this.buildSeenConditions(userId, 'h.id', unseen.since)
+      conditions.push(...seen.sql.map(sql => `NOT ${sql}`))
+      params.push(...seen.params.flat())
+
+      const exclude = unseen.exclude || []
+      if (exclude.length > 0) {
+        conditions.push(`h.id NOT IN (${exclude.map(() => '?').join(', ')})`)
+        params.push(...exclude)
+      }
+    }
+
+    return { sql: conditions.join(' AND '), params }
+  }
+
+  /**
+   * EXISTS conditions, one per history, for a hadith (an SQL expression) the user saw
+   * since `since`. Each condition's params follow the hadith expression's own.
+   * @returns {Object} { sql: [conditions], params: [params of each condition] }
+   */
+  buildSeenConditions(userId, hadith, since) {
+    // DateTime columns hold epoch milliseconds
+    const after = (column) => since ? ` AND ${column} >= ?` : ''
+    const params = since ? [userId, new Date(since).getTime()] : [userId]
+
+    return {
+      sql: [
+        `EXISTS (SELECT 1 FROM hadith_views v WHERE v.hadith_id = ${hadith} AND v.user_id = ?${after('v.viewed_at')})`,
+        `EXISTS (SELECT 1 FROM search_history s WHERE s.hadith_id = ${hadith} AND s.user_id = ?${after('s."timestamp"')})`,
+        'EXISTS (SELECT 1 FROM reminder_hadiths rh JOIN reminders r ON r.id = rh.reminder_id ' +
+          `WHERE rh.hadith_id = ${hadith} AND r.user_id = ?${after('rh.sent_at')})`
+      ],
+      params: [params, params, params]
+    }
+  }
+
+  getPoolKey(filters) {
+    const parts = ['topic', 'narrator', 'source', 'grade']
+      .filter(key => filters[key])
+      .map(key => `${key}=${filters[key]}`)
+
+    return parts.length > 0 ? parts.join('&').substring(0, 200) : 'all'
+  }
+}
+
+const rotationService = new RotationService()
+export default rotationService
+
+export { RotationService }
@@ -1,14 +1,65 @@
+import cron from 'node-cron'
+import moment from 'moment-timezone'
+import config from '../config/index.js'
 import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import messages from '../ui/messages.js'
+import keyboards from '../ui/keyboards.js'
+import prayerTimeService from './prayerTimeService.js'
+import translationService from './translationService.js'
+import rotationService from './rotationService.js'
+import reminderService, { FREQUENCIES } from './reminderService.js'
+import i18n, { t } from '../i18n/index.js'
 
+/**
+ * Scheduler Service
+ * Loads active reminders, works out when each one is due and delivers a hadith to the user.
+ *
+ * Every collaborator can be injected so the service can be driven from tests:
+ * - clock: function returning the current Date
+ * - telegram: object exposing sendMessage(chatId, text, extra)
+ * - prisma: data source
+ * - rotation: picks each user's next hadith (see rotationService.js)
+ * - engagementWindow / lateReadMinutes: when reminders adapt to their read receipts
+ */
 class SchedulerService {
-  constructor() {
+  constructor(options = {}) {
     this.isInitialized = false
+    this.isProcessing = false
+    this.task = null
+
+    this.clock = options.clock || (() => new Date())
+    this.telegram = options.telegram || null
+    this.prisma = options.prisma || db.prisma
+    this.rotation = options.rotation || rotationService
+    this.cronExpression = options.cronExpression || '* * * * *' // Every minute
+    this.batchSize = options.batchSize || 50
+    this.engagementWindow = options.engagementWindow || 7 // Deliveries judged together
+    this.lateReadMinutes = options.lateReadMinutes || 180
   }
 
-  async initialize() {
+  /**
+   * Start the delivery loop
+   * @param {Object} telegram - Telegram client used to send reminders
+   */
+  async initialize(telegram = null) {
     try {
+      if (telegram) {
+        this.telegram = telegram
+      }
+
+      if (!this.telegram) {
+        throw new Error('Scheduler service requires a Telegram client')
+      }
+
+      await this.scheduleMissingReminders()
+
+      this.task = cron.schedule(this.cronExpression, () => this.tick())
+
       this.isInitialized = true
-      logger.info('Scheduler service initialized successfully')
+      logger.info('Scheduler service initialized successfully', {
+        cronExpression: this.cronExpression
+      })
     } catch (error) {
       logger.logError(error, { operation: 'scheduler_initialize' })
       throw error
@@ -17,13 +68,459 @@ class SchedulerService {
 
   async stop() {
     try {
+      if (this.task) {
+        this.task.stop()
+        this.task = null
+      }
+
       this.isInitialized = false
       logger.info('Scheduler service stopped')
     } catch (error) {
       logger.logError(error, { operation: 'scheduler_stop' })
     }
   }
+
+  /**
+   * Single scheduler run, skipped if the previous one is still going
+   * @returns {Promise<number>} Number of reminders delivered
+   */
+  async tick() {
+    if (this.isProcessing) return 0
+
+    this.isProcessing = true
+    try {
+      return await this.processDueReminders()
+    } catch (error) {
+      logger.logError(error, { operation: 'scheduler_tick' })
+      return 0
+    } finally {
+      this.isProcessing = false
+    }
+  }
+
+  /**
+   * Give a nextDue to active reminders that were created without one
+   */
+  async scheduleMissingReminders() {
+    const now = this.clock()
+    const reminders = await this.prisma.reminder.findMany({
+      where: { isActive: true, nextDue: null },
+      include: { user: true }
+    })
+
+    for (const reminder of reminders) {
+      await this.prisma.reminder.update({
+        where: { id: reminder.id },
+        data: { nextDue: this.computeNextDue(reminder, now) }
+      })
+    }
+
+    if (reminders.length > 0) {
+      logger.info('Scheduled reminders without due date', { count: reminders.length })
+    }
+
+    return reminders.length
+  }
+
+  /**
+   * Recompute nextDue for a user's active reminders, e.g. after their location changed
+   * @returns {Promise<number>} Number of reminders rescheduled
+   */
+  async rescheduleUserReminders(userId) {
+    const now = this.clock()
+    const reminders = await this.prisma.reminder.findMany({
+      where: { userId, isActive: true },
+      include: { user: true }
+    })
+
+    for (const reminder of reminders) {
+      await this.prisma.reminder.update({
+        where: { id: reminder.id },
+        data: { nextDue: this.computeNextDue(reminder, now) }
+      })
+    }
+
+    return reminders.length
+  }
+
+  /**
+   * Deliver every reminder whose nextDue has passed
+   * @returns {Promise<number>} Number of reminders delivered
+   */
+  async processDueReminders() {
+    const now = this.clock()
+    const dueReminders = await this.prisma.reminder.findMany({
+      where: {
+        isActive: true,
+        nextDue: { lte: now }
+      },
+      include: { user: true },
+      orderBy: { nextDue: 'asc' },
+      take: this.batchSize
+    })
+
+    let delivered = 0
+    for (const reminder of dueReminders) {
+      if (await this.deliverReminder(reminder, now)) {
+        delivered++
+      }
+    }
+
+    if (dueReminders.length > 0) {
+      logger.info('Processed due reminders', {
+        due: dueReminders.length,
+        delivered,
+        type: 'reminder_delivery'
+      })
+    }
+
+    return delivered
+  }
+
+  /**
+   * Deliver one reminder occurrence
+   * @param {Object} reminder - Reminder row including its user
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether a message was sent
+   */
+  async deliverReminder(reminder, now) {
+    try {
+      // Claim the occurrence before sending: nextDue only moves forward if it still
+      // holds the value we read, so a restart or a second instance cannot send it again.
+      // Reminders missed while the bot was down are sent once, not once per missed slot.
+      const nextDue = this.computeNextDue(reminder, now)
+      const claim = await this.prisma.reminder.updateMany({
+        where: { id: reminder.id, nextDue: reminder.nextDue },
+        data: { nextDue }
+      })
+
+      if (claim.count === 0) return false
+
+      const user = reminder.user
+      if (!user || !user.isActive || user.isBlocked) return false
+
+      const hadith = await this.pickHadith(reminder)
+      if (!hadith) {
+        logger.warn('No hadith available for reminder', { reminderId: reminder.id })
+        return false
+      }
+
+      // The delivery is recorded first: its id is the message's read receipt
+      const delivery = await this.prisma.reminderHadith.create({
+        data: {
+          reminderId: reminder.id,
+          hadithId: hadith.id,
+          sentAt: now
+        }
+      })
+
+      try {
+        // Sent outside any update, so the recipient's locale is set here
+        await i18n.run(i18n.resolveLocale(user), async () => this.telegram.sendMessage(
+          user.telegramId.toString(),
+          messages.formatReminder(await translationService.localize(hadith), reminder.name, user.timezone),
+          {
+            parse_mode: 'Markdown',
+            reply_markup: keyboards.createReminderActions(hadith.id, user.id, delivery.id).reply_markup
+          }
+        ))
+      } catch (error) {
+        await this.prisma.reminderHadith.delete({ where: { id: delivery.id } }).catch(() => {})
+        throw error
+      }
+
+      await this.prisma.reminder.update({
+        where: { id: reminder.id },
+        data: { lastSent: now }
+      })
+
+      logger.userActivity(user.id, 'reminder_sent', {
+        reminderId: reminder.id,
+        hadithId: hadith.id
+      })
+
+      await this.adaptToEngagement(reminder, now)
+
+      return true
+    } catch (error) {
+      // The user blocked the bot or deleted their account
+      if (error.code === 403) {
+        await this.prisma.reminder.update({
+          where: { id: reminder.id },
+          data: { isActive: false }
+        }).catch(() => {})
+      }
+
+      logger.logError(error, {
+        operation: 'deliver_reminder',
+        reminderId: reminder.id,
+        userId: reminder.userId
+      })
+      return false
+    }
+  }
+
+  /**
+   * Pick a hadith for a reminder from the user's rotation, honouring its preferred topics
+   */
+  async pickHadith(reminder) {
+    const topics = reminderService.parseTopics(reminder.topics)
+    const topic = topics.length > 0
+      ? reminderService.getTopicQuery(topics[Math.floor(Math.random() * topics.length)])
+      : null
+
+    const hadith = await this.rotation.next(reminder.userId, topic ? { topic } : {})
+    if (hadith || !topic) return hadith
+
+    // Fall back to any topic rather than skipping the reminder
+    return this.rotation.next(reminder.userId)
+  }
+
+  /**
+   * Adapt a reminder to how its hadiths are read, once per `engagementWindow` deliveries
+   * since the last adjustment. A reminder whose hadiths all went unread backs off
+   * (daily → weekly → monthly → paused); one read hours after it arrives gets a
+   * suggested new time. The user is told about either.
+   * @returns {Promise<string|null>} 'backed_off', 'paused', 'suggested' or null
+   */
+  async adaptToEngagement(reminder, now) {
+    try {
+      const engagement = await this.getEngagement(reminder.id, now, reminder.adjustedAt)
+      if (engagement.sent < this.engagementWindow) return null
+
+      if (engagement.read === 0) {
+        return await this.backOff(reminder, engagement, now)
+      }
+
+      const time = this.getPreferredTime(reminder, engagement)
+      if (!time) return null
+
+      await this.prisma.reminder.update({
+        where: { id: reminder.id },
+        data: { adjustedAt: now }
+      })
+
+      await this.notify(reminder.user, () => ({
+        text: `${config.emojis.reminder} **${reminder.name}**\n\n${t('reminders.engagement.suggestTime', { time: reminder.time, suggested: time })}`,
+        keyboard: keyboards.createTimeSuggestion(reminder.id, time)
+      }))
+
+      logger.userActivity(reminder.userId, 'reminder_time_suggested', { reminderId: reminder.id, time })
+      return 'suggested'
+    } catch (error) {
+      logger.logError(error, { operation: 'adapt_reminder', reminderId: reminder.id })
+      return null
+    }
+  }
+
+  /**
+   * Read receipts of a reminder's latest deliveries before `before` (and after `since`)
+   * @returns {Promise<Object>} { sent, read, delays, readTimes } with delays in minutes
+   */
+  async getEngagement(reminderId, before, since = null) {
+    const deliveries = await this.prisma.reminderHadith.findMany({
+      where: {
+        reminderId,
+        sentAt: since ? { lt: before, gt: since } : { lt: before }
+      },
+      orderBy: { sentAt: 'desc' },
+      take: this.engagementWindow
+    })
+
+    const read = deliveries.filter(delivery => delivery.wasRead && delivery.readAt)
+    return {
+      sent: deliveries.length,
+      read: deliveries.filter(delivery => delivery.wasRead).length,
+      delays: read.map(delivery => (new Date(delivery.readAt) - new Date(delivery.sentAt)) / 60000),
+      readTimes: read.map(delivery => new Date(delivery.readAt))
+    }
+  }
+
+  /**
+   * Time of day the user actually reads a fixed-time reminder, when most of its
+   * hadiths are read `lateReadMinutes` or more after they arrive
+   * @returns {string|null} HH:MM rounded to a quarter hour
+   */
+  getPreferredTime(reminder, engagement) {
+    if (reminder.anchorPrayer) return null
+    if (engagement.delays.length < Math.ceil(this.engagementWindow / 2)) return null
+    if (SchedulerService.median(engagement.delays) < this.lateReadMinutes) return null
+
+    const timezone = this.getTimezone(reminder)
+    const minutes = SchedulerService.median(engagement.readTimes.map(date => {
+      const local = moment.tz(date, timezone)
+      return local.hours() * 60 + local.minutes()
+    }))
+    const rounded = (Math.round(minutes / 15) * 15) % (24 * 60)
+    const time = `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`
+
+    return time === reminder.time ? null : time
+  }
+
+  /**
+   * Send an ignored reminder less often, or pause it when it is already monthly
+   */
+  async backOff(reminder, engagement, now) {
+    const frequency = FREQUENCIES.includes(reminder.frequency) ? reminder.frequency : 'daily'
+    const next = { daily: 'weekly', weekly: 'monthly' }[frequency]
+
+    if (!next) {
+      await this.prisma.reminder.update({
+        where: { id: reminder.id },
+        data: { isActive: false, adjustedAt: now }
+      })
+
+      await this.notify(reminder.user, () => ({
+        text: `${config.emojis.reminder} **${reminder.name}**\n\n${t('reminders.engagement.paused', { sent: engagement.sent })}`,
+        keyboard: keyboards.createManageReminders()
+      }))
+
+      logger.userActivity(reminder.userId, 'reminder_backed_off', { reminderId: reminder.id, paused: true })
+      return 'paused'
+    }
+
+    // Keep the first day the reminder already ran on, or today
+    const today = moment.tz(now, this.getTimezone(reminder))
+    const days = next === 'weekly'
+      ? [reminderService.parseDays(reminder.days)[0] ?? today.day()]
+      : [today.date()]
+
+    const data = { frequency: next, days: JSON.stringify(days), adjustedAt: now }
+    data.nextDue = this.computeNextDue({ ...reminder, ...data }, now)
+
+    await this.prisma.reminder.update({
+      where: { id: reminder.id },
+      data
+    })
+
+    await this.notify(reminder.user, () => {
+      const schedule = `${t(`reminders.frequency.${next}`)} ${messages.formatReminderDays(next, days)}`
+      return {
+        text: `${config.emojis.reminder} **${reminder.name}**\n\n${t('reminders.engagement.backedOff', { sent: engagement.sent, schedule })}`,
+        keyboard: keyboards.createManageReminders()
+      }
+    })
+
+    logger.userActivity(reminder.userId, 'reminder_backed_off', { reminderId: reminder.id, frequency: next })
+    return 'backed_off'
+  }
+
+  /**
+   * Send a message about a user's reminders, composed in the user's locale
+   * @param {Function} compose - Returns { text, keyboard }
+   */
+  async notify(user, compose) {
+    await i18n.run(i18n.resolveLocale(user), async () => {
+      const { text, keyboard } = compose()
+      await this.telegram.sendMessage(user.telegramId.toString(), text, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard?.reply_markup
+      })
+    })
+  }
+
+  /**
+   * Compute the next time a reminder is due strictly after a given moment.
+   * Prayer-anchored reminders follow the user's prayer times; they fall back to
+   * the fixed `time` while the user has no location.
+   * @param {Object} reminder - Reminder with frequency, time, timezone, createdAt and optionally user
+   * @param {Date} from - Reference time
+   * @returns {Date} Next due time
+   */
+  computeNextDue(reminder, from) {
+    const timezone = this.getTimezone(reminder)
+    const frequency = FREQUENCIES.includes(reminder.frequency) ? reminder.frequency : 'daily'
+
+    const now = moment.tz(from, timezone)
+    const anchor = moment.tz(reminder.createdAt || from, timezone)
+
+    if (reminder.anchorPrayer && prayerTimeService.hasLocation(reminder.user)) {
+      const prayerDue = this.computePrayerNextDue(reminder, now, anchor, frequency, timezone)
+      if (prayerDue) return prayerDue
+    }
+
+    const { hour, minute } = SchedulerService.parseTime(reminder.time)
+    const days = reminderService.parseDays(reminder.days)
+
+    // First allowed day, from today, whose time is still ahead
+    const day = now.clone().startOf('day')
+    for (let i = 0; i < 63; i++, day.add(1, 'day')) {
+      if (!this.matchesFrequency(day, anchor, frequency, days)) continue
+
+      const candidate = day.clone().set({ hour, minute, second: 0, millisecond: 0 })
+      if (candidate.isAfter(now)) return candidate.toDate()
+    }
+
+    return now.clone().add(1, 'day').toDate()
+  }
+
+  /**
+   * First prayer time (plus offset) after `now` on a day allowed by the frequency
+   */
+  computePrayerNextDue(reminder, now, anchor, frequency, timezone) {
+    const location = {
+      latitude: reminder.user.latitude,
+      longitude: reminder.user.longitude,
+      method: reminder.user.prayerMethod,
+      timezone
+    }
+
+    // Start from yesterday: a large offset can push yesterday's prayer past midnight
+    const day = now.clone().startOf('day').subtract(1, 'day')
+    const days = reminderService.parseDays(reminder.days)
+    for (let i = 0; i < 33; i++, day.add(1, 'day')) {
+      if (!this.matchesFrequency(day, anchor, frequency, days)) continue
+
+      const due = prayerTimeService.getAnchoredTime(day, location, reminder.anchorPrayer, reminder.anchorOffset)
+      if (due && due > now.toDate()) return due
+    }
+
+    return null
+  }
+
+  /**
+   * Whether a reminder runs on a day. Chosen days (see ReminderService.normalizeDays)
+   * win over the weekday or date the reminder was created on.
+   */
+  matchesFrequency(day, anchor, frequency, days = []) {
+    switch (frequency) {
+      case 'weekly':
+        return days.length > 0 ? days.includes(day.day()) : day.day() === anchor.day()
+      case 'monthly':
+        // Days past the end of a short month fall on its last day
+        return (days.length > 0 ? days : [anchor.date()])
+          .some(date => Math.min(date, day.daysInMonth()) === day.date())
+      default:
+        return days.length === 0 || days.includes(day.day())
+    }
+  }
+
+  getTimezone(reminder) {
+    return moment.tz.zone(reminder.timezone || '')
+      ? reminder.timezone
+      : config.localization.defaultTimezone
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+
+  /**
+   * Parse an HH:MM string, falling back to midnight on bad input
+   */
+  static parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim())
+    if (!match) return { hour: 0, minute: 0 }
+
+    const hour = Math.min(23, parseInt(match[1], 10))
+    const minute = Math.min(59, parseInt(match[2], 10))
+    return { hour, minute }
+  }
 }
 
 const schedulerService = new SchedulerService()
-export default schedulerService
\ No newline at end of file
+export default schedulerService
+
+export { SchedulerService }
@@ -0,0 +1,218 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import { tokenize, lightStem, expandTerms } from '../utils/arabic.js'
+
+const TABLE = 'hadiths_fts'
+// Bump when buildContent() or the normalization changes so existing rows are rebuilt
+const INDEX_VERSION = '2'
+const VERSION_KEY = 'search_index_version'
+const REBUILD_BATCH = 500
+const MAX_TERMS = 8
+const MAX_RANK_TERMS = 12
+
+/**
+ * Search Index
+ * Local full-text index over the `hadiths` table using an SQLite FTS5 virtual table.
+ *
+ * Prisma cannot describe virtual tables, so the table and its delete trigger are created
+ * here at startup. Rows hold normalized words and their stems (see utils/arabic.js) so
+ * that queries match regardless of diacritics, letter variants and common affixes.
+ * Inserts and updates go through indexHadith(); deletions are mirrored by a trigger
+ * on `hadiths`.
+ */
+class SearchIndex {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+    this.isReady = false
+  }
+
+  /**
+   * Create the FTS table if needed and index hadiths that are missing from it
+   */
+  async initialize() {
+    try {
+      await this.prisma.$executeRawUnsafe(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS ${TABLE} USING fts5(` +
+        "hadith_id UNINDEXED, content, tokenize = 'unicode61 remove_diacritics 2')"
+      )
+      await this.prisma.$executeRawUnsafe(
+        `CREATE TRIGGER IF NOT EXISTS ${TABLE}_delete AFTER DELETE ON hadiths BEGIN ` +
+        `DELETE FROM ${TABLE} WHERE hadith_id = old.id; END`
+      )
+
+      this.isReady = true
+
+      const [{ indexed }] = await this.prisma.$queryRawUnsafe(`SELECT COUNT(*) AS indexed FROM ${TABLE}`)
+      const total = await this.prisma.hadith.count()
+      const version = await this.prisma.appSettings.findUnique({ where: { key: VERSION_KEY } })
+
+      if (Number(indexed) !== total || version?.value !== INDEX_VERSION) {
+        await this.rebuild()
+        await this.prisma.appSettings.upsert({
+          where: { key: VERSION_KEY },
+          update: { value: INDEX_VERSION },
+          create: { key: VERSION_KEY, value: INDEX_VERSION, description: 'Format of the hadiths_fts search index' }
+        })
+      }
+
+      logger.info('Search index initialized', { hadiths: total })
+    } catch (error) {
+      this.isReady = false
+      logger.logError(error, { operation: 'search_index_initialize' })
+    }
+  }
+
+  /**
+   * Re-index every hadith in batches
+   * @returns {Promise<number>} Number of hadiths indexed
+   */
+  async rebuild() {
+    await this.prisma.$executeRawUnsafe(`DELETE FROM ${TABLE}`)
+
+    let indexed = 0
+    let cursor = null
+
+    while (true) {
+      const batch = await this.prisma.hadith.findMany({
+        take: REBUILD_BATCH,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+        orderBy: { id: 'asc' }
+      })
+      if (batch.length === 0) break
+
+      await this.prisma.$transaction(batch.map(hadith =>
+        this.prisma.$executeRawUnsafe(
+          `INSERT INTO ${TABLE} (hadith_id, content) VALUES (?, ?)`,
+          hadith.id,
+          this.buildContent(hadith)
+        )
+      ))
+
+      indexed += batch.length
+      cursor = batch[batch.length - 1].id
+    }
+
+    logger.info('Search index rebuilt', { indexed })
+    return indexed
+  }
+
+  /**
+   * Add or refresh one hadith in the index
+   */
+  async indexHadith(hadith) {
+    if (!this.isReady || !hadith?.id) return
+
+    try {
+      await this.prisma.$transaction([
+        this.prisma.$executeRawUnsafe(`DELETE FROM ${TABLE} WHERE hadith_id = ?`, hadith.id),
+        this.prisma.$executeRawUnsafe(
+          `INSERT INTO ${TABLE} (hadith_id, content) VALUES (?, ?)`,
+          hadith.id,
+          this.buildContent(hadith)
+        )
+      ])
+    } catch (error) {
+      logger.logError(error, { operation: 'search_index_hadith', hadithId: hadith.id })
+    }
+  }
+
+  /**
+   * Search the local index, best matches first
+   * @param {string} query - Raw user query
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Hadith rows
+   */
+  async search(query, options = {}) {
+    const { limit = 50 } = options
+    const match = this.buildMatchQuery(query)
+    if (!this.isReady || !match) return []
+
+    try {
+      const rows = await this.prisma.$queryRawUnsafe(
+        `SELECT hadith_id FROM ${TABLE} WHERE ${TABLE} MATCH ? ORDER BY bm25(${TABLE}) LIMIT ?`,
+        match,
+        limit
+      )
+      if (rows.length === 0) return []
+
+      const ids = rows.map(row => row.hadith_id)
+      const hadiths = await this.prisma.hadith.findMany({ where: { id: { in: ids } } })
+
+      // Keep FTS rank order
+      const byId = new Map(hadiths.map(hadith => [hadith.id, hadith]))
+      return ids.map(id => byId.get(id)).filter(Boolean)
+    } catch (error) {
+      logger.logError(error, { operation: 'search_index_query', query })
+      return []
+    }
+  }
+
+  /**
+   * Rank hadiths by how well they match any of the given words (bm25, best first).
+   * Used for similarity rather than search, so no single term is required.
+   * @param {Array<string>} words - Normalized words
+   * @param {Object} options - { limit, excludeId }
+   * @returns {Promise<Array>} [{ id, score }], higher scores are better
+   */
+  async rank(words, options = {}) {
+    const { limit = 50, excludeId = null } = options
+    const stems = [...new Set(words.map(word => lightStem(word)).filter(Boolean))].slice(0, MAX_RANK_TERMS)
+    if (!this.isReady || stems.length === 0) return []
+
+    try {
+      const rows = await this.prisma.$queryRawUnsafe(
+        `SELECT hadith_id, bm25(${TABLE}) AS rank FROM ${TABLE} WHERE ${TABLE} MATCH ? ORDER BY rank LIMIT ?`,
+        stems.map(stem => `"${stem}"*`).join(' OR '),
+        limit + 1
+      )
+
+      return rows
+        .filter(row => row.hadith_id !== excludeId)
+        .slice(0, limit)
+        .map(row => ({ id: row.hadith_id, score: -Number(row.rank) }))
+    } catch (error) {
+      logger.logError(error, { operation: 'search_index_rank', words })
+      return []
+    }
+  }
+
+  /**
+   * Text stored in the index for a hadith: normalized words followed by their
+   * light stems, so a query matches other forms of the same word
+   */
+  buildContent(hadith) {
+    const words = tokenize([
+      hadith.arabicText,
+      hadith.text !== hadith.arabicText ? hadith.text : null,
+      hadith.narrator,
+      hadith.source,
+      hadith.book,
+      hadith.chapter,
+      hadith.topic,
+      hadith.keywords
+    ].filter(Boolean).join(' '))
+
+    const stems = new Set(words.map(word => lightStem(word)).filter((stem, i) => stem !== words[i]))
+
+    return [...words, ...stems].join(' ')
+  }
+
+  /**
+   * Turn user input into an FTS5 query: every term must match, either as typed
+   * or by its stem, as a prefix. Terms are quoted so FTS operators in the input
+   * are treated as text.
+   */
+  buildMatchQuery(query) {
+    const terms = expandTerms(query).slice(0, MAX_TERMS)
+    if (terms.length === 0) return null
+
+    return terms
+      .map(({ term, stem }) => stem === term ? `"${term}"*` : `("${term}"* OR "${stem}"*)`)
+      .join(' AND ')
+  }
+}
+
+const searchIndex = new SearchIndex()
+export default searchIndex
+
+export { SearchIndex }
@@ -0,0 +1,238 @@
+import { v4 as uuidv4 } from 'uuid'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import { normalizeArabic } from '../utils/arabic.js'
+
+/**
+ * Book filters offered on search results, keyed by the callback suffix used in
+ * keyboards.createSearchFilters (filter_<key>). `match` lists the names that may
+ * appear in a hadith's source or book field; both sides are compared normalized.
+ */
+const BOOK_FILTERS = {
+  bukhari: { name: 'صحيح البخاري', match: ['البخاري'] },
+  muslim: { name: 'صحيح مسلم', match: ['مسلم'] },
+  abu_dawud: { name: 'سنن أبي داود', match: ['أبي داود', 'أبو داود'] },
+  tirmidhi: { name: 'جامع الترمذي', match: ['الترمذي'] },
+  nasai: { name: 'سنن النسائي', match: ['النسائي'] },
+  ibn_majah: { name: 'سنن ابن ماجه', match: ['ابن ماجه'] }
+}
+
+// Narrators offered by the /random and advanced search keyboards, by index
+const NARRATORS = ['أبو هريرة', 'عائشة', 'عبد الله بن عمر', 'أنس بن مالك', 'عبد الله بن عباس', 'جابر بن عبد الله']
+
+// Grade kept by the sahih-only choice of /random and search
+const SAHIH_GRADE = 'صحيح'
+
+const SEARCH_TTL = 60 * 60 // Result sets stay pageable for an hour
+
+/**
+ * Search Service
+ * Keeps result sets under a short search ID (in the Cache table) so they can be
+ * paged and filtered from inline buttons, and records every query in SearchHistory.
+ *
+ * A search may be scoped when it is created ({ book, narrator, sahihOnly }, chosen
+ * in the advanced search menu): the book becomes its first book filter, and the
+ * narrator and sahih-only choices narrow the results for as long as it is kept.
+ */
+class SearchService {
+  constructor(options = {}) {
+    this.pageSize = options.pageSize || config.pagination.defaultLimit
+    this.ttl = options.ttl || SEARCH_TTL
+  }
+
+  /**
+   * Store a new result set and record the query
+   * @param {number} userId - Internal user ID
+   * @param {string} query - Search text
+   * @param {Array} results - Hadith objects
+   * @param {Object} scope - { book, narrator, sahihOnly }
+   * @returns {Promise<Object>} Stored search
+   */
+  async createSearch(userId, query, results, scope = {}) {
+    const search = {
+      id: uuidv4().replace(/-/g, '').substring(0, 10),
+      userId,
+      query,
+      filters: this.isValidFilter(scope.book) ? [scope.book] : [],
+      narrator: scope.narrator || null,
+      sahihOnly: Boolean(scope.sahihOnly),
+      results: results.map(hadith => this.compactHadith(hadith)),
+      historyId: null,
+      createdAt: new Date().toISOString()
+    }
+
+    search.historyId = await this.recordHistory(userId, query, this.getFilteredResults(search).length, this.describeFilters(search))
+    await this.saveSearch(search)
+
+    return search
+  }
+
+  async getSearch(searchId) {
+    if (!searchId) return null
+    return await db.cache.get(this.cacheKey(searchId))
+  }
+
+  async saveSearch(search) {
+    await db.cache.set(this.cacheKey(search.id), search, new Date(Date.now() + this.ttl * 1000))
+  }
+
+  /**
+   * Replace the book filters of a search and update its history entry
+   * @returns {Promise<Object>} Updated search
+   */
+  async setFilters(search, filters) {
+    search.filters = filters.filter(key => BOOK_FILTERS[key])
+    await this.saveSearch(search)
+
+    if (search.historyId) {
+      await db.prisma.searchHistory.update({
+        where: { id: search.historyId },
+        data: {
+          filters: this.describeFilters(search) ? JSON.stringify(this.describeFilters(search)) : null,
+          resultCount: this.getFilteredResults(search).length
+        }
+      }).catch(error => {
+        logger.logError(error, { operation: 'search_history_update', historyId: search.historyId })
+      })
+    }
+
+    return search
+  }
+
+  /**
+   * Results of a search narrowed by its active filters and scope
+   */
+  getFilteredResults(search) {
+    const books = search.filters || []
+    if (books.length === 0 && !search.narrator && !search.sahihOnly) return search.results
+
+    return search.results.filter(hadith =>
+      (books.length === 0 || books.some(key => this.matchesBook(hadith, key))) &&
+      (!search.narrator || this.matchesNarrator(hadith, search.narrator)) &&
+      (!search.sahihOnly || this.isSahih(hadith))
+    )
+  }
+
+  /**
+   * Filters and scope of a search as recorded in SearchHistory, null when there are none
+   */
+  describeFilters(search) {
+    const filters = {}
+    if (search.filters?.length > 0) filters.books = search.filters
+    if (search.narrator) filters.narrator = search.narrator
+    if (search.sahihOnly) filters.sahihOnly = true
+
+    return Object.keys(filters).length > 0 ? filters : null
+  }
+
+  /**
+   * One page of a search, page numbers are clamped to the valid range
+   * @returns {Object} { results, page, totalPages, totalCount }
+   */
+  getPage(search, page = 1) {
+    const filtered = this.getFilteredResults(search)
+    const totalPages = Math.max(1, Math.ceil(filtered.length / this.pageSize))
+    const safePage = Math.min(Math.max(1, page), totalPages)
+    const start = (safePage - 1) * this.pageSize
+
+    return {
+      results: filtered.slice(start, start + this.pageSize),
+      page: safePage,
+      totalPages,
+      totalCount: filtered.length
+    }
+  }
+
+  matchesBook(hadith, key) {
+    const filter = BOOK_FILTERS[key]
+    if (!filter) return false
+
+    const haystack = normalizeArabic(`${hadith.source || ''} ${hadith.book || ''}`)
+    return filter.match.some(name => haystack.includes(normalizeArabic(name)))
+  }
+
+  matchesNarrator(hadith, narrator) {
+    return normalizeArabic(hadith.narrator || '').includes(normalizeArabic(narrator))
+  }
+
+  isSahih(hadith) {
+    return hadith.grade?.trim() === SAHIH_GRADE
+  }
+
+  getBookFilters() {
+    return BOOK_FILTERS
+  }
+
+  isValidFilter(key) {
+    return Object.prototype.hasOwnProperty.call(BOOK_FILTERS, key)
+  }
+
+  /**
+   * Write a query to SearchHistory
+   * @param {string} hadithId - Hadith the user picked from the results, if any
+   * @returns {Promise<number|null>} History row ID
+   */
+  async recordHistory(userId, query, resultCount, filters = null, hadithId = null) {
+    if (!userId) return null
+
+    try {
+      const entry = await db.prisma.searchHistory.create({
+        data: {
+          userId,
+          hadithId,
+          query: query.substring(0, 200),
+          filters: filters ? JSON.stringify(filters) : null,
+          resultCount
+        }
+      })
+
+      await db.analytics.recordActivity(userId, 'search')
+      return entry.id
+    } catch (error) {
+      logger.logError(error, { operation: 'search_history_record', userId, query })
+      return null
+    }
+  }
+
+  /**
+   * Keep only the fields needed to list and open a result
+   */
+  compactHadith(hadith) {
+    return {
+      id: hadith.id,
+      text: hadith.text,
+      arabicText: hadith.arabicText,
+      narrator: hadith.narrator,
+      source: hadith.source,
+      book: hadith.book,
+      grade: hadith.grade
+    }
+  }
+
+  /**
+   * Point a stored search at the kept row of a merged duplicate (see dedupService.js),
+   * dropping the entry when the kept row is already listed
+   * @returns {boolean} Whether the search listed the dropped hadith
+   */
+  replaceResult(search, dropId, keep) {
+    const index = search.results.findIndex(hadith => hadith.id === dropId)
+    if (index === -1) return false
+
+    if (search.results.some(hadith => hadith.id === keep.id)) {
+      search.results.splice(index, 1)
+    } else {
+      search.results[index] = this.compactHadith(keep)
+    }
+    return true
+  }
+
+  cacheKey(searchId) {
+    return `search:${searchId}`
+  }
+}
+
+const searchService = new SearchService()
+export default searchService
+
+export { SearchService, BOOK_FILTERS, NARRATORS, SAHIH_GRADE }
@@ -0,0 +1,71 @@
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import { getHadithReference } from '../utils/references.js'
+
+/**
+ * Share Service
+ * Deep links that open a hadith: t.me/<bot>?start=h_<ref>[_r<userId>]
+ *
+ * <ref> is the canonical reference with an underscore (bukhari_1) when the hadith
+ * has one, otherwise its internal ID. The optional _r<userId> suffix names the user
+ * who shared the link, so opening it can be attributed to them.
+ */
+class ShareService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+  }
+
+  /**
+   * Link that opens a hadith; pass the sharing user's ID to attribute opens to them
+   */
+  getLink(hadith, referrerId = null) {
+    const reference = getHadithReference(hadith)
+    const target = reference ? `${reference.book}_${reference.number}` : hadith.id
+    return `https://t.me/${config.bot.username}?start=h_${target}${referrerId ? `_r${referrerId}` : ''}`
+  }
+
+  /**
+   * Parse an h_ start payload
+   * @returns {Object|null} { target, referrerId } where target is a reference or a hadith ID
+   */
+  parseLink(payload) {
+    const match = (payload || '').match(/^h_(.+?)(?:_r(\d+))?$/)
+    if (!match) return null
+    return { target: match[1], referrerId: match[2] ? parseInt(match[2]) : null }
+  }
+
+  /**
+   * Attribute a user's visit to the user who shared the link.
+   * Only the first visit per referrer and hadith counts, and users cannot refer themselves.
+   * @returns {Promise<Object|null>} The referral, or null when nothing was recorded
+   */
+  async recordReferral(referrerId, user, hadithId, isNewUser = false) {
+    if (!referrerId || !user || referrerId === user.id) return null
+
+    try {
+      const referrer = await this.prisma.user.findUnique({ where: { id: referrerId }, select: { id: true } })
+      if (!referrer) return null
+
+      const existing = await this.prisma.referral.findFirst({
+        where: { referrerId, userId: user.id, hadithId }
+      })
+      if (existing) return null
+
+      const referral = await this.prisma.referral.create({
+        data: { referrerId, userId: user.id, hadithId, isNewUser }
+      })
+
+      logger.userActivity(referrerId, 'referral', { referredUserId: user.id, hadithId, isNewUser })
+      return referral
+    } catch (error) {
+      logger.logError(error, { operation: 'record_referral', userId: user.id, referrerId })
+      return null
+    }
+  }
+}
+
+const shareService = new ShareService()
+export default shareService
+
+export { ShareService }
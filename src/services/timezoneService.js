@@ -0,0 +1,304 @@
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import moment from 'moment-timezone'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import prayerTimeService from './prayerTimeService.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TIMEZONES_PATH = join(__dirname, '../../data/timezones.json')
+const BOUNDARIES_PATH = join(__dirname, '../../data/timezone-boundaries.json')
+
+const EARTH_RADIUS_KM = 6371
+// Outside every zone boundary and farther than this from every reference location
+// (open sea, polar regions), the zone is the nautical one for the longitude
+const MAX_DISTANCE_KM = 1500
+
+/**
+ * Timezone Service
+ * Detects and validates users' IANA timezones, offline.
+ *
+ * Detection looks the location up in the zone boundaries of
+ * data/timezone-boundaries.json (timezone-boundary-builder polygons, simplified to
+ * about 500 m and indexed by a quadtree; the file describes its format). The
+ * boundaries cover land and territorial waters; out at sea the zone is that of the
+ * nearest reference location, the principal city of every zone in
+ * data/timezones.json (from the tz database's zone.tab) and the cities of
+ * data/cities.json.
+ */
+class TimezoneService {
+  constructor(timezonesPath = TIMEZONES_PATH, boundariesPath = BOUNDARIES_PATH) {
+    this.timezonesPath = timezonesPath
+    this.boundariesPath = boundariesPath
+    this.zones = null
+    this.boundaries = null
+  }
+
+  loadZones() {
+    if (this.zones) return this.zones
+
+    try {
+      const raw = JSON.parse(readFileSync(this.timezonesPath, 'utf8'))
+      this.zones = (raw.zones || []).filter(entry => this.isValid(entry.zone))
+    } catch (error) {
+      logger.logError(error, { operation: 'timezones_load', path: this.timezonesPath })
+      this.zones = []
+    }
+
+    return this.zones
+  }
+
+  /**
+   * The boundary quadtree, with its rings decoded to absolute coordinates
+   */
+  loadBoundaries() {
+    if (this.boundaries) return this.boundaries
+
+    try {
+      const raw = JSON.parse(readFileSync(this.boundariesPath, 'utf8'))
+      this.boundaries = {
+        timezones: raw.timezones,
+        bounds: raw.bounds,
+        tree: this.decodeNode(raw.tree, raw.scale)
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'timezone_boundaries_load', path: this.boundariesPath })
+      this.boundaries = { timezones: [], bounds: [-180, -90, 180, 90], tree: null }
+    }
+
+    return this.boundaries
+  }
+
+  /**
+   * Whether moment-timezone knows a zone name
+   */
+  isValid(timezone) {
+    return typeof timezone === 'string' && Boolean(moment.tz.zone(timezone))
+  }
+
+  /**
+   * A valid zone, or the default timezone
+   */
+  resolve(timezone) {
+    return this.isValid(timezone) ? timezone : config.localization.defaultTimezone
+  }
+
+  /**
+   * Zone of a location
+   * @returns {Object} { timezone, source } where source is 'boundary', 'nearest' (the zone
+   * of the nearest reference location) or 'nautical'
+   */
+  detect(latitude, longitude) {
+    const timezone = this.findBoundary(latitude, longitude)
+    if (this.isValid(timezone)) {
+      return { timezone, source: 'boundary' }
+    }
+
+    const references = [
+      ...this.loadZones().map(entry => ({ timezone: entry.zone, latitude: entry.latitude, longitude: entry.longitude })),
+      ...prayerTimeService.loadCities().map(city => ({ timezone: city.timezone, latitude: city.latitude, longitude: city.longitude }))
+    ]
+
+    let nearest = null
+    for (const reference of references) {
+      const distance = this.distance(latitude, longitude, reference.latitude, reference.longitude)
+      if (!nearest || distance < nearest.distance) {
+        nearest = { timezone: reference.timezone, distance }
+      }
+    }
+
+    if (!nearest || nearest.distance > MAX_DISTANCE_KM || !this.isValid(nearest.timezone)) {
+      return { timezone: this.nauticalZone(longitude), source: 'nautical' }
+    }
+
+    return { timezone: nearest.timezone, source: 'nearest' }
+  }
+
+  /**
+   * Zone whose boundary contains a location
+   * @returns {string|null} Zone name, null outside every boundary
+   */
+  findBoundary(latitude, longitude) {
+    const { timezones, bounds, tree } = this.loadBoundaries()
+    let [west, south, east, north] = bounds
+    const lat = Math.min(Math.max(latitude, south), north)
+    const lon = Math.min(Math.max(longitude, west), east)
+
+    // Descend to the cell holding the point
+    let node = tree
+    while (node && typeof node === 'object' && !Array.isArray(node)) {
+      const midLat = (north + south) / 2
+      const midLon = (east + west) / 2
+      const isNorth = lat >= midLat
+      const isEast = lon >= midLon
+
+      node = node[isNorth ? (isEast ? 'a' : 'b') : (isEast ? 'd' : 'c')]
+      if (isNorth) south = midLat; else north = midLat
+      if (isEast) west = midLon; else east = midLon
+    }
+
+    if (typeof node === 'number') return timezones[node] || null
+    if (!node) return null
+
+    const piece = node.find(candidate => this.containsPoint(candidate, lon, lat))
+    return piece ? timezones[piece.zone] || null : null
+  }
+
+  /**
+   * Zones whose city or name matches a query, e.g. "cairo", "New York", "مكة"
+   * @returns {Array<string>} Zone names, closest matches first
+   */
+  search(query, limit = 6) {
+    const needle = prayerTimeService.normalizeName(query)
+    if (!needle) return []
+
+    const scored = new Map()
+    const add = (zone, score) => {
+      if (this.isValid(zone) && (scored.get(zone) || 0) < score) scored.set(zone, score)
+    }
+
+    // Bundled cities know Arabic names and aliases
+    for (const city of prayerTimeService.findCities(query, limit)) {
+      add(city.timezone, 3)
+    }
+
+    for (const { zone } of this.loadZones()) {
+      const name = prayerTimeService.normalizeName(zone)
+      const city = prayerTimeService.normalizeName(zone.split('/').pop())
+
+      if (name === needle || city === needle) {
+        add(zone, 2)
+      } else if (needle.length >= 3 && city.startsWith(needle)) {
+        add(zone, 1)
+      }
+    }
+
+    return [...scored.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([zone]) => zone)
+  }
+
+  /**
+   * Regions of the picker: Africa, America, Asia, ...
+   */
+  getRegions() {
+    return [...new Set(this.loadZones().map(entry => entry.zone.split('/')[0]))].sort()
+  }
+
+  /**
+   * One page of a region's zones, by city name
+   * @returns {Object} { zones, page, totalPages }
+   */
+  getRegionPage(region, page = 1, pageSize = 12) {
+    const zones = [...new Set(
+      this.loadZones()
+        .map(entry => entry.zone)
+        .filter(zone => zone.startsWith(`${region}/`))
+    )].sort()
+
+    const totalPages = Math.max(1, Math.ceil(zones.length / pageSize))
+    const current = Math.min(Math.max(1, page), totalPages)
+
+    return {
+      zones: zones.slice((current - 1) * pageSize, current * pageSize),
+      page: current,
+      totalPages
+    }
+  }
+
+  /**
+   * Short label of a zone: "New York (UTC-05:00)"
+   */
+  getLabel(timezone, date = new Date()) {
+    const city = timezone.split('/').pop().replace(/_/g, ' ')
+    return `${city} (UTC${moment(date).tz(timezone).format('Z')})`
+  }
+
+  /**
+   * Helpers
+   */
+
+  /**
+   * Quadtree with every leaf's pieces as { zone, box, rings }, rings holding
+   * absolute [lon, lat, ...] degrees
+   */
+  decodeNode(node, scale) {
+    if (node === null || typeof node !== 'object') return node
+
+    if (!Array.isArray(node)) {
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, this.decodeNode(child, scale)]))
+    }
+
+    return node.map(([zone, ...encoded]) => {
+      const rings = encoded.map(ring => {
+        const points = new Float64Array(ring.length)
+        let lon = 0
+        let lat = 0
+        for (let i = 0; i < ring.length; i += 2) {
+          lon += ring[i]
+          lat += ring[i + 1]
+          points[i] = lon / scale
+          points[i + 1] = lat / scale
+        }
+        return points
+      })
+
+      const box = [Infinity, Infinity, -Infinity, -Infinity]
+      for (let i = 0; i < rings[0].length; i += 2) {
+        box[0] = Math.min(box[0], rings[0][i])
+        box[1] = Math.min(box[1], rings[0][i + 1])
+        box[2] = Math.max(box[2], rings[0][i])
+        box[3] = Math.max(box[3], rings[0][i + 1])
+      }
+
+      return { zone, box, rings }
+    })
+  }
+
+  /**
+   * Whether a piece (outer ring and holes) contains a point
+   */
+  containsPoint(piece, lon, lat) {
+    const [west, south, east, north] = piece.box
+    if (lon < west || lon > east || lat < south || lat > north) return false
+
+    const [outer, ...holes] = piece.rings
+    return this.inRing(outer, lon, lat) && !holes.some(hole => this.inRing(hole, lon, lat))
+  }
+
+  /**
+   * Even-odd ray casting over a flat [lon, lat, ...] ring
+   */
+  inRing(ring, lon, lat) {
+    let inside = false
+    for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+      const [xi, yi, xj, yj] = [ring[i], ring[i + 1], ring[j], ring[j + 1]]
+      if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+    return inside
+  }
+
+  nauticalZone(longitude) {
+    const offset = Math.round(longitude / 15)
+    // Etc zones use POSIX signs: Etc/GMT-3 is three hours ahead of UTC
+    return offset === 0 ? 'Etc/UTC' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`
+  }
+
+  distance(lat1, lon1, lat2, lon2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180
+    const dLat = toRadians(lat2 - lat1)
+    const dLon = toRadians(lon2 - lon1)
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+  }
+}
+
+const timezoneService = new TimezoneService()
+export default timezoneService
+
+export { TimezoneService }
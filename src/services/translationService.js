@@ -0,0 +1,70 @@
+import logger from '../utils/logger.js'
+import db from '../database/index.js'
+import i18n from '../i18n/index.js'
+import { getHadithReference, formatReference } from '../utils/references.js'
+
+// Hadith texts are Arabic, so Arabic readers need no translation
+const SOURCE_LANGUAGE = 'ar'
+// Hadith.translation predates HadithTranslation and only ever held English
+const LEGACY_LANGUAGE = 'en'
+
+/**
+ * Translation Service
+ * Translations of hadiths into the interface languages, stored in HadithTranslation
+ * by canonical reference. Only hadiths with a reference (a known collection and a
+ * plain number) can be translated; the datasets are imported with
+ * `npm run db:translations` (see database/seeders/translations.js).
+ */
+class TranslationService {
+  constructor(options = {}) {
+    this.prisma = options.prisma || db.prisma
+  }
+
+  /**
+   * Translation of a hadith
+   * @param {Object} hadith - Hadith row
+   * @param {string} language - Defaults to the locale of the current update
+   * @returns {Promise<Object|null>} { text, source, language }
+   */
+  async getTranslation(hadith, language = i18n.getLocale()) {
+    if (!hadith || language === SOURCE_LANGUAGE) return null
+
+    const reference = formatReference(getHadithReference(hadith))
+    if (reference) {
+      try {
+        const translation = await this.prisma.hadithTranslation.findUnique({
+          where: { reference_language: { reference, language } },
+          select: { text: true, source: true, language: true }
+        })
+        if (translation) return translation
+      } catch (error) {
+        logger.logError(error, { operation: 'get_translation', reference, language })
+      }
+    }
+
+    if (language === LEGACY_LANGUAGE && hadith.translation) {
+      return { text: hadith.translation, source: null, language }
+    }
+
+    return null
+  }
+
+  /**
+   * The hadith with `translation` set for the reader's language, for messages.formatHadith
+   */
+  async localize(hadith, language = i18n.getLocale()) {
+    if (!hadith) return hadith
+
+    const translation = await this.getTranslation(hadith, language)
+    return {
+      ...hadith,
+      translation: translation?.text || null,
+      translationSource: translation?.source || null
+    }
+  }
+}
+
+const translationService = new TranslationService()
+export default translationService
+
+export { TranslationService, SOURCE_LANGUAGE }
@@ -1,11 +1,18 @@
 import { Markup } from 'telegraf'
 import config from '../config/index.js'
+import i18n, { t } from '../i18n/index.js'
 
 const { emojis } = config
 
+// Rows a view adds around the hadith actions, kept when the actions are rebuilt
+const VIEW_ROW_PATTERN = /^(?:reminder_read_|random_)/
+
 /**
  * Advanced Keyboard Builder for Smart Hadith Bot
  * Creates beautiful, responsive, and context-aware keyboards
+ *
+ * Labels are translated into the locale of the current update, so the named
+ * keyboards are built on first use per locale and cached.
  */
 class KeyboardBuilder {
   constructor() {
@@ -17,43 +24,51 @@ class KeyboardBuilder {
    * Initialize all keyboard layouts
    */
   initializeKeyboards() {
-    // Main menu keyboard
-    this.keyboards.set('main', this.createMainMenu())
-    
-    // Search keyboards
-    this.keyboards.set('search_options', this.createSearchOptions())
-    this.keyboards.set('search_filters', this.createSearchFilters())
-    
-    // Hadith display keyboards
-    this.keyboards.set('hadith_actions', this.createHadithActions())
-    this.keyboards.set('hadith_navigation', this.createHadithNavigation())
-    
-    // Favorites keyboards
-    this.keyboards.set('favorites_menu', this.createFavoritesMenu())
-    this.keyboards.set('favorites_organize', this.createFavoritesOrganize())
-    
-    // Settings keyboards
-    this.keyboards.set('settings_main', this.createSettingsMain())
-    this.keyboards.set('settings_reminders', this.createSettingsReminders())
-    this.keyboards.set('settings_language', this.createSettingsLanguage())
-    
-    // Admin keyboards
-    this.keyboards.set('admin_panel', this.createAdminPanel())
-    this.keyboards.set('admin_stats', this.createAdminStats())
-    
-    // Group keyboards
-    this.keyboards.set('group_settings', this.createGroupSettings())
+    this.builders = new Map([
+      // Main menu keyboard
+      ['main', () => this.createMainMenu()],
+
+      // Search keyboards
+      ['search_options', () => this.createSearchOptions()],
+      ['search_filters', () => this.createSearchFilters()],
+
+      // Hadith display keyboards
+      ['hadith_actions', () => this.createHadithActions()],
+      ['hadith_navigation', () => this.createHadithNavigation()],
+
+      // Favorites keyboards
+      ['favorites_menu', () => this.createFavoritesMenu()],
+      ['favorites_organize', () => this.createFavoritesOrganize()],
+
+      // Settings keyboards
+      ['settings_main', () => this.createSettingsMain()],
+      ['settings_reminders', () => this.createSettingsReminders()],
+      ['settings_language', () => this.createSettingsLanguage()],
+
+      // Admin keyboards
+      ['admin_panel', () => this.createAdminPanel()],
+      ['admin_stats', () => this.createAdminStats()],
+
+      // Group keyboards
+      ['group_settings', () => this.createGroupSettings()]
+    ])
   }
 
   /**
    * Get keyboard by name with optional customization
    */
   get(name, options = {}) {
-    const keyboard = this.keyboards.get(name)
-    if (!keyboard) {
+    const build = this.builders.get(name)
+    if (!build) {
       throw new Error(`Keyboard '${name}' not found`)
     }
 
+    const cacheKey = `${i18n.getLocale()}:${name}`
+    if (!this.keyboards.has(cacheKey)) {
+      this.keyboards.set(cacheKey, build())
+    }
+    const keyboard = this.keyboards.get(cacheKey)
+
     // Apply customizations if provided
     if (options.customize) {
       return options.customize(keyboard)
@@ -63,25 +78,33 @@ class KeyboardBuilder {
   }
 
   /**
-   * Main Menu Keyboard - 4x2 grid layout
+   * Main Menu Keyboard - adhkar row above a 4x2 grid layout
    */
-  createMainMenu() {
+  createMainMenu(options = {}) {
+    const { hasTasbihProgress = false } = options
+
     return Markup.inlineKeyboard([
+      ...(hasTasbihProgress
+        ? [[Markup.button.callback(`▶️ ${t('buttons.tasbihResume')}`, 'tasbih_resume')]]
+        : []),
       [
-        Markup.button.callback(`${emojis.search} بحث في الأحاديث`, 'action_search'),
-        Markup.button.callback(`${emojis.random} حديث عشوائي`, 'action_random')
+        Markup.button.callback(`${emojis.adhkar} ${t('buttons.adhkar')}`, 'action_adhkar')
       ],
       [
-        Markup.button.callback(`${emojis.favorites} مفضلاتي`, 'action_favorites'),
-        Markup.button.callback(`${emojis.reminder} التذكيرات`, 'action_reminders')
+        Markup.button.callback(`${emojis.search} ${t('buttons.search')}`, 'action_search'),
+        Markup.button.callback(`${emojis.random} ${t('buttons.random')}`, 'action_random')
       ],
       [
-        Markup.button.callback(`${emojis.stats} الإحصائيات`, 'action_stats'),
-        Markup.button.callback(`${emojis.settings} الإعدادات`, 'action_settings')
+        Markup.button.callback(`${emojis.favorites} ${t('buttons.favorites')}`, 'action_favorites'),
+        Markup.button.callback(`${emojis.reminder} ${t('buttons.reminders')}`, 'action_reminders')
       ],
       [
-        Markup.button.callback(`${emojis.book} عن البوت`, 'action_about'),
-        Markup.button.callback(`${emojis.prayer} دعاء`, 'action_dua')
+        Markup.button.callback(`${emojis.stats} ${t('buttons.stats')}`, 'action_stats'),
+        Markup.button.callback(`${emojis.settings} ${t('buttons.settings')}`, 'action_settings')
+      ],
+      [
+        Markup.button.callback(`${emojis.book} ${t('buttons.about')}`, 'action_about'),
+        Markup.button.callback(`${emojis.prayer} ${t('buttons.dua')}`, 'action_dua')
       ]
     ])
   }
@@ -89,49 +112,102 @@ class KeyboardBuilder {
   /**
    * Search Options Keyboard
    */
-  createSearchOptions() {
+  createSearchOptions(scope = {}) {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`${emojis.search} بحث عام`, 'search_general'),
-        Markup.button.callback(`🎯 بحث متقدم`, 'search_advanced')
+        Markup.button.callback(`${emojis.search} ${t('buttons.searchGeneral')}`, 'search_general'),
+        Markup.button.callback(`🎯 ${t('buttons.searchAdvanced')}`, 'search_advanced')
+      ],
+      [
+        Markup.button.callback(`📚 ${t('buttons.searchByBook')}`, 'search_by_book'),
+        Markup.button.callback(`👤 ${t('buttons.searchByNarrator')}`, 'search_by_narrator')
       ],
       [
-        Markup.button.callback(`📚 البحث في كتاب`, 'search_by_book'),
-        Markup.button.callback(`👤 البحث بالراوي`, 'search_by_narrator')
+        Markup.button.callback(`🏷️ ${t('buttons.searchByTopic')}`, 'search_by_topic'),
+        Markup.button.callback(`${scope.sahihOnly ? '✅' : '⭐'} ${t('buttons.searchSahihOnly')}`, 'search_sahih_only')
       ],
       [
-        Markup.button.callback(`🏷️ البحث بالموضوع`, 'search_by_topic'),
-        Markup.button.callback(`⭐ الأحاديث الصحيحة`, 'search_sahih_only')
+        Markup.button.callback(`📖 ${t('buttons.browseLibrary')}`, 'lib_books')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة`, 'back_to_main')
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_main')
       ]
     ])
   }
 
   /**
-   * Search Filters Keyboard
+   * Advanced search - book, narrator and grade of the next search, chosen ones marked ✅
    */
-  createSearchFilters() {
+  createSearchScope(scope, books, narrators) {
+    const mark = (selected) => selected ? '✅' : '▫️'
+    const buttons = []
+
+    for (let i = 0; i < books.length; i += 2) {
+      buttons.push(books.slice(i, i + 2).map(key =>
+        Markup.button.callback(`${mark(scope.book === key)} ${t(`books.${key}`)}`, `search_scope_book_${key}`)
+      ))
+    }
+
+    for (let i = 0; i < narrators.length; i += 2) {
+      buttons.push(narrators.slice(i, i + 2).map((narrator, j) =>
+        Markup.button.callback(`${mark(scope.narrator === narrator)} ${narrator}`, `search_scope_narrator_${i + j}`)
+      ))
+    }
+
+    buttons.push([
+      Markup.button.callback(`${mark(scope.sahihOnly)} ${t('buttons.sahihOnly')}`, 'search_scope_sahih')
+    ])
+
+    const lastRow = [Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'action_search')]
+    if (scope.book || scope.narrator || scope.sahihOnly) {
+      lastRow.unshift(Markup.button.callback(`🗑️ ${t('buttons.clearFilters')}`, 'search_scope_clear'))
+    }
+    buttons.push(lastRow)
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Narrators or topics to list hadiths by: [{ label, data }], two per row
+   */
+  createSearchPicker(items) {
+    const buttons = []
+    for (let i = 0; i < items.length; i += 2) {
+      buttons.push(items.slice(i, i + 2).map(item => Markup.button.callback(item.label, item.data)))
+    }
+    buttons.push([Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'action_search')])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Search Filters Keyboard - Selected books are marked with ✅
+   */
+  createSearchFilters(selected = []) {
+    const book = (name, key) => Markup.button.callback(
+      `${selected.includes(key) ? '✅' : '📖'} ${name}`,
+      `filter_${key}`
+    )
+
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback('📖 صحيح البخاري', 'filter_bukhari'),
-        Markup.button.callback('📖 صحيح مسلم', 'filter_muslim')
+        book(t('books.bukhari'), 'bukhari'),
+        book(t('books.muslim'), 'muslim')
       ],
       [
-        Markup.button.callback('📖 سنن أبي داود', 'filter_abu_dawud'),
-        Markup.button.callback('📖 جامع الترمذي', 'filter_tirmidhi')
+        book(t('books.abu_dawud'), 'abu_dawud'),
+        book(t('books.tirmidhi'), 'tirmidhi')
       ],
       [
-        Markup.button.callback('📖 سنن النسائي', 'filter_nasai'),
-        Markup.button.callback('📖 سنن ابن ماجه', 'filter_ibn_majah')
+        book(t('books.nasai'), 'nasai'),
+        book(t('books.ibn_majah'), 'ibn_majah')
       ],
       [
-        Markup.button.callback('✅ تطبيق الفلاتر', 'apply_filters'),
-        Markup.button.callback('🗑️ مسح الفلاتر', 'clear_filters')
+        Markup.button.callback(`✅ ${t('buttons.applyFilters')}`, 'apply_filters'),
+        Markup.button.callback(`🗑️ ${t('buttons.clearFilters')}`, 'clear_filters')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة`, 'back_to_search')
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_search')
       ]
     ])
   }
@@ -145,51 +221,183 @@ class KeyboardBuilder {
     // First row - Save and Share
     const firstRow = []
     if (isFavorited) {
-      firstRow.push(Markup.button.callback(`${emojis.heartFilled} محفوظ`, `favorite_remove_${hadithId}`))
+      firstRow.push(Markup.button.callback(`${emojis.heartFilled} ${t('buttons.saved')}`, `favorite_remove_${hadithId}`))
     } else {
-      firstRow.push(Markup.button.callback(`${emojis.heart} حفظ`, `favorite_add_${hadithId}`))
+      firstRow.push(Markup.button.callback(`${emojis.heart} ${t('buttons.save')}`, `favorite_add_${hadithId}`))
     }
-    firstRow.push(Markup.button.callback(`${emojis.share} مشاركة`, `share_${hadithId}`))
+    firstRow.push(Markup.button.callback(`${emojis.share} ${t('buttons.share')}`, `share_${hadithId}`))
     buttons.push(firstRow)
 
     // Second row - Additional actions
     buttons.push([
-      Markup.button.callback(`📝 إضافة ملاحظة`, `note_add_${hadithId}`),
-      Markup.button.callback(`🏷️ إضافة تاق`, `tag_add_${hadithId}`)
+      Markup.button.callback(`📝 ${t('buttons.addNote')}`, `note_add_${hadithId}`),
+      Markup.button.callback(`🏷️ ${t('buttons.addTag')}`, `tag_add_${hadithId}`),
+      Markup.button.callback(`📁 ${t('buttons.collection')}`, `collection_pick_${hadithId}`)
     ])
 
     // Third row - More options
     buttons.push([
-      Markup.button.callback(`📋 نسخ النص`, `copy_${hadithId}`),
-      Markup.button.callback(`🔗 رابط دائم`, `permalink_${hadithId}`)
+      Markup.button.callback(`📋 ${t('buttons.copyText')}`, `copy_${hadithId}`),
+      Markup.button.callback(`🖼️ ${t('buttons.card')}`, `card_${hadithId}`),
+      Markup.button.callback(`🔗 ${t('buttons.permalink')}`, `permalink_${hadithId}`)
     ])
 
     // Fourth row - Related and Navigation
     buttons.push([
-      Markup.button.callback(`🔗 أحاديث مشابهة`, `related_${hadithId}`),
-      Markup.button.callback(`📚 المزيد من نفس الكتاب`, `more_from_book_${hadithId}`)
+      Markup.button.callback(`🔗 ${t('buttons.related')}`, `related_${hadithId}`),
+      Markup.button.callback(`📚 ${t('buttons.moreFromBook')}`, `more_from_book_${hadithId}`)
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Hadith actions rebuilt on an existing message, keeping the rows the view put
+   * around them (read receipt on top, another random hadith below)
+   */
+  refreshHadithActions(markup, hadithId, userId, isFavorited = false) {
+    const keyboard = this.createHadithActions(hadithId, userId, isFavorited)
+    const isViewRow = row => row.every(button => VIEW_ROW_PATTERN.test(button.callback_data || ''))
+
+    const rows = markup?.inline_keyboard || []
+    const top = rows.filter((row, i) => i === 0 && isViewRow(row))
+    const bottom = rows.filter((row, i) => i > 0 && isViewRow(row))
+
+    keyboard.reply_markup.inline_keyboard = [...top, ...keyboard.reply_markup.inline_keyboard, ...bottom]
+    return keyboard
+  }
+
+  /**
+   * Random hadith - hadith actions with another one and the filters
+   */
+  createRandomActions(hadithId, userId, isFavorited = false) {
+    const keyboard = this.createHadithActions(hadithId, userId, isFavorited)
+    keyboard.reply_markup.inline_keyboard.push([
+      Markup.button.callback(`${emojis.random} ${t('buttons.anotherOne')}`, 'random_next'),
+      Markup.button.callback(`🎯 ${t('buttons.refine')}`, 'random_filters')
+    ])
+    return keyboard
+  }
+
+  /**
+   * Random hadith filters - one book, one narrator and sahih only; the chosen ones are marked with ✅
+   * @param {Object} filters - { topic, book, narrator, sahihOnly }
+   * @param {Array<string>} books - Book filter keys, as random_book_<key>
+   * @param {Array<string>} narrators - Narrators offered, as random_narrator_<index>
+   */
+  createRandomFilters(filters, books, narrators) {
+    const mark = (selected) => selected ? '✅' : '▫️'
+    const buttons = []
+
+    for (let i = 0; i < books.length; i += 2) {
+      buttons.push(books.slice(i, i + 2).map(key =>
+        Markup.button.callback(`${mark(filters.book === key)} ${t(`books.${key}`)}`, `random_book_${key}`)
+      ))
+    }
+
+    for (let i = 0; i < narrators.length; i += 2) {
+      buttons.push(narrators.slice(i, i + 2).map((narrator, j) =>
+        Markup.button.callback(`${mark(filters.narrator === narrator)} ${narrator}`, `random_narrator_${i + j}`)
+      ))
+    }
+
+    buttons.push([
+      Markup.button.callback(`${mark(filters.sahihOnly)} ${t('buttons.sahihOnly')}`, 'random_sahih')
     ])
 
+    const lastRow = [Markup.button.callback(`${emojis.random} ${t('buttons.showRandom')}`, 'random_next')]
+    if (filters.topic || filters.book || filters.narrator || filters.sahihOnly) {
+      lastRow.push(Markup.button.callback(`🗑️ ${t('buttons.clearFilters')}`, 'random_clear'))
+    }
+    buttons.push(lastRow)
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Delivered reminder - hadith actions with a read receipt for the delivery
+   */
+  createReminderActions(hadithId, userId, deliveryId) {
+    const keyboard = this.createHadithActions(hadithId, userId)
+    keyboard.reply_markup.inline_keyboard.unshift([
+      Markup.button.callback(`${emojis.success} ${t('buttons.markRead')}`, `reminder_read_${deliveryId}`)
+    ])
+    return keyboard
+  }
+
+  /**
+   * Suggested reminder time - accept or keep the current one
+   */
+  createTimeSuggestion(reminderId, time) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`${emojis.clock} ${t('buttons.moveTo', { time })}`, `reminder_shift_${reminderId}_${time.replace(':', '')}`),
+        Markup.button.callback(`${emojis.cross} ${t('buttons.keepTime')}`, `reminder_keep_${reminderId}`)
+      ]
+    ])
+  }
+
+  /**
+   * Link from a reminder notice to the reminder settings
+   */
+  createManageReminders() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`${emojis.reminder} ${t('buttons.manageReminders')}`, 'settings_reminders')]
+    ])
+  }
+
+  /**
+   * Related hadiths view of a hadith - pages go to related_page_<id>_<page>
+   */
+  createRelatedNavigation(hadithId, currentPage = 1, totalPages = 1) {
+    const keyboard = this.createPagination(currentPage, totalPages, `related_page_${hadithId}`)
+    keyboard.reply_markup.inline_keyboard.push([
+      Markup.button.callback(`${emojis.home} ${t('buttons.mainMenu')}`, 'back_to_main')
+    ])
+    return keyboard
+  }
+
+  /**
+   * Share Keyboard - Send a hadith link through Telegram's share sheet
+   */
+  createShareActions(hadithId, link, text) {
+    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(text)}`
+    return Markup.inlineKeyboard([
+      [Markup.button.url(`${emojis.share} ${t('buttons.sendToChat')}`, shareUrl)],
+      [Markup.button.callback(`📋 ${t('buttons.copyText')}`, `copy_${hadithId}`)]
+    ])
+  }
+
+  /**
+   * Card Themes Keyboard - Redraw a hadith card in another theme
+   */
+  createCardThemes(hadithId, themes, current) {
+    const buttons = []
+    for (let i = 0; i < themes.length; i += 2) {
+      buttons.push(themes.slice(i, i + 2).map(theme =>
+        Markup.button.callback(`${theme.id === current ? '✓ ' : ''}${theme.name}`, `card_${theme.id}_${hadithId}`)
+      ))
+    }
     return Markup.inlineKeyboard(buttons)
   }
 
   /**
    * Hadith Navigation Keyboard - For paginated results
    */
-  createHadithNavigation(currentPage = 1, totalPages = 1, searchId = null) {
+  createHadithNavigation(currentPage = 1, totalPages = 1, searchId = null, filterCount = 0) {
     const buttons = []
 
     // Navigation buttons
     const navRow = []
     if (currentPage > 1) {
-      navRow.push(Markup.button.callback(`${emojis.prev} السابق`, `nav_prev_${searchId}_${currentPage - 1}`))
+      navRow.push(Markup.button.callback(`${emojis.prev} ${t('buttons.previous')}`, `nav_prev_${searchId}_${currentPage - 1}`))
     }
 
     // Page indicator
     navRow.push(Markup.button.callback(`📄 ${currentPage}/${totalPages}`, 'nav_page_info'))
 
     if (currentPage < totalPages) {
-      navRow.push(Markup.button.callback(`${emojis.next} التالي`, `nav_next_${searchId}_${currentPage + 1}`))
+      navRow.push(Markup.button.callback(`${emojis.next} ${t('buttons.next')}`, `nav_next_${searchId}_${currentPage + 1}`))
     }
 
     if (navRow.length > 0) {
@@ -200,48 +408,120 @@ class KeyboardBuilder {
     if (totalPages > 5) {
       const jumpRow = []
       if (currentPage > 3) {
-        jumpRow.push(Markup.button.callback('⏮️ الأول', `nav_first_${searchId}`))
+        jumpRow.push(Markup.button.callback(`⏮️ ${t('buttons.first')}`, `nav_first_${searchId}`))
       }
       if (currentPage < totalPages - 2) {
-        jumpRow.push(Markup.button.callback('⏭️ الأخير', `nav_last_${searchId}`))
+        jumpRow.push(Markup.button.callback(`⏭️ ${t('buttons.last')}`, `nav_last_${searchId}`))
       }
       if (jumpRow.length > 0) {
         buttons.push(jumpRow)
       }
     }
 
+    // Book filters for the current result set
+    if (searchId) {
+      const filterLabel = filterCount > 0 ? `🎯 ${t('buttons.filterByBook')} (${filterCount})` : `🎯 ${t('buttons.filterByBook')}`
+      buttons.push([Markup.button.callback(filterLabel, 'search_filters')])
+    }
+
     // Action buttons
     buttons.push([
-      Markup.button.callback(`🔍 بحث جديد`, 'action_search'),
-      Markup.button.callback(`${emojis.home} القائمة الرئيسية`, 'back_to_main')
+      Markup.button.callback(`🔍 ${t('buttons.newSearch')}`, 'action_search'),
+      Markup.button.callback(`${emojis.home} ${t('buttons.mainMenu')}`, 'back_to_main')
     ])
 
     return Markup.inlineKeyboard(buttons)
   }
 
+  /**
+   * Adhkar Categories Keyboard
+   */
+  createAdhkarMenu(categories = [], suggestedId = null) {
+    const buttons = []
+
+    for (let i = 0; i < categories.length; i += 2) {
+      buttons.push(categories.slice(i, i + 2).map(category => {
+        const marker = category.id === suggestedId ? ` ${emojis.star}` : ''
+        return Markup.button.callback(`${category.icon} ${category.title}${marker}`, `adhkar_cat_${category.id}`)
+      }))
+    }
+
+    buttons.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_main')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Dhikr Navigation Keyboard - Move through a category one dhikr at a time
+   */
+  createDhikrNavigation(categoryId, index, total) {
+    const navRow = []
+    if (index > 0) {
+      navRow.push(Markup.button.callback(`${emojis.prev} ${t('buttons.previous')}`, `adhkar_item_${categoryId}_${index - 1}`))
+    }
+
+    navRow.push(Markup.button.callback(`📿 ${index + 1}/${total}`, 'adhkar_noop'))
+
+    if (index < total - 1) {
+      navRow.push(Markup.button.callback(`${emojis.next} ${t('buttons.next')}`, `adhkar_item_${categoryId}_${index + 1}`))
+    }
+
+    return Markup.inlineKeyboard([
+      navRow,
+      [
+        Markup.button.callback(`${emojis.adhkar} ${t('buttons.startCounting')}`, `tasbih_start_${categoryId}_${index}`)
+      ],
+      [
+        Markup.button.callback(`${emojis.back} ${t('buttons.adhkar')}`, 'adhkar_menu'),
+        Markup.button.callback(`${emojis.home} ${t('buttons.mainMenu')}`, 'back_to_main')
+      ]
+    ])
+  }
+
+  /**
+   * Tasbih Counter Keyboard - One large tap button plus session controls
+   */
+  createTasbihCounter(count, target) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`${emojis.adhkar} ${t('buttons.tasbihTap')} (${count}/${target})`, 'tasbih_tap')
+      ],
+      [
+        Markup.button.callback(`🔄 ${t('buttons.resetCount')}`, 'tasbih_reset'),
+        Markup.button.callback(`⏭️ ${t('buttons.nextDhikr')}`, 'tasbih_skip')
+      ],
+      [
+        Markup.button.callback(`⏸️ ${t('buttons.pause')}`, 'tasbih_pause'),
+        Markup.button.callback(`🏁 ${t('buttons.finish')}`, 'tasbih_stop')
+      ]
+    ])
+  }
+
   /**
    * Favorites Menu Keyboard
    */
   createFavoritesMenu() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`📚 جميع المفضلات`, 'favorites_all'),
-        Markup.button.callback(`🏷️ حسب التاق`, 'favorites_by_tag')
+        Markup.button.callback(`📚 ${t('buttons.allFavorites')}`, 'favorites_all'),
+        Markup.button.callback(`🏷️ ${t('buttons.byTag')}`, 'favorites_by_tag')
       ],
       [
-        Markup.button.callback(`📖 حسب الكتاب`, 'favorites_by_book'),
-        Markup.button.callback(`👤 حسب الراوي`, 'favorites_by_narrator')
+        Markup.button.callback(`📖 ${t('buttons.byBook')}`, 'favorites_by_book'),
+        Markup.button.callback(`👤 ${t('buttons.byNarrator')}`, 'favorites_by_narrator')
       ],
       [
-        Markup.button.callback(`📝 التي لها ملاحظات`, 'favorites_with_notes'),
-        Markup.button.callback(`⭐ المفضلة مؤخراً`, 'favorites_recent')
+        Markup.button.callback(`📝 ${t('buttons.withNotes')}`, 'favorites_with_notes'),
+        Markup.button.callback(`⭐ ${t('buttons.recentFavorites')}`, 'favorites_recent')
       ],
       [
-        Markup.button.callback(`📊 إحصائيات المفضلات`, 'favorites_stats'),
-        Markup.button.callback(`🗂️ تنظيم المجموعات`, 'favorites_organize')
+        Markup.button.callback(`📊 ${t('buttons.favoritesStats')}`, 'favorites_stats'),
+        Markup.button.callback(`🗂️ ${t('buttons.organizeCollections')}`, 'favorites_organize')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة`, 'back_to_main')
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_main')
       ]
     ])
   }
@@ -252,50 +532,179 @@ class KeyboardBuilder {
   createFavoritesOrganize() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`🏷️ إنشاء تاق جديد`, 'tag_create'),
-        Markup.button.callback(`✏️ تعديل التاقات`, 'tag_edit')
+        Markup.button.callback(`🏷️ ${t('buttons.createTag')}`, 'tag_create'),
+        Markup.button.callback(`✏️ ${t('buttons.editTags')}`, 'tag_edit')
       ],
       [
-        Markup.button.callback(`📁 إنشاء مجموعة`, 'collection_create'),
-        Markup.button.callback(`🗂️ إدارة المجموعات`, 'collection_manage')
+        Markup.button.callback(`📁 ${t('buttons.createCollection')}`, 'collection_create'),
+        Markup.button.callback(`🗂️ ${t('buttons.manageCollections')}`, 'collection_manage')
       ],
       [
-        Markup.button.callback(`📤 تصدير المفضلات`, 'favorites_export'),
-        Markup.button.callback(`📥 استيراد مفضلات`, 'favorites_import')
+        Markup.button.callback(`📤 ${t('buttons.exportFavorites')}`, 'favorites_export'),
+        Markup.button.callback(`📥 ${t('buttons.importFavorites')}`, 'favorites_import')
       ],
       [
-        Markup.button.callback(`🗑️ حذف المفضلات`, 'favorites_delete_menu'),
-        Markup.button.callback(`🔄 إعادة تنظيم`, 'favorites_reorganize')
+        Markup.button.callback(`🗑️ ${t('buttons.deleteFavorites')}`, 'favorites_delete_menu'),
+        Markup.button.callback(`🔄 ${t('buttons.reorganize')}`, 'favorites_reorganize')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة للمفضلات`, 'back_to_favorites')
+        Markup.button.callback(`${emojis.back} ${t('buttons.backToFavorites')}`, 'back_to_favorites')
       ]
     ])
   }
 
+  /**
+   * Favorites List Keyboard - Pagination plus a way back, and deletion when listing a collection
+   */
+  createFavoritesList(currentPage, totalPages, collectionId = null) {
+    const keyboard = this.createPagination(currentPage, totalPages, 'favorites_page')
+    const rows = keyboard.reply_markup.inline_keyboard
+
+    if (collectionId) {
+      rows.push([Markup.button.callback(`🗑️ ${t('buttons.deleteCollection')}`, `collection_delete_${collectionId}`)])
+    }
+    rows.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.backToFavorites')}`, 'back_to_favorites'),
+      Markup.button.callback(`${emojis.home} ${t('buttons.home')}`, 'back_to_main')
+    ])
+
+    return keyboard
+  }
+
+  /**
+   * Tag List Keyboard - One button per tag, `action` is favorites_tag (browse) or tag_delete
+   */
+  createTagList(tags, action = 'favorites_tag') {
+    const prefix = action === 'tag_delete' ? '🗑️' : '🏷️'
+    const buttons = tags.map((tag, index) => [
+      Markup.button.callback(`${prefix} ${tag.name} (${tag.count})`, `${action}_${index}`)
+    ])
+
+    buttons.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.backToFavorites')}`, 'back_to_favorites')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Collections Keyboard - Open a collection or create a new one
+   */
+  createCollectionList(collections) {
+    const buttons = collections.map(collection => [
+      Markup.button.callback(`📁 ${collection.name} (${collection._count?.items || 0})`, `collection_view_${collection.id}`)
+    ])
+
+    buttons.push([
+      Markup.button.callback(`➕ ${t('buttons.newCollection')}`, 'collection_create'),
+      Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'favorites_organize')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Collection Picker - Toggle a hadith in each of the user's collections
+   */
+  createCollectionPicker(collections, selectedIds, hadithId) {
+    const buttons = collections.map(collection => [
+      Markup.button.callback(
+        `${selectedIds.includes(collection.id) ? '✅' : '📁'} ${collection.name}`,
+        `collection_toggle_${collection.id}_${hadithId}`
+      )
+    ])
+
+    buttons.push([
+      Markup.button.callback(`➕ ${t('buttons.newCollection')}`, `collection_new_${hadithId}`),
+      Markup.button.callback(`✔️ ${t('buttons.done')}`, `collection_done_${hadithId}`)
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Library Books Keyboard - One button per collection
+   */
+  createLibraryBooks(books) {
+    const buttons = books.map(book => [
+      Markup.button.callback(`${emojis.book} ${book.name} (${book.count})`, `lib_book_${book.slug}_1`)
+    ])
+
+    buttons.push([
+      Markup.button.callback(`${emojis.home} ${t('buttons.home')}`, 'back_to_main')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Book Chapters Keyboard - One button per chapter on the page, then pagination
+   */
+  createBookChapters(slug, chapters, currentPage, totalPages) {
+    const keyboard = this.createPagination(currentPage, totalPages, `lib_book_${slug}`)
+    const rows = keyboard.reply_markup.inline_keyboard
+
+    const chapterRows = chapters.map(chapter => {
+      const name = chapter.name || t('library.noChapter')
+      const label = name.length > 45 ? `${name.substring(0, 44)}…` : name
+      return [Markup.button.callback(`📑 ${label} (${chapter.count})`, `lib_ch_${slug}_${chapter.key}_1`)]
+    })
+    rows.unshift(...chapterRows)
+
+    rows.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.books')}`, 'lib_books'),
+      Markup.button.callback(`${emojis.home} ${t('buttons.home')}`, 'back_to_main')
+    ])
+
+    return keyboard
+  }
+
+  /**
+   * Chapter Keyboard - Pagination through a chapter's hadiths and a way back to its book
+   */
+  createChapterHadiths(slug, chapterKey, currentPage, totalPages) {
+    const keyboard = this.createPagination(currentPage, totalPages, `lib_ch_${slug}_${chapterKey}`)
+
+    keyboard.reply_markup.inline_keyboard.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.chapters')}`, `lib_book_${slug}_1`),
+      Markup.button.callback(`${emojis.home} ${t('buttons.home')}`, 'back_to_main')
+    ])
+
+    return keyboard
+  }
+
+  /**
+   * Cancel button shown while waiting for typed input
+   */
+  createInputCancel() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`❌ ${t('buttons.cancel')}`, 'favorites_cancel_input')]
+    ])
+  }
+
   /**
    * Settings Main Menu
    */
   createSettingsMain() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`${emojis.reminder} إعدادات التذكيرات`, 'settings_reminders'),
-        Markup.button.callback(`🌐 اللغة والمنطقة`, 'settings_language')
+        Markup.button.callback(`${emojis.reminder} ${t('buttons.reminderSettings')}`, 'settings_reminders'),
+        Markup.button.callback(`🌐 ${t('buttons.languageRegion')}`, 'settings_language')
       ],
       [
-        Markup.button.callback(`🎨 المظهر والعرض`, 'settings_appearance'),
-        Markup.button.callback(`🔔 الإشعارات`, 'settings_notifications')
+        Markup.button.callback(`🎨 ${t('buttons.appearance')}`, 'settings_appearance'),
+        Markup.button.callback(`🔔 ${t('buttons.notifications')}`, 'settings_notifications')
       ],
       [
-        Markup.button.callback(`🔒 الخصوصية`, 'settings_privacy'),
-        Markup.button.callback(`📊 البيانات والتحليلات`, 'settings_analytics')
+        Markup.button.callback(`🔒 ${t('buttons.privacy')}`, 'settings_privacy'),
+        Markup.button.callback(`📊 ${t('buttons.analytics')}`, 'settings_analytics')
       ],
       [
-        Markup.button.callback(`💾 النسخ الاحتياطي`, 'settings_backup'),
-        Markup.button.callback(`🔄 إعادة تعيين`, 'settings_reset')
+        Markup.button.callback(`💾 ${t('buttons.backup')}`, 'settings_backup'),
+        Markup.button.callback(`🔄 ${t('buttons.reset')}`, 'settings_reset')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة`, 'back_to_main')
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_main')
       ]
     ])
   }
@@ -306,46 +715,271 @@ class KeyboardBuilder {
   createSettingsReminders() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`➕ إضافة تذكير`, 'reminder_add'),
-        Markup.button.callback(`📋 إدارة التذكيرات`, 'reminder_manage')
+        Markup.button.callback(`➕ ${t('buttons.addReminder')}`, 'reminder_add'),
+        Markup.button.callback(`📋 ${t('buttons.manageReminders')}`, 'reminder_manage')
       ],
       [
-        Markup.button.callback(`🕐 تعديل الأوقات`, 'reminder_times'),
-        Markup.button.callback(`📅 تعديل الأيام`, 'reminder_days')
+        Markup.button.callback(`🕐 ${t('buttons.editTimes')}`, 'reminder_times'),
+        Markup.button.callback(`📅 ${t('buttons.editDays')}`, 'reminder_days')
       ],
       [
-        Markup.button.callback(`🏷️ اختيار المواضيع`, 'reminder_topics'),
-        Markup.button.callback(`🔔 نوع الإشعارات`, 'reminder_notification_type')
+        Markup.button.callback(`🏷️ ${t('buttons.chooseTopics')}`, 'reminder_topics'),
+        Markup.button.callback(`🔔 ${t('buttons.notificationType')}`, 'reminder_notification_type')
+      ],
+      [
+        Markup.button.callback(`🕌 ${t('buttons.prayerReminder')}`, 'reminder_prayer'),
+        Markup.button.callback(`📍 ${t('buttons.locationMethod')}`, 'settings_location')
+      ],
+      [
+        Markup.button.callback(`⏸️ ${t('buttons.pause')}`, 'reminder_pause'),
+        Markup.button.callback(`🗑️ ${t('buttons.deleteAllReminders')}`, 'reminder_delete_all')
+      ],
+      [
+        Markup.button.callback(`${emojis.back} ${t('buttons.backToSettings')}`, 'back_to_settings')
+      ]
+    ])
+  }
+
+  /**
+   * Reminder Wizard Keyboards - One per step; buttons are routed to the
+   * conversation with conv_ callbacks
+   */
+  createReminderNameStep() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`✨ ${t('buttons.defaultReminderName')}`, 'conv_name_default')],
+      [Markup.button.callback(`❌ ${t('buttons.cancel')}`, 'conv_cancel')]
+    ])
+  }
+
+  createReminderFrequencyStep(current = null) {
+    return Markup.inlineKeyboard([
+      ['daily', 'weekly', 'monthly'].map(frequency => Markup.button.callback(
+        `${frequency === current ? emojis.check + ' ' : ''}${t(`reminders.frequency.${frequency}`)}`,
+        `conv_freq_${frequency}`
+      )),
+      this.createWizardNavigation()
+    ])
+  }
+
+  /**
+   * @param {Array} days - [{ value, label, selected }] weekdays or days of the month
+   */
+  createReminderDaysStep(days, showEveryDay = false) {
+    const perRow = days.length > 7 ? 7 : 4
+    const buttons = []
+    for (let i = 0; i < days.length; i += perRow) {
+      buttons.push(days.slice(i, i + perRow).map(day =>
+        Markup.button.callback(`${day.selected ? '✓ ' : ''}${day.label}`, `conv_day_${day.value}`)
+      ))
+    }
+
+    if (showEveryDay) {
+      buttons.push([Markup.button.callback(`📅 ${t('buttons.everyDay')}`, 'conv_days_all')])
+    }
+    buttons.push([Markup.button.callback(`${emojis.next} ${t('buttons.next')}`, 'conv_days_done')])
+    buttons.push(this.createWizardNavigation())
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  createReminderTimeStep(times, current = null) {
+    const buttons = []
+    for (let i = 0; i < times.length; i += 4) {
+      buttons.push(times.slice(i, i + 4).map(time =>
+        Markup.button.callback(`${time === current ? '✓ ' : ''}${time}`, `conv_time_${time}`)
+      ))
+    }
+    buttons.push(this.createWizardNavigation())
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * @param {Array} topics - [{ key, name, selected }]
+   */
+  createReminderTopicsStep(topics) {
+    const buttons = []
+    for (let i = 0; i < topics.length; i += 2) {
+      buttons.push(topics.slice(i, i + 2).map(topic =>
+        Markup.button.callback(`${topic.selected ? '✓ ' : ''}${topic.name}`, `conv_topic_${topic.key}`)
+      ))
+    }
+    buttons.push([Markup.button.callback(`${emojis.success} ${t('buttons.save')}`, 'conv_save')])
+    buttons.push(this.createWizardNavigation())
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  createWizardNavigation() {
+    return [
+      Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'conv_back'),
+      Markup.button.callback(`❌ ${t('buttons.cancel')}`, 'conv_cancel')
+    ]
+  }
+
+  /**
+   * Reminder Choice Keyboard - Pick the reminder whose times, days or topics to edit
+   */
+  createReminderChoice(reminders, step) {
+    const buttons = reminders.map(reminder => [
+      Markup.button.callback(`${reminder.isActive ? '🔔' : '⏸️'} ${reminder.name}`, `reminder_edit_${step}_${reminder.id}`)
+    ])
+
+    buttons.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.backToReminders')}`, 'settings_reminders')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Prayer Choice Keyboard - Anchor a reminder to a prayer
+   */
+  createPrayerChoice(prayers) {
+    const buttons = []
+    for (let i = 0; i < prayers.length; i += 3) {
+      buttons.push(prayers.slice(i, i + 3).map(prayer =>
+        Markup.button.callback(prayer.name, `reminder_prayer_${prayer.id}`)
+      ))
+    }
+
+    buttons.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.backToReminders')}`, 'settings_reminders')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Prayer Offset Keyboard - Minutes before/after the chosen prayer
+   */
+  createPrayerOffsets(prayer, prayerName) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`⏪ ${t('buttons.prayerBefore', { prayer: prayerName, minutes: 15 })}`, `reminder_prayer_${prayer}_-15`),
+        Markup.button.callback(`🕌 ${t('prayers.anchor.at', { prayer: prayerName })}`, `reminder_prayer_${prayer}_0`)
       ],
       [
-        Markup.button.callback(`⏸️ إيقاف مؤقت`, 'reminder_pause'),
-        Markup.button.callback(`🗑️ حذف جميع التذكيرات`, 'reminder_delete_all')
+        Markup.button.callback(`⏩ ${t('buttons.prayerAfter', { prayer: prayerName, minutes: 15 })}`, `reminder_prayer_${prayer}_15`),
+        Markup.button.callback(`⏩ ${t('buttons.prayerAfter', { prayer: prayerName, minutes: 30 })}`, `reminder_prayer_${prayer}_30`)
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة للإعدادات`, 'back_to_settings')
+        Markup.button.callback(`${emojis.back} ${t('buttons.otherPrayer')}`, 'reminder_prayer')
       ]
     ])
   }
 
+  /**
+   * Prayer Calculation Method Keyboard
+   */
+  createMethodChoice(methods, currentMethod = null) {
+    const buttons = Object.entries(methods).map(([key, method]) => [
+      Markup.button.callback(
+        `${key === currentMethod ? emojis.check + ' ' : ''}${method.name}`,
+        `settings_method_${key}`
+      )
+    ])
+
+    buttons.push([
+      Markup.button.callback(`${emojis.back} ${t('buttons.backToReminders')}`, 'settings_reminders')
+    ])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * City Choice Keyboard - Disambiguate a typed city name
+   */
+  createCityChoice(cities) {
+    const buttons = cities.map(city => [
+      Markup.button.callback(`📍 ${i18n.getLocale() === 'ar' ? `${city.name.ar} (${city.name.en})` : city.name.en}`, `settings_city_${city.id}`)
+    ])
+
+    buttons.push([Markup.button.callback(`❌ ${t('buttons.cancel')}`, 'settings_reminders')])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Location Request Keyboard - Reply keyboard that shares the user's location
+   */
+  createLocationRequest() {
+    return Markup.keyboard([
+      [Markup.button.locationRequest(`📍 ${t('buttons.sendLocation')}`)]
+    ]).oneTime().resize()
+  }
+
+  /**
+   * Timezone Keyboard - Ways to set the user's timezone
+   */
+  createTimezoneMenu() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`📍 ${t('buttons.detectTimezone')}`, 'tz_location')],
+      [Markup.button.callback(`🗺️ ${t('buttons.chooseTimezone')}`, 'tz_regions')],
+      [Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'settings_language')]
+    ])
+  }
+
+  /**
+   * Timezone Regions Keyboard - First step of the timezone picker
+   */
+  createTimezoneRegions(regions) {
+    const buttons = []
+    for (let i = 0; i < regions.length; i += 2) {
+      buttons.push(regions.slice(i, i + 2).map(region =>
+        Markup.button.callback(t(`timezone.regions.${region}`), `tz_region_${region}_1`)
+      ))
+    }
+
+    buttons.push([Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'timezone_select')])
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
+  /**
+   * Timezone Choice Keyboard - Zones of a region page or of a city search
+   * @param {Array} zones - [{ zone, label }]
+   * @param {Object} pagination - { region, page, totalPages } when paging a region
+   */
+  createTimezoneChoice(zones, current = null, pagination = null) {
+    const buttons = []
+    for (let i = 0; i < zones.length; i += 2) {
+      buttons.push(zones.slice(i, i + 2).map(({ zone, label }) =>
+        Markup.button.callback(`${zone === current ? emojis.check + ' ' : ''}${label}`, `tz_set_${zone}`)
+      ))
+    }
+
+    if (pagination) {
+      const { region, page, totalPages } = pagination
+      const navigation = this.createPagination(page, totalPages, `tz_region_${region}`)
+      buttons.push(...navigation.reply_markup.inline_keyboard)
+      buttons.push([Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'tz_regions')])
+    } else {
+      buttons.push([Markup.button.callback(`🗺️ ${t('buttons.chooseTimezone')}`, 'tz_regions')])
+    }
+
+    return Markup.inlineKeyboard(buttons)
+  }
+
   /**
    * Language Settings Keyboard
    */
   createSettingsLanguage() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`🇸🇦 العربية`, 'lang_ar'),
-        Markup.button.callback(`🇺🇸 English`, 'lang_en')
+        Markup.button.callback(`🇸🇦 ${t('languages.ar')}`, 'lang_ar'),
+        Markup.button.callback(`🇺🇸 ${t('languages.en')}`, 'lang_en')
       ],
       [
-        Markup.button.callback(`🕐 المنطقة الزمنية`, 'timezone_select'),
-        Markup.button.callback(`📅 تنسيق التاريخ`, 'date_format')
+        Markup.button.callback(`🕐 ${t('buttons.timezone')}`, 'timezone_select'),
+        Markup.button.callback(`📅 ${t('buttons.dateFormat')}`, 'date_format')
       ],
       [
-        Markup.button.callback(`🔤 الخط والحجم`, 'font_settings'),
-        Markup.button.callback(`📱 اتجاه النص`, 'text_direction')
+        Markup.button.callback(`🔤 ${t('buttons.font')}`, 'font_settings'),
+        Markup.button.callback(`📱 ${t('buttons.textDirection')}`, 'text_direction')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة للإعدادات`, 'back_to_settings')
+        Markup.button.callback(`${emojis.back} ${t('buttons.backToSettings')}`, 'back_to_settings')
       ]
     ])
   }
@@ -356,23 +990,23 @@ class KeyboardBuilder {
   createAdminPanel() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`${emojis.stats} إحصائيات النظام`, 'admin_system_stats'),
-        Markup.button.callback(`👥 إدارة المستخدمين`, 'admin_users')
+        Markup.button.callback(`${emojis.stats} ${t('buttons.systemStats')}`, 'admin_system_stats'),
+        Markup.button.callback(`👥 ${t('buttons.manageUsers')}`, 'admin_users')
       ],
       [
-        Markup.button.callback(`📊 تحليلات الاستخدام`, 'admin_analytics'),
-        Markup.button.callback(`🗄️ إدارة قاعدة البيانات`, 'admin_database')
+        Markup.button.callback(`📊 ${t('buttons.usageAnalytics')}`, 'admin_analytics'),
+        Markup.button.callback(`🗄️ ${t('buttons.manageDatabase')}`, 'admin_database')
       ],
       [
-        Markup.button.callback(`📢 إرسال إعلان`, 'admin_broadcast'),
-        Markup.button.callback(`🔧 صيانة النظام`, 'admin_maintenance')
+        Markup.button.callback(`📢 ${t('buttons.broadcast')}`, 'admin_broadcast'),
+        Markup.button.callback(`🔧 ${t('buttons.maintenance')}`, 'admin_maintenance')
       ],
       [
-        Markup.button.callback(`📝 سجل الأخطاء`, 'admin_error_logs'),
-        Markup.button.callback(`⚙️ إعدادات التطبيق`, 'admin_app_settings')
+        Markup.button.callback(`📝 ${t('buttons.errorLogs')}`, 'admin_error_logs'),
+        Markup.button.callback(`⚙️ ${t('buttons.appSettings')}`, 'admin_app_settings')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة`, 'back_to_main')
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, 'back_to_main')
       ]
     ])
   }
@@ -383,23 +1017,23 @@ class KeyboardBuilder {
   createAdminStats() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`📈 المستخدمون النشطون`, 'admin_active_users'),
-        Markup.button.callback(`🔍 إحصائيات البحث`, 'admin_search_stats')
+        Markup.button.callback(`📈 ${t('buttons.activeUsers')}`, 'admin_active_users'),
+        Markup.button.callback(`🔍 ${t('buttons.searchStats')}`, 'admin_search_stats')
       ],
       [
-        Markup.button.callback(`⭐ إحصائيات المفضلات`, 'admin_favorites_stats'),
-        Markup.button.callback(`⏰ إحصائيات التذكيرات`, 'admin_reminder_stats')
+        Markup.button.callback(`⭐ ${t('buttons.favoritesStats')}`, 'admin_favorites_stats'),
+        Markup.button.callback(`⏰ ${t('buttons.reminderStats')}`, 'admin_reminder_stats')
       ],
       [
-        Markup.button.callback(`🌐 إحصائيات API`, 'admin_api_stats'),
-        Markup.button.callback(`💾 استخدام قاعدة البيانات`, 'admin_db_usage')
+        Markup.button.callback(`🌐 ${t('buttons.apiStats')}`, 'admin_api_stats'),
+        Markup.button.callback(`💾 ${t('buttons.dbUsage')}`, 'admin_db_usage')
       ],
       [
-        Markup.button.callback(`📊 تقرير شامل`, 'admin_full_report'),
-        Markup.button.callback(`📤 تصدير البيانات`, 'admin_export_data')
+        Markup.button.callback(`📊 ${t('buttons.fullReport')}`, 'admin_full_report'),
+        Markup.button.callback(`📤 ${t('buttons.exportData')}`, 'admin_export_data')
       ],
       [
-        Markup.button.callback(`${emojis.back} العودة للوحة التحكم`, 'back_to_admin')
+        Markup.button.callback(`${emojis.back} ${t('buttons.backToAdmin')}`, 'back_to_admin')
       ]
     ])
   }
@@ -410,20 +1044,20 @@ class KeyboardBuilder {
   createGroupSettings() {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`⚙️ إعدادات المجموعة`, 'group_settings_main'),
-        Markup.button.callback(`👥 إدارة الأعضاء`, 'group_members')
+        Markup.button.callback(`⚙️ ${t('buttons.groupSettings')}`, 'group_settings_main'),
+        Markup.button.callback(`👥 ${t('buttons.groupMembers')}`, 'group_members')
       ],
       [
-        Markup.button.callback(`🔔 إشعارات المجموعة`, 'group_notifications'),
-        Markup.button.callback(`⏰ تذكيرات المجموعة`, 'group_reminders')
+        Markup.button.callback(`🔔 ${t('buttons.groupNotifications')}`, 'group_notifications'),
+        Markup.button.callback(`⏰ ${t('buttons.groupReminders')}`, 'group_reminders')
       ],
       [
-        Markup.button.callback(`🚫 الكلمات المحظورة`, 'group_banned_words'),
-        Markup.button.callback(`🛡️ الحماية من السبام`, 'group_anti_spam')
+        Markup.button.callback(`🚫 ${t('buttons.bannedWords')}`, 'group_banned_words'),
+        Markup.button.callback(`🛡️ ${t('buttons.antiSpam')}`, 'group_anti_spam')
       ],
       [
-        Markup.button.callback(`📊 إحصائيات المجموعة`, 'group_stats'),
-        Markup.button.callback(`🗑️ حذف البيانات`, 'group_delete_data')
+        Markup.button.callback(`📊 ${t('buttons.groupStats')}`, 'group_stats'),
+        Markup.button.callback(`🗑️ ${t('buttons.deleteData')}`, 'group_delete_data')
       ]
     ])
   }
@@ -431,7 +1065,7 @@ class KeyboardBuilder {
   /**
    * Create confirmation keyboard
    */
-  createConfirmation(actionCallback, cancelCallback = 'cancel', confirmText = 'تأكيد', cancelText = 'إلغاء') {
+  createConfirmation(actionCallback, cancelCallback = 'cancel', confirmText = t('buttons.confirm'), cancelText = t('buttons.cancel')) {
     return Markup.inlineKeyboard([
       [
         Markup.button.callback(`✅ ${confirmText}`, actionCallback),
@@ -471,10 +1105,10 @@ class KeyboardBuilder {
     if (totalPages > 5) {
       const jumpRow = []
       if (currentPage > 3) {
-        jumpRow.push(Markup.button.callback('⏮️ الأول', `${baseCallback}_1`))
+        jumpRow.push(Markup.button.callback(`⏮️ ${t('buttons.first')}`, `${baseCallback}_1`))
       }
       if (currentPage < totalPages - 2) {
-        jumpRow.push(Markup.button.callback('⏭️ الأخير', `${baseCallback}_${totalPages}`))
+        jumpRow.push(Markup.button.callback(`⏭️ ${t('buttons.last')}`, `${baseCallback}_${totalPages}`))
       }
       if (jumpRow.length > 0) {
         buttons.push(jumpRow)
@@ -525,7 +1159,7 @@ class KeyboardBuilder {
   /**
    * Create a keyboard with loading state
    */
-  createLoading(text = 'جاري التحميل...') {
+  createLoading(text = t('loading.loading')) {
     return Markup.inlineKeyboard([
       [Markup.button.callback(`${emojis.loading} ${text}`, 'loading')]
     ])
@@ -537,8 +1171,8 @@ class KeyboardBuilder {
   createError(retryCallback, backCallback = 'back_to_main') {
     return Markup.inlineKeyboard([
       [
-        Markup.button.callback(`🔄 إعادة المحاولة`, retryCallback),
-        Markup.button.callback(`${emojis.back} العودة`, backCallback)
+        Markup.button.callback(`🔄 ${t('buttons.retry')}`, retryCallback),
+        Markup.button.callback(`${emojis.back} ${t('buttons.back')}`, backCallback)
       ]
     ])
   }
@@ -1,6 +1,11 @@
 import config from '../config/index.js'
 import moment from 'moment-timezone'
 import _ from 'lodash'
+import { buildMatchRegExp } from '../utils/arabic.js'
+import { getHadithReference, formatReference } from '../utils/references.js'
+import i18n, { t } from '../i18n/index.js'
+import timezoneService from '../services/timezoneService.js'
+import reminderService from '../services/reminderService.js'
 
 const { emojis } = config
 
@@ -18,34 +23,34 @@ class MessageFormatter {
    * Format welcome message with personalized greeting
    */
   formatWelcome(user, isNewUser = false) {
-    const greeting = this.getTimeBasedGreeting()
-    const userName = user.firstName || user.username || 'أخي الكريم'
+    const greeting = this.getTimeBasedGreeting(user.timezone)
+    const userName = user.firstName || user.username || t('welcome.defaultName')
     
     const message = isNewUser ? `
-${emojis.mosque} **أهلاً وسهلاً بك في بوت الأحاديث الذكي** ${emojis.mosque}
+${emojis.mosque} **${t('welcome.newTitle')}** ${emojis.mosque}
 
 ${greeting} *${userName}*!
 
-🌟 **مرحباً بك في رحلة إسلامية مميزة**
+🌟 **${t('welcome.journey')}**
 
-هذا البوت يوفر لك:
-${emojis.search} **البحث الذكي** في آلاف الأحاديث النبوية الشريفة
-${emojis.favorites} **حفظ المفضلات** مع إمكانية التنظيم والتصنيف  
-${emojis.reminder} **التذكيرات الذكية** لأحاديث منتقاة بعناية
-${emojis.stats} **تتبع رحلتك** مع الإحصائيات والإنجازات
-${emojis.book} **مصادر موثوقة** من كتب الحديث المعتمدة
+${t('welcome.offers')}
+${emojis.search} ${t('welcome.features.search')}
+${emojis.favorites} ${t('welcome.features.favorites')}
+${emojis.reminder} ${t('welcome.features.reminders')}
+${emojis.stats} ${t('welcome.features.stats')}
+${emojis.book} ${t('welcome.features.sources')}
 
-✨ **ابدأ رحلتك الآن** باختيار أحد الخيارات أدناه:
+✨ ${t('welcome.startNow')}
 
-${emojis.prayer} *"اللهم بارك لنا فيما علمتنا وعلمنا ما ينفعنا"*
+${emojis.prayer} *"${t('welcome.newDua')}"*
     ` : `
-${emojis.mosque} **مرحباً بعودتك** ${emojis.mosque}
+${emojis.mosque} **${t('welcome.backTitle')}** ${emojis.mosque}
 
 ${greeting} *${userName}*!
 
-${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاديث الذكي
+${emojis.heart} ${t('welcome.backText')}
 
-اختر ما تريد القيام به:
+${t('welcome.chooseAction')}
     `
 
     return this.cleanAndFormat(message)
@@ -68,7 +73,11 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
     if (hadith.source && showMetadata) {
       message += `${emojis.book} **${hadith.source}**\n`
       if (hadith.hadithNumber) {
-        message += `📋 رقم الحديث: *${hadith.hadithNumber}*\n`
+        message += `📋 ${t('hadith.number', { number: hadith.hadithNumber })}\n`
+      }
+      const reference = getHadithReference(hadith)
+      if (reference && !isPreview) {
+        message += `🔖 ${t('hadith.reference', { reference: formatReference(reference) })}\n`
       }
       message += '\n'
     }
@@ -87,34 +96,42 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
         arabicText = arabicText.substring(0, this.previewLength) + '...'
       }
 
-      message += `${emojis.crescent} *الحديث الشريف:*\n\n`
+      message += `${emojis.crescent} *${t('hadith.text')}*\n\n`
       message += `"${arabicText}"\n\n`
     }
 
-    // Translation if available
+    // Translation in the reader's language (see translationService.localize)
     if (hadith.translation && !isPreview) {
-      message += `🌐 *الترجمة:*\n`
-      message += `"${hadith.translation}"\n\n`
+      message += `🌐 *${t('hadith.translation')}*\n`
+      message += `"${hadith.translation}"\n`
+      if (hadith.translationSource) {
+        message += `_${t('hadith.translatedBy', { source: hadith.translationSource })}_\n`
+      }
+      message += '\n'
     }
 
     // Narrator information
     if (hadith.narrator && showMetadata) {
-      message += `👤 *الراوي:* ${hadith.narrator}\n`
+      message += `👤 *${t('hadith.narrator')}* ${hadith.narrator}\n`
     }
 
     // Grade/Authentication
     if (hadith.grade && showMetadata) {
       const gradeEmoji = this.getGradeEmoji(hadith.grade)
-      message += `${gradeEmoji} *الدرجة:* ${hadith.grade}\n`
+      message += `${gradeEmoji} *${t('hadith.grade')}* ${hadith.grade}\n`
+    }
+
+    if (hadith.muhaddith && showMetadata) {
+      message += `🎓 *${t('hadith.muhaddith')}* ${hadith.muhaddith}\n`
     }
 
     // Chapter/Topic if available
     if (hadith.chapter && showMetadata) {
-      message += `📚 *الباب:* ${hadith.chapter}\n`
+      message += `📚 *${t('hadith.chapter')}* ${hadith.chapter}\n`
     }
 
     if (hadith.topic && showMetadata) {
-      message += `🏷️ *الموضوع:* ${hadith.topic}\n`
+      message += `🏷️ *${t('hadith.topic')}* ${hadith.topic}\n`
     }
 
     // Additional metadata for full view
@@ -123,17 +140,17 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
       
       // Favorite count
       if (hadith._count?.favorites) {
-        message += `${emojis.heart} *محفوظ لدى:* ${hadith._count.favorites} مستخدم\n`
+        message += `${emojis.heart} ${t('hadith.savedBy', { count: hadith._count.favorites })}\n`
       }
 
       // Search count
       if (hadith.searchCount > 0) {
-        message += `${emojis.search} *تم البحث عنه:* ${hadith.searchCount} مرة\n`
+        message += `${emojis.search} ${t('hadith.searchedTimes', { count: hadith.searchCount })}\n`
       }
 
       // Verification status
       if (hadith.isVerified) {
-        message += `${emojis.check} *تم التحقق من المصدر*\n`
+        message += `${emojis.check} *${t('hadith.verified')}*\n`
       }
     }
 
@@ -148,19 +165,29 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
   /**
    * Format search results list
    */
-  formatSearchResults(results, query, currentPage = 1, totalPages = 1) {
+  formatSearchResults(results, query, currentPage = 1, totalPages = 1, options = {}) {
+    const { totalCount = results?.length || 0, filters = [], narrator = null, sahihOnly = false } = options
+
     if (!results || results.length === 0) {
       return this.formatNoResults(query)
     }
 
-    let message = `${emojis.search} **نتائج البحث عن:** *"${query}"*\n\n`
+    let message = `${emojis.search} ${t('search.resultsFor', { query })}\n\n`
     
     // Results summary
-    message += `📊 **العدد:** ${results.length} حديث`
-    if (totalPages > 1) {
-      message += ` | **الصفحة:** ${currentPage}/${totalPages}`
+    message += `📊 ${this.formatCount(totalCount, currentPage, totalPages)}`
+    message += '\n'
+
+    if (filters.length > 0) {
+      message += `🎯 ${t('search.books', { books: filters.join(t('common.listSeparator')) })}\n`
     }
-    message += '\n\n'
+    if (narrator) {
+      message += `👤 ${t('search.narrator', { narrator })}\n`
+    }
+    if (sahihOnly) {
+      message += `⭐ ${t('buttons.sahihOnly')}\n`
+    }
+    message += '\n'
 
     // Display each result as preview
     results.forEach((hadith, index) => {
@@ -170,7 +197,7 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
     })
 
     // Instructions
-    message += `💡 *اضغط على رقم الحديث أو استخدم الأزرار أدناه للتنقل*`
+    message += `💡 *${t('search.resultsHint')}*`
 
     return this.cleanAndFormat(message)
   }
@@ -206,49 +233,183 @@ ${emojis.heart} سعداء برؤيتك مرة أخرى في بوت الأحاد
     return preview
   }
 
+  /**
+   * Format one page of hadiths related to a hadith; parallel narrations are marked
+   */
+  formatRelated(hadith, related, currentPage = 1, totalPages = 1, totalCount = related.length) {
+    let message = `🔗 **${t('related.title')}**\n\n`
+    message += this.formatHadithPreview(hadith) + '\n\n'
+
+    if (related.length === 0) {
+      message += `💡 ${t('related.empty')}`
+      return this.cleanAndFormat(message)
+    }
+
+    message += `📊 ${this.formatCount(totalCount, currentPage, totalPages)}`
+    message += '\n\n'
+
+    related.forEach((item, index) => {
+      const number = ((currentPage - 1) * config.pagination.defaultLimit) + index + 1
+      message += `**${number}.** `
+      if (item.isParallel) {
+        message += `_${t('related.parallel')}_ `
+      }
+      message += `${this.formatHadithPreview(item)}\n`
+      message += `➤ /hadith_${item.id}\n\n`
+    })
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Format the library's list of collections
+   */
+  formatLibraryBooks(books) {
+    if (books.length === 0) {
+      return `${emojis.book} **${t('library.title')}**\n\n💡 ${t('library.empty')}`
+    }
+
+    const total = books.reduce((sum, book) => sum + book.count, 0)
+    const summary = [t('library.bookCount', { count: books.length }), t('common.hadithCount', { count: total })]
+      .join(t('common.listSeparator'))
+    return `${emojis.book} **${t('library.title')}**\n\n📚 ${summary}\n\n${t('library.chooseBook')}`
+  }
+
+  /**
+   * Format one page of a collection's chapters
+   */
+  formatBookChapters(book, currentPage, totalPages, totalCount, link) {
+    let message = `${emojis.book} **${book.name}**\n\n`
+    message += `📑 ${t('library.chapterStats', { chapters: totalCount, hadiths: book.count })}`
+    if (totalPages > 1) {
+      message += ` | ${t('common.page', { page: currentPage, total: totalPages })}`
+    }
+    message += `\n\n🔗 \`${link}\`\n\n${t('library.chooseChapter')}`
+    return message
+  }
+
+  /**
+   * Format one page of a chapter's hadiths
+   */
+  formatChapterHadiths(book, chapter, hadiths, currentPage, totalPages, totalCount, link) {
+    let message = `${emojis.book} **${book.name}**\n`
+    message += `📑 *${chapter.name || t('library.noChapter')}*\n\n`
+    message += `📊 ${this.formatCount(totalCount, currentPage, totalPages)}`
+    message += '\n\n'
+
+    hadiths.forEach(hadith => {
+      if (hadith.hadithNumber) {
+        message += `**${hadith.hadithNumber}.** `
+      }
+      message += `${this.formatHadithPreview(hadith)}\n`
+      message += `➤ /hadith_${hadith.id}\n\n`
+    })
+
+    message += `🔗 \`${link}\``
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Compact hadith message sent into a chat from inline mode
+   */
+  formatInlineHadith(hadith) {
+    let message = ''
+
+    if (hadith.source) {
+      message += `${emojis.book} *${hadith.source}*`
+      if (hadith.hadithNumber) message += ` (${hadith.hadithNumber})`
+      message += '\n\n'
+    }
+
+    const text = hadith.arabicText || hadith.text || ''
+    message += `"${text.length > 3500 ? text.substring(0, 3500) + '...' : text}"\n\n`
+
+    const details = []
+    if (hadith.narrator) details.push(`👤 ${hadith.narrator}`)
+    if (hadith.grade) details.push(`${this.getGradeEmoji(hadith.grade)} ${hadith.grade}`)
+    if (details.length > 0) message += details.join(' | ') + '\n'
+
+    const reference = getHadithReference(hadith)
+    if (reference) message += `🔖 \`${formatReference(reference)}\``
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Share message with the hadith's deep link
+   */
+  formatShareHadith(hadith, link) {
+    let message = `${emojis.share} *${t('share.title')}*\n\n`
+    message += `${this.formatHadithPreview(hadith)}\n\n`
+    message += `🔗 *${t('share.link')}*\n\`${link}\`\n\n`
+    message += `💡 ${t('share.hint')}`
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Plain-text hadith for copying: no Markdown, ends with a citation line
+   */
+  formatPlainHadith(hadith) {
+    const lines = [hadith.arabicText || hadith.text || '', '']
+
+    if (hadith.narrator) lines.push(`${t('hadith.narrator')} ${hadith.narrator}`)
+    if (hadith.grade) lines.push(`${t('hadith.grade')} ${hadith.grade}`)
+    if (hadith.muhaddith) lines.push(`${t('hadith.muhaddith')} ${hadith.muhaddith}`)
+
+    const citation = [hadith.source || hadith.book, hadith.hadithNumber && t('hadith.numberShort', { number: hadith.hadithNumber })]
+      .filter(Boolean)
+      .join(t('common.listSeparator'))
+    const reference = getHadithReference(hadith)
+    if (citation || reference) {
+      lines.push('', `${t('hadith.source')} ${[citation, reference && formatReference(reference)].filter(Boolean).join(' - ')}`)
+    }
+
+    return this.cleanAndFormat(lines.join('\n'))
+  }
+
   /**
    * Format no results message
    */
   formatNoResults(query) {
     return `
-${emojis.search} **البحث عن:** *"${query}"*
+${emojis.search} ${t('search.searchFor', { query })}
 
-${emojis.warning} **لم يتم العثور على نتائج**
+${emojis.warning} **${t('search.noResults')}**
 
-💡 **نصائح للبحث:**
-• تأكد من صحة الكلمات المكتوبة
-• جرب استخدام كلمات مفتاحية مختلفة  
-• استخدم البحث المتقدم للخيارات الإضافية
-• ابحث باللغة العربية للحصول على نتائج أفضل
+💡 **${t('search.tipsTitle')}**
+${t('search.tips')}
 
-🔍 **اقتراحات للبحث:**
-• الصلاة، الزكاة، الصوم، الحج
-• الإيمان، البر، الإحسان
-• اسم راوي محدد مثل "أبو هريرة"
-• اسم كتاب مثل "صحيح البخاري"
+🔍 **${t('search.suggestionsTitle')}**
+${t('search.suggestions')}
     `
   }
 
   /**
    * Format favorites list
    */
-  formatFavoritesList(favorites, page = 1, totalPages = 1) {
+  formatFavoritesList(favorites, page = 1, totalPages = 1, options = {}) {
+    const { totalCount = favorites?.length || 0, title = null, timezone = null } = options
+
+    if ((!favorites || favorites.length === 0) && title) {
+      return `${emojis.favorites} **${title}**\n\n${emojis.heart} ${t('favorites.emptyList')}`
+    }
+
     if (!favorites || favorites.length === 0) {
       return `
-${emojis.favorites} **مفضلاتي**
+${emojis.favorites} **${t('favorites.title')}**
 
-${emojis.heart} لا توجد أحاديث محفوظة بعد
+${emojis.heart} ${t('favorites.empty')}
 
-💡 ابحث عن أحاديث واحفظ المفيد منها لتتمكن من الوصول إليها بسهولة لاحقاً
+💡 ${t('favorites.emptyHint')}
 
-🔍 استخدم زر "البحث" لبدء البحث عن الأحاديث
+🔍 ${t('favorites.emptySearchHint')}
       `
     }
 
-    let message = `${emojis.favorites} **مفضلاتي** (${favorites.length})\n\n`
+    let message = `${emojis.favorites} **${title || t('favorites.title')}** (${totalCount})\n\n`
 
     if (totalPages > 1) {
-      message += `📄 الصفحة ${page}/${totalPages}\n\n`
+      message += `📄 ${t('common.page', { page, total: totalPages })}\n\n`
     }
 
     favorites.forEach((favorite, index) => {
@@ -293,8 +454,8 @@ ${emojis.heart} لا توجد أحاديث محفوظة بعد
       }
       
       // Date added
-      const dateAdded = moment(favorite.createdAt).locale('ar').format('DD/MM/YYYY')
-      message += `📅 أضيف في: ${dateAdded}\n`
+      const dateAdded = this.userTime(favorite.createdAt, timezone).format('DD/MM/YYYY')
+      message += `📅 ${t('favorites.addedOn', { date: dateAdded })}\n`
       
       message += `➤ /hadith_${hadith.id}\n\n`
     })
@@ -302,86 +463,313 @@ ${emojis.heart} لا توجد أحاديث محفوظة بعد
     return this.cleanAndFormat(message)
   }
 
+  /**
+   * Format favorites library summary
+   */
+  formatFavoritesStats(stats) {
+    let message = `📊 **${t('favorites.stats.title')}**\n\n`
+    message += `${emojis.favorites} ${t('favorites.stats.total', { count: stats.total })}\n`
+    message += `📝 ${t('favorites.stats.withNotes', { count: stats.withNotes })}\n`
+    message += `📁 ${t('favorites.stats.collections', { count: stats.collections })}\n`
+    message += `🏷️ ${t('favorites.stats.tags', { count: stats.tags.length })}\n`
+
+    if (stats.tags.length > 0) {
+      message += `\n**${t('favorites.stats.topTags')}**\n`
+      stats.tags.slice(0, 5).forEach(tag => {
+        message += `• ${tag.name} (${tag.count})\n`
+      })
+    }
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Format the user's collections
+   */
+  formatCollectionsList(collections) {
+    if (!collections || collections.length === 0) {
+      return `📁 **${t('collections.title')}**\n\n${t('collections.empty')}\n\n💡 ${t('collections.emptyHint')}`
+    }
+
+    let message = `📁 **${t('collections.title')}** (${collections.length})\n\n`
+    collections.forEach(collection => {
+      message += `• ${collection.name} - ${t('common.hadithCount', { count: collection._count?.items || 0 })}\n`
+    })
+
+    return this.cleanAndFormat(message)
+  }
+
   /**
    * Format user statistics
    */
   formatUserStats(user, stats) {
-    const joinDate = moment(user.createdAt).locale('ar').format('DD MMMM YYYY')
-    const lastActive = moment(user.lastActivity).locale('ar').fromNow()
+    const joinDate = this.userTime(user.createdAt, user.timezone).format('DD MMMM YYYY')
+    const lastActive = this.userTime(user.lastActivity, user.timezone).fromNow()
 
     return `
-${emojis.stats} **إحصائياتك الشخصية**
+${emojis.stats} **${t('stats.title')}**
 
-${emojis.user} **معلومات أساسية:**
-• تاريخ الانضمام: ${joinDate}
-• آخر نشاط: ${lastActive}
-• إجمالي المفضلات: ${stats.totalFavorites || 0}
-• إجمالي البحثات: ${stats.totalSearches || 0}
+${emojis.user} **${t('stats.basics')}**
+• ${t('stats.joined', { date: joinDate })}
+• ${t('stats.lastActive', { time: lastActive })}
+• ${t('stats.totalFavorites', { count: stats.totalFavorites || 0 })}
+• ${t('stats.totalSearches', { count: stats.totalSearches || 0 })}
 
-📊 **نشاط هذا الشهر:**
-• عمليات البحث: ${stats.monthlySearches || 0}
-• أحاديث جديدة محفوظة: ${stats.monthlyFavorites || 0}
-• تذكيرات مستلمة: ${stats.monthlyReminders || 0}
+📊 **${t('stats.thisMonth')}**
+• ${t('stats.monthlySearches', { count: stats.monthlySearches || 0 })}
+• ${t('stats.monthlyFavorites', { count: stats.monthlyFavorites || 0 })}
+• ${t('stats.monthlyReminders', { count: stats.monthlyReminders || 0 })}
 
-🏆 **الإنجازات:**
+🏆 **${t('stats.achievements')}**
 ${this.formatAchievements(stats.achievements || [])}
 
-📈 **الشارة الحالية:** ${this.getUserBadge(stats)}
+📈 **${t('stats.badge')}** ${this.getUserBadge(stats)}
 
-${emojis.trophy} *استمر في التعلم لفتح إنجازات جديدة!*
+${emojis.trophy} *${t('stats.keepLearning')}*
     `
   }
 
   /**
    * Format reminder message
    */
-  formatReminder(hadith, reminderName = 'تذكير يومي') {
-    const currentTime = moment().locale('ar').format('HH:mm')
-    const currentDate = moment().locale('ar').format('dddd، DD MMMM YYYY')
+  formatReminder(hadith, reminderName = t('reminders.defaultName'), timezone = null) {
+    const now = this.userTime(new Date(), timezone)
+    const currentTime = now.format('HH:mm')
+    const currentDate = now.format(t('common.longDateFormat'))
     
     return `
 ${emojis.reminder} **${reminderName}**
 🕐 ${currentTime} - ${currentDate}
 
-${emojis.crescent} *تذكرة إيمانية:*
+${emojis.crescent} *${t('reminders.heading')}*
 
 ${this.formatHadith(hadith, { showActions: false, showMetadata: true })}
 
-${emojis.prayer} *"ربنا آتنا في الدنيا حسنة وفي الآخرة حسنة وقنا عذاب النار"*
+${emojis.prayer} *"${t('reminders.dua')}"*
 
-💫 نسأل الله أن ينفعنا بما تعلمنا
+💫 ${t('reminders.closing')}
     `
   }
 
+  /**
+   * Format adhkar categories menu
+   */
+  formatAdhkarMenu(categories, suggestedId = null, version = null) {
+    let message = `${emojis.adhkar} **${t('adhkar.title')}**\n\n`
+    message += `${t('adhkar.choose')}\n\n`
+
+    categories.forEach(category => {
+      message += `${category.icon} *${category.title}* (${category.items.length})\n`
+      if (category.description) {
+        message += `   ${category.description}\n`
+      }
+    })
+
+    const suggested = categories.find(category => category.id === suggestedId)
+    if (suggested) {
+      message += `\n${emojis.star} *${t('adhkar.suggested')}* ${suggested.title}\n`
+    }
+
+    if (version) {
+      message += `\n📦 _${t('adhkar.version', { version })}_`
+    }
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Format a single dhikr with its repetition count and source
+   */
+  formatDhikr(dhikr, category, index = 0, total = 1) {
+    let message = `${category.icon} **${category.title}** (${index + 1}/${total})\n\n`
+
+    message += `${emojis.crescent} "${dhikr.text}"\n\n`
+
+    if (dhikr.note) {
+      message += `💡 ${dhikr.note}\n`
+    }
+
+    message += `🔁 *${t('adhkar.repetitions')}* ${this.formatRepetitions(dhikr.count)}\n`
+
+    if (dhikr.virtue) {
+      message += `✨ *${t('adhkar.virtue')}* ${dhikr.virtue}\n`
+    }
+
+    if (dhikr.source) {
+      message += `${emojis.book} *${t('hadith.source')}* ${dhikr.source}\n`
+    }
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Format the tasbih counter for the current dhikr
+   */
+  formatTasbih(dhikr, category, index, total, count, completedText = null) {
+    let message = ''
+
+    if (completedText) {
+      message += `${emojis.success} ${t('tasbih.completed', { text: this.truncateText(completedText, 40) })}\n\n`
+    }
+
+    message += `${category.icon} **${category.title}** (${index + 1}/${total})\n\n`
+    message += `${emojis.crescent} "${dhikr.text}"\n\n`
+    message += `🔢 **${count} / ${dhikr.count}**\n`
+    message += `${this.formatProgressBar(count, dhikr.count)}\n`
+
+    if (dhikr.source) {
+      message += `\n${emojis.book} _${dhikr.source}_`
+    }
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Format the end of a tasbih session
+   */
+  formatTasbihComplete(category) {
+    return this.cleanAndFormat(`
+${emojis.success} **${t('tasbih.acceptance')}**
+
+${t('tasbih.completedAll', { title: category.title })} ${category.icon}
+
+${emojis.prayer} *"${t('tasbih.verse')}"*
+    `)
+  }
+
+  /**
+   * Format the user's reminders list
+   */
+  formatRemindersList(reminders, options = {}) {
+    const { timezone = null, prayerNames = {} } = options
+
+    if (!reminders || reminders.length === 0) {
+      return `
+${emojis.reminder} **${t('reminders.title')}**
+
+${t('reminders.empty')}
+
+💡 ${t('reminders.emptyHint')}
+      `
+    }
+
+    let message = `${emojis.reminder} **${t('reminders.title')}** (${reminders.length})\n\n`
+
+    reminders.forEach((reminder, index) => {
+      const status = reminder.isActive ? '✅' : '⏸️'
+      const schedule = reminder.anchorPrayer
+        ? this.formatPrayerAnchor(prayerNames[reminder.anchorPrayer] || reminder.anchorPrayer, reminder.anchorOffset)
+        : [this.getFrequencyName(reminder.frequency), this.formatReminderDays(reminder.frequency, reminderService.parseDays(reminder.days)), reminder.time]
+            .filter(Boolean)
+            .join(' ')
+
+      message += `**${index + 1}.** ${status} *${reminder.name}*\n`
+      message += `   ${emojis.clock} ${schedule}\n`
+
+      if (reminder.isActive && reminder.nextDue) {
+        const nextDue = this.userTime(reminder.nextDue, timezone).format('HH:mm - DD/MM')
+        message += `   ⏭️ ${t('reminders.next', { time: nextDue })}\n`
+      }
+    })
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Days a reminder runs on, e.g. "(Mon, Thu)" or "(1, 15)"; empty for every day
+   */
+  formatReminderDays(frequency, days) {
+    if (!days || days.length === 0) return ''
+    if (frequency === 'monthly') return `(${days.join(t('common.listSeparator'))})`
+
+    const weekdays = moment.localeData(i18n.getLocale()).weekdaysShort()
+    return `(${days.map(day => weekdays[day]).join(t('common.listSeparator'))})`
+  }
+
+  /**
+   * Format today's prayer times for the user's location
+   */
+  formatPrayerTimes(times, prayerNames, options = {}) {
+    const { city = null, methodName = null, timezone = null } = options
+
+    let message = `🕌 **${t('prayers.title')}**`
+    if (city) {
+      message += ` - ${city}`
+    }
+    message += `\n${emojis.calendar} ${this.userTime(new Date(), timezone).format(t('common.longDateFormat'))}\n\n`
+
+    Object.entries(times).forEach(([prayer, time]) => {
+      const formatted = time ? this.userTime(time, timezone).format('HH:mm') : '--:--'
+      message += `• *${prayerNames[prayer] || prayer}:* ${formatted}\n`
+    })
+
+    if (methodName) {
+      message += `\n📐 _${t('prayers.method', { method: methodName })}_`
+    }
+
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Timezone settings: the current zone and its local time
+   */
+  formatTimezone(timezone, saved = false) {
+    let message = `🕐 **${t('settings.timezone.title')}**\n\n`
+    if (saved) {
+      message += `${emojis.success} ${t('settings.timezone.saved')}\n\n`
+    }
+    message += `${t('settings.timezone.current', { timezone: timezoneService.getLabel(timezone) })}\n`
+    message += `${t('settings.timezone.localTime', { time: this.userTime(new Date(), timezone).format('HH:mm') })}\n\n`
+    message += t('settings.timezone.change')
+    return this.cleanAndFormat(message)
+  }
+
+  /**
+   * Describe a prayer-anchored schedule, e.g. "15 minutes after Fajr"
+   */
+  formatPrayerAnchor(prayerName, offset = 0) {
+    if (!offset) return t('prayers.anchor.at', { prayer: prayerName })
+
+    const minutes = Math.abs(offset)
+    return offset < 0
+      ? t('prayers.anchor.before', { prayer: prayerName, count: minutes })
+      : t('prayers.anchor.after', { prayer: prayerName, count: minutes })
+  }
+
+  getFrequencyName(frequency) {
+    const key = `reminders.frequency.${frequency}`
+    return i18n.has(key) ? t(key) : frequency
+  }
+
   /**
    * Format admin statistics
    */
   formatAdminStats(stats) {
     return `
-${emojis.admin} **إحصائيات النظام**
-
-👥 **المستخدمون:**
-• إجمالي المستخدمين: ${stats.totalUsers || 0}
-• نشطون اليوم: ${stats.activeToday || 0}
-• نشطون هذا الأسبوع: ${stats.activeWeek || 0}
-• مستخدمون جدد هذا الشهر: ${stats.newThisMonth || 0}
-
-📊 **المحتوى:**
-• إجمالي الأحاديث: ${stats.totalHadiths || 0}
-• أحاديث محفوظة: ${stats.totalFavorites || 0}
-• عمليات بحث اليوم: ${stats.searchesToday || 0}
-• تذكيرات مرسلة اليوم: ${stats.remindersToday || 0}
-
-🔧 **النظام:**
-• وقت التشغيل: ${this.formatUptime(stats.uptime)}
-• استخدام الذاكرة: ${this.formatMemory(stats.memory)}
-• استجابة API: ${stats.apiResponseTime || 0}ms
-• استجابة قاعدة البيانات: ${stats.dbResponseTime || 0}ms
-
-📈 **الأداء:**
-• معدل نجاح العمليات: ${stats.successRate || 0}%
-• متوسط وقت الاستجابة: ${stats.avgResponseTime || 0}ms
-• استخدام التخزين المؤقت: ${stats.cacheHitRate || 0}%
+${emojis.admin} **${t('admin.stats.title')}**
+
+👥 **${t('admin.stats.users')}**
+• ${t('admin.stats.totalUsers', { count: stats.totalUsers || 0 })}
+• ${t('admin.stats.activeToday', { count: stats.activeToday || 0 })}
+• ${t('admin.stats.activeWeek', { count: stats.activeWeek || 0 })}
+• ${t('admin.stats.newThisMonth', { count: stats.newThisMonth || 0 })}
+
+📊 **${t('admin.stats.content')}**
+• ${t('admin.stats.totalHadiths', { count: stats.totalHadiths || 0 })}
+• ${t('admin.stats.totalFavorites', { count: stats.totalFavorites || 0 })}
+• ${t('admin.stats.searchesToday', { count: stats.searchesToday || 0 })}
+• ${t('admin.stats.remindersToday', { count: stats.remindersToday || 0 })}
+
+🔧 **${t('admin.stats.system')}**
+• ${t('admin.stats.uptime', { uptime: this.formatUptime(stats.uptime) })}
+• ${t('admin.stats.memory', { memory: this.formatMemory(stats.memory) })}
+• ${t('admin.stats.apiResponse', { ms: stats.apiResponseTime || 0 })}
+• ${t('admin.stats.dbResponse', { ms: stats.dbResponseTime || 0 })}
+
+📈 **${t('admin.stats.performance')}**
+• ${t('admin.stats.successRate', { percent: stats.successRate || 0 })}
+• ${t('admin.stats.avgResponse', { ms: stats.avgResponseTime || 0 })}
+• ${t('admin.stats.cacheHitRate', { percent: stats.cacheHitRate || 0 })}
     `
   }
 
@@ -392,30 +780,28 @@ ${emojis.admin} **إحصائيات النظام**
     const errorId = context.errorId || 'ERR_' + Date.now()
     
     return `
-${emojis.error} **حدث خطأ غير متوقع**
+${emojis.error} **${t('errors.unexpected.title')}**
 
-نعتذر، حدث خطأ أثناء معالجة طلبك.
+${t('errors.unexpected.text')}
 
-🆔 **رقم الخطأ:** \`${errorId}\`
+🆔 ${t('errors.errorId', { errorId })}
 
-💡 **يمكنك:**
-• إعادة المحاولة بعد قليل
-• التأكد من صحة المدخلات
-• التواصل مع الدعم إذا استمر الخطأ
+💡 **${t('errors.unexpected.youCan')}**
+${t('errors.unexpected.options')}
 
-🔄 استخدم الأزرار أدناه لإعادة المحاولة أو العودة للقائمة الرئيسية
+🔄 ${t('errors.unexpected.hint')}
     `
   }
 
   /**
    * Format loading message
    */
-  formatLoading(action = 'معالجة الطلب') {
+  formatLoading(action = t('loading.action')) {
     const loadingTexts = [
-      'جاري البحث في آلاف الأحاديث...',
-      'يتم تحضير النتائج...',
-      'جاري التحميل...',
-      'يرجى الانتظار...'
+      t('loading.searching'),
+      t('loading.preparing'),
+      t('loading.loading'),
+      t('loading.wait')
     ]
     
     const randomText = loadingTexts[Math.floor(Math.random() * loadingTexts.length)]
@@ -427,17 +813,24 @@ ${emojis.error} **حدث خطأ غير متوقع**
    * Helper methods
    */
 
-  getTimeBasedGreeting() {
-    const hour = moment().hour()
+  /**
+   * A date in the user's timezone (the default one when unknown) and the current locale
+   */
+  userTime(date, timezone = null) {
+    return moment(date).tz(timezoneService.resolve(timezone)).locale(i18n.getLocale())
+  }
+
+  getTimeBasedGreeting(timezone = null) {
+    const hour = this.userTime(new Date(), timezone).hour()
     
     if (hour >= 5 && hour < 12) {
-      return 'صباح الخير'
+      return t('greetings.morning')
     } else if (hour >= 12 && hour < 17) {
-      return 'مساء الخير'
+      return t('greetings.afternoon')
     } else if (hour >= 17 && hour < 21) {
-      return 'مساء الخير'
+      return t('greetings.evening')
     } else {
-      return 'أهلاً وسهلاً'
+      return t('greetings.default')
     }
   }
 
@@ -455,13 +848,18 @@ ${emojis.error} **حدث خطأ غير متوقع**
   highlightText(text, query) {
     if (!query || !text) return text
     
-    const regex = new RegExp(`(${query})`, 'gi')
-    return text.replace(regex, '**$1**')
+    // Matches regardless of diacritics and letter variants; query is escaped
+    const regex = buildMatchRegExp(query)
+    return regex ? text.replace(regex, '**$1**') : text
+  }
+
+  formatRepetitions(count) {
+    return t('adhkar.times', { count })
   }
 
   formatAchievements(achievements) {
     if (!achievements || achievements.length === 0) {
-      return '• لا توجد إنجازات بعد'
+      return `• ${t('stats.noAchievements')}`
     }
     
     return achievements.map(achievement => 
@@ -474,15 +872,15 @@ ${emojis.error} **حدث خطأ غير متوقع**
     const favoriteCount = stats.totalFavorites || 0
     
     if (searchCount >= 1000 || favoriteCount >= 500) {
-      return '🥇 عالم محدث'
+      return `🥇 ${t('badges.scholar')}`
     } else if (searchCount >= 500 || favoriteCount >= 250) {
-      return '🥈 طالب علم متقدم'
+      return `🥈 ${t('badges.advanced')}`
     } else if (searchCount >= 100 || favoriteCount >= 50) {
-      return '🥉 طالب علم'
+      return `🥉 ${t('badges.student')}`
     } else if (searchCount >= 10 || favoriteCount >= 5) {
-      return '📚 مبتدئ نشط'
+      return `📚 ${t('badges.active')}`
     } else {
-      return '🌱 مستخدم جديد'
+      return `🌱 ${t('badges.newcomer')}`
     }
   }
 
@@ -491,7 +889,11 @@ ${emojis.error} **حدث خطأ غير متوقع**
     const hours = Math.floor((uptimeSeconds % 86400) / 3600)
     const minutes = Math.floor((uptimeSeconds % 3600) / 60)
     
-    return `${days} يوم، ${hours} ساعة، ${minutes} دقيقة`
+    return [
+      t('units.days', { count: days }),
+      t('units.hours', { count: hours }),
+      t('units.minutes', { count: minutes })
+    ].join(t('common.listSeparator'))
   }
 
   formatMemory(memoryBytes) {
@@ -499,6 +901,17 @@ ${emojis.error} **حدث خطأ غير متوقع**
     return `${mb} MB`
   }
 
+  /**
+   * "Count: N hadiths | Page: x/y" line of paged lists
+   */
+  formatCount(totalCount, currentPage = 1, totalPages = 1) {
+    let line = t('common.count', { count: totalCount })
+    if (totalPages > 1) {
+      line += ` | ${t('common.page', { page: currentPage, total: totalPages })}`
+    }
+    return line
+  }
+
   cleanAndFormat(message) {
     return message
       .replace(/\n{3,}/g, '\n\n') // Remove multiple newlines
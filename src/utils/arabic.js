@@ -0,0 +1,198 @@
+import { createHash } from 'crypto'
+
+/**
+ * Arabic text helpers shared by search, indexing, highlighting, keyword extraction
+ * and suggestions. Anything that compares Arabic text should go through
+ * normalizeArabic() so both sides agree on letter forms.
+ */
+
+// Tashkeel (fathatan..sukun, maddah, hamza marks), superscript alef and Quranic annotation signs
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g
+const TATWEEL = /\u0640/g
+const ZERO_WIDTH = /[\u200B-\u200F\uFEFF]/g
+
+// Marks that may sit between letters of a word in the original text
+const OPTIONAL_MARKS = '[\\u0610-\\u061A\\u064B-\\u065F\\u0670\\u06D6-\\u06ED\\u0640]*'
+
+// Letter variants that normalize to the same character
+const LETTER_VARIANTS = {
+  'ا': 'اأإآٱ',
+  'ي': 'يىئ',
+  'و': 'وؤ',
+  'ه': 'هة'
+}
+
+// Light stemming affixes, longest first
+const PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال', 'و', 'ف', 'ب', 'ك', 'ل']
+const SUFFIXES = ['هما', 'كما', 'ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'هم', 'هن', 'كم', 'نا', 'ه', 'ي']
+const MIN_STEM_LENGTH = 3
+
+// Common function words ignored by keyword extraction (normalized forms)
+const STOPWORDS = new Set([
+  'في', 'من', 'علي', 'الي', 'عن', 'مع', 'ان', 'او', 'ثم', 'قد', 'لا', 'ما', 'لم', 'لن',
+  'هو', 'هي', 'هم', 'انا', 'نحن', 'انت', 'كان', 'كانت', 'يكون', 'قال', 'قالت', 'فقال',
+  'الذي', 'التي', 'الذين', 'هذا', 'هذه', 'ذلك', 'تلك', 'كل', 'بعض', 'اذا', 'اذ', 'حتي',
+  'لقد', 'عليه', 'عليها', 'له', 'لها', 'به', 'بها', 'فيه', 'فيها', 'منه', 'منها', 'يا',
+  'رسول', 'الله', 'صلي', 'وسلم', 'رضي', 'عنه', 'النبي', 'انه', 'انها', 'بن', 'ابن', 'ابي',
+  'انما', 'لكل', 'كما', 'الا', 'وان', 'فان', 'ولا', 'وما', 'فمن', 'ومن'
+])
+
+/**
+ * Remove tashkeel and Quranic marks
+ */
+export function stripDiacritics(text) {
+  return (text || '').replace(DIACRITICS, '')
+}
+
+/**
+ * Unify hamza carriers and alef forms: أ إ آ ٱ → ا, ؤ → و, ئ → ي, ى → ي
+ */
+export function unifyLetters(text) {
+  return (text || '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/[ئى]/g, 'ي')
+}
+
+/**
+ * Normalize Arabic text for matching: strips tashkeel and tatweel, unifies
+ * hamza/alef forms and alef maqsura, maps ta marbuta to ha, lowercases Latin
+ * letters and collapses whitespace.
+ * The same function must be applied to indexed text and to queries.
+ */
+export function normalizeArabic(text) {
+  return unifyLetters(stripDiacritics((text || '').toString()).replace(TATWEEL, ''))
+    .replace(/ة/g, 'ه')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Tidy Arabic text for storage and display without changing its spelling:
+ * NFKC, no zero-width characters or tatweel, single spaces
+ */
+export function cleanArabic(text) {
+  if (!text || typeof text !== 'string') return ''
+
+  return text
+    .normalize('NFKC')
+    .replace(ZERO_WIDTH, '')
+    .replace(TATWEEL, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Split text into normalized words, dropping punctuation
+ */
+export function tokenize(text) {
+  return normalizeArabic(text)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+/**
+ * Light stemming: strip one common prefix and one common suffix while keeping
+ * at least MIN_STEM_LENGTH letters. Expects a normalized word.
+ */
+export function lightStem(word) {
+  let stem = word || ''
+
+  for (const prefix of PREFIXES) {
+    if (stem.startsWith(prefix) && stem.length - prefix.length >= MIN_STEM_LENGTH) {
+      stem = stem.slice(prefix.length)
+      break
+    }
+  }
+
+  for (const suffix of SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= MIN_STEM_LENGTH) {
+      stem = stem.slice(0, -suffix.length)
+      break
+    }
+  }
+
+  return stem
+}
+
+/**
+ * Normalized words of a query with their stems, for query expansion
+ * @returns {Array<{ term: string, stem: string }>}
+ */
+export function expandTerms(text) {
+  return tokenize(text).map(term => ({ term, stem: lightStem(term) }))
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+export function escapeRegExp(text) {
+  return (text || '').replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')
+}
+
+/**
+ * Build a RegExp that finds a query in original (undiacritized or diacritized)
+ * text: letter variants match each other and marks between letters are allowed.
+ * Returns null for empty queries.
+ */
+export function buildMatchRegExp(query, flags = 'gi') {
+  const terms = normalizeArabic(query).split(' ').filter(Boolean)
+  if (terms.length === 0) return null
+
+  const patterns = terms.map(term =>
+    Array.from(term)
+      .map(char => LETTER_VARIANTS[char] ? `[${LETTER_VARIANTS[char]}]` : escapeRegExp(char))
+      .join(OPTIONAL_MARKS)
+  )
+
+  return new RegExp(`(${patterns.join('|')})`, flags)
+}
+
+/**
+ * Most frequent meaningful words of a text, grouped by stem
+ * @returns {Array<string>} Normalized words
+ */
+export function extractKeywords(text, limit = 5) {
+  const groups = new Map()
+
+  for (const word of tokenize(text)) {
+    if (word.length < MIN_STEM_LENGTH || STOPWORDS.has(word) || /^\d+$/.test(word)) continue
+
+    const stem = lightStem(word)
+    const group = groups.get(stem) || { word, count: 0 }
+    group.count++
+    groups.set(stem, group)
+  }
+
+  return Array.from(groups.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(group => group.word)
+}
+
+/**
+ * Fingerprint of a hadith text that ignores diacritics, letter variants and
+ * punctuation, so the same hadith from different sources hashes the same
+ */
+export function textHash(text) {
+  const words = tokenize(text)
+  if (words.length === 0) return null
+
+  return createHash('sha1').update(words.join(' ')).digest('hex')
+}
+
+export default {
+  stripDiacritics,
+  unifyLetters,
+  normalizeArabic,
+  cleanArabic,
+  tokenize,
+  lightStem,
+  expandTerms,
+  escapeRegExp,
+  buildMatchRegExp,
+  extractKeywords,
+  textHash
+}
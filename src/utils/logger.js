@@ -37,6 +37,7 @@ const transports = [
   new winston.transports.Console({
     level: config.isDevelopment ? 'debug' : config.logging.level,
     format: consoleFormat,
+    silent: config.isTest, // Tests log expected failures
     handleExceptions: true,
     handleRejections: true
   }),
@@ -59,7 +60,7 @@ const transports = [
     maxsize: 5242880, // 5MB
     maxFiles: 5
   })
-)
+]
 
 // Create the logger
 const logger = winston.createLogger({
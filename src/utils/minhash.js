@@ -0,0 +1,128 @@
+import { tokenize, lightStem } from './arabic.js'
+
+/**
+ * MinHash fingerprints for near-duplicate detection
+ *
+ * A text is reduced to the set of its stemmed word pairs ("shingles"). The
+ * signature keeps, for each of NUM_HASHES hash functions, the smallest hash over
+ * all shingles; the share of equal positions in two signatures estimates the
+ * Jaccard similarity of the shingle sets. For lookup the signature is cut into
+ * BANDS bands of ROWS values (locality-sensitive hashing): texts sharing any band
+ * are candidates. With 32 bands of 2 rows, pairs above ~0.4 almost always share a
+ * band; candidates are then checked with similarity().
+ */
+
+export const NUM_HASHES = 64
+export const BANDS = 32
+export const ROWS = NUM_HASHES / BANDS
+const SHINGLE_SIZE = 2
+
+// Fixed seeds so signatures stay comparable across runs
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(0x9E3779B9 ^ Math.imul(i + 1, 0x85EBCA6B)))
+
+/**
+ * Word n-grams of the normalized, lightly stemmed text; short texts use their words
+ */
+export function shingles(text, size = SHINGLE_SIZE) {
+  const words = tokenize(text).map(word => lightStem(word))
+  if (words.length < size) return new Set(words)
+
+  const result = new Set()
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '))
+  }
+  return result
+}
+
+/**
+ * MinHash signature of a text
+ * @returns {Array<number>|null} NUM_HASHES unsigned 32-bit values, null for empty text
+ */
+export function signature(text) {
+  const set = shingles(text)
+  if (set.size === 0) return null
+
+  const mins = new Array(NUM_HASHES).fill(0xFFFFFFFF)
+  for (const shingle of set) {
+    const base = fnv1a(shingle)
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = fmix32(base ^ SEEDS[i])
+      if (value < mins[i]) mins[i] = value
+    }
+  }
+  return mins
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures (0..1)
+ */
+export function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0
+
+  let equal = 0
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++
+  }
+  return equal / a.length
+}
+
+/**
+ * LSH band keys of a signature
+ * @returns {Array<string>} BANDS hex strings
+ */
+export function bands(sig) {
+  const keys = []
+  for (let band = 0; band < BANDS; band++) {
+    keys.push(encode(sig.slice(band * ROWS, (band + 1) * ROWS)))
+  }
+  return keys
+}
+
+/**
+ * Signatures are stored as fixed-width hex
+ */
+export function encode(sig) {
+  return sig.map(value => value.toString(16).padStart(8, '0')).join('')
+}
+
+export function decode(hex) {
+  if (!hex || hex.length !== NUM_HASHES * 8) return null
+
+  const sig = []
+  for (let i = 0; i < hex.length; i += 8) {
+    sig.push(parseInt(hex.slice(i, i + 8), 16))
+  }
+  return sig
+}
+
+function fnv1a(text) {
+  let hash = 0x811C9DC5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// MurmurHash3 finalizer: spreads the bits of a 32-bit value
+function fmix32(value) {
+  let h = value >>> 0
+  h ^= h >>> 16
+  h = Math.imul(h, 0x85EBCA6B)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xC2B2AE35)
+  h ^= h >>> 16
+  return h >>> 0
+}
+
+export default {
+  NUM_HASHES,
+  BANDS,
+  ROWS,
+  shingles,
+  signature,
+  similarity,
+  bands,
+  encode,
+  decode
+}
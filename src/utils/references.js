@@ -0,0 +1,153 @@
+import { normalizeArabic } from './arabic.js'
+
+/**
+ * Canonical hadith references
+ *
+ * A reference names a collection by slug and a hadith by its number in that
+ * collection: `bukhari:1`, `muslim:2564`. Users may write the book in Arabic or
+ * English, with or without "صحيح"/"Sunan"/"al-", and separate the number with
+ * a colon, space, `#`, `_` or "رقم": `مسلم 2564`, `Sahih al-Bukhari #1`,
+ * `سنن أبي داود رقم 4607`, `bukhari_1` (as in /hadith_bukhari_1).
+ */
+
+// Collections with their display name and the spellings users write
+const BOOKS = {
+  bukhari: {
+    name: 'صحيح البخاري',
+    aliases: ['البخاري', 'bukhari', 'bukhary', 'bokhari', 'albukhari']
+  },
+  muslim: {
+    name: 'صحيح مسلم',
+    aliases: ['مسلم', 'muslim']
+  },
+  abu_dawud: {
+    name: 'سنن أبي داود',
+    aliases: ['أبو داود', 'أبي داود', 'ابو داوود', 'ابي داوود', 'abu dawud', 'abu dawood', 'abu daud', 'abi dawud', 'abi dawood', 'abu_dawud']
+  },
+  tirmidhi: {
+    name: 'جامع الترمذي',
+    aliases: ['الترمذي', 'tirmidhi', 'tirmizi', 'tirmidi', 'termizi', 'attirmidhi']
+  },
+  nasai: {
+    name: 'سنن النسائي',
+    aliases: ['النسائي', 'nasai', 'nasaai', 'nasaee', 'nisai', 'annasai']
+  },
+  ibn_majah: {
+    name: 'سنن ابن ماجه',
+    aliases: ['ابن ماجه', 'ابن ماجة', 'ibn majah', 'ibn maja', 'ibn majeh', 'ibn_majah']
+  },
+  ahmad: {
+    name: 'مسند أحمد',
+    aliases: ['أحمد', 'مسند أحمد', 'ahmad', 'ahmed', 'musnad ahmad']
+  },
+  malik: {
+    name: 'موطأ مالك',
+    aliases: ['مالك', 'الموطأ', 'موطأ مالك', 'malik', 'muwatta', 'muwatta malik']
+  }
+}
+
+// Words that qualify a collection name without identifying it
+const GENERIC_WORDS = new Set([
+  'صحيح', 'سنن', 'جامع', 'الجامع', 'الامام', 'كتاب',
+  'sahih', 'saheeh', 'sunan', 'jami', 'jame', 'imam', 'book', 'of', 'the', 'al', 'el', 'an', 'at', 'ad'
+])
+
+const REFERENCE_PATTERN = /^(.+?)\s*(?:[:#_]|\s)\s*(?:رقم|no|number|hadith|حديث)?\s*#?\s*(\d{1,6})$/i
+const ARABIC_DIGITS = /[٠-٩]/g
+
+/**
+ * Comparison key of a book name: normalized, without punctuation, generic
+ * words, the Arabic article or spaces
+ */
+function bookKey(text) {
+  const words = normalizeArabic(text)
+    .replace(/[-_'’`ʿʾ.,،]/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+
+  const specific = words.filter(word => !GENERIC_WORDS.has(word))
+
+  return (specific.length > 0 ? specific : words)
+    .map(word => word.length > 3 && word.startsWith('ال') ? word.slice(2) : word)
+    .join('')
+}
+
+const BOOK_KEYS = new Map()
+for (const [slug, book] of Object.entries(BOOKS)) {
+  for (const alias of [slug, book.name, ...book.aliases]) {
+    BOOK_KEYS.set(bookKey(alias), slug)
+  }
+}
+
+/**
+ * Map a book name in any supported spelling to its collection slug
+ * @returns {string|null} e.g. 'bukhari'
+ */
+export function parseBookName(text) {
+  if (!text) return null
+  return BOOK_KEYS.get(bookKey(text)) || null
+}
+
+/**
+ * Parse a reference such as `bukhari:1` or `مسلم 2564`
+ * @returns {Object|null} { book, number }
+ */
+export function parseReference(text) {
+  if (!text || typeof text !== 'string') return null
+
+  const cleaned = text
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+    .trim()
+  if (cleaned.length > 60) return null
+
+  const match = cleaned.match(REFERENCE_PATTERN)
+  if (!match) return null
+
+  const book = parseBookName(match[1])
+  if (!book) return null
+
+  return { book, number: String(Number(match[2])) }
+}
+
+/**
+ * Canonical text of a reference: `bukhari:1`
+ */
+export function formatReference(reference) {
+  return reference ? `${reference.book}:${reference.number}` : null
+}
+
+/**
+ * Reference of a stored hadith, when its collection is known and it has a plain number
+ * @returns {Object|null} { book, number }
+ */
+export function getHadithReference(hadith) {
+  if (!hadith?.hadithNumber || !/^\d+$/.test(hadith.hadithNumber.trim())) return null
+
+  const book = parseBookName(hadith.source) || parseBookName(hadith.book)
+  if (!book) return null
+
+  return { book, number: String(Number(hadith.hadithNumber.trim())) }
+}
+
+/**
+ * Bot command that opens a reference: /hadith_bukhari_1
+ */
+export function referenceCommand(reference) {
+  return reference ? `/hadith_${reference.book}_${reference.number}` : null
+}
+
+export function getBookName(slug) {
+  return BOOKS[slug]?.name || null
+}
+
+export { BOOKS }
+
+export default {
+  BOOKS,
+  parseBookName,
+  parseReference,
+  formatReference,
+  getHadithReference,
+  referenceCommand,
+  getBookName
+}
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals'
+
+jest.unstable_mockModule('../src/database/index.js', () => ({
+  default: { prisma: {}, cache: {} }
+}))
+
+const { ConversationService } = await import('../src/services/conversationService.js')
+const { default: pendingInputMiddleware } = await import('../src/middlewares/pendingInput.js')
+
+function createCache() {
+  const entries = new Map()
+  return {
+    entries,
+    get: jest.fn(async (key) => entries.get(key) ?? null),
+    set: jest.fn(async (key, value) => { entries.set(key, structuredClone(value)) }),
+    delete: jest.fn(async (key) => { entries.delete(key) })
+  }
+}
+
+function createService() {
+  const cache = createCache()
+  const service = new ConversationService({ cache })
+  const names = []
+
+  service.register('reminder', {
+    first: 'name',
+    steps: {
+      name: {
+        enter: jest.fn(async () => {}),
+        text: (ctx, text) => {
+          names.push(text)
+          return { done: true, data: { name: text } }
+        }
+      }
+    },
+    complete: jest.fn(async () => {}),
+    actions: /^reminder_/
+  })
+
+  const clearPendingInput = pendingInputMiddleware([service.pendingInput])
+  return { service, cache, names, clearPendingInput }
+}
+
+function createContext({ data, text } = {}) {
+  return {
+    from: { id: 1 },
+    chat: { id: 1 },
+    user: { id: 10 },
+    callbackQuery: data ? { data } : undefined,
+    message: text ? { text } : undefined,
+    t: (key) => key,
+    safeReply: jest.fn(async () => {}),
+    safeAnswerCbQuery: jest.fn(async () => {})
+  }
+}
+
+async function update(clearPendingInput, ctx, handler = async () => {}) {
+  await clearPendingInput(ctx, () => handler(ctx))
+}
+
+describe('leaving a conversation', () => {
+  test('a button outside the conversation suspends it', async () => {
+    const { service, names, clearPendingInput } = createService()
+    await service.start(createContext(), 'reminder')
+
+    await update(clearPendingInput, createContext({ data: 'action_search' }))
+
+    const next = jest.fn()
+    await update(clearPendingInput, createContext({ text: 'صلاة الليل' }), (ctx) => service.handleText(ctx, next))
+
+    expect(next).toHaveBeenCalled()
+    expect(names).toEqual([])
+    expect(await service.get(createContext())).toMatchObject({ name: 'reminder', step: 'name', suspended: true })
+  })
+
+  test('its own buttons keep it taking text', async () => {
+    const { service, names, clearPendingInput } = createService()
+    await service.start(createContext(), 'reminder')
+
+    await update(clearPendingInput, createContext({ data: 'reminder_days' }))
+    await update(clearPendingInput, createContext({ data: 'conv_back' }))
+    await service.handleText(createContext({ text: 'الضحى' }), jest.fn())
+
+    expect(names).toEqual(['الضحى'])
+  })
+
+  test('resuming takes text again', async () => {
+    const { service, names, clearPendingInput } = createService()
+    await service.start(createContext(), 'reminder')
+    await update(clearPendingInput, createContext({ data: 'action_settings' }))
+
+    await service.resume(createContext(), await service.get(createContext()))
+    await service.handleText(createContext({ text: 'الضحى' }), jest.fn())
+
+    expect(names).toEqual(['الضحى'])
+  })
+
+  test('pressing one of its buttons picks it up again', async () => {
+    const { service, clearPendingInput } = createService()
+    await service.start(createContext(), 'reminder')
+    await update(clearPendingInput, createContext({ data: 'action_favorites' }))
+
+    await service.handleAction(createContext({ data: 'conv_back' }))
+
+    expect(await service.get(createContext())).not.toHaveProperty('suspended')
+  })
+
+  test('a command ends it', async () => {
+    const { service, clearPendingInput } = createService()
+    await service.start(createContext(), 'reminder')
+
+    await update(clearPendingInput, createContext({ text: '/search' }))
+
+    expect(await service.get(createContext())).toBeNull()
+  })
+
+  test('buttons without a conversation touch nothing', async () => {
+    const { cache, clearPendingInput } = createService()
+
+    await update(clearPendingInput, createContext({ data: 'action_search' }))
+
+    expect(cache.set).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,113 @@
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { parseDorarResponse, parseInfo, htmlToText } from '../src/api/dorarParser.js'
+
+const fixtures = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'dorar')
+const readFixture = (name) => readFileSync(join(fixtures, name), 'utf8')
+const loadFixture = (name) => JSON.parse(readFixture(name))
+
+describe('parseDorarResponse', () => {
+  test('extracts every hadith of a search response', () => {
+    const hadiths = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(hadiths).toHaveLength(2)
+    expect(hadiths[0]).toMatchObject({
+      hadith: 'إنَّما الأعْمالُ بالنِّيّاتِ، وإنَّما لِكُلِّ امْرِئٍ ما نَوَى',
+      rawi: 'عمر بن الخطاب',
+      muhaddith: 'البخاري',
+      book: 'صحيح البخاري',
+      number: '1',
+      chapter: 'بدء الوحي',
+      grade: 'صحيح'
+    })
+  })
+
+  test('strips the result number, tags and entities from the text', () => {
+    const [, second] = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(second.hadith).toBe('الأعمالُ بالنِّيَّةِ، ولكلِّ امرئٍ ما نوى فمَن كانت هجرتُه إلى اللهِ & رسولِه')
+  })
+
+  test('reads the grade without its brackets or the trailing links', () => {
+    const [, second] = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(second.grade).toBe('صحيح')
+    expect(second.number).toBe('1907')
+    expect(second.book).toBe('صحيح مسلم')
+  })
+
+  test('leaves the chapter out when Dorar gives none', () => {
+    const [, second] = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(second).not.toHaveProperty('chapter')
+  })
+
+  test('derives stable IDs that differ between hadiths', () => {
+    const first = parseDorarResponse(loadFixture('search-niyyah.json'))
+    const again = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(first[0].id).toMatch(/^[0-9a-f]{20}$/)
+    expect(first.map(hadith => hadith.id)).toEqual(again.map(hadith => hadith.id))
+    expect(first[0].id).not.toBe(first[1].id)
+  })
+
+  test('accepts raw JSON and JSONP text', () => {
+    const parsed = parseDorarResponse(loadFixture('search-niyyah.json'))
+
+    expect(parseDorarResponse(readFixture('search-niyyah.json'))).toEqual(parsed)
+    expect(parseDorarResponse(readFixture('search-niyyah.jsonp.txt'))).toEqual(parsed)
+  })
+
+  test('returns an empty list when nothing matched', () => {
+    expect(parseDorarResponse(loadFixture('search-empty.json'))).toEqual([])
+  })
+
+  test('passes already parsed arrays through', () => {
+    const hadiths = [{ id: '1', hadith: 'نص' }]
+    expect(parseDorarResponse(hadiths)).toBe(hadiths)
+  })
+
+  test('returns null for payloads that are not Dorar responses', () => {
+    expect(parseDorarResponse(null)).toBeNull()
+    expect(parseDorarResponse({})).toBeNull()
+    expect(parseDorarResponse({ ahadith: { result: 42 } })).toBeNull()
+    expect(parseDorarResponse('<html>Service Unavailable</html>')).toBeNull()
+    expect(parseDorarResponse('{"ahadith": {"result": ')).toBeNull()
+  })
+})
+
+describe('malformed markup', () => {
+  const hadiths = parseDorarResponse(loadFixture('search-malformed.json'))
+
+  test('keeps hadiths with partial info', () => {
+    expect(hadiths[0]).toMatchObject({
+      hadith: 'الدِّينُ النَّصيحةُ',
+      rawi: 'تميم الداري',
+      muhaddith: 'مسلم'
+    })
+    expect(hadiths[0]).not.toHaveProperty('book')
+    expect(hadiths[0]).not.toHaveProperty('number')
+    expect(hadiths[0]).not.toHaveProperty('grade')
+  })
+
+  test('skips hadiths without text or without an info block', () => {
+    expect(hadiths).toHaveLength(1)
+  })
+
+  test('ignores unknown labels', () => {
+    const info = parseInfo('<span class="info-subtitle">التخريج:</span> أخرجه البخاري <span class="info-subtitle">الراوي:</span> أنس')
+
+    expect(info).toEqual({ rawi: 'أنس' })
+  })
+})
+
+describe('htmlToText', () => {
+  test('decodes named and numeric entities', () => {
+    expect(htmlToText('&quot;قال&quot; &#1575;&#x644;&nbsp;<b>نبي</b>')).toBe('"قال" ال نبي')
+  })
+
+  test('handles missing input', () => {
+    expect(htmlToText(undefined)).toBe('')
+  })
+})
@@ -0,0 +1,67 @@
+import { readFileSync, readdirSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { I18n } from '../src/i18n/index.js'
+
+const SRC_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'src')
+
+// t('key'), ctx.t("key") and t(`prefix.${name}`) calls
+const TRANSLATE_CALL = /\bt\(\s*(['"`])((?:(?!\1).)+)\1/g
+
+const i18n = new I18n({ locales: ['ar', 'en'], defaultLocale: 'ar', strict: false })
+const catalogs = {
+  ar: i18n.flatten(i18n.catalogs.ar),
+  en: i18n.flatten(i18n.catalogs.en)
+}
+
+function sourceFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) return sourceFiles(path)
+    return entry.name.endsWith('.js') ? [path] : []
+  })
+}
+
+function usedKeys() {
+  const keys = new Map()
+  for (const file of sourceFiles(SRC_DIR)) {
+    const source = readFileSync(file, 'utf8')
+    for (const [, , key] of source.matchAll(TRANSLATE_CALL)) {
+      if (!keys.has(key)) keys.set(key, file.slice(SRC_DIR.length + 1))
+    }
+  }
+  return keys
+}
+
+describe('locale catalogs', () => {
+  test('ar and en have the same keys', () => {
+    const arKeys = [...catalogs.ar.keys()].sort()
+    const enKeys = [...catalogs.en.keys()].sort()
+
+    expect(arKeys.filter(key => !catalogs.en.has(key))).toEqual([])
+    expect(enKeys.filter(key => !catalogs.ar.has(key))).toEqual([])
+  })
+
+  test('ar and en use the same placeholders', () => {
+    expect(i18n.validate()).toEqual([])
+  })
+
+  test('every key used in src resolves in both catalogs', () => {
+    const keys = usedKeys()
+    expect(keys.size).toBeGreaterThan(0)
+
+    const unresolved = []
+    for (const [key, file] of keys) {
+      // Keys built at runtime: some key must exist under the static prefix
+      const dynamic = key.indexOf('${')
+      for (const locale of ['ar', 'en']) {
+        const found = dynamic === -1
+          ? catalogs[locale].has(key)
+          : [...catalogs[locale].keys()].some(entry => entry.startsWith(key.slice(0, dynamic)))
+        if (!found) unresolved.push(`${locale}:${key} (${file})`)
+      }
+    }
+
+    expect(unresolved).toEqual([])
+  })
+})
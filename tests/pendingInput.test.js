@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals'
+
+jest.unstable_mockModule('../src/database/index.js', () => ({
+  default: { prisma: {}, cache: {} }
+}))
+
+const { default: pendingInputMiddleware } = await import('../src/middlewares/pendingInput.js')
+const { default: settingsHandler } = await import('../src/handlers/settings.js')
+const { default: favoritesHandler } = await import('../src/handlers/favorites.js')
+
+const clearPendingInput = pendingInputMiddleware([
+  ...settingsHandler.pendingInputs,
+  ...favoritesHandler.pendingInputs
+])
+
+function createContext({ data, text } = {}) {
+  return {
+    from: { id: 1 },
+    callbackQuery: data ? { data } : undefined,
+    message: text ? { text } : undefined,
+    session: {
+      settings: { awaitingLocation: true, awaitingTimezone: true },
+      favorites: { awaiting: { type: 'tags', hadithId: '7' } }
+    }
+  }
+}
+
+async function run(ctx) {
+  const next = jest.fn()
+  await clearPendingInput(ctx, next)
+  expect(next).toHaveBeenCalled()
+  return ctx.session
+}
+
+describe('pendingInputMiddleware', () => {
+  test('a command ends every pending input', async () => {
+    const session = await run(createContext({ text: '/search' }))
+
+    expect(session.settings).toEqual({ awaitingLocation: false, awaitingTimezone: false })
+    expect(session.favorites.awaiting).toBeNull()
+  })
+
+  test('typed text leaves pending inputs for their handlers', async () => {
+    const session = await run(createContext({ text: 'الرياض' }))
+
+    expect(session.settings).toEqual({ awaitingLocation: true, awaitingTimezone: true })
+    expect(session.favorites.awaiting).not.toBeNull()
+  })
+
+  test('a button outside every flow ends them all', async () => {
+    const session = await run(createContext({ data: 'action_search' }))
+
+    expect(session.settings).toEqual({ awaitingLocation: false, awaitingTimezone: false })
+    expect(session.favorites.awaiting).toBeNull()
+  })
+
+  test('a button of one flow keeps only that flow', async () => {
+    const tagged = await run(createContext({ data: 'tag_add_7' }))
+    expect(tagged.favorites.awaiting).toEqual({ type: 'tags', hadithId: '7' })
+    expect(tagged.settings.awaitingLocation).toBe(false)
+
+    const city = await run(createContext({ data: 'settings_city_2' }))
+    expect(city.settings).toEqual({ awaitingLocation: true, awaitingTimezone: false })
+    expect(city.favorites.awaiting).toBeNull()
+  })
+
+  test('a failing flow does not stop the update', async () => {
+    const failing = { name: 'failing', actions: /^never$/, clear: () => { throw new Error('boom') } }
+    const next = jest.fn()
+
+    await pendingInputMiddleware([failing])(createContext({ data: 'action_search' }), next)
+
+    expect(next).toHaveBeenCalled()
+  })
+})
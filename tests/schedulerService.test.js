@@ -0,0 +1,243 @@
+import { jest } from '@jest/globals'
+import moment from 'moment-timezone'
+
+// The Prisma client is never reached: every test hands the service its own fakes
+jest.unstable_mockModule('../src/database/index.js', () => ({
+  default: { prisma: {} }
+}))
+
+const { SchedulerService } = await import('../src/services/schedulerService.js')
+
+const NOW = new Date('2026-03-04T10:00:00Z') // A Wednesday
+
+const HADITH = {
+  id: 7,
+  arabicText: 'إنما الأعمال بالنيات',
+  narrator: 'عمر بن الخطاب',
+  source: 'صحيح البخاري',
+  grade: 'صحيح'
+}
+
+function createReminder(overrides = {}) {
+  return {
+    id: 1,
+    userId: 10,
+    name: 'تذكير الصباح',
+    frequency: 'daily',
+    days: null,
+    time: '09:00',
+    timezone: 'UTC',
+    topics: null,
+    anchorPrayer: null,
+    nextDue: new Date('2026-03-04T09:00:00Z'),
+    createdAt: new Date('2026-03-02T08:00:00Z'),
+    adjustedAt: null,
+    user: { id: 10, telegramId: 555n, isActive: true, isBlocked: false, languageCode: 'ar' },
+    ...overrides
+  }
+}
+
+function createPrisma({ claimed = 1 } = {}) {
+  return {
+    reminder: {
+      findMany: jest.fn(async () => []),
+      updateMany: jest.fn(async () => ({ count: claimed })),
+      update: jest.fn(async ({ data }) => data)
+    },
+    reminderHadith: {
+      create: jest.fn(async ({ data }) => ({ id: 99, ...data })),
+      delete: jest.fn(async () => ({})),
+      findMany: jest.fn(async () => [])
+    }
+  }
+}
+
+function createScheduler({ prisma = createPrisma(), sendMessage = jest.fn(async () => ({})) } = {}) {
+  const rotation = { next: jest.fn(async () => HADITH) }
+  const scheduler = new SchedulerService({
+    clock: () => NOW,
+    telegram: { sendMessage },
+    prisma,
+    rotation
+  })
+  return { scheduler, prisma, rotation, sendMessage }
+}
+
+describe('deliverReminder', () => {
+  test('claims the occurrence by its current nextDue before sending', async () => {
+    const { scheduler, prisma, sendMessage } = createScheduler()
+    const reminder = createReminder()
+
+    await expect(scheduler.deliverReminder(reminder, NOW)).resolves.toBe(true)
+
+    expect(prisma.reminder.updateMany).toHaveBeenCalledWith({
+      where: { id: 1, nextDue: reminder.nextDue },
+      data: { nextDue: new Date('2026-03-05T09:00:00Z') }
+    })
+    expect(prisma.reminder.updateMany.mock.invocationCallOrder[0])
+      .toBeLessThan(sendMessage.mock.invocationCallOrder[0])
+    expect(sendMessage).toHaveBeenCalledWith('555', expect.stringContaining('تذكير الصباح'), expect.any(Object))
+  })
+
+  test('records the delivery and lastSent once sent', async () => {
+    const { scheduler, prisma } = createScheduler()
+
+    await scheduler.deliverReminder(createReminder(), NOW)
+
+    expect(prisma.reminderHadith.create).toHaveBeenCalledWith({
+      data: { reminderId: 1, hadithId: 7, sentAt: NOW }
+    })
+    expect(prisma.reminder.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { lastSent: NOW }
+    })
+    expect(prisma.reminderHadith.delete).not.toHaveBeenCalled()
+  })
+
+  test('does not send an occurrence another run already claimed', async () => {
+    const { scheduler, prisma, rotation, sendMessage } = createScheduler({ prisma: createPrisma({ claimed: 0 }) })
+
+    await expect(scheduler.deliverReminder(createReminder(), NOW)).resolves.toBe(false)
+
+    expect(rotation.next).not.toHaveBeenCalled()
+    expect(sendMessage).not.toHaveBeenCalled()
+    expect(prisma.reminderHadith.create).not.toHaveBeenCalled()
+  })
+
+  test('deletes the delivery row when the message cannot be sent', async () => {
+    const sendMessage = jest.fn(async () => { throw new Error('ETIMEDOUT') })
+    const { scheduler, prisma } = createScheduler({ sendMessage })
+
+    await expect(scheduler.deliverReminder(createReminder(), NOW)).resolves.toBe(false)
+
+    expect(prisma.reminderHadith.delete).toHaveBeenCalledWith({ where: { id: 99 } })
+    expect(prisma.reminder.update).not.toHaveBeenCalledWith(expect.objectContaining({ data: { lastSent: NOW } }))
+  })
+
+  test('deactivates the reminder when the user blocked the bot', async () => {
+    const blocked = Object.assign(new Error('Forbidden: bot was blocked by the user'), { code: 403 })
+    const { scheduler, prisma } = createScheduler({ sendMessage: jest.fn(async () => { throw blocked }) })
+
+    await scheduler.deliverReminder(createReminder(), NOW)
+
+    expect(prisma.reminderHadith.delete).toHaveBeenCalledWith({ where: { id: 99 } })
+    expect(prisma.reminder.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { isActive: false }
+    })
+  })
+
+  test('skips inactive users after claiming', async () => {
+    const { scheduler, prisma, sendMessage } = createScheduler()
+    const reminder = createReminder({ user: { ...createReminder().user, isBlocked: true } })
+
+    await expect(scheduler.deliverReminder(reminder, NOW)).resolves.toBe(false)
+
+    expect(prisma.reminder.updateMany).toHaveBeenCalled()
+    expect(sendMessage).not.toHaveBeenCalled()
+  })
+})
+
+describe('processDueReminders', () => {
+  test('delivers every due reminder of the batch', async () => {
+    const { scheduler, prisma, sendMessage } = createScheduler()
+    prisma.reminder.findMany.mockResolvedValue([createReminder(), createReminder({ id: 2 })])
+
+    await expect(scheduler.processDueReminders()).resolves.toBe(2)
+
+    expect(prisma.reminder.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { isActive: true, nextDue: { lte: NOW } }
+    }))
+    expect(sendMessage).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('computeNextDue', () => {
+  const { scheduler } = createScheduler()
+
+  test('is today when the time is still ahead', () => {
+    expect(scheduler.computeNextDue(createReminder({ time: '12:30' }), NOW))
+      .toEqual(new Date('2026-03-04T12:30:00Z'))
+  })
+
+  test('moves to tomorrow once the time has passed', () => {
+    expect(scheduler.computeNextDue(createReminder({ time: '09:00' }), NOW))
+      .toEqual(new Date('2026-03-05T09:00:00Z'))
+  })
+
+  test('is strictly after the reference time', () => {
+    expect(scheduler.computeNextDue(createReminder({ time: '10:00' }), NOW))
+      .toEqual(new Date('2026-03-05T10:00:00Z'))
+  })
+
+  test('uses the reminder timezone', () => {
+    // 10:00 UTC is 13:00 in Riyadh
+    const reminder = createReminder({ timezone: 'Asia/Riyadh', time: '14:00' })
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-04T11:00:00Z'))
+
+    const passed = createReminder({ timezone: 'Asia/Riyadh', time: '12:00' })
+    expect(scheduler.computeNextDue(passed, NOW)).toEqual(new Date('2026-03-05T09:00:00Z'))
+  })
+
+  test('falls back to the default timezone for unknown zones', () => {
+    const reminder = createReminder({ timezone: 'Mars/Olympus', time: '12:30' })
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-04T12:30:00Z'))
+  })
+
+  test('skips weekdays a daily reminder does not run on', () => {
+    // Fridays and Saturdays only
+    const reminder = createReminder({ days: '[5,6]', time: '12:30' })
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-06T12:30:00Z'))
+  })
+
+  test('runs weekly reminders on their chosen weekday', () => {
+    const reminder = createReminder({ frequency: 'weekly', days: '[0]' })
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-08T09:00:00Z'))
+  })
+
+  test('runs weekly reminders without days on the weekday they were created', () => {
+    // Created on Monday 2 March
+    const reminder = createReminder({ frequency: 'weekly' })
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-09T09:00:00Z'))
+  })
+
+  test('runs monthly reminders on the last day of shorter months', () => {
+    const reminder = createReminder({ frequency: 'monthly', days: '[31]' })
+    expect(scheduler.computeNextDue(reminder, new Date('2026-02-10T10:00:00Z')))
+      .toEqual(new Date('2026-02-28T09:00:00Z'))
+    expect(scheduler.computeNextDue(reminder, NOW)).toEqual(new Date('2026-03-31T09:00:00Z'))
+  })
+})
+
+describe('matchesFrequency', () => {
+  const { scheduler } = createScheduler()
+  const day = (date) => moment.tz(date, 'UTC')
+  const anchor = day('2026-03-02') // Monday
+
+  test('daily reminders run every day unless days are chosen', () => {
+    for (let i = 0; i < 7; i++) {
+      expect(scheduler.matchesFrequency(day('2026-03-02').add(i, 'day'), anchor, 'daily', [])).toBe(true)
+    }
+    expect(scheduler.matchesFrequency(day('2026-03-06'), anchor, 'daily', [5])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-03-07'), anchor, 'daily', [5])).toBe(false)
+  })
+
+  test('weekly reminders follow their days, or the anchor weekday', () => {
+    expect(scheduler.matchesFrequency(day('2026-03-09'), anchor, 'weekly', [])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-03-10'), anchor, 'weekly', [])).toBe(false)
+    expect(scheduler.matchesFrequency(day('2026-03-10'), anchor, 'weekly', [2, 4])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-03-09'), anchor, 'weekly', [2, 4])).toBe(false)
+  })
+
+  test('monthly reminders follow their dates, or the anchor date', () => {
+    expect(scheduler.matchesFrequency(day('2026-04-02'), anchor, 'monthly', [])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-04-03'), anchor, 'monthly', [])).toBe(false)
+    expect(scheduler.matchesFrequency(day('2026-04-15'), anchor, 'monthly', [1, 15])).toBe(true)
+  })
+
+  test('monthly dates past the end of the month fall on its last day', () => {
+    expect(scheduler.matchesFrequency(day('2026-02-28'), anchor, 'monthly', [30])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-04-30'), anchor, 'monthly', [31])).toBe(true)
+    expect(scheduler.matchesFrequency(day('2026-04-29'), anchor, 'monthly', [31])).toBe(false)
+  })
+})
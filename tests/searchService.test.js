@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals'
+
+const db = {
+  cache: { set: jest.fn(async () => {}), get: jest.fn(async () => null) },
+  prisma: {
+    searchHistory: {
+      create: jest.fn(async () => ({ id: 5 })),
+      update: jest.fn(async () => ({}))
+    }
+  },
+  analytics: { recordActivity: jest.fn(async () => {}) }
+}
+
+jest.unstable_mockModule('../src/database/index.js', () => ({ default: db }))
+
+const { SearchService } = await import('../src/services/searchService.js')
+
+const HADITHS = [
+  { id: 'a', narrator: 'أبو هريرة', source: 'صحيح البخاري', grade: 'صحيح' },
+  { id: 'b', narrator: 'عائشة أم المؤمنين', source: 'صحيح مسلم', grade: 'صحيح' },
+  { id: 'c', narrator: 'أبو هريرة', source: 'سنن الترمذي', grade: 'حسن' },
+  { id: 'd', narrator: 'عائشة', source: 'سنن أبي داود', grade: ' صحيح ' }
+]
+
+const ids = (hadiths) => hadiths.map(hadith => hadith.id)
+
+describe('scoped searches', () => {
+  const service = new SearchService({ pageSize: 10 })
+
+  beforeEach(() => jest.clearAllMocks())
+
+  test('an unscoped search keeps every result', async () => {
+    const search = await service.createSearch(1, 'النية', HADITHS)
+
+    expect(ids(service.getFilteredResults(search))).toEqual(['a', 'b', 'c', 'd'])
+    expect(db.prisma.searchHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ filters: null, resultCount: 4 })
+    })
+  })
+
+  test('the scope book becomes the first book filter', async () => {
+    const search = await service.createSearch(1, 'النية', HADITHS, { book: 'bukhari' })
+
+    expect(search.filters).toEqual(['bukhari'])
+    expect(ids(service.getFilteredResults(search))).toEqual(['a'])
+  })
+
+  test('unknown books are ignored', async () => {
+    const search = await service.createSearch(1, 'النية', HADITHS, { book: 'unknown' })
+
+    expect(search.filters).toEqual([])
+  })
+
+  test('narrator and sahih-only narrow the results', async () => {
+    const search = await service.createSearch(1, 'النية', HADITHS, { narrator: 'عائشة', sahihOnly: true })
+
+    expect(ids(service.getFilteredResults(search))).toEqual(['b', 'd'])
+    expect(db.prisma.searchHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        filters: JSON.stringify({ narrator: 'عائشة', sahihOnly: true }),
+        resultCount: 2
+      })
+    })
+  })
+
+  test('book filters apply on top of the scope', async () => {
+    const search = await service.createSearch(1, 'النية', HADITHS, { narrator: 'أبو هريرة' })
+    await service.setFilters(search, ['tirmidhi'])
+
+    expect(ids(service.getFilteredResults(search))).toEqual(['c'])
+    expect(db.prisma.searchHistory.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: {
+        filters: JSON.stringify({ books: ['tirmidhi'], narrator: 'أبو هريرة' }),
+        resultCount: 1
+      }
+    })
+  })
+})
@@ -0,0 +1,6 @@
+// Configuration required by src/config/index.js; tests never reach Telegram or the database
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || '123456:test-token'
+process.env.BOT_USERNAME = process.env.BOT_USERNAME || 'test_bot'
+process.env.ADMIN_ID = process.env.ADMIN_ID || '1'
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'file:./data/test.db'
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'
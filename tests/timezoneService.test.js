@@ -0,0 +1,36 @@
+import { TimezoneService } from '../src/services/timezoneService.js'
+
+describe('timezone detection', () => {
+  const service = new TimezoneService()
+
+  test.each([
+    ['Tabuk', 'Asia/Riyadh', 28.38, 36.57],
+    ['Hakkari', 'Europe/Istanbul', 37.57, 43.74],
+    ['Lyon', 'Europe/Paris', 45.76, 4.84],
+    ['Albuquerque', 'America/Denver', 35.08, -106.65],
+    ['El Paso', 'America/Denver', 31.76, -106.49],
+    ['Ciudad Juárez', 'America/Ciudad_Juarez', 31.69, -106.42],
+    ['Aqaba', 'Asia/Amman', 29.53, 35.01],
+    ['Eilat', 'Asia/Jerusalem', 29.56, 34.95],
+    ['Taba', 'Africa/Cairo', 29.49, 34.89],
+    ['Monaco', 'Europe/Monaco', 43.7384, 7.4246],
+    ['Menton', 'Europe/Paris', 43.78, 7.5],
+    ['Gaza', 'Asia/Gaza', 31.5, 34.47]
+  ])('%s is in %s', (name, timezone, latitude, longitude) => {
+    expect(service.detect(latitude, longitude)).toEqual({ timezone, source: 'boundary' })
+  })
+
+  test('off the coast the nearest reference location decides', () => {
+    expect(service.detect(0, 0)).toEqual({ timezone: 'Africa/Accra', source: 'nearest' })
+  })
+
+  test('in the open sea the zone is the nautical one', () => {
+    expect(service.detect(30, -40)).toEqual({ timezone: 'Etc/GMT+3', source: 'nautical' })
+  })
+
+  test('without boundaries every location falls back to the reference locations', () => {
+    const fallback = new TimezoneService(undefined, '/nonexistent/timezone-boundaries.json')
+
+    expect(fallback.detect(21.42, 39.83)).toEqual({ timezone: 'Asia/Riyadh', source: 'nearest' })
+  })
+})